@@ -283,7 +283,7 @@ module.exports = {
 // Optional: Add event listeners for Cloudinary
 cloudinary.api
   .ping()
-  .then((result) => {
+  .then(() => {
     console.log('✅ Cloudinary connected successfully');
   })
   .catch((error) => {
@@ -0,0 +1,97 @@
+// External identity providers for "Continue with…" login.
+//
+// Enable providers with a comma-separated list, then give each one credentials:
+//   OAUTH_PROVIDERS=google,github,corp
+//   OAUTH_GOOGLE_CLIENT_ID=...      OAUTH_GOOGLE_CLIENT_SECRET=...
+//   OAUTH_CORP_ISSUER=https://sso.example.com   OAUTH_CORP_NAME="Example SSO"
+//
+// `google` and `github` have presets. Any other id is treated as a generic
+// OpenID Connect provider and needs an ISSUER. Every preset value can be
+// overridden (ISSUER, AUTHORIZATION_URL, TOKEN_URL, USERINFO_URL, EMAILS_URL,
+// SCOPES), which is how you point a provider at a local mock server.
+
+const presets = {
+  google: {
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile'],
+    icon: 'fab fa-google'
+  },
+  github: {
+    // GitHub speaks plain OAuth2, so identity comes from its REST API
+    name: 'GitHub',
+    type: 'oauth2',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: ['read:user', 'user:email'],
+    icon: 'fab fa-github'
+  }
+};
+
+const envFor = (id, key) => process.env[`OAUTH_${id.toUpperCase()}_${key}`];
+
+const loadProvider = (id) => {
+  const preset = presets[id] || {
+    name: id,
+    type: 'oidc',
+    scopes: ['openid', 'email', 'profile'],
+    icon: 'fas fa-building'
+  };
+
+  const provider = {
+    id,
+    ...preset,
+    name: envFor(id, 'NAME') || preset.name,
+    clientId: envFor(id, 'CLIENT_ID'),
+    clientSecret: envFor(id, 'CLIENT_SECRET'),
+    issuer: envFor(id, 'ISSUER') || preset.issuer,
+    authorizationUrl: envFor(id, 'AUTHORIZATION_URL') || preset.authorizationUrl,
+    tokenUrl: envFor(id, 'TOKEN_URL') || preset.tokenUrl,
+    userinfoUrl: envFor(id, 'USERINFO_URL') || preset.userinfoUrl,
+    emailsUrl: envFor(id, 'EMAILS_URL') || preset.emailsUrl,
+    scopes: envFor(id, 'SCOPES') ? envFor(id, 'SCOPES').split(/[\s,]+/) : preset.scopes
+  };
+
+  if (!provider.clientId || !provider.clientSecret) {
+    console.warn(`OAuth provider "${id}" is missing a client id or secret and was skipped`);
+    return null;
+  }
+
+  if (provider.type === 'oidc' && !provider.issuer) {
+    console.warn(`OAuth provider "${id}" needs OAUTH_${id.toUpperCase()}_ISSUER and was skipped`);
+    return null;
+  }
+
+  return provider;
+};
+
+let providers;
+
+const getProviders = () => {
+  if (!providers) {
+    providers = new Map();
+    (process.env.OAUTH_PROVIDERS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(id => {
+        const provider = loadProvider(id);
+        if (provider) providers.set(id, provider);
+      });
+  }
+  return providers;
+};
+
+const getProvider = (id) => getProviders().get(String(id || '').toLowerCase()) || null;
+
+// What the login page needs to draw its buttons
+const listPublicProviders = () => Array.from(getProviders().values())
+  .map(({ id, name, icon }) => ({ id, name, icon }));
+
+module.exports = {
+  getProvider,
+  listPublicProviders
+};
@@ -0,0 +1,134 @@
+// Central permission registry for role-based access control.
+//
+// Permissions are named `resource:action`, optionally scoped with `:own` or
+// `:any`. A role holding `course:update:any` may update every course; a role
+// holding `course:update:own` may only update courses it owns, as decided by
+// OWNERSHIP_RULES below. Unscoped permissions are simply granted or not.
+
+const PERMISSIONS = {
+  'analytics:view': 'View dashboard statistics and revenue reports',
+  'announcement:create': 'Publish system announcements',
+
+  'user:view:any': 'List and search all user accounts',
+  'user:status:update': 'Activate or deactivate user accounts',
+  'user:role:update': 'Change the role of a user',
+  'user:invite': 'Invite instructors and consultants by email',
+  'user:session:manage': 'View and revoke the sign-in sessions of any user',
+  'user:impersonate': 'Sign in as another user for support, with every request audited',
+
+  'audit:view': 'Read the audit log of sensitive actions',
+
+  'role:view': 'View roles and their permissions',
+  'role:update': 'Edit the permissions granted to a role',
+
+  'apikey:manage': 'Issue, rotate and revoke API keys',
+
+  'settings:view': 'View platform security settings',
+  'settings:update': 'Change platform security settings',
+
+  'consultant:approve': 'Review and approve consultant applications',
+
+  'course:create': 'Create courses',
+  'course:list:own': 'List own courses with enrollment and revenue stats',
+  'course:view:any': 'View all courses, including unpublished ones',
+  'course:update:own': 'Edit own courses',
+  'course:update:any': 'Edit any course and reassign its instructor',
+  'course:delete:own': 'Delete own courses',
+  'course:delete:any': 'Delete any course',
+  'course:publish': 'Change the publication status of any course',
+  'course:review': 'Review submitted courses, approve them or request changes',
+  'course:content:own': 'Read the full content of own courses without enrolling',
+  'course:content:any': 'Read the full content of any course without enrolling',
+  'course:grade:own': 'Grade assignment submissions for own courses',
+  'course:grade:any': 'Grade assignment submissions for any course',
+  'course:prerequisite:override': 'Let individual learners enroll without completing a course\'s prerequisites',
+
+  'learningpath:manage': 'Create, edit and delete learning paths',
+
+  'certificate:revoke': 'Revoke and reinstate course and learning path certificates',
+
+  'coupon:manage': 'Create, edit and deactivate coupons and view their redemptions',
+
+  'service:create': 'Offer consultation services',
+  'service:list:own': 'List own services',
+  'service:update:own': 'Edit, deactivate or delete own services',
+  'service:update:any': 'Edit, deactivate or delete any service',
+
+  'consultation:book': 'Book consultations',
+  'consultation:view:own': 'View consultations booked by or with the user',
+  'consultation:view:any': 'View every consultation',
+  'consultation:reschedule:own': 'Reschedule consultations the user booked',
+  'consultation:reschedule:any': 'Reschedule any consultation',
+  'consultation:cancel:own': 'Cancel consultations booked by or with the user',
+  'consultation:cancel:any': 'Cancel any consultation',
+  'consultation:manage:own': 'Confirm, complete or mark no-shows on own consultations',
+  'consultation:manage:any': 'Change the status of any consultation',
+  'consultation:feedback:own': 'Rate consultations the user attended'
+};
+
+// Which document fields identify the owner of a resource for each `:own`
+// permission. The requesting user owns the document when any listed field
+// holds their id.
+const OWNERSHIP_RULES = {
+  'course:update': ['instructor'],
+  'course:delete': ['instructor'],
+  'course:content': ['instructor'],
+  'course:grade': ['instructor'],
+  'service:update': ['consultant'],
+  'consultation:view': ['user', 'consultant'],
+  'consultation:reschedule': ['user'],
+  'consultation:cancel': ['user', 'consultant'],
+  'consultation:manage': ['consultant'],
+  'consultation:feedback': ['user']
+};
+
+const LEARNER_PERMISSIONS = [
+  'consultation:book',
+  'consultation:view:own',
+  'consultation:reschedule:own',
+  'consultation:cancel:own',
+  'consultation:feedback:own'
+];
+
+// Built-in roles and the permissions they start with. Admins can change these
+// sets at runtime; the stored copy then takes precedence over these defaults.
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: LEARNER_PERMISSIONS,
+  instructor: [
+    ...LEARNER_PERMISSIONS,
+    'course:create',
+    'course:list:own',
+    'course:update:own',
+    'course:delete:own',
+    'course:content:own',
+    'course:grade:own'
+  ],
+  consultant: [
+    ...LEARNER_PERMISSIONS,
+    'service:create',
+    'service:list:own',
+    'service:update:own',
+    'consultation:manage:own'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// Scopes a partner API key may hold. Partner keys act without a user account,
+// so they are limited to read access that doesn't depend on who is asking.
+const PARTNER_SCOPES = [
+  'analytics:view',
+  'user:view:any',
+  'course:view:any',
+  'course:content:any',
+  'consultation:view:any'
+];
+
+module.exports = {
+  PERMISSIONS,
+  OWNERSHIP_RULES,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+  PARTNER_SCOPES
+};
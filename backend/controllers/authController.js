@@ -1,6 +1,27 @@
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const Consultant = require('../models/Consultant');
 const { sendEmail } = require('../utils/emailService');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshToken
+} = require('../utils/sessionService');
+const { getLoginChallenge } = require('../utils/twoFactor');
+const { hashVerificationToken, sendVerificationEmail } = require('../utils/emailVerification');
+const {
+  FORGOT_PASSWORD_MESSAGE,
+  VERIFICATION_EMAIL_MESSAGE,
+  MAGIC_LINK_MESSAGE,
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount: consumeUnlockToken
+} = require('../utils/bruteForce');
+const { passwordPolicy, isReusedPassword, passwordReuseError } = require('../utils/passwordPolicy');
 const crypto = require('crypto');
 
 // @desc    Register user
@@ -28,33 +49,19 @@ const registerUser = async (req, res) => {
       phone
     });
 
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    user.verificationToken = verificationToken;
-    await user.save();
-
     // Send verification email
-    const verificationUrl = `${process.env.CLIENT_URL}/verify-email?token=${verificationToken}`;
-    
-    await sendEmail({
-      email: user.email,
-      subject: 'Verify Your Email - Star Media Tech',
-      template: 'emailVerification',
-      data: {
-        name: user.firstName,
-        verificationUrl
-      }
-    });
+    await sendVerificationEmail(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful. Please check your email for verification.',
       data: {
         user: user.getPublicProfile(),
-        token
+        token: accessToken
       }
     });
 
@@ -79,24 +86,46 @@ const loginUser = async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user || !(await user.comparePassword(password))) {
+      await recordLoginFailure(req, email, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Second factor: hand back a partial token instead of a session
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.json({
+        success: true,
+        message: challenge.twoFactorRequired
+          ? 'Two-factor code required'
+          : 'Two-factor authentication must be set up for this account',
+        data: challenge
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
+    await clearLoginFailures(email);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: user.getPublicProfile(),
-        token
+        token: accessToken
       }
     });
 
@@ -115,12 +144,22 @@ const loginUser = async (req, res) => {
 // @access  Private
 const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
+    const user = await User.findById(req.user._id);
+    const consultantProfile = user.role === 'consultant'
+      ? await Consultant.findOne({ user: user._id })
+      : undefined;
+
     res.json({
       success: true,
       data: {
-        user: user.getPublicProfile()
+        user: user.getPublicProfile(),
+        consultantProfile,
+        impersonator: req.impersonator ? {
+          id: req.impersonator._id,
+          firstName: req.impersonator.firstName,
+          lastName: req.impersonator.lastName,
+          email: req.impersonator.email
+        } : undefined
       }
     });
   } catch (error) {
@@ -132,6 +171,87 @@ const getMe = async (req, res) => {
   }
 };
 
+// @desc    Rotate refresh token & get a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+const refreshAccessToken = async (req, res) => {
+  try {
+    const result = await rotateSession(readRefreshToken(req));
+
+    if (!result) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please log in again'
+      });
+    }
+
+    // A tab that lost a refresh race keeps the cookie the other tab was given
+    if (result.refreshToken) setRefreshCookie(res, result.refreshToken);
+
+    res.json({
+      success: true,
+      data: {
+        user: result.user.getPublicProfile(),
+        token: result.accessToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, req.impersonator ? 'impersonation-ended' : 'logout');
+
+    // The refresh cookie in an impersonating browser is the admin's own
+    if (!req.impersonator) clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Log out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout-all');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -141,9 +261,10 @@ const forgotPassword = async (req, res) => {
 
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No user found with this email address'
+      // Don't reveal whether email exists
+      return res.json({
+        success: true,
+        message: FORGOT_PASSWORD_MESSAGE
       });
     }
 
@@ -173,7 +294,7 @@ const forgotPassword = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Password reset email sent successfully'
+      message: FORGOT_PASSWORD_MESSAGE
     });
 
   } catch (error) {
@@ -211,12 +332,19 @@ const resetPassword = async (req, res) => {
       });
     }
 
+    if (await isReusedPassword(user, password)) {
+      return res.status(400).json(passwordReuseError('password'));
+    }
+
     // Set new password
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Sign out everywhere
+    await revokeAllSessions(user._id, 'password-reset');
+
     // Send confirmation email
     await sendEmail({
       email: user.email,
@@ -241,6 +369,132 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Email a single-use sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Same answer whether or not the account exists or can sign in
+    if (user && user.isActive !== false) {
+      const minutes = Number(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+      const token = crypto.randomBytes(32).toString('hex');
+
+      user.magicLinkToken = crypto.createHash('sha256').update(token).digest('hex');
+      user.magicLinkExpire = Date.now() + minutes * 60 * 1000;
+      await user.save();
+
+      await sendEmail({
+        email: user.email,
+        subject: 'Your Sign-in Link - Star Media Tech',
+        template: 'magicLink',
+        data: {
+          name: user.firstName,
+          loginUrl: `${process.env.CLIENT_URL}/pages/login.html?magicToken=${token}`,
+          minutes
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: MAGIC_LINK_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending sign-in link'
+    });
+  }
+};
+
+// @desc    Sign in with an emailed link
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+const consumeMagicLink = async (req, res) => {
+  try {
+    const magicLinkToken = crypto
+      .createHash('sha256')
+      .update(req.body.token)
+      .digest('hex');
+
+    const invalidLink = () => res.status(400).json({
+      success: false,
+      message: 'Invalid or expired sign-in link'
+    });
+
+    const linkOwner = await User.findOne({ magicLinkToken, magicLinkExpire: { $gt: Date.now() } }).select('email isActive');
+    if (!linkOwner) return invalidLink();
+
+    // A link doesn't get around an active lockout. Checked before the link is
+    // used up, so it still works once the lockout ends.
+    const block = await getLoginBlock(req, linkOwner.email);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'This account is temporarily locked, please try again later.',
+        retryAfter: block.retryAfter
+      });
+    }
+
+    if (linkOwner.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Claim and clear the token in one step so a link only ever works once
+    const user = await User.findOneAndUpdate(
+      { _id: linkOwner._id, magicLinkToken, magicLinkExpire: { $gt: Date.now() } },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+    if (!user) return invalidLink();
+
+    // The link stands in for the password only; 2FA still applies
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.json({
+        success: true,
+        message: challenge.twoFactorRequired
+          ? 'Two-factor code required'
+          : 'Two-factor authentication must be set up for this account',
+        data: challenge
+      });
+    }
+
+    await user.updateLastLogin();
+    await clearLoginFailures(user.email);
+
+    // Start session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getPublicProfile(),
+        token: accessToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
 // @desc    Verify email
 // @route   GET /api/auth/verify-email/:token
 // @access  Public
@@ -248,16 +502,20 @@ const verifyEmail = async (req, res) => {
   try {
     const { token } = req.params;
 
-    const user = await User.findOne({ verificationToken: token });
+    const user = await User.findOne({
+      verificationToken: hashVerificationToken(token),
+      verificationTokenExpire: { $gt: Date.now() }
+    });
     if (!user) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verification token'
+        message: 'Invalid or expired verification link'
       });
     }
 
     user.isVerified = true;
     user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
     await user.save();
 
     res.json({
@@ -274,6 +532,69 @@ const verifyEmail = async (req, res) => {
   }
 };
 
+// @desc    Send a new verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public (signed-in users resend for their own account)
+const resendVerification = async (req, res) => {
+  try {
+    const user = req.user
+      ? await User.findById(req.user._id)
+      : await User.findOne({ email: req.body.email });
+
+    if (req.user && user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Anonymous requests get the same answer whatever the account state
+    if (user && !user.isVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: req.user ? 'Verification email sent' : VERIFICATION_EMAIL_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+};
+
+// @desc    Lift a brute-force lockout using the emailed link
+// @route   GET /api/auth/unlock-account/:token
+// @access  Public
+const unlockAccount = async (req, res) => {
+  try {
+    const unlocked = await consumeUnlockToken(req.params.token);
+
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account'
+    });
+  }
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -282,7 +603,7 @@ const updateProfile = async (req, res) => {
     const { firstName, lastName, phone, bio, skills, socialLinks, preferences } = req.body;
 
     const user = await User.findByIdAndUpdate(
-      req.user.id,
+      req.user._id,
       {
         firstName,
         lastName,
@@ -322,7 +643,7 @@ const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user._id).select('+password');
 
     // Check current password
     if (!(await user.comparePassword(currentPassword))) {
@@ -332,9 +653,18 @@ const changePassword = async (req, res) => {
       });
     }
 
+    if (await isReusedPassword(user, newPassword)) {
+      return res.status(400).json(passwordReuseError('newPassword'));
+    }
+
     user.password = newPassword;
     await user.save();
 
+    // Invalidate every session, then keep this client signed in with a fresh one
+    await revokeAllSessions(user._id, 'password-change');
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+
     // Send notification email
     await sendEmail({
       email: user.email,
@@ -347,7 +677,10 @@ const changePassword = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token: accessToken
+      }
     });
 
   } catch (error) {
@@ -359,13 +692,31 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Get the password rules new passwords must meet
+// @route   GET /api/auth/password-policy
+// @access  Public
+const getPasswordPolicy = (req, res) => {
+  res.json({
+    success: true,
+    data: { policy: passwordPolicy() }
+  });
+};
+
 module.exports = {
   registerUser,
   loginUser,
   getMe,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
   forgotPassword,
   resetPassword,
+  requestMagicLink,
+  consumeMagicLink,
   verifyEmail,
+  resendVerification,
+  unlockAccount,
   updateProfile,
-  changePassword
+  changePassword,
+  getPasswordPolicy
 };
\ No newline at end of file
@@ -1,327 +0,0 @@
-const Course = require('../models/Course');
-const Enrollment = require('../models/Enrollment');
-const { uploadToCloudinary } = require('../utils/cloudinaryUpload');
-
-// @desc    Get all courses with filtering and pagination
-// @route   GET /api/courses
-// @access  Public
-const getCourses = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      level,
-      search,
-      minPrice,
-      maxPrice,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build filter object
-    const filter = { isPublished: true };
-    
-    if (category) filter.category = category;
-    if (level) filter.level = level;
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseInt(minPrice);
-      if (maxPrice) filter.price.$lte = parseInt(maxPrice);
-    }
-
-    // Search functionality
-    if (search) {
-      filter.$text = { $search: search };
-    }
-
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Execute query with pagination
-    const courses = await Course.find(filter)
-      .populate('instructor', 'firstName lastName avatar bio')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    // Get total count for pagination
-    const total = await Course.countDocuments(filter);
-
-    res.json({
-      success: true,
-      data: {
-        courses,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Get courses error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching courses'
-    });
-  }
-};
-
-// @desc    Get single course
-// @route   GET /api/courses/:id
-// @access  Public
-const getCourse = async (req, res) => {
-  try {
-    const course = await Course.findById(req.params.id)
-      .populate('instructor', 'firstName lastName avatar bio socialLinks');
-
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found'
-      });
-    }
-
-    // Check if user is enrolled (if authenticated)
-    let isEnrolled = false;
-    let userProgress = null;
-
-    if (req.user) {
-      const enrollment = await Enrollment.findOne({
-        user: req.user.id,
-        course: course._id
-      });
-      
-      if (enrollment) {
-        isEnrolled = true;
-        userProgress = enrollment.progress;
-      }
-    }
-
-    res.json({
-      success: true,
-      data: {
-        course,
-        isEnrolled,
-        userProgress
-      }
-    });
-
-  } catch (error) {
-    console.error('Get course error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching course'
-    });
-  }
-};
-
-// @desc    Create course
-// @route   POST /api/courses
-// @access  Private (Instructor/Admin)
-const createCourse = async (req, res) => {
-  try {
-    const courseData = { ...req.body, instructor: req.user.id };
-
-    // Handle thumbnail upload
-    if (req.files && req.files.thumbnail) {
-      const thumbnailResult = await uploadToCloudinary(req.files.thumbnail[0].path, 'courses/thumbnails');
-      courseData.thumbnail = thumbnailResult;
-    }
-
-    // Handle preview video upload
-    if (req.files && req.files.previewVideo) {
-      const videoResult = await uploadToCloudinary(req.files.previewVideo[0].path, 'courses/previews');
-      courseData.previewVideo = videoResult;
-    }
-
-    const course = await Course.create(courseData);
-
-    res.status(201).json({
-      success: true,
-      message: 'Course created successfully',
-      data: { course }
-    });
-
-  } catch (error) {
-    console.error('Create course error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while creating course'
-    });
-  }
-};
-
-// @desc    Update course
-// @route   PUT /api/courses/:id
-// @access  Private (Instructor/Admin)
-const updateCourse = async (req, res) => {
-  try {
-    let course = await Course.findById(req.params.id);
-
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found'
-      });
-    }
-
-    // Check ownership
-    if (course.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this course'
-      });
-    }
-
-    const updateData = { ...req.body };
-
-    // Handle thumbnail upload
-    if (req.files && req.files.thumbnail) {
-      const thumbnailResult = await uploadToCloudinary(req.files.thumbnail[0].path, 'courses/thumbnails');
-      updateData.thumbnail = thumbnailResult;
-    }
-
-    // Handle preview video upload
-    if (req.files && req.files.previewVideo) {
-      const videoResult = await uploadToCloudinary(req.files.previewVideo[0].path, 'courses/previews');
-      updateData.previewVideo = videoResult;
-    }
-
-    course = await Course.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true
-    });
-
-    res.json({
-      success: true,
-      message: 'Course updated successfully',
-      data: { course }
-    });
-
-  } catch (error) {
-    console.error('Update course error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating course'
-    });
-  }
-};
-
-// @desc    Enroll in course
-// @route   POST /api/courses/:id/enroll
-// @access  Private
-const enrollInCourse = async (req, res) => {
-  try {
-    const course = await Course.findById(req.params.id);
-
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found'
-      });
-    }
-
-    // Check if already enrolled
-    const existingEnrollment = await Enrollment.findOne({
-      user: req.user.id,
-      course: course._id
-    });
-
-    if (existingEnrollment) {
-      return res.status(400).json({
-        success: false,
-        message: 'Already enrolled in this course'
-      });
-    }
-
-    // Create enrollment
-    const enrollment = await Enrollment.create({
-      user: req.user.id,
-      course: course._id,
-      price: course.discountedPrice || course.price
-    });
-
-    // Update course enrollment count
-    course.studentsEnrolled += 1;
-    await course.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Successfully enrolled in course',
-      data: { enrollment }
-    });
-
-  } catch (error) {
-    console.error('Enroll course error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while enrolling in course'
-    });
-  }
-};
-
-// @desc    Get featured courses
-// @route   GET /api/courses/featured
-// @access  Public
-const getFeaturedCourses = async (req, res) => {
-  try {
-    const courses = await Course.getFeaturedCourses();
-
-    res.json({
-      success: true,
-      data: { courses }
-    });
-
-  } catch (error) {
-    console.error('Get featured courses error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching featured courses'
-    });
-  }
-};
-
-// @desc    Get course categories
-// @route   GET /api/courses/categories
-// @access  Public
-const getCourseCategories = async (req, res) => {
-  try {
-    const categories = await Course.aggregate([
-      { $match: { isPublished: true } },
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          totalStudents: { $sum: '$studentsEnrolled' }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: { categories }
-    });
-
-  } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching categories'
-    });
-  }
-};
-
-module.exports = {
-  getCourses,
-  getCourse,
-  createCourse,
-  updateCourse,
-  enrollInCourse,
-  getFeaturedCourses,
-  getCourseCategories
-};
\ No newline at end of file
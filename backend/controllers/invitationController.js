@@ -0,0 +1,185 @@
+const User = require('../models/User');
+const { createSession, setRefreshCookie, revokeAllSessions } = require('../utils/sessionService');
+const { getLoginChallenge, isTwoFactorMandatory } = require('../utils/twoFactor');
+const { ROLE_LABELS, roleConflict, findInvitationByToken, acceptInvitation: accept } = require('../utils/invitations');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { recordAudit, requestInfo } = require('../utils/auditLog');
+
+const INVALID_INVITATION = 'This invitation is invalid or has expired. Ask the person who invited you to send a new one.';
+
+// @desc    Look up an invitation from its link
+// @route   GET /api/auth/invitations/:token
+// @access  Public (invitation token)
+const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_INVITATION
+      });
+    }
+
+    const existing = await User.findOne({ email: invitation.email }).select('isVerified role');
+
+    const conflict = roleConflict(existing, invitation.role);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          message: invitation.message,
+          invitedBy: invitation.invitedBy
+            ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+            : undefined,
+          expiresAt: invitation.expiresAt
+        },
+        accountExists: Boolean(existing),
+        // Unverified accounts are taken over with a new password, like a sign-up
+        passwordRequired: !existing || !existing.isVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+};
+
+// @desc    Accept an invitation, creating the account or adding the role to an existing one
+// @route   POST /api/auth/invitations/accept
+// @access  Public (invitation token)
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, firstName, lastName, password } = req.body;
+
+    const invitation = await findInvitationByToken(token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_INVITATION
+      });
+    }
+
+    const existing = await User.findOne({ email: invitation.email });
+    if (existing && !existing.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // The account may have been given another staff role since the invite
+    const conflict = roleConflict(existing, invitation.role);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    if (!existing && (!firstName || !lastName || !password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'First name, last name and password are required to create your account'
+      });
+    }
+
+    // Whoever registered an unverified account may not own the address, so
+    // it gets a new password like a fresh sign-up
+    if (!existing || !existing.isVerified) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose a password to finish setting up your account'
+        });
+      }
+
+      const violations = checkPassword(password);
+      if (violations.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: violations.map(violation => ({ field: 'password', message: violation.message }))
+        });
+      }
+    }
+
+    const result = await accept(invitation, { firstName, lastName, password });
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_INVITATION
+      });
+    }
+
+    const { user, created } = result;
+
+    recordAudit({
+      ...requestInfo(req),
+      actor: user._id,
+      subject: user._id,
+      action: 'invitation.accept',
+      details: { invitation: invitation._id, role: invitation.role, accountCreated: created }
+    });
+
+    if (!created) {
+      // Same rule as an admin role change: staff without 2FA must enroll first
+      if (await isTwoFactorMandatory(user) && !(user.twoFactor && user.twoFactor.enabled)) {
+        await revokeAllSessions(user._id, 'admin');
+      }
+
+      return res.json({
+        success: true,
+        message: `Invitation accepted. Sign in to continue as ${ROLE_LABELS[invitation.role]}.`,
+        data: { accountCreated: false, role: user.role }
+      });
+    }
+
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.status(201).json({
+        success: true,
+        message: 'Account created. Set up two-factor authentication to continue.',
+        data: { accountCreated: true, ...challenge }
+      });
+    }
+
+    await user.updateLastLogin();
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+
+    res.status(201).json({
+      success: true,
+      message: 'Welcome to Star Media Tech! Your account is ready.',
+      data: {
+        accountCreated: true,
+        user: user.getPublicProfile(),
+        token: accessToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+};
+
+module.exports = {
+  getInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getProvider, listPublicProviders } = require('../config/oauthProviders');
+const { createAuthRequest, buildAuthorizationUrl, exchangeCode, getIdentity } = require('../utils/oidcClient');
+const { createSession, setRefreshCookie } = require('../utils/sessionService');
+const { getLoginChallenge } = require('../utils/twoFactor');
+const { claimEmailAddress } = require('../utils/emailVerification');
+
+const STATE_COOKIE = 'oauth_state';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const clientBaseUrl = () => (process.env.CLIENT_URL || '').split(',')[0].trim();
+
+const redirectUriFor = (req, providerId) => {
+  const base = process.env.OAUTH_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/auth/oauth/${providerId}/callback`;
+};
+
+// Send the browser back to the login page with the outcome in the URL fragment,
+// which never reaches our server logs or the Referer header
+const finish = (res, params) => {
+  const target = process.env.OAUTH_RESULT_URL || `${clientBaseUrl()}/pages/login.html`;
+  res.clearCookie(STATE_COOKIE, { path: '/api/auth/oauth' });
+  res.redirect(`${target}#${new URLSearchParams(params).toString()}`);
+};
+
+// Find the user for an external identity: by an existing link first, then by
+// verified email (linking the identity), else provision a new verified account.
+// Linking to an unverified account resets it, so a password set by whoever
+// registered the address first stops working.
+const resolveUser = async (provider, identity) => {
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: identity.subject } }
+  });
+  if (user) return user;
+
+  if (!identity.email || !identity.emailVerified) {
+    const error = new Error(`${provider.name} did not share a verified email address`);
+    error.expose = true;
+    throw error;
+  }
+
+  const link = { provider: provider.id, subject: identity.subject, email: identity.email };
+
+  user = await User.findOne({ email: identity.email });
+  if (user) {
+    user.identities.push(link);
+    // The provider has vouched for the address
+    return claimEmailAddress(user);
+  }
+
+  return User.create({
+    firstName: identity.firstName || identity.email.split('@')[0],
+    lastName: identity.lastName || '-',
+    email: identity.email,
+    // Unusable random password; the account can set one via forgot-password
+    password: crypto.randomBytes(32).toString('hex'),
+    isVerified: true,
+    identities: [link],
+    ...(identity.avatarUrl && { avatar: { url: identity.avatarUrl } })
+  });
+};
+
+// @desc    List configured external login providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const getOAuthProviders = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: listPublicProviders()
+    }
+  });
+};
+
+// @desc    Redirect to the provider's sign-in page
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+const startOAuth = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+
+    const authRequest = createAuthRequest();
+    const redirectUri = redirectUriFor(req, provider.id);
+    const url = await buildAuthorizationUrl(provider, { ...authRequest, redirectUri });
+
+    // Signed, short-lived state cookie: nothing to store server-side
+    const stateToken = jwt.sign(
+      { provider: provider.id, state: authRequest.state, nonce: authRequest.nonce, codeVerifier: authRequest.codeVerifier },
+      process.env.JWT_SECRET,
+      { expiresIn: Math.floor(STATE_TTL_MS / 1000) }
+    );
+    res.cookie(STATE_COOKIE, stateToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      // Lax so the cookie survives the top-level redirect back from the provider
+      sameSite: 'lax',
+      path: '/api/auth/oauth',
+      maxAge: STATE_TTL_MS
+    });
+
+    res.redirect(url);
+
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    finish(res, { oauth: 'error', message: 'Could not reach the login provider' });
+  }
+};
+
+// @desc    Handle the provider's redirect, then sign the user in
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+const oauthCallback = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    const { code, state, error: providerError } = req.query;
+
+    if (!provider) {
+      return finish(res, { oauth: 'error', message: 'Login provider not found' });
+    }
+
+    if (providerError) {
+      return finish(res, { oauth: 'error', message: `${provider.name} sign-in was cancelled` });
+    }
+
+    let saved;
+    try {
+      saved = jwt.verify(req.cookies[STATE_COOKIE], process.env.JWT_SECRET);
+    } catch (err) {
+      return finish(res, { oauth: 'error', message: 'Sign-in session expired, please try again' });
+    }
+
+    if (saved.provider !== provider.id || !state || saved.state !== state || !code) {
+      return finish(res, { oauth: 'error', message: 'Invalid sign-in response' });
+    }
+
+    const tokens = await exchangeCode(provider, {
+      code,
+      codeVerifier: saved.codeVerifier,
+      redirectUri: redirectUriFor(req, provider.id)
+    });
+    const identity = await getIdentity(provider, tokens, saved.nonce);
+    const user = await resolveUser(provider, identity);
+
+    if (user.isActive === false) {
+      return finish(res, { oauth: 'error', message: 'Account is deactivated. Please contact support.' });
+    }
+
+    // External login does not bypass our own second factor. Staff who must
+    // enroll can do so here: the provider sign-in stands in for the password.
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return finish(res, {
+        oauth: challenge.twoFactorRequired ? '2fa' : '2fa-setup',
+        tempToken: challenge.tempToken
+      });
+    }
+
+    await user.updateLastLogin();
+
+    // The page exchanges the refresh cookie for an access token
+    const { refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+
+    finish(res, { oauth: 'success' });
+
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    finish(res, {
+      oauth: 'error',
+      message: error.expose ? error.message : 'External sign-in failed, please try again'
+    });
+  }
+};
+
+module.exports = {
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const {
+  listActiveSessions,
+  serializeSession,
+  revokeSession,
+  clearRefreshCookie
+} = require('../utils/sessionService');
+const { recordAudit, requestInfo } = require('../utils/auditLog');
+
+// @desc    List the signed-in user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => serializeSession(session, req.authSession._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Sign out one of the signed-in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: { $exists: false } })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    const current = String(session._id) === String(req.authSession._id);
+    if (current) clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: current ? 'Signed out of this device' : 'Session revoked',
+      data: { current }
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Stop impersonating and end the impersonation session
+// @route   POST /api/auth/impersonation/exit
+// @access  Private (impersonation token)
+const exitImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating a user'
+      });
+    }
+
+    await revokeSession(req.authSession._id, 'impersonation-ended');
+
+    recordAudit({
+      ...requestInfo(req),
+      actor: req.impersonator._id,
+      subject: req.user._id,
+      session: req.authSession._id,
+      action: 'impersonation.end'
+    });
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+
+  } catch (error) {
+    console.error('Exit impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending impersonation'
+    });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  exitImpersonation
+};
@@ -0,0 +1,310 @@
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const {
+  PURPOSE_VERIFY,
+  hashBackupCode,
+  generateBackupCodes,
+  isTwoFactorMandatory,
+  consumeLoginToken
+} = require('../utils/twoFactor');
+const { verifyPartialToken } = require('../utils/generateToken');
+const { createSession, setRefreshCookie } = require('../utils/sessionService');
+const { getLoginBlock, recordLoginFailure, clearLoginFailures } = require('../utils/bruteForce');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep +twoFactor.loginNonce';
+
+const loginStepExpired = (res) => res.status(401).json({
+  success: false,
+  message: 'Login step expired, please sign in again'
+});
+
+// Check a TOTP code or a backup code against the user, consuming whichever
+// matched. The caller is responsible for saving the user afterwards.
+const checkSecondFactor = (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep ?? -1
+    });
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const codes = user.twoFactor.backupCodes || [];
+    if (!codes.includes(hash)) return false;
+    user.twoFactor.backupCodes = codes.filter(c => c !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Start 2FA enrollment and get the provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or partial token when 2FA setup is mandatory)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          account: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Star Media Tech'
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a first code and get backup codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or partial token when 2FA setup is mandatory)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // Mandatory enrollment during login: the token finishes one login only
+    if (req.partialAuth && !(await consumeLoginToken(user._id, req.loginNonce))) {
+      return loginStepExpired(res);
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const data = { backupCodes: codes };
+
+    // Mandatory enrollment during login: finish signing the user in
+    if (req.partialAuth) {
+      await user.updateLastLogin();
+      await clearLoginFailures(user.email);
+      const { accessToken, refreshToken } = await createSession(user, req);
+      setRefreshCookie(res, refreshToken);
+      data.user = user.getPublicProfile();
+      data.token = accessToken;
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Second login step: verify a TOTP or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (partial token)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { tempToken, code, backupCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyPartialToken(tempToken, PURPOSE_VERIFY);
+    } catch (error) {
+      return loginStepExpired(res);
+    }
+
+    const user = await User.findById(decoded.id).select(SECRET_FIELDS);
+    if (!user || user.isActive === false || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid login attempt'
+      });
+    }
+
+    // Already used to sign in, or replaced by a newer login
+    if (!decoded.nonce || user.twoFactor.loginNonce !== decoded.nonce) {
+      return loginStepExpired(res);
+    }
+
+    // Second-factor guesses count towards the same lockout as passwords
+    const block = await getLoginBlock(req, user.email);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfter: block.retryAfter
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, backupCode })) {
+      await recordLoginFailure(req, user.email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // Claimed atomically, so two requests with the same token can't both sign in
+    if (!(await consumeLoginToken(user._id, decoded.nonce))) {
+      return loginStepExpired(res);
+    }
+
+    await user.updateLastLogin();
+    await clearLoginFailures(user.email);
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getPublicProfile(),
+        token: accessToken,
+        backupCodesRemaining: user.twoFactor.backupCodes.length
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorMandatory(user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for the ${user.role} role`
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password)) || !checkSecondFactor(user, { code, backupCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password or two-factor code is incorrect'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace all backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled || !checkSecondFactor(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes }
+    });
+
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes'
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
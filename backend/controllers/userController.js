@@ -1,6 +1,5 @@
 const User = require('../models/User');
 const Enrollment = require('../models/Enrollment');
-const Course = require('../models/Course');
 const { uploadToCloudinary } = require('../utils/cloudinaryUpload');
 
 // @desc    Get user profile
@@ -209,8 +208,6 @@ const updatePreferences = async (req, res) => {
 // @access  Private
 const deleteAccount = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-
     // In a real application, you might want to:
     // 1. Archive user data instead of hard delete
     // 2. Send confirmation email
@@ -1,29 +1,165 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyPartialToken } = require('../utils/generateToken');
+const { getRolePermissions } = require('../utils/permissions');
+const { extractApiKey, resolveApiKey } = require('../utils/apiKeyService');
+const { touchSession } = require('../utils/sessionService');
+const { auditRequest } = require('../utils/auditLog');
 
-// Protect routes - JWT verification
+// API keys get their own per-key budget instead of the global per-IP limiter
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute || Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60,
+  keyGenerator: (req) => `apikey:${req.apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down'
+  }
+});
+
+// Keep key guessing in check per IP: only rejected keys count against this
+// budget
+const invalidApiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many invalid API key attempts, please try again later'
+  }
+});
+
+// Authenticate a request made with an API key instead of a user session.
+// Verified keys are limited per key instead of by the global per-IP limiter.
+const protectWithApiKey = (req, res, next, rawKey) => {
+  invalidApiKeyLimiter(req, res, async (err) => {
+    if (err) return next(err);
+    try {
+      const { error, apiKey, user, partner, permissions } = await resolveApiKey(rawKey, req);
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error
+        });
+      }
+
+      if (user) req.user = user;
+      if (partner) req.partner = partner;
+      req.apiKey = apiKey;
+      req.permissions = permissions;
+      return apiKeyLimiter(req, res, next);
+    } catch (error) {
+      console.error('API key verification error:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, API key check failed'
+      });
+    }
+  });
+};
+
+// Verify an API key sent with any /api request before the global limiter
+// runs, which then skips requests with a verified req.apiKey. Made-up keys
+// are rejected here, so they can't be used to dodge the global limiter.
+const identifyApiKey = (req, res, next) => {
+  const rawKey = extractApiKey(req);
+  if (!rawKey || req.apiKey) return next();
+  return protectWithApiKey(req, res, next, rawKey);
+};
+
+// Resolve the user and session behind an access token.
+// Tokens without a live session (revoked, expired or pre-session tokens) are rejected.
+const resolveToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return {};
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.user.toString() !== decoded.id) return {};
+
+  // Impersonation tokens and sessions must agree, and the admin behind them
+  // must still be allowed to impersonate
+  let impersonator = null;
+  if (session.impersonatedBy || decoded.imp) {
+    if (String(session.impersonatedBy) !== String(decoded.imp)) return {};
+
+    impersonator = await User.findById(session.impersonatedBy).select('-password');
+    if (!impersonator || impersonator.isActive === false) return {};
+    const adminPermissions = await getRolePermissions(impersonator.role);
+    if (!adminPermissions.has('user:impersonate')) return {};
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, session, impersonator };
+};
+
+// Mark the request as made by an admin acting as req.user and audit it under
+// the admin's own id
+const attachImpersonator = (req, res, impersonator) => {
+  req.impersonator = impersonator;
+  auditRequest(req, res, {
+    actor: impersonator._id,
+    subject: req.user._id,
+    session: req.authSession._id,
+    action: 'impersonation.request'
+  });
+};
+
+// Protect routes - JWT or API key verification.
+// On success req.user is the User document (without password); refer to the
+// account as req.user._id. Partner API keys have no user and set req.partner.
 const protect = async (req, res, next) => {
   let token;
 
+  // Already verified by identifyApiKey
+  if (req.apiKey) return next();
+
+  const apiKey = extractApiKey(req);
+  if (apiKey) {
+    return protectWithApiKey(req, res, next, apiKey);
+  }
+
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and its session
+      const { user, session, impersonator } = await resolveToken(token);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, session expired or revoked'
+        });
+      }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-      
-      if (!req.user) {
+      if (!user) {
         return res.status(401).json({
           success: false,
           message: 'Not authorized, user not found'
         });
       }
 
-      next();
+      if (user.isActive === false) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is deactivated. Please contact support.'
+        });
+      }
+
+      req.user = user;
+      req.authSession = session;
+      req.permissions = await getRolePermissions(user.role);
+      if (impersonator) attachImpersonator(req, res, impersonator);
+      touchSession(session, req);
+      return next();
     } catch (error) {
       console.error('Token verification error:', error);
       return res.status(401).json({
@@ -41,28 +177,84 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+// Accept either a full session or a partial login token of the given purpose
+// (sent as `tempToken` in the body). Used by steps that finish a login.
+const protectOrPartial = (purpose) => async (req, res, next) => {
+  const tempToken = req.body && req.body.tempToken;
+  if (!tempToken) return protect(req, res, next);
+
+  try {
+    const decoded = verifyPartialToken(tempToken, purpose);
+    const user = await User.findById(decoded.id).select('-password +twoFactor.loginNonce');
+
+    if (!user || user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user not found'
+      });
+    }
+
+    // Already used to finish a login, or replaced by a newer one
+    if (!decoded.nonce || user.twoFactor.loginNonce !== decoded.nonce) {
+      return res.status(401).json({
         success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
+        message: 'Login step expired, please sign in again'
       });
     }
-    next();
-  };
+
+    req.user = user;
+    req.partialAuth = true;
+    req.loginNonce = decoded.nonce;
+    return next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login step expired, please sign in again'
+    });
+  }
+};
+
+// Account management, and routes that act as the signed-in user without a
+// permission of their own, need a real login: a key's scopes couldn't limit them
+const rejectApiKeys = (req, res, next) => {
+  if (extractApiKey(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+  next();
+};
+
+// Partner API keys have no user account behind them, so routes that work on
+// the requester's own records turn them away. Relies on identifyApiKey having
+// run, so it can also be used at router level ahead of `protect`.
+const rejectPartnerKeys = (req, res, next) => {
+  if (req.partner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Partner API keys cannot be used for this endpoint'
+    });
+  }
+  next();
 };
 
 // Optional authentication (for public routes that can have enhanced features for logged-in users)
 const optionalAuth = async (req, res, next) => {
   let token;
 
+  if (req.apiKey) return next();
+
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      const { user, session, impersonator } = await resolveToken(token);
+      if (user && user.isActive !== false) {
+        req.user = user;
+        req.authSession = session;
+        req.permissions = await getRolePermissions(user.role);
+        if (impersonator) attachImpersonator(req, res, impersonator);
+      }
     } catch (error) {
       // Don't throw error for optional auth, just continue without user
       console.log('Optional auth token failed, continuing without user');
@@ -73,7 +265,10 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  identifyApiKey,
   protect,
-  authorize,
+  protectOrPartial,
+  rejectApiKeys,
+  rejectPartnerKeys,
   optionalAuth
 };
\ No newline at end of file
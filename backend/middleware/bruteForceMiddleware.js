@@ -0,0 +1,100 @@
+const {
+  FORGOT_PASSWORD_MESSAGE,
+  VERIFICATION_EMAIL_MESSAGE,
+  MAGIC_LINK_MESSAGE,
+  getLoginBlock,
+  recordForgotPasswordRequest,
+  recordVerificationEmailRequest,
+  recordMagicLinkRequest
+} = require('../utils/bruteForce');
+
+// Reject login attempts while the account or client IP is locked or cooling down.
+// Handlers report the outcome with recordLoginFailure / clearLoginFailures.
+const loginGuard = async (req, res, next) => {
+  try {
+    const block = await getLoginBlock(req, req.body.email);
+    if (!block) return next();
+
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: block.locked
+        ? 'Too many failed attempts. This account is temporarily locked, please try again later.'
+        : `Too many failed attempts. Please wait ${block.retryAfter} seconds before trying again.`,
+      retryAfter: block.retryAfter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Limit emails sent on request per IP and per account. Once the account
+// limit is hit the request is silently dropped with the usual response, so
+// the limit can't reveal whether the account exists.
+const emailRequestGuard = (recordRequest, { tooManyMessage, genericMessage }) => async (req, res, next) => {
+  try {
+    const limited = await recordRequest(req, req.body.email);
+
+    if (limited === 'ip') {
+      return res.status(429).json({
+        success: false,
+        message: tooManyMessage
+      });
+    }
+
+    if (limited === 'account') {
+      return res.json({
+        success: true,
+        message: genericMessage
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const forgotPasswordGuard = emailRequestGuard(recordForgotPasswordRequest, {
+  tooManyMessage: 'Too many password reset requests. Please try again later.',
+  genericMessage: FORGOT_PASSWORD_MESSAGE
+});
+
+const magicLinkGuard = emailRequestGuard(recordMagicLinkRequest, {
+  tooManyMessage: 'Too many sign-in link requests. Please try again later.',
+  genericMessage: MAGIC_LINK_MESSAGE
+});
+
+// Same limits for verification emails. Signed-in users are told about the
+// account limit; anonymous requests get the usual response.
+const verificationEmailGuard = async (req, res, next) => {
+  try {
+    const email = req.user ? req.user.email : req.body.email;
+    const limited = await recordVerificationEmailRequest(req, email);
+
+    if (limited === 'ip' || (limited === 'account' && req.user)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification email requests. Please try again later.'
+      });
+    }
+
+    if (limited === 'account') {
+      return res.json({
+        success: true,
+        message: VERIFICATION_EMAIL_MESSAGE
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loginGuard,
+  forgotPasswordGuard,
+  magicLinkGuard,
+  verificationEmailGuard
+};
@@ -0,0 +1,20 @@
+// Marks a route as a deprecated alias of `successor` (RFC 8594 style headers)
+// and logs the first use of each alias so remaining callers can be found.
+const warned = new Set();
+
+const deprecatedAlias = (successor) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+
+  const key = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  if (!warned.has(key)) {
+    warned.add(key);
+    console.warn(`Deprecated endpoint ${key} called; use ${successor} instead`);
+  }
+
+  next();
+};
+
+module.exports = {
+  deprecatedAlias
+};
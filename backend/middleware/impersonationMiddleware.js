@@ -0,0 +1,16 @@
+// Refuse actions an admin must never take on a user's behalf while
+// impersonating them (credentials, account deletion, payments). Use after
+// `protect`, which sets req.impersonator for impersonation tokens.
+const blockWhileImpersonating = (req, res, next) => {
+  if (!req.impersonator) return next();
+
+  return res.status(403).json({
+    success: false,
+    message: 'This action is not available while impersonating a user',
+    code: 'IMPERSONATION_BLOCKED'
+  });
+};
+
+module.exports = {
+  blockWhileImpersonating
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { can } = require('../utils/permissions');
+
+// Require a permission from the registry in config/permissions.js. Use after
+// `protect`, which loads the role's permissions onto the request.
+//
+// For ownership-scoped permissions pass the model the route acts on:
+//   requirePermission('course:update', { resource: Course })
+// The document named by req.params.id (or options.param) is loaded, checked
+// against the ownership rule and exposed to the handler as req.resource.
+const requirePermission = (permission, options = {}) => {
+  const { resource: Model, param = 'id' } = options;
+
+  const deny = (res) => res.status(403).json({
+    success: false,
+    message: 'You do not have permission to perform this action',
+    permission
+  });
+
+  return async (req, res, next) => {
+    try {
+      if (!Model) {
+        return can(req, permission) ? next() : deny(res);
+      }
+
+      // Quick reject before touching the database
+      if (!can(req, permission)) return deny(res);
+
+      const id = req.params[param];
+      const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          message: `${Model.modelName} not found`
+        });
+      }
+
+      if (!can(req, permission, doc)) return deny(res);
+
+      req.resource = doc;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requirePermission
+};
@@ -94,6 +94,38 @@ const uploadFields = (fields) => {
   };
 };
 
+// Archives (e.g. course packages) are read straight from memory and never
+// written to the upload dir
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only ZIP archives are allowed.'), false);
+    }
+  }
+});
+
+// Middleware for a single ZIP archive upload, available as req.file.buffer
+const uploadArchive = (fieldName) => {
+  return (req, res, next) => {
+    archiveUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+      next();
+    });
+  };
+};
+
 // Remove file middleware (cleanup on error)
 const removeUploadedFiles = (req, res, next) => {
   // This should be called when an error occurs after files have been uploaded
@@ -113,5 +145,6 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadArchive,
   removeUploadedFiles
 };
\ No newline at end of file
@@ -1,4 +1,16 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { RULE_NAMES, checkRule } = require('../utils/passwordPolicy');
+
+// One check per password policy rule, so each failed rule gets its own message
+const passwordPolicyRules = (field) => RULE_NAMES.reduce(
+  (chain, rule) => chain
+    .custom(value => !checkRule(rule, value))
+    .withMessage(value => checkRule(rule, value)),
+  body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+);
 
 // Common validation rules
 const commonRules = {
@@ -7,11 +19,7 @@ const commonRules = {
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
   
-  password: body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  password: passwordPolicyRules('password'),
   
   name: body('name')
     .trim()
@@ -40,10 +48,11 @@ const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   
   if (!errors.isEmpty()) {
+    // Never echo passwords back
     const errorMessages = errors.array().map(error => ({
       field: error.path,
       message: error.msg,
-      value: error.value
+      value: /password/i.test(error.path) ? undefined : error.value
     }));
 
     return res.status(400).json({
@@ -56,15 +65,32 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Accept a single `name` (as the register form and the old /api/users
+// endpoints send it) in place of firstName/lastName
+const splitFullName = (req, res, next) => {
+  const { name } = req.body || {};
+  if (typeof name === 'string' && name.trim() && !req.body.firstName && !req.body.lastName) {
+    const [firstName, ...rest] = name.trim().split(/\s+/);
+    req.body.firstName = firstName;
+    req.body.lastName = rest.join(' ') || '-';
+  }
+  next();
+};
+
 // Specific validation chains
 const authValidation = {
   register: [
+    splitFullName,
     commonRules.email,
     commonRules.password,
-    body('name')
+    body('firstName')
       .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Name must be between 2 and 50 characters'),
+      .isLength({ min: 1, max: 50 })
+      .withMessage('First name must be between 1 and 50 characters'),
+    body('lastName')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Last name must be between 1 and 50 characters'),
     handleValidationErrors
   ],
   
@@ -72,29 +98,79 @@ const authValidation = {
     commonRules.email,
     body('password').notEmpty().withMessage('Password is required'),
     handleValidationErrors
+  ],
+
+  // Signed-in users resend for their own account, others name the address
+  resendVerification: [
+    body('email')
+      .if((value, { req }) => !req.user)
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    handleValidationErrors
+  ],
+
+  magicLink: [
+    commonRules.email,
+    handleValidationErrors
+  ],
+
+  magicLinkVerify: [
+    body('token').isString().notEmpty().withMessage('Sign-in token is required'),
+    handleValidationErrors
+  ],
+
+  resetPassword: [
+    commonRules.password,
+    handleValidationErrors
+  ],
+
+  // Names and password are only needed when the invite creates the account
+  acceptInvitation: [
+    body('token').isString().notEmpty().withMessage('Invitation token is required'),
+    body('firstName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('First name must be between 1 and 50 characters'),
+    body('lastName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Last name must be between 1 and 50 characters'),
+    body('password').optional().isString().withMessage('Password is required'),
+    handleValidationErrors
   ]
 };
 
 const userValidation = {
   updateProfile: [
-    body('name')
+    splitFullName,
+    body('firstName')
       .optional()
       .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Name must be between 2 and 50 characters'),
-    body('email')
+      .isLength({ min: 1, max: 50 })
+      .withMessage('First name must be between 1 and 50 characters'),
+    body('lastName')
       .optional()
-      .isEmail()
-      .withMessage('Please provide a valid email address'),
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Last name must be between 1 and 50 characters'),
+    body('bio')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Bio cannot exceed 500 characters'),
     handleValidationErrors
   ],
   
   changePassword: [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
-    commonRules.password,
+    passwordPolicyRules('newPassword'),
     body('confirmPassword')
+      .optional()
       .custom((value, { req }) => {
-        if (value !== req.body.password) {
+        if (value !== req.body.newPassword) {
           throw new Error('Passwords do not match');
         }
         return true;
@@ -215,6 +291,8 @@ const sanitizeInput = (req, res, next) => {
 
 module.exports = {
   ...commonRules,
+  passwordPolicyRules,
+  splitFullName,
   handleValidationErrors,
   authValidation,
   userValidation,
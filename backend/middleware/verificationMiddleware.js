@@ -0,0 +1,23 @@
+const { isVerificationRequired } = require('../utils/emailVerification');
+
+// Block the action for unverified accounts while the verification gate is on.
+// Use after `protect`.
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.isVerified || !(await isVerificationRequired())) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireVerifiedEmail
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// API key for partner and server-to-server integrations. Only a hash of the
+// secret is stored; the full key is shown once when issued or rotated.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // Public identifier embedded in the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Exactly one owner: a partner organisation or a user account
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scopes: {
+    type: [String],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Exact IP addresses or IPv4 CIDR ranges; empty allows any address
+  allowedIps: [{
+    type: String,
+    trim: true
+  }],
+  // Requests per minute; falls back to API_KEY_RATE_LIMIT_PER_MINUTE
+  rateLimitPerMinute: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request per minute']
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ partner: 1 });
+apiKeySchema.index({ user: 1 });
+
+apiKeySchema.pre('validate', function(next) {
+  if (Boolean(this.partner) === Boolean(this.user)) {
+    this.invalidate('partner', 'An API key must belong to either a partner or a user');
+  }
+  next();
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A quiz built from a course's question bank. Attempts are stored on the
+// student's Enrollment under `assessments`.
+const assessmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course reference is required']
+  },
+  // _id of the quiz lesson in Course.curriculum this assessment belongs to.
+  // Passing it completes the lesson.
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  title: {
+    type: String,
+    required: [true, 'Assessment title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // The pool each attempt draws from
+  questions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  // How many questions an attempt draws at random from the pool; all of them
+  // when unset
+  questionCount: {
+    type: Number,
+    min: [1, 'An attempt needs at least one question']
+  },
+  shuffleQuestions: {
+    type: Boolean,
+    default: true
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: true
+  },
+  timeLimit: { // in minutes, 0 for none
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: { // 0 for unlimited
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  passMark: { // percentage
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100
+  },
+  // Whether students see the correct answers and explanations after submitting
+  showAnswers: {
+    type: Boolean,
+    default: true
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+assessmentSchema.index({ course: 1, lesson: 1 });
+
+// Instance method to get the deadline of an attempt started at `startedAt`
+assessmentSchema.methods.getDeadline = function(startedAt) {
+  return this.timeLimit > 0
+    ? new Date(new Date(startedAt).getTime() + this.timeLimit * 60 * 1000)
+    : null;
+};
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
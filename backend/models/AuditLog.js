@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive actions. `actor` is always the person who
+// really acted, even when the request ran as another user.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The account the action was performed on or as
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
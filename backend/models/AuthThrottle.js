@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Failure / request counters used to throttle authentication endpoints.
+// One document per key, e.g. `login:account:jane@example.com` or `login:ip:203.0.113.7`.
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  // Progressive delay: attempts before this time are rejected
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // SHA-256 of the token in the unlock email (account keys only)
+  unlockTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authThrottleSchema.index({ unlockTokenHash: 1 }, { sparse: true });
+// Counters clean themselves up once their window and any lock have passed
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the key is currently locked
+authThrottleSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
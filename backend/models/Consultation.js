@@ -56,6 +56,15 @@ const consultationSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Price cannot be negative']
   },
+  // Coupon taken off the service price; price is after the discount
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  discount: {
+    type: Number,
+    min: 0
+  },
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'refunded', 'failed'],
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// A promotion code taken off course enrollments and consultation bookings.
+// Redemptions are recorded as CouponRedemption documents; redemptionCount
+// is kept alongside so the total limit can be enforced atomically.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Discount type must be percentage or fixed'
+    }
+  },
+  // A percentage (1-100) or an amount off in the item's currency
+  amount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  },
+  appliesTo: {
+    type: String,
+    enum: ['all', 'courses', 'consultations'],
+    default: 'all'
+  },
+  // When set, the coupon only applies to items matching at least one entry.
+  // Categories are course categories or service category slugs.
+  restrictions: {
+    courses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    categories: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    services: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    }],
+    consultants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultant'
+    }]
+  },
+  // The item's price before the discount must be at least this much
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  startsAt: Date,
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startsAt || value > this.startsAt;
+      },
+      message: 'Expiry must be after the start date'
+    }
+  },
+  maxRedemptions: { // in total, unlimited when unset
+    type: Number,
+    min: [1, 'Redemption limit must be at least 1']
+  },
+  maxRedemptionsPerUser: { // unlimited when unset
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Instance method to work out the discount on a price, never more than the price
+couponSchema.methods.calculateDiscount = function(price) {
+  const discount = this.discountType === 'percentage'
+    ? price * this.amount / 100
+    : this.amount;
+  return Math.round(Math.min(discount, price) * 100) / 100;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
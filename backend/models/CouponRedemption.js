@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon, with the prices it was applied to, for per-user
+// limits and redemption reports
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['course', 'consultation']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment'
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  consultation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultation'
+  },
+  originalPrice: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  finalPrice: {
+    type: Number,
+    required: true
+  },
+  // Which of the user's allowed uses this is (1 to maxRedemptionsPerUser).
+  // Unique per coupon and user, so parallel checkouts can't take the same
+  // use; unset when the coupon has no per-user limit.
+  slot: Number,
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ redeemedAt: -1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
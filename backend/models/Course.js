@@ -74,6 +74,19 @@ const courseSchema = new mongoose.Schema({
       required: true
     },
     moduleDescription: String,
+    // Drip schedule: when the module opens to an enrolled learner
+    unlock: {
+      rule: {
+        type: String,
+        enum: ['immediate', 'after_days', 'on_date', 'after_previous'],
+        default: 'immediate'
+      },
+      days: { // after_days: days after the learner's access start date
+        type: Number,
+        min: 0
+      },
+      date: Date // on_date: fixed calendar date
+    },
     lessons: [{
       lessonTitle: {
         type: String,
@@ -90,14 +103,67 @@ const courseSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Optional lessons count towards progress but aren't needed to complete the course
+      isRequired: {
+        type: Boolean,
+        default: true
+      },
       resources: [{
         title: String,
         url: String,
-        type: String
-      }]
+        type: { type: String } // spelled out, or mongoose reads `type` as the element type
+      }],
+      // Settings for assignment lessons; students hand in a Submission
+      assignment: {
+        instructions: String,
+        dueDate: Date,
+        allowLateSubmissions: {
+          type: Boolean,
+          default: true
+        },
+        // Graded per criterion; the score is the share of points awarded
+        rubric: [{
+          criterion: {
+            type: String,
+            required: true,
+            trim: true
+          },
+          description: String,
+          maxPoints: {
+            type: Number,
+            default: 10,
+            min: 0
+          }
+        }]
+      }
     }]
   }],
   requirements: [String],
+  // Courses a learner must complete before enrolling in this one
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  // Learners an admin has let enroll without meeting the prerequisites
+  prerequisiteOverrides: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      grantedAt: {
+        type: Date,
+        default: Date.now
+      },
+      reason: String
+    }],
+    select: false
+  },
   learningOutcomes: [String],
   tags: [String],
   ratings: {
@@ -120,10 +186,79 @@ const courseSchema = new mongoose.Schema({
     type: Number, // total course duration in hours
     required: true
   },
+  // Kept in step with `status` for the queries that filter on it
   isPublished: {
     type: Boolean,
     default: false
   },
+  // Publication workflow: draft -> submitted -> changes_requested/approved
+  // -> published -> archived. Courses saved before the workflow existed
+  // take their status from isPublished.
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'submitted', 'changes_requested', 'approved', 'published', 'archived'],
+      message: 'Please select a valid course status'
+    },
+    default: function() {
+      return this.isPublished ? 'published' : 'draft';
+    }
+  },
+  // Number of the published version learners currently see; 0 until first published
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Status the course had when it was archived, which restoring returns to
+  archivedFrom: {
+    type: String,
+    enum: ['draft', 'submitted', 'changes_requested', 'approved', 'published']
+  },
+  // Edits to a published course wait here, with their own review status,
+  // until they are published as the next version
+  revision: {
+    type: {
+      status: {
+        type: String,
+        enum: ['draft', 'submitted', 'changes_requested', 'approved']
+      },
+      content: mongoose.Schema.Types.Mixed,
+      basedOnVersion: Number,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      updatedAt: Date
+    },
+    select: false
+  },
+  // Submissions, reviewer decisions and publications, oldest first
+  reviewLog: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'changes_requested', 'approved', 'published', 'archived', 'unpublished', 'restored', 'rolled_back', 'revision_discarded'],
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    // Whether the entry concerns a revision of the published course
+    revision: {
+      type: Boolean,
+      default: false
+    },
+    version: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isFeatured: {
     type: Boolean,
     default: false
@@ -166,8 +301,15 @@ courseSchema.index({
   tags: 'text'
 });
 
-// Pre-save middleware to generate slug
+// Pre-save middleware to keep isPublished in step with the workflow status
 courseSchema.pre('save', function(next) {
+  this.isPublished = this.status === 'published';
+  next();
+});
+
+// Pre-validate middleware to generate slug; validation runs before the
+// save hooks and would reject a new course without one
+courseSchema.pre('validate', function(next) {
   if (this.isModified('title')) {
     this.slug = this.title
       .toLowerCase()
@@ -186,17 +328,28 @@ courseSchema.statics.getFeaturedCourses = function() {
     .limit(8);
 };
 
+// Instance method to list every lesson in curriculum order. Lessons are
+// addressed by their subdocument _id, which enrollments store as progress.
+courseSchema.methods.getLessons = function() {
+  return (this.curriculum || []).flatMap(module => module.lessons);
+};
+
+// Instance method to find a lesson by its _id
+courseSchema.methods.findLesson = function(lessonId) {
+  return this.getLessons().find(lesson => lesson._id.toString() === String(lessonId)) || null;
+};
+
 // Instance method to update ratings
 courseSchema.methods.updateRatings = async function() {
   const Enrollment = mongoose.model('Enrollment');
   const result = await Enrollment.aggregate([
     {
-      $match: { course: this._id, rating: { $gt: 0 } }
+      $match: { course: this._id, 'rating.score': { $gte: 1 } }
     },
     {
       $group: {
         _id: '$course',
-        averageRating: { $avg: '$rating' },
+        averageRating: { $avg: '$rating.score' },
         ratingCount: { $sum: 1 }
       }
     }
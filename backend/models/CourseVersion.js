@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A snapshot of a course as it was published. Every publication adds one, so
+// versions can be compared and an earlier one rolled back to.
+const courseVersionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course reference is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // The versioned fields of the course, see utils/courseWorkflow.js
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when this version restored an earlier one
+  rolledBackFrom: Number,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+courseVersionSchema.index({ course: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('CourseVersion', courseVersionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A "download my data" request. The archive is built in the background and
+// handed out through a single expiring download token sent by email.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // SHA-256 of the download token; the raw token only goes out in the email
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  size: Number,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ tokenHash: 1 }, { sparse: true });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
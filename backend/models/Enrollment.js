@@ -12,6 +12,11 @@ const enrollmentSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course reference is required']
   },
+  // Set when the course came as part of a learning path bundle
+  learningPath: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningPath'
+  },
   // Enrollment Details
   enrollmentDate: {
     type: Date,
@@ -43,9 +48,8 @@ const enrollmentSchema = new mongoose.Schema({
       max: 100
     },
     completedLessons: [{
-      lesson: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Lesson'
+      lesson: { // _id of a lesson in Course.curriculum
+        type: mongoose.Schema.Types.ObjectId
       },
       completedAt: {
         type: Date,
@@ -62,8 +66,7 @@ const enrollmentSchema = new mongoose.Schema({
       }
     }],
     currentLesson: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Lesson'
+      type: mongoose.Schema.Types.ObjectId
     },
     lastAccessed: {
       type: Date,
@@ -145,7 +148,22 @@ const enrollmentSchema = new mongoose.Schema({
       sparse: true
     },
     downloadUrl: String,
-    verificationUrl: String
+    verificationUrl: String,
+    // Revoked certificates fail verification but keep their id
+    revoked: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revocationReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
   },
   // Payment Information
   payment: {
@@ -160,6 +178,15 @@ const enrollmentSchema = new mongoose.Schema({
       type: String,
       default: 'USD'
     },
+    // Coupon taken off the course price; amountPaid is after the discount
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    discount: {
+      type: Number,
+      min: 0
+    },
     paymentMethod: {
       type: String,
       enum: ['credit_card', 'paypal', 'bank_transfer', 'crypto', 'free']
@@ -198,6 +225,10 @@ const enrollmentSchema = new mongoose.Schema({
       reason: String
     }]
   },
+  // Drip-scheduled modules the learner has been emailed about
+  notifiedModules: [{
+    type: mongoose.Schema.Types.ObjectId // _id of a module in Course.curriculum
+  }],
   // Learning Preferences
   preferences: {
     playbackSpeed: {
@@ -229,8 +260,7 @@ const enrollmentSchema = new mongoose.Schema({
   // Notes and Bookmarks
   personalNotes: [{
     lesson: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Lesson'
+      type: mongoose.Schema.Types.ObjectId
     },
     content: {
       type: String,
@@ -247,8 +277,7 @@ const enrollmentSchema = new mongoose.Schema({
   }],
   bookmarks: [{
     lesson: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Lesson'
+      type: mongoose.Schema.Types.ObjectId
     },
     title: {
       type: String,
@@ -274,8 +303,7 @@ const enrollmentSchema = new mongoose.Schema({
       enum: ['video_play', 'quiz_attempt', 'note_created', 'bookmark_added', 'forum_post', 'download']
     },
     lesson: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Lesson'
+      type: mongoose.Schema.Types.ObjectId
     },
     metadata: mongoose.Schema.Types.Mixed,
     timestamp: {
@@ -296,6 +324,7 @@ const enrollmentSchema = new mongoose.Schema({
       maxlength: 1000
     },
     submittedAt: Date,
+    editedAt: Date,
     isPublic: {
       type: Boolean,
       default: true
@@ -374,21 +403,24 @@ enrollmentSchema.index({ 'progress.overall': -1 });
 enrollmentSchema.index({ 'certificate.issued': 1 });
 enrollmentSchema.index({ 'payment.amountPaid': -1 });
 enrollmentSchema.index({ 'progress.lastAccessed': -1 });
+enrollmentSchema.index({ course: 1, 'rating.submittedAt': -1 });
 
-// Pre-save middleware to update progress
-enrollmentSchema.pre('save', function(next) {
-  // Update overall progress based on completed lessons
+// Pre-save middleware to update progress from the course's lessons
+enrollmentSchema.pre('save', async function() {
   if (this.isModified('progress.completedLessons')) {
-    // This would be calculated based on total lessons in the course
-    // For now, we'll set a placeholder calculation
-    if (this.progress.completedLessons.length > 0) {
-      // In a real scenario, you'd get total lessons from the course
-      const totalLessons = 10; // This should come from course.lessons.length
-      this.progress.overall = Math.min(100, (this.progress.completedLessons.length / totalLessons) * 100);
+    const course = await mongoose.model('Course').findById(this.course).select('curriculum certificateAvailable');
+    if (course) {
+      this.calculateProgress(course);
+
+      if (this.status === 'completed' && course.certificateAvailable && !this.certificate.issued) {
+        this.assignCertificate();
+      }
     }
   }
-  
-  // Update last accessed timestamp
+});
+
+// Pre-save middleware to update last accessed timestamp
+enrollmentSchema.pre('save', function(next) {
   if (this.isModified('progress.lastAccessed') || this.isNew) {
     this.progress.lastAccessed = new Date();
   }
@@ -446,6 +478,47 @@ enrollmentSchema.statics.getCompletionRate = async function(courseId) {
   return totalEnrollments > 0 ? (completedEnrollments / totalEnrollments) * 100 : 0;
 };
 
+// Static method to recalculate progress after a course's lessons change
+enrollmentSchema.statics.recalculateForCourse = async function(course) {
+  const enrollments = await this.find({ course: course._id, status: 'active' });
+
+  for (const enrollment of enrollments) {
+    enrollment.calculateProgress(course);
+    if (enrollment.isModified()) {
+      await enrollment.save();
+    }
+  }
+};
+
+// Instance method to calculate overall progress, weighting each lesson by its
+// duration, and complete the enrollment once every required lesson is done
+enrollmentSchema.methods.calculateProgress = function(course) {
+  const lessons = course.getLessons();
+  const completed = new Set(
+    this.progress.completedLessons.map(completion => completion.lesson.toString())
+  );
+  const isDone = lesson => completed.has(lesson._id.toString());
+  // Lessons without a duration still count for something
+  const weight = lesson => (lesson.duration > 0 ? lesson.duration : 1);
+
+  const totalWeight = lessons.reduce((sum, lesson) => sum + weight(lesson), 0);
+  const doneWeight = lessons.filter(isDone).reduce((sum, lesson) => sum + weight(lesson), 0);
+
+  // Rounded down so 100 always means every lesson is done
+  this.progress.overall = totalWeight > 0 ? Math.floor((doneWeight / totalWeight) * 100) : 0;
+
+  const requiredDone = lessons
+    .filter(lesson => lesson.isRequired !== false)
+    .every(isDone);
+
+  if (this.status === 'active' && lessons.length > 0 && requiredDone) {
+    this.status = 'completed';
+    this.completion.completedAt = new Date();
+  }
+
+  return this.progress.overall;
+};
+
 // Instance method to mark lesson as completed
 enrollmentSchema.methods.markLessonCompleted = function(lessonId, quizScore = null, timeSpent = 0) {
   // Check if lesson is already completed
@@ -468,6 +541,26 @@ enrollmentSchema.methods.markLessonCompleted = function(lessonId, quizScore = nu
   return this.save();
 };
 
+// Instance method to record a passed quiz against its lesson, completing the
+// lesson if it isn't already. Doesn't save.
+enrollmentSchema.methods.recordQuizScore = function(lessonId, quizScore, timeSpent = 0) {
+  const existingCompletion = this.progress.completedLessons.find(
+    completed => completed.lesson.toString() === lessonId.toString()
+  );
+
+  if (existingCompletion) {
+    existingCompletion.quizScore = quizScore;
+  } else {
+    this.progress.completedLessons.push({
+      lesson: lessonId,
+      completedAt: new Date(),
+      quizScore,
+      timeSpent
+    });
+    this.progress.totalTimeSpent += timeSpent;
+  }
+};
+
 // Instance method to update current lesson
 enrollmentSchema.methods.updateCurrentLesson = function(lessonId) {
   this.progress.currentLesson = lessonId;
@@ -513,15 +606,25 @@ enrollmentSchema.methods.canAccessCourse = function() {
   return true;
 };
 
+// Instance method to fill in the certificate fields without saving
+enrollmentSchema.methods.assignCertificate = function() {
+  const certificateId = `CERT-${this._id.toString().slice(-12).toUpperCase()}-${Date.now().toString(36).toUpperCase()}`;
+
+  this.certificate.issued = true;
+  this.certificate.issuedAt = new Date();
+  this.certificate.certificateId = certificateId;
+  this.certificate.downloadUrl = `/api/certificates/${certificateId}/download`;
+  this.certificate.verificationUrl = `${process.env.CLIENT_URL}/pages/verify-certificate.html?id=${certificateId}`;
+  this.completion.completionCertificate = true;
+};
+
 // Instance method to issue certificate
 enrollmentSchema.methods.issueCertificate = function() {
   if (this.status !== 'completed') {
     throw new Error('Certificate can only be issued for completed enrollments');
   }
   
-  this.certificate.issued = true;
-  this.certificate.issuedAt = new Date();
-  this.certificate.certificateId = `CERT-${this._id.toString().slice(-12).toUpperCase()}-${Date.now().toString(36)}`;
+  this.assignCertificate();
   
   return this.save();
 };
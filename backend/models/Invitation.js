@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const INVITABLE_ROLES = ['instructor', 'consultant'];
+
+// An admin's invitation for someone to join (or an existing user to be
+// upgraded) as an instructor or consultant
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: INVITABLE_ROLES,
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  // Random value carried inside the signed link. Rotated on resend, so only
+  // the most recently sent link works.
+  nonce: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+// Pending invitations whose link has run out; they can be resent
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
+module.exports.INVITABLE_ROLES = INVITABLE_ROLES;
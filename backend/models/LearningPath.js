@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// An ordered track of courses sold as a bundle, e.g. "Web Developer Track:
+// HTML -> JS -> Node". Learners take the courses in order and earn a path
+// certificate once every one of them is completed.
+const learningPathSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Learning path title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Learning path description is required'],
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  shortDescription: {
+    type: String,
+    maxlength: [200, 'Short description cannot exceed 200 characters']
+  },
+  // In the order learners should take them
+  courses: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    validate: {
+      validator: (courses) => courses.length >= 2 &&
+        new Set(courses.map(String)).size === courses.length,
+      message: 'A learning path needs at least two different courses'
+    }
+  },
+  // Bundle price for every course in the path
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  level: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced'],
+    default: 'beginner'
+  },
+  thumbnail: {
+    public_id: String,
+    url: String
+  },
+  certificateAvailable: {
+    type: Boolean,
+    default: true
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+learningPathSchema.index({ isPublished: 1, createdAt: -1 });
+
+// Pre-save middleware to generate slug
+learningPathSchema.pre('save', function(next) {
+  if (this.isModified('title')) {
+    this.slug = this.title
+      .toLowerCase()
+      .replace(/[^a-z0-9 -]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-');
+  }
+  next();
+});
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
@@ -40,7 +40,7 @@ const partnerSchema = new mongoose.Schema({
   phone: {
     type: String,
     trim: true,
-    match: [/^\+?[\d\s\-\(\)]{10,}$/, 'Please provide a valid phone number']
+    match: [/^\+?[\d\s\-()]{10,}$/, 'Please provide a valid phone number']
   },
   website: {
     type: String,
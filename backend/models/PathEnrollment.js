@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A learner's place on a learning path. Progress lives in the enrollments of
+// the path's courses; this records the bundle purchase and the path
+// certificate.
+const pathEnrollmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  path: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningPath',
+    required: [true, 'Learning path reference is required']
+  },
+  enrollmentDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'completed', 'cancelled'],
+      message: 'Please select a valid enrollment status'
+    },
+    default: 'active'
+  },
+  completedAt: Date,
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Same shape as Enrollment.certificate, so both verify the same way
+  certificate: {
+    issued: {
+      type: Boolean,
+      default: false
+    },
+    issuedAt: Date,
+    certificateId: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    downloadUrl: String,
+    verificationUrl: String,
+    revoked: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revocationReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }
+}, {
+  timestamps: true
+});
+
+pathEnrollmentSchema.index({ user: 1, path: 1 }, { unique: true });
+
+// Instance method to fill in the certificate fields without saving
+pathEnrollmentSchema.methods.assignCertificate = function() {
+  const certificateId = `CERT-${this._id.toString().slice(-12).toUpperCase()}-${Date.now().toString(36).toUpperCase()}`;
+
+  this.certificate.issued = true;
+  this.certificate.issuedAt = new Date();
+  this.certificate.certificateId = certificateId;
+  this.certificate.downloadUrl = `/api/certificates/${certificateId}/download`;
+  this.certificate.verificationUrl = `${process.env.CLIENT_URL}/pages/verify-certificate.html?id=${certificateId}`;
+};
+
+module.exports = mongoose.model('PathEnrollment', pathEnrollmentSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'short_answer'];
+
+// A question in a course's question bank. Assessments draw from the bank, so
+// the same question can appear in several quizzes.
+const questionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course reference is required']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: QUESTION_TYPES,
+      message: 'Please select a valid question type'
+    }
+  },
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [2000, 'Question cannot exceed 2000 characters']
+  },
+  // Choices for multiple choice, multi-select and true/false questions
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Accepted answers for short-answer questions, compared after trimming
+  // and collapsing whitespace
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+    maxlength: 200
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: [0, 'Points cannot be negative']
+  },
+  // Shown to students once they have submitted an attempt
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Free-form labels for organising the bank, e.g. a module or topic
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+questionSchema.index({ course: 1, tags: 1 });
+
+// Every question must be answerable
+questionSchema.pre('validate', function(next) {
+  const correct = this.options.filter(option => option.isCorrect).length;
+
+  if (this.type === 'short_answer') {
+    if (this.acceptedAnswers.length === 0) {
+      this.invalidate('acceptedAnswers', 'Short-answer questions need at least one accepted answer');
+    }
+  } else if (this.type === 'true_false') {
+    if (this.options.length !== 2 || correct !== 1) {
+      this.invalidate('options', 'True/false questions need exactly two options, one of them correct');
+    }
+  } else if (this.options.length < 2) {
+    this.invalidate('options', 'Choice questions need at least two options');
+  } else if (this.type === 'multiple_choice' && correct !== 1) {
+    this.invalidate('options', 'Multiple choice questions need exactly one correct option');
+  } else if (this.type === 'multi_select' && correct < 1) {
+    this.invalidate('options', 'Multi-select questions need at least one correct option');
+  }
+
+  next();
+});
+
+// Instance method to check a student's answer. Choice questions take an
+// option _id (or an array of them for multi-select); short-answer questions
+// take the text.
+questionSchema.methods.isCorrectAnswer = function(answer) {
+  if (answer === undefined || answer === null) return false;
+
+  if (this.type === 'short_answer') {
+    const normalize = (text) => {
+      const collapsed = String(text).trim().replace(/\s+/g, ' ');
+      return this.caseSensitive ? collapsed : collapsed.toLowerCase();
+    };
+    const given = normalize(answer);
+    return given !== '' && this.acceptedAnswers.some(accepted => normalize(accepted) === given);
+  }
+
+  const correct = this.options
+    .filter(option => option.isCorrect)
+    .map(option => option._id.toString())
+    .sort();
+  const selected = [...new Set((Array.isArray(answer) ? answer : [answer]).map(String))].sort();
+
+  if (this.type !== 'multi_select' && selected.length !== 1) return false;
+
+  return selected.length === correct.length &&
+    selected.every((id, index) => id === correct[index]);
+};
+
+// Instance method to present the question to a student without its answers
+questionSchema.methods.toStudentView = function() {
+  return {
+    _id: this._id,
+    type: this.type,
+    text: this.text,
+    points: this.points,
+    options: this.type === 'short_answer'
+      ? undefined
+      : this.options.map(option => ({ _id: option._id, text: option.text }))
+  };
+};
+
+module.exports = mongoose.model('Question', questionSchema);
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
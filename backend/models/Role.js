@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+
+// Admin-edited permission set for a built-in role. Roles without a stored
+// document fall back to DEFAULT_ROLE_PERMISSIONS in config/permissions.js.
+// Permissions registered after the role was saved aren't in knownPermissions
+// and keep their default grant, see utils/permissions.js.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    enum: {
+      values: ROLES,
+      message: 'Unknown role {VALUE}'
+    }
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(p => Object.prototype.hasOwnProperty.call(PERMISSIONS, p)),
+      message: 'Permissions must come from the permission registry'
+    }
+  },
+  // The permission registry at the time the role was saved
+  knownPermissions: {
+    type: [String],
+    default: undefined
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token this one replaced, kept to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  // When previousTokenHash was retired. It's still honoured for a few
+  // seconds, for tabs that refreshed at the same moment.
+  rotatedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdByIp: String,
+  lastUsedIp: String,
+  userAgent: String,
+  // Long-lived device cookie (or a user-agent hash) used to recognise devices
+  deviceId: {
+    type: String,
+    select: false
+  },
+  // Set when an admin is acting as this user; such sessions can't be refreshed
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonationReason: String,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'password-change', 'password-reset', 'suspended', 'reuse-detected', 'admin', 'revoked', 'impersonation-ended', 'account-deletion']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke a single session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session for a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout-all') {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Admin-editable platform settings, stored as one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting with a fallback
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A student's hand-in for an assignment lesson. Each resubmission is a new
+// document with the next attemptNumber; the latest one is the current work.
+const submissionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course reference is required']
+  },
+  // _id of the assignment lesson in Course.curriculum
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Lesson reference is required']
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  attemptNumber: {
+    type: Number,
+    default: 1
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [20000, 'Submission text cannot exceed 20000 characters']
+  },
+  files: [{
+    originalName: String,
+    filename: String,
+    path: {
+      type: String,
+      select: false
+    },
+    mimeType: String,
+    size: Number
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Handed in after the lesson's due date without a resubmission request
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['submitted', 'graded', 'resubmission_requested'],
+      message: 'Please select a valid submission status'
+    },
+    default: 'submitted'
+  },
+  grade: {
+    rubricScores: [{
+      criterion: mongoose.Schema.Types.ObjectId, // _id of the lesson's rubric item
+      points: {
+        type: Number,
+        min: 0
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+      }
+    }],
+    points: Number,
+    maxPoints: Number,
+    score: { // percentage
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    gradedAt: Date
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Feedback cannot exceed 5000 characters']
+  },
+  resubmissionRequestedAt: Date
+}, {
+  timestamps: true
+});
+
+// One document per attempt, so two simultaneous hand-ins can't both land
+submissionSchema.index({ user: 1, lesson: 1, attemptNumber: 1 }, { unique: true });
+submissionSchema.index({ course: 1, status: 1, submittedAt: 1 });
+submissionSchema.index({ enrollment: 1, status: 1 });
+
+module.exports = mongoose.model('Submission', submissionSchema);
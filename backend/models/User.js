@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const { passwordPolicy } = require('../utils/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -26,10 +28,15 @@ const userSchema = new mongoose.Schema({
       message: 'Please provide a valid email'
     }
   },
+  // Strength rules are enforced where passwords are chosen (utils/passwordPolicy)
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  },
+  // Hashes of the most recent passwords, newest first, to block reuse
+  passwordHistory: {
+    type: [String],
     select: false
   },
   phone: {
@@ -42,7 +49,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'instructor', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   bio: {
@@ -63,10 +70,76 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
   verificationToken: String,
+  verificationTokenExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Passwordless sign-in link (hash of the emailed single-use token)
+  magicLinkToken: String,
+  magicLinkExpire: Date,
   lastLogin: Date,
+  // Linked external identity providers (OAuth2 / OpenID Connect)
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Devices that have signed in before; a sign-in from anything else
+  // triggers a new-device alert
+  knownDevices: {
+    type: [{
+      deviceId: String,
+      label: String,
+      firstSeenAt: Date,
+      lastSeenAt: Date
+    }],
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date,
+    // Nonce of the current partial login token; cleared when the login finishes
+    loginNonce: {
+      type: String,
+      select: false
+    }
+  },
   preferences: {
     emailNotifications: {
       type: Boolean,
@@ -81,13 +154,27 @@ const userSchema = new mongoose.Schema({
       enum: ['light', 'dark', 'auto'],
       default: 'light'
     }
-  }
+  },
+  // Self-service deletion: the account stays usable (and the request can be
+  // cancelled) until scheduledFor, then personal data is anonymized
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+  },
+  deletedAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -102,17 +189,46 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.$locals.passwordChanged = true;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Record the new hash in the password history. Done as its own update so it
+// works whether or not the history was loaded with the document.
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.passwordChanged) return;
+  doc.$locals.passwordChanged = false;
+
+  const { historySize } = passwordPolicy();
+  if (historySize <= 0) return;
+
+  await doc.constructor.updateOne(
+    { _id: doc._id },
+    { $push: { passwordHistory: { $each: [doc.password], $position: 0, $slice: historySize } } }
+  );
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check a candidate password against the current one and the recent history
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  const { historySize } = passwordPolicy();
+  const hashes = [stored.password, ...(stored.passwordHistory || []).slice(0, historySize)].filter(Boolean);
+  for (const hash of new Set(hashes)) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
 // Update last login on login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -123,9 +239,19 @@ userSchema.methods.updateLastLogin = function() {
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
   delete userObject.verificationToken;
+  delete userObject.verificationTokenExpire;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
+  delete userObject.magicLinkToken;
+  delete userObject.magicLinkExpire;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
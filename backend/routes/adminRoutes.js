@@ -1,18 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult, param } = require('express-validator');
-const adminAuth = require('../middleware/adminAuth');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const User = require('../models/User');
 const Consultant = require('../models/Consultant');
 const Course = require('../models/Course');
 const Service = require('../models/Service');
 const Consultation = require('../models/Consultation');
 const Enrollment = require('../models/Enrollment');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const Partner = require('../models/Partner');
+const AuditLog = require('../models/AuditLog');
+const Invitation = require('../models/Invitation');
+const CouponRedemption = require('../models/CouponRedemption');
+const { INVITABLE_ROLES } = Invitation;
+const {
+  revokeAllSessions,
+  listActiveSessions,
+  serializeSession,
+  createImpersonationSession
+} = require('../utils/sessionService');
+const { recordAudit, auditRequest, requestInfo } = require('../utils/auditLog');
+const { ROLE_LABELS, sendInvitation } = require('../utils/invitations');
+const { STAFF_ROLES, POLICY_KEY, isTwoFactorMandatory } = require('../utils/twoFactor');
+const { POLICY_KEY: VERIFICATION_POLICY_KEY, isVerificationRequired } = require('../utils/emailVerification');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, ROLES } = require('../config/permissions');
+const { publishCourse } = require('../utils/courseWorkflow');
+const { getRolePermissions, clearPermissionCache } = require('../utils/permissions');
+const { generateApiKey, isValidIpRule, validateScopes } = require('../utils/apiKeyService');
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
-// @access  Private (Admin only)
-router.get('/dashboard', adminAuth, async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/dashboard', [auth, requirePermission('analytics:view')], async (req, res) => {
   try {
     // Get total counts
     const totalUsers = await User.countDocuments();
@@ -45,8 +69,8 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$amount' },
-          averageRevenue: { $avg: '$amount' },
+          totalRevenue: { $sum: '$price' },
+          averageRevenue: { $avg: '$price' },
           totalConsultations: { $sum: 1 }
         }
       }
@@ -112,8 +136,8 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination and filtering
-// @access  Private (Admin only)
-router.get('/users', adminAuth, async (req, res) => {
+// @access  Private (user:view:any)
+router.get('/users', [auth, requirePermission('user:view:any')], async (req, res) => {
   try {
     const {
       role,
@@ -183,8 +207,8 @@ router.get('/users', adminAuth, async (req, res) => {
 
 // @route   GET /api/admin/consultants/pending
 // @desc    Get pending consultant approvals
-// @access  Private (Admin only)
-router.get('/consultants/pending', adminAuth, async (req, res) => {
+// @access  Private (consultant:approve)
+router.get('/consultants/pending', [auth, requirePermission('consultant:approve')], async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -221,9 +245,10 @@ router.get('/consultants/pending', adminAuth, async (req, res) => {
 
 // @route   PUT /api/admin/consultants/:id/approval
 // @desc    Approve or reject consultant application
-// @access  Private (Admin only)
+// @access  Private (consultant:approve)
 router.put('/consultants/:id/approval', [
-  adminAuth,
+  auth,
+  requirePermission('consultant:approve'),
   body('action').isIn(['approve', 'reject']).withMessage('Action must be either approve or reject'),
   body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
 ], async (req, res) => {
@@ -254,7 +279,7 @@ router.put('/consultants/:id/approval', [
       consultant.approvalStatus = 'approved';
       consultant.isActive = true;
       consultant.approvedAt = new Date();
-      consultant.approvedBy = req.user.userId;
+      consultant.approvedBy = req.user._id;
 
       // Update user role to consultant if not already
       if (consultant.user.role !== 'consultant') {
@@ -266,7 +291,7 @@ router.put('/consultants/:id/approval', [
       consultant.approvalStatus = 'rejected';
       consultant.rejectionReason = reason;
       consultant.rejectedAt = new Date();
-      consultant.rejectedBy = req.user.userId;
+      consultant.rejectedBy = req.user._id;
     }
 
     consultant.updatedAt = new Date();
@@ -290,9 +315,10 @@ router.put('/consultants/:id/approval', [
 
 // @route   PUT /api/admin/users/:id/status
 // @desc    Activate or deactivate user account
-// @access  Private (Admin only)
+// @access  Private (user:status:update)
 router.put('/users/:id/status', [
-  adminAuth,
+  auth,
+  requirePermission('user:status:update'),
   body('isActive').isBoolean().withMessage('isActive must be a boolean')
 ], async (req, res) => {
   try {
@@ -320,33 +346,778 @@ router.put('/users/:id/status', [
     user.updatedAt = new Date();
     await user.save();
 
+    // A suspended account must lose every outstanding session immediately
+    if (!isActive) {
+      await revokeAllSessions(user._id, 'suspended');
+    }
+
+    res.json({
+      success: true,
+      message: `User account ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isActive: user.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user status',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Update user role
+// @access  Private (user:role:update)
+router.put('/users/:id/role', [
+  auth,
+  requirePermission('user:role:update'),
+  body('role').isIn(ROLES).withMessage('Valid role is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    // If changing to consultant, ensure there's a consultant profile
+    if (role === 'consultant') {
+      const existingConsultant = await Consultant.findOne({ user: user._id });
+      if (!existingConsultant) {
+        // Create basic consultant profile
+        const consultant = new Consultant({
+          user: user._id,
+          name: user.name,
+          email: user.email,
+          approvalStatus: 'approved',
+          isActive: true,
+          approvedAt: new Date(),
+          approvedBy: req.user._id
+        });
+        await consultant.save();
+      } else {
+        // Activate existing consultant profile
+        existingConsultant.approvalStatus = 'approved';
+        existingConsultant.isActive = true;
+        existingConsultant.approvedAt = new Date();
+        existingConsultant.approvedBy = req.user._id;
+        await existingConsultant.save();
+      }
+    }
+
+    user.role = role;
+    user.updatedAt = new Date();
+    await user.save();
+
+    // Promoted staff without 2FA must enroll before using the new role
+    if (await isTwoFactorMandatory(user) && !(user.twoFactor && user.twoFactor.enabled)) {
+      await revokeAllSessions(user._id, 'admin');
+    }
+
+    res.json({
+      success: true,
+      message: `User role updated to ${role} successfully`,
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    List a user's active sessions
+// @access  Private (user:session:manage)
+router.get('/users/:id/sessions', [
+  auth,
+  requirePermission('user:session:manage'),
+  param('id').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('firstName lastName email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await listActiveSessions(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        sessions: sessions.map(session => serializeSession(session, req.authSession && req.authSession._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user sessions',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Revoke one of a user's sessions
+// @access  Private (user:session:manage)
+router.delete('/users/:id/sessions/:sessionId', [
+  auth,
+  requirePermission('user:session:manage'),
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+  param('sessionId').isMongoId().withMessage('Valid session ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.params.id,
+      revokedAt: { $exists: false }
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('admin');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Sign a user out everywhere
+// @access  Private (user:session:manage)
+router.delete('/users/:id/sessions', [
+  auth,
+  requirePermission('user:session:manage'),
+  param('id').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await revokeAllSessions(req.params.id, 'admin');
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked successfully',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke all user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a short-lived token to act as a user for support
+// @access  Private (user:impersonate)
+router.post('/users/:id/impersonate', [
+  auth,
+  requirePermission('user:impersonate'),
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A reason between 3 and 500 characters is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deactivated accounts cannot be impersonated'
+      });
+    }
+
+    // No acting as someone who could impersonate in turn
+    const targetPermissions = await getRolePermissions(user.role);
+    if (targetPermissions.has('user:impersonate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Administrators cannot be impersonated'
+      });
+    }
+
+    const { reason } = req.body;
+    const { session, accessToken } = await createImpersonationSession(user, req.user, req, reason);
+
+    recordAudit({
+      ...requestInfo(req),
+      actor: req.user._id,
+      subject: user._id,
+      session: session._id,
+      action: 'impersonation.start',
+      details: { reason }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `You are now impersonating ${user.firstName} ${user.lastName}`,
+      data: {
+        token: accessToken,
+        user: user.getPublicProfile(),
+        expiresAt: session.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting impersonation',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/invitations
+// @desc    Invite someone to join as an instructor or consultant
+// @access  Private (user:invite)
+router.post('/invitations', [
+  auth,
+  requirePermission('user:invite'),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(INVITABLE_ROLES).withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, message } = req.body;
+
+    // Invitations only upgrade learners; staff roles are changed directly
+    const existingUser = await User.findOne({ email });
+    if (existingUser && existingUser.role !== 'user') {
+      return res.status(409).json({
+        success: false,
+        message: existingUser.role === role || existingUser.role === 'admin'
+          ? `This user is already ${existingUser.role === 'admin' ? 'an admin' : ROLE_LABELS[role]}`
+          : `This user is already ${ROLE_LABELS[existingUser.role]}. Change their role instead of inviting them.`
+      });
+    }
+
+    const pending = await Invitation.findOne({ email, role, status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'An invitation for this email and role is already pending. Resend it instead.',
+        data: { invitationId: pending._id }
+      });
+    }
+
+    const invitation = new Invitation({
+      email,
+      role,
+      message,
+      invitedBy: req.user._id,
+      // Replaced by sendInvitation; the field is required
+      expiresAt: new Date()
+    });
+    await sendInvitation(invitation, req.user);
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: existingUser ? existingUser._id : undefined,
+      action: 'invitation.create',
+      details: { invitation: invitation._id, email, role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: { invitation }
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending invitation',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/invitations
+// @desc    List invitations, optionally filtered by status (pending, expired, accepted, revoked)
+// @access  Private (user:invite)
+router.get('/invitations', [auth, requirePermission('user:invite')], async (req, res) => {
+  try {
+    const { status, email, role, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status === 'expired') {
+      filter.status = 'pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      filter.status = 'pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+    if (email) filter.email = String(email).toLowerCase();
+    if (role) filter.role = role;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('acceptedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invitation.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalInvitations: total,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/invitations/:id/resend
+// @desc    Send a pending invitation again with a new link and expiry
+// @access  Private (user:invite)
+router.post('/invitations/:id/resend', [
+  auth,
+  requirePermission('user:invite'),
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.id, status: 'pending' });
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    await sendInvitation(invitation, req.user);
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      action: 'invitation.resend',
+      details: { invitation: invitation._id, email: invitation.email, role: invitation.role }
+    });
+
+    res.json({
+      success: true,
+      message: `Invitation resent to ${invitation.email}`,
+      data: { invitation }
+    });
+
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending invitation',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending invitation so its link stops working
+// @access  Private (user:invite)
+router.delete('/invitations/:id', [
+  auth,
+  requirePermission('user:invite'),
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.user._id },
+        $unset: { nonce: 1 }
+      },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      action: 'invitation.revoke',
+      details: { invitation: invitation._id, email: invitation.email, role: invitation.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: { invitation }
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries with filtering
+// @access  Private (audit:view)
+router.get('/audit-logs', [auth, requirePermission('audit:view')], async (req, res) => {
+  try {
+    const { actor, subject, action, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (subject) filter.subject = subject;
+    if (action) filter.action = action;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .populate('subject', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalLogs: total,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/settings/security
+// @desc    Get security policy settings
+// @access  Private (settings:view)
+router.get('/settings/security', [auth, requirePermission('settings:view')], async (req, res) => {
+  try {
+    const requireTwoFactorForStaff = await Setting.getValue(POLICY_KEY, false);
+    const requireVerifiedEmail = await isVerificationRequired();
+
+    res.json({
+      success: true,
+      data: {
+        requireTwoFactorForStaff,
+        staffRoles: STAFF_ROLES,
+        requireVerifiedEmail
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security settings',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/security
+// @desc    Update security policy (mandatory 2FA for staff, verified email for enrollment and booking)
+// @access  Private (settings:update)
+router.put('/settings/security', [
+  auth,
+  requirePermission('settings:update'),
+  body('requireTwoFactorForStaff').optional().isBoolean().withMessage('requireTwoFactorForStaff must be a boolean'),
+  body('requireVerifiedEmail').optional().isBoolean().withMessage('requireVerifiedEmail must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const toBoolean = (value) => value === true || value === 'true';
+    const { requireTwoFactorForStaff, requireVerifiedEmail } = req.body;
+
+    if (requireTwoFactorForStaff === undefined && requireVerifiedEmail === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'No settings to update'
+      });
+    }
+
+    const data = {};
+
+    if (requireTwoFactorForStaff !== undefined) {
+      const required = toBoolean(requireTwoFactorForStaff);
+
+      // Don't let an admin lock themselves out
+      if (required && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enable two-factor authentication on your own account first'
+        });
+      }
+
+      await Setting.setValue(POLICY_KEY, required, req.user._id);
+
+      // Staff without 2FA must enroll at their next login
+      let sessionsRevoked = 0;
+      if (required) {
+        const nonCompliant = await User.find({
+          role: { $in: STAFF_ROLES },
+          'twoFactor.enabled': { $ne: true }
+        }).select('_id');
+
+        const result = await Session.updateMany(
+          { user: { $in: nonCompliant.map(u => u._id) }, revokedAt: { $exists: false } },
+          { $set: { revokedAt: new Date(), revokedReason: 'admin' } }
+        );
+        sessionsRevoked = result.modifiedCount;
+      }
+
+      data.requireTwoFactorForStaff = required;
+      data.sessionsRevoked = sessionsRevoked;
+    }
+
+    if (requireVerifiedEmail !== undefined) {
+      data.requireVerifiedEmail = toBoolean(requireVerifiedEmail);
+      await Setting.setValue(VERIFICATION_POLICY_KEY, data.requireVerifiedEmail, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating security settings',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get the permission registry and each role's permissions
+// @access  Private (role:view)
+router.get('/roles', [auth, requirePermission('role:view')], async (req, res) => {
+  try {
+    const stored = await Role.find({ name: { $in: ROLES } }).select('name updatedAt updatedBy').lean();
+
+    const roles = await Promise.all(ROLES.map(async (name) => {
+      const custom = stored.find(r => r.name === name);
+      return {
+        name,
+        permissions: Array.from(await getRolePermissions(name)),
+        isCustomized: Boolean(custom),
+        updatedAt: custom ? custom.updatedAt : null,
+        updatedBy: custom ? custom.updatedBy : null
+      };
+    }));
+
     res.json({
       success: true,
-      message: `User account ${isActive ? 'activated' : 'deactivated'} successfully`,
       data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        isActive: user.isActive
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+        roles
       }
     });
 
   } catch (error) {
-    console.error('Update user status error:', error);
+    console.error('Get roles error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating user status',
+      message: 'Server error while fetching roles',
       error: error.message
     });
   }
 });
 
-// @route   PUT /api/admin/users/:id/role
-// @desc    Update user role
-// @access  Private (Admin only)
-router.put('/users/:id/role', [
-  adminAuth,
-  body('role').isIn(['student', 'consultant', 'instructor', 'admin']).withMessage('Valid role is required')
+// @route   PUT /api/admin/roles/:role
+// @desc    Replace the permissions granted to a role
+// @access  Private (role:update)
+router.put('/roles/:role', [
+  auth,
+  requirePermission('role:update'),
+  param('role').isIn(ROLES).withMessage('Valid role is required'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -359,61 +1130,329 @@ router.put('/users/:id/role', [
       });
     }
 
-    const user = await User.findById(req.params.id);
-    if (!user) {
+    const { role } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    // Don't let admins lose the ability to fix the role table
+    if (role === 'admin' && !permissions.includes('role:update')) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role must keep the role:update permission'
+      });
+    }
+
+    await Role.findOneAndUpdate(
+      { name: role },
+      { $set: { permissions, knownPermissions: Object.keys(PERMISSIONS), updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: `Permissions for the ${role} role updated successfully`,
+      data: {
+        name: role,
+        permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:role
+// @desc    Restore a role's default permissions
+// @access  Private (role:update)
+router.delete('/roles/:role', [
+  auth,
+  requirePermission('role:update'),
+  param('role').isIn(ROLES).withMessage('Valid role is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    await Role.deleteOne({ name: role });
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: `Permissions for the ${role} role reset to defaults`,
+      data: {
+        name: role,
+        permissions: DEFAULT_ROLE_PERMISSIONS[role]
+      }
+    });
+
+  } catch (error) {
+    console.error('Reset role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting role',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/api-keys
+// @desc    List API keys, optionally for one partner or user
+// @access  Private (apikey:manage)
+router.get('/api-keys', [auth, requirePermission('apikey:manage')], async (req, res) => {
+  try {
+    const { partner, user, status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (partner) filter.partner = partner;
+    if (user) filter.user = user;
+    if (status === 'active') {
+      filter.revokedAt = { $exists: false };
+      filter.$or = [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }];
+    } else if (status === 'revoked') {
+      filter.revokedAt = { $exists: true };
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('partner', 'name')
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ApiKey.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalApiKeys: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/api-keys
+// @desc    Issue an API key for a partner or user
+// @access  Private (apikey:manage)
+router.post('/api-keys', [
+  auth,
+  requirePermission('apikey:manage'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('partner').optional().isMongoId().withMessage('Valid partner ID is required'),
+  body('user').optional().isMongoId().withMessage('Valid user ID is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a valid date'),
+  body('allowedIps').optional().isArray().withMessage('allowedIps must be an array'),
+  body('allowedIps.*').custom(isValidIpRule).withMessage('allowedIps must contain IP addresses or IPv4 CIDR ranges'),
+  body('rateLimitPerMinute').optional().isInt({ min: 1, max: 10000 }).withMessage('Rate limit must be between 1 and 10000 requests per minute')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, partner, user, scopes, expiresAt, allowedIps, rateLimitPerMinute } = req.body;
+
+    if (Boolean(partner) === Boolean(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a partner or a user for the key'
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const scopeError = validateScopes(scopes, { partner });
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const owner = partner ? await Partner.findById(partner) : await User.findById(user);
+    if (!owner) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: partner ? 'Partner not found' : 'User not found'
       });
     }
 
-    const { role } = req.body;
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      partner,
+      user,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      allowedIps: allowedIps || [],
+      rateLimitPerMinute,
+      createdBy: req.user._id
+    });
 
-    // If changing to consultant, ensure there's a consultant profile
-    if (role === 'consultant') {
-      const existingConsultant = await Consultant.findOne({ user: user._id });
-      if (!existingConsultant) {
-        // Create basic consultant profile
-        const consultant = new Consultant({
-          user: user._id,
-          name: user.name,
-          email: user.email,
-          approvalStatus: 'approved',
-          isActive: true,
-          approvedAt: new Date(),
-          approvedBy: req.user.userId
-        });
-        await consultant.save();
-      } else {
-        // Activate existing consultant profile
-        existingConsultant.approvalStatus = 'approved';
-        existingConsultant.isActive = true;
-        existingConsultant.approvedAt = new Date();
-        existingConsultant.approvedBy = req.user.userId;
-        await existingConsultant.save();
+    res.status(201).json({
+      success: true,
+      message: 'API key issued. Copy it now, it will not be shown again.',
+      data: {
+        apiKey,
+        key
       }
+    });
+
+  } catch (error) {
+    console.error('Issue API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing API key',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/api-keys/:id/rotate
+// @desc    Replace an API key's secret, keeping its settings
+// @access  Private (apikey:manage)
+router.post('/api-keys/:id/rotate', [
+  auth,
+  requirePermission('apikey:manage'),
+  param('id').isMongoId().withMessage('Valid API key ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    user.role = role;
-    user.updatedAt = new Date();
-    await user.save();
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked keys cannot be rotated'
+      });
+    }
+
+    // The old secret stops working as soon as this is saved
+    const { key, prefix, keyHash } = generateApiKey();
+    apiKey.prefix = prefix;
+    apiKey.keyHash = keyHash;
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
 
     res.json({
       success: true,
-      message: `User role updated to ${role} successfully`,
+      message: 'API key rotated. Copy the new key now, it will not be shown again.',
       data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
+        apiKey,
+        key
       }
     });
 
   } catch (error) {
-    console.error('Update user role error:', error);
+    console.error('Rotate API key error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating user role',
+      message: 'Server error while rotating API key',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (apikey:manage)
+router.delete('/api-keys/:id', [
+  auth,
+  requirePermission('apikey:manage'),
+  param('id').isMongoId().withMessage('Valid API key ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user._id;
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key',
       error: error.message
     });
   }
@@ -421,8 +1460,8 @@ router.put('/users/:id/role', [
 
 // @route   GET /api/admin/courses
 // @desc    Get all courses for admin management
-// @access  Private (Admin only)
-router.get('/courses', adminAuth, async (req, res) => {
+// @access  Private (course:view:any)
+router.get('/courses', [auth, requirePermission('course:view:any')], async (req, res) => {
   try {
     const {
       status,
@@ -485,10 +1524,12 @@ router.get('/courses', adminAuth, async (req, res) => {
 
 // @route   PUT /api/admin/courses/:id/status
 // @desc    Update course status
-// @access  Private (Admin only)
+// @access  Private (course:publish)
 router.put('/courses/:id/status', [
-  adminAuth,
-  body('status').isIn(['published', 'draft', 'archived']).withMessage('Valid status is required')
+  auth,
+  requirePermission('course:publish'),
+  body('status').isIn(['published', 'draft', 'archived']).withMessage('Valid status is required'),
+  body('note').optional().trim().isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -501,7 +1542,7 @@ router.put('/courses/:id/status', [
       });
     }
 
-    const course = await Course.findById(req.params.id);
+    const course = await Course.findById(req.params.id).select('+revision');
     if (!course) {
       return res.status(404).json({
         success: false,
@@ -511,10 +1552,32 @@ router.put('/courses/:id/status', [
 
     const { status } = req.body;
 
-    course.status = status;
-    course.isPublished = status === 'published';
-    course.updatedAt = new Date();
-    await course.save();
+    if (course.status === status) {
+      return res.status(409).json({
+        success: false,
+        message: `Course is already ${status}`
+      });
+    }
+
+    // Publishing here skips review, but still records a version; a pending
+    // revision goes live with it
+    if (status === 'published') {
+      await publishCourse(course, req.user._id, { note: req.body.note });
+    } else {
+      const action = status === 'archived' ? 'archived' : (course.status === 'archived' ? 'restored' : 'unpublished');
+      course.archivedFrom = status === 'archived' ? course.status : undefined;
+      course.status = status;
+      course.revision = undefined;
+      course.reviewLog.push({ action, actor: req.user._id, comment: req.body.note, version: course.version });
+      await course.save();
+    }
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: course.instructor,
+      action: 'course.status.update',
+      details: { course: course._id, status, version: course.version }
+    });
 
     res.json({
       success: true,
@@ -534,8 +1597,8 @@ router.put('/courses/:id/status', [
 
 // @route   GET /api/admin/consultations
 // @desc    Get all consultations for admin management
-// @access  Private (Admin only)
-router.get('/consultations', adminAuth, async (req, res) => {
+// @access  Private (consultation:view:any)
+router.get('/consultations', [auth, requirePermission('consultation:view:any')], async (req, res) => {
   try {
     const {
       status,
@@ -604,8 +1667,8 @@ router.get('/consultations', adminAuth, async (req, res) => {
 
 // @route   GET /api/admin/analytics/revenue
 // @desc    Get revenue analytics
-// @access  Private (Admin only)
-router.get('/analytics/revenue', adminAuth, async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/analytics/revenue', [auth, requirePermission('analytics:view')], async (req, res) => {
   try {
     const { period = '30d' } = req.query;
 
@@ -645,7 +1708,7 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
             month: { $month: '$scheduledDate' },
             day: { $dayOfMonth: '$scheduledDate' }
           },
-          totalRevenue: { $sum: '$amount' },
+          totalRevenue: { $sum: '$price' },
           count: { $sum: 1 }
         }
       },
@@ -657,17 +1720,17 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
       {
         $match: {
           status: 'active',
-          enrolledAt: { $gte: startDate, $lte: endDate }
+          enrollmentDate: { $gte: startDate, $lte: endDate }
         }
       },
       {
         $group: {
           _id: {
-            year: { $year: '$enrolledAt' },
-            month: { $month: '$enrolledAt' },
-            day: { $dayOfMonth: '$enrolledAt' }
+            year: { $year: '$enrollmentDate' },
+            month: { $month: '$enrollmentDate' },
+            day: { $dayOfMonth: '$enrollmentDate' }
           },
-          totalRevenue: { $sum: '$amountPaid' },
+          totalRevenue: { $sum: '$payment.amountPaid' },
           count: { $sum: 1 }
         }
       },
@@ -685,7 +1748,7 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
       {
         $group: {
           _id: '$consultant',
-          totalRevenue: { $sum: '$amount' },
+          totalRevenue: { $sum: '$price' },
           consultationCount: { $sum: 1 }
         }
       },
@@ -715,13 +1778,13 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
       {
         $match: {
           status: 'active',
-          enrolledAt: { $gte: startDate, $lte: endDate }
+          enrollmentDate: { $gte: startDate, $lte: endDate }
         }
       },
       {
         $group: {
           _id: '$course',
-          totalRevenue: { $sum: '$amountPaid' },
+          totalRevenue: { $sum: '$payment.amountPaid' },
           enrollmentCount: { $sum: 1 }
         }
       },
@@ -746,6 +1809,41 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
       }
     ]);
 
+    // Coupon redemptions: what each code took off and brought in
+    const couponRedemptions = await CouponRedemption.aggregate([
+      {
+        $match: {
+          redeemedAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: '$coupon',
+          code: { $last: '$code' },
+          redemptions: { $sum: 1 },
+          courseRedemptions: { $sum: { $cond: [{ $eq: ['$kind', 'course'] }, 1, 0] } },
+          consultationRedemptions: { $sum: { $cond: [{ $eq: ['$kind', 'consultation'] }, 1, 0] } },
+          grossRevenue: { $sum: '$originalPrice' },
+          discountGiven: { $sum: '$discount' },
+          netRevenue: { $sum: '$finalPrice' },
+          uniqueUsers: { $addToSet: '$user' }
+        }
+      },
+      { $sort: { redemptions: -1 } },
+      {
+        $project: {
+          code: 1,
+          redemptions: 1,
+          courseRedemptions: 1,
+          consultationRedemptions: 1,
+          grossRevenue: 1,
+          discountGiven: 1,
+          netRevenue: 1,
+          uniqueUsers: { $size: '$uniqueUsers' }
+        }
+      }
+    ]);
+
     const analyticsData = {
       period: {
         start: startDate,
@@ -754,7 +1852,13 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
       consultationRevenue,
       courseRevenue,
       topConsultants,
-      topCourses
+      topCourses,
+      couponRedemptions,
+      couponTotals: couponRedemptions.reduce((totals, coupon) => ({
+        redemptions: totals.redemptions + coupon.redemptions,
+        discountGiven: totals.discountGiven + coupon.discountGiven,
+        netRevenue: totals.netRevenue + coupon.netRevenue
+      }), { redemptions: 0, discountGiven: 0, netRevenue: 0 })
     };
 
     res.json({
@@ -774,9 +1878,10 @@ router.get('/analytics/revenue', adminAuth, async (req, res) => {
 
 // @route   POST /api/admin/announcements
 // @desc    Create system announcement
-// @access  Private (Admin only)
+// @access  Private (announcement:create)
 router.post('/announcements', [
-  adminAuth,
+  auth,
+  requirePermission('announcement:create'),
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('content').trim().isLength({ min: 10, max: 2000 }).withMessage('Content must be between 10 and 2000 characters'),
   body('type').isIn(['info', 'warning', 'success', 'error']).withMessage('Valid type is required'),
@@ -814,7 +1919,7 @@ router.post('/announcements', [
         type,
         targetAudience,
         isActive,
-        createdBy: req.user.userId,
+        createdBy: req.user._id,
         createdAt: new Date()
       }
     });
@@ -0,0 +1,576 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { rejectApiKeys, rejectPartnerKeys } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { can } = require('../utils/permissions');
+const { updateFinalGrade } = require('../utils/grading');
+const { isLessonUnlocked } = require('../utils/drip');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Question = require('../models/Question');
+const Assessment = require('../models/Assessment');
+const {
+  getAssessmentRecord,
+  getOpenAttempt,
+  isPastDeadline,
+  startAttempt,
+  loadAttemptQuestions,
+  presentAttempt,
+  gradeAttempt,
+  applyResult,
+  presentResult
+} = require('../utils/assessments');
+
+router.use(rejectPartnerKeys);
+
+// Mounted under /api/courses/:id/assessments. Students take assessments
+// through attempts; the server draws the questions and does the grading.
+
+const assessmentValidation = [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('lesson').optional({ nullable: true }).isMongoId().withMessage('Valid lesson ID is required'),
+  body('questions').isArray({ min: 1 }).withMessage('Add at least one question from the question bank'),
+  body('questions.*').isMongoId().withMessage('Questions must be valid question IDs'),
+  body('questionCount').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Question count must be at least 1'),
+  body('shuffleQuestions').optional().isBoolean().withMessage('shuffleQuestions must be a boolean'),
+  body('shuffleOptions').optional().isBoolean().withMessage('shuffleOptions must be a boolean'),
+  body('timeLimit').optional().isInt({ min: 0, max: 600 }).withMessage('Time limit must be between 0 and 600 minutes'),
+  body('maxAttempts').optional().isInt({ min: 0, max: 100 }).withMessage('Max attempts must be between 0 and 100'),
+  body('passMark').optional().isFloat({ min: 0, max: 100 }).withMessage('Pass mark must be between 0 and 100'),
+  body('showAnswers').optional().isBoolean().withMessage('showAnswers must be a boolean'),
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean')
+];
+
+const pickAssessmentFields = ({
+  title, description, lesson, questions, questionCount, shuffleQuestions,
+  shuffleOptions, timeLimit, maxAttempts, passMark, showAnswers, isPublished
+}) => ({
+  title, description, lesson, questions, questionCount, shuffleQuestions,
+  shuffleOptions, timeLimit, maxAttempts, passMark, showAnswers, isPublished
+});
+
+// The pool must come from this course's bank and the lesson from its curriculum
+const checkAssessmentReferences = async (course, fields) => {
+  if (fields.lesson && !course.findLesson(fields.lesson)) {
+    return 'Lesson not found in this course';
+  }
+
+  const found = await Question.countDocuments({ _id: { $in: fields.questions }, course: course._id });
+  if (found !== new Set(fields.questions.map(String)).size) {
+    return 'Questions must come from this course\'s question bank';
+  }
+
+  return null;
+};
+
+// Enrollment that lets the user take the course's assessments
+const findEnrollment = (userId, courseId) => Enrollment.findOne({
+  user: userId,
+  course: courseId,
+  status: { $in: ['active', 'completed'] }
+});
+
+// Settings students may see; the question pool stays hidden
+const summarize = (assessment) => ({
+  _id: assessment._id,
+  title: assessment.title,
+  description: assessment.description,
+  lesson: assessment.lesson,
+  questionCount: assessment.questionCount || assessment.questions.length,
+  timeLimit: assessment.timeLimit,
+  maxAttempts: assessment.maxAttempts,
+  passMark: assessment.passMark
+});
+
+// A student's standing on an assessment
+const summarizeRecord = (record) => ({
+  attempts: record ? record.attempts.filter(attempt => attempt.submittedAt).length : 0,
+  inProgress: Boolean(record && getOpenAttempt(record)),
+  bestScore: record ? record.bestScore : undefined,
+  passed: record ? record.passed : false
+});
+
+const findRecord = (enrollment, assessmentId) => enrollment.assessments.find(
+  entry => entry.assessment && entry.assessment.toString() === assessmentId.toString()
+);
+
+// @route   GET /api/courses/:id/assessments
+// @desc    List a course's assessments. Students see published ones with their results.
+// @access  Private (Enrolled students/Course staff)
+router.get('/', [auth, rejectApiKeys, param('id').isMongoId().withMessage('Valid course ID is required')], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id).select('instructor');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (can(req, 'course:content', course)) {
+      const assessments = await Assessment.find({ course: course._id }).sort({ createdAt: 1 });
+      return res.json({
+        success: true,
+        data: assessments
+      });
+    }
+
+    const enrollment = await findEnrollment(req.user._id, course._id);
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    const assessments = await Assessment.find({ course: course._id, isPublished: true }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: assessments.map(assessment => ({
+        ...summarize(assessment),
+        ...summarizeRecord(findRecord(enrollment, assessment._id))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get assessments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching assessments',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/assessments
+// @desc    Create an assessment from the course's question bank
+// @access  Private (Instructor/Admin)
+router.post('/', [auth, requirePermission('course:update', { resource: Course }), ...assessmentValidation], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickAssessmentFields(req.body);
+    const problem = await checkAssessmentReferences(req.resource, fields);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const assessment = await Assessment.create({
+      ...fields,
+      course: req.resource._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Assessment created successfully',
+      data: assessment
+    });
+
+  } catch (error) {
+    console.error('Create assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating assessment',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/assessments/:assessmentId
+// @desc    Get an assessment. Staff get the full question pool; students their attempts.
+// @access  Private (Enrolled students/Course staff)
+router.get('/:assessmentId', [
+  auth,
+  rejectApiKeys,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('assessmentId').isMongoId().withMessage('Valid assessment ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id).select('instructor');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const assessment = await Assessment.findOne({ _id: req.params.assessmentId, course: course._id });
+
+    if (assessment && can(req, 'course:content', course)) {
+      await assessment.populate('questions');
+      return res.json({
+        success: true,
+        data: assessment
+      });
+    }
+
+    if (!assessment || !assessment.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const enrollment = await findEnrollment(req.user._id, course._id);
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    const record = findRecord(enrollment, assessment._id);
+    const submitted = record ? record.attempts.filter(attempt => attempt.submittedAt) : [];
+
+    res.json({
+      success: true,
+      data: {
+        ...summarize(assessment),
+        ...summarizeRecord(record),
+        results: submitted.map(attempt => ({
+          attemptNumber: attempt.attemptNumber,
+          submittedAt: attempt.submittedAt,
+          score: attempt.score,
+          correctAnswers: attempt.correctAnswers,
+          totalQuestions: attempt.totalQuestions
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching assessment',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id/assessments/:assessmentId
+// @desc    Update an assessment. Attempts already graded keep their scores.
+// @access  Private (Instructor/Admin)
+router.put('/:assessmentId', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  param('assessmentId').isMongoId().withMessage('Valid assessment ID is required'),
+  ...assessmentValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assessment = await Assessment.findOne({ _id: req.params.assessmentId, course: req.resource._id });
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const fields = pickAssessmentFields(req.body);
+    const problem = await checkAssessmentReferences(req.resource, fields);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    assessment.set(fields);
+    await assessment.save();
+
+    res.json({
+      success: true,
+      message: 'Assessment updated successfully',
+      data: assessment
+    });
+
+  } catch (error) {
+    console.error('Update assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating assessment',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/assessments/:assessmentId
+// @desc    Delete an assessment. Students' past results stay on their enrollments.
+// @access  Private (Instructor/Admin)
+router.delete('/:assessmentId', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  param('assessmentId').isMongoId().withMessage('Valid assessment ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assessment = await Assessment.findOneAndDelete({ _id: req.params.assessmentId, course: req.resource._id });
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Assessment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting assessment',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/assessments/:assessmentId/attempts
+// @desc    Start an attempt, or resume the one in progress
+// @access  Private (Enrolled students)
+router.post('/:assessmentId/attempts', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('assessmentId').isMongoId().withMessage('Valid assessment ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assessment = await Assessment.findOne({
+      _id: req.params.assessmentId,
+      course: req.params.id,
+      isPublished: true
+    });
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const enrollment = await findEnrollment(req.user._id, assessment.course);
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    // Quizzes attached to a lesson open with the lesson's module
+    if (assessment.lesson) {
+      const course = await Course.findById(assessment.course).select('curriculum');
+      if (course && !isLessonUnlocked(course, enrollment, assessment.lesson)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This quiz has not been unlocked yet'
+        });
+      }
+    }
+
+    const record = getAssessmentRecord(enrollment, assessment._id);
+    let attempt = getOpenAttempt(record);
+
+    // An attempt left open past its deadline is closed with what was saved: nothing
+    if (attempt && isPastDeadline(assessment, attempt)) {
+      gradeAttempt(attempt, await loadAttemptQuestions(attempt));
+      applyResult(enrollment, record, assessment, attempt);
+      attempt = null;
+    }
+
+    const resumed = Boolean(attempt);
+
+    if (!attempt) {
+      if (assessment.maxAttempts > 0 && record.attempts.length >= assessment.maxAttempts) {
+        await enrollment.save();
+        return res.status(403).json({
+          success: false,
+          message: `You have used all ${assessment.maxAttempts} attempts for this assessment`
+        });
+      }
+
+      attempt = await startAttempt(record, assessment);
+      if (attempt.answers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This assessment has no questions yet'
+        });
+      }
+    }
+
+    await enrollment.save();
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Attempt resumed' : 'Attempt started',
+      data: presentAttempt(assessment, attempt, await loadAttemptQuestions(attempt))
+    });
+
+  } catch (error) {
+    console.error('Start attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting attempt',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/assessments/:assessmentId/attempts/:attemptNumber/submit
+// @desc    Submit answers for grading
+// @access  Private (Enrolled students)
+router.post('/:assessmentId/attempts/:attemptNumber/submit', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('assessmentId').isMongoId().withMessage('Valid assessment ID is required'),
+  param('attemptNumber').isInt({ min: 1 }).withMessage('Valid attempt number is required'),
+  body('answers').isArray().withMessage('Answers must be an array of { question, answer }'),
+  body('answers.*.question').isMongoId().withMessage('Each answer needs a valid question ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assessment = await Assessment.findOne({ _id: req.params.assessmentId, course: req.params.id });
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const enrollment = await findEnrollment(req.user._id, assessment.course);
+    const record = enrollment && findRecord(enrollment, assessment._id);
+    const attempt = record && record.attempts.find(
+      entry => entry.attemptNumber === parseInt(req.params.attemptNumber)
+    );
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    if (attempt.submittedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
+
+    // Answers arriving after the time limit don't count
+    const late = isPastDeadline(assessment, attempt);
+    const questions = await loadAttemptQuestions(attempt);
+
+    gradeAttempt(attempt, questions, late ? [] : req.body.answers);
+    applyResult(enrollment, record, assessment, attempt);
+    await updateFinalGrade(enrollment);
+    await enrollment.save();
+
+    const result = presentResult(assessment, attempt, questions);
+
+    res.json({
+      success: true,
+      message: late
+        ? 'Time limit exceeded. Answers submitted after the deadline were not counted.'
+        : (result.passed ? 'Assessment passed' : 'Assessment submitted'),
+      data: {
+        ...result,
+        late,
+        bestScore: record.bestScore,
+        attemptsRemaining: assessment.maxAttempts > 0
+          ? Math.max(0, assessment.maxAttempts - record.attempts.length)
+          : null,
+        courseProgress: enrollment.progress.overall,
+        enrollmentStatus: enrollment.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting attempt',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,24 +3,85 @@ const {
   registerUser,
   loginUser,
   getMe,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
   forgotPassword,
   resetPassword,
+  requestMagicLink,
+  consumeMagicLink,
   verifyEmail,
+  resendVerification,
+  unlockAccount,
   updateProfile,
-  changePassword
+  changePassword,
+  getPasswordPolicy
 } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
-const { authValidation } = require('../middleware/validationMiddleware');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require('../controllers/twoFactorController');
+const { getMySessions, revokeMySession, exitImpersonation } = require('../controllers/sessionController');
+const { getInvitation, acceptInvitation } = require('../controllers/invitationController');
+const {
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback
+} = require('../controllers/oauthController');
+const { protect, protectOrPartial, optionalAuth, rejectApiKeys } = require('../middleware/authMiddleware');
+const { PURPOSE_SETUP } = require('../utils/twoFactor');
+const { identifyDevice } = require('../utils/sessionService');
+const { authValidation, userValidation } = require('../middleware/validationMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const {
+  loginGuard,
+  forgotPasswordGuard,
+  magicLinkGuard,
+  verificationEmailGuard
+} = require('../middleware/bruteForceMiddleware');
 
 const router = express.Router();
 
+router.use(rejectApiKeys);
+router.use(identifyDevice);
+
 router.post('/register', authValidation.register, registerUser);
-router.post('/login', authValidation.login, loginUser);
+router.post('/login', authValidation.login, loginGuard, loginUser);
 router.get('/me', protect, getMe);
-router.post('/forgot-password', forgotPassword);
-router.put('/reset-password/:token', resetPassword);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, blockWhileImpersonating, logoutAllSessions);
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions/:id', protect, blockWhileImpersonating, revokeMySession);
+router.post('/impersonation/exit', protect, exitImpersonation);
+router.post('/forgot-password', forgotPasswordGuard, forgotPassword);
+router.put('/reset-password/:token', authValidation.resetPassword, resetPassword);
+router.get('/password-policy', getPasswordPolicy);
+router.post('/magic-link', authValidation.magicLink, loginGuard, magicLinkGuard, requestMagicLink);
+router.post('/magic-link/verify', authValidation.magicLinkVerify, consumeMagicLink);
 router.get('/verify-email/:token', verifyEmail);
-router.put('/profile', protect, updateProfile);
-router.put('/change-password', protect, changePassword);
+router.post('/resend-verification', optionalAuth, authValidation.resendVerification, verificationEmailGuard, resendVerification);
+router.get('/unlock-account/:token', unlockAccount);
+router.put('/profile', protect, userValidation.updateProfile, updateProfile);
+router.put('/change-password', protect, blockWhileImpersonating, userValidation.changePassword, changePassword);
+
+// Two-factor authentication
+router.post('/2fa/setup', protectOrPartial(PURPOSE_SETUP), blockWhileImpersonating, setupTwoFactor);
+router.post('/2fa/enable', protectOrPartial(PURPOSE_SETUP), blockWhileImpersonating, enableTwoFactor);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.post('/2fa/disable', protect, blockWhileImpersonating, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, blockWhileImpersonating, regenerateBackupCodes);
+
+// Instructor and consultant invitations
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/accept', authValidation.acceptInvitation, acceptInvitation);
+
+// External identity providers (OAuth2 / OpenID Connect)
+router.get('/oauth/providers', getOAuthProviders);
+router.get('/oauth/:provider', startOAuth);
+router.get('/oauth/:provider/callback', oauthCallback);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { rejectApiKeys, rejectPartnerKeys } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { can } = require('../utils/permissions');
+const { auditRequest } = require('../utils/auditLog');
+const { findCertificate, describeCertificate, renderCertificate } = require('../utils/certificates');
+const { getPathProgress, syncPathCompletion } = require('../utils/learningPaths');
+const Enrollment = require('../models/Enrollment');
+const PathEnrollment = require('../models/PathEnrollment');
+
+router.use(rejectPartnerKeys);
+
+const certificateIdRule = param('certificateId')
+  .matches(/^CERT-[A-Z0-9-]{1,40}$/i)
+  .withMessage('Valid certificate ID is required');
+
+// @route   GET /api/certificates
+// @desc    Get the current user's course and learning path certificates, issuing any owed
+//          for courses and paths completed earlier
+// @access  Private
+router.get('/', auth, rejectApiKeys, async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ user: req.user._id, status: 'completed' })
+      .populate({
+        path: 'course',
+        select: 'title instructor certificateAvailable',
+        populate: { path: 'instructor', select: 'firstName lastName' }
+      });
+
+    for (const enrollment of enrollments) {
+      if (!enrollment.certificate.issued && enrollment.course && enrollment.course.certificateAvailable) {
+        await enrollment.issueCertificate();
+      }
+    }
+
+    const pathEnrollments = await PathEnrollment.find({
+      user: req.user._id,
+      status: { $in: ['active', 'completed'] }
+    }).populate({ path: 'path', select: 'title courses certificateAvailable', populate: { path: 'courses', select: 'title duration' } });
+
+    for (const pathEnrollment of pathEnrollments) {
+      if (pathEnrollment.path && pathEnrollment.status === 'active') {
+        const progress = await getPathProgress(pathEnrollment.path, req.user._id);
+        await syncPathCompletion(pathEnrollment, pathEnrollment.path, progress);
+      }
+    }
+
+    const summarize = (certificate) => ({
+      certificateId: certificate.certificateId,
+      issuedAt: certificate.issuedAt,
+      revoked: certificate.revoked,
+      downloadUrl: certificate.downloadUrl,
+      verificationUrl: certificate.verificationUrl
+    });
+
+    res.json({
+      success: true,
+      data: [
+        ...enrollments
+          .filter(enrollment => enrollment.certificate.issued)
+          .map(enrollment => ({
+            ...summarize(enrollment.certificate),
+            course: enrollment.course ? { _id: enrollment.course._id, title: enrollment.course.title } : undefined,
+            instructorName: enrollment.course && enrollment.course.instructor
+              ? `${enrollment.course.instructor.firstName} ${enrollment.course.instructor.lastName}`
+              : undefined
+          })),
+        ...pathEnrollments
+          .filter(pathEnrollment => pathEnrollment.certificate.issued)
+          .map(pathEnrollment => ({
+            ...summarize(pathEnrollment.certificate),
+            learningPath: pathEnrollment.path ? { _id: pathEnrollment.path._id, title: pathEnrollment.path.title } : undefined
+          }))
+      ]
+    });
+
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching certificates',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/:certificateId/verify
+// @desc    Confirm a certificate is authentic and has not been revoked
+// @access  Public
+router.get('/:certificateId/verify', [certificateIdRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await findCertificate(req.params.certificateId);
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate with this ID was issued by Star Media Tech'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describeCertificate(enrollment)
+    });
+
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying certificate',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/:certificateId/download
+// @desc    Download the certificate as a PDF
+// @access  Private (Certificate holder/Admin)
+router.get('/:certificateId/download', [auth, rejectApiKeys, certificateIdRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await findCertificate(req.params.certificateId);
+    const isHolder = enrollment && enrollment.user && String(enrollment.user._id) === String(req.user._id);
+
+    if (!enrollment || (!isHolder && !can(req, 'certificate:revoke'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    if (enrollment.certificate.revoked) {
+      return res.status(410).json({
+        success: false,
+        message: 'This certificate has been revoked'
+      });
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${enrollment.certificate.certificateId}.pdf"`);
+    res.set('Cache-Control', 'private, no-store');
+    await renderCertificate(enrollment, res);
+
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating certificate',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/certificates/:certificateId/revoke
+// @desc    Revoke a certificate so it no longer verifies
+// @access  Private (Admin)
+router.post('/:certificateId/revoke', [
+  auth,
+  requirePermission('certificate:revoke'),
+  certificateIdRule,
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason (up to 500 characters) is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await findCertificate(req.params.certificateId);
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    if (enrollment.certificate.revoked) {
+      return res.status(409).json({
+        success: false,
+        message: 'Certificate is already revoked'
+      });
+    }
+
+    enrollment.certificate.revoked = true;
+    enrollment.certificate.revokedAt = new Date();
+    enrollment.certificate.revokedBy = req.user._id;
+    enrollment.certificate.revocationReason = req.body.reason;
+    await enrollment.save();
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: enrollment.user ? enrollment.user._id : undefined,
+      action: 'certificate.revoke',
+      details: { certificateId: enrollment.certificate.certificateId, reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked',
+      data: describeCertificate(enrollment)
+    });
+
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking certificate',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/certificates/:certificateId/reinstate
+// @desc    Undo a revocation
+// @access  Private (Admin)
+router.post('/:certificateId/reinstate', [auth, requirePermission('certificate:revoke'), certificateIdRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await findCertificate(req.params.certificateId);
+    if (!enrollment || !enrollment.certificate.revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'No revoked certificate with this ID'
+      });
+    }
+
+    enrollment.certificate.revoked = false;
+    enrollment.certificate.revokedAt = undefined;
+    enrollment.certificate.revokedBy = undefined;
+    enrollment.certificate.revocationReason = undefined;
+    await enrollment.save();
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: enrollment.user ? enrollment.user._id : undefined,
+      action: 'certificate.reinstate',
+      details: { certificateId: enrollment.certificate.certificateId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Certificate reinstated',
+      data: describeCertificate(enrollment)
+    });
+
+  } catch (error) {
+    console.error('Reinstate certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reinstating certificate',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
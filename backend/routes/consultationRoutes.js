@@ -2,10 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, param } = require('express-validator');
 const auth = require('../middleware/auth');
+const { rejectApiKeys } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { requireVerifiedEmail } = require('../middleware/verificationMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { can } = require('../utils/permissions');
+const { quoteCoupon, redeemCoupon } = require('../utils/coupons');
 const Consultation = require('../models/Consultation');
 const Consultant = require('../models/Consultant');
 const Service = require('../models/Service');
-const User = require('../models/User');
 
 // Input validation schemas
 const consultationValidation = [
@@ -15,7 +20,8 @@ const consultationValidation = [
   body('duration').isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes'),
   body('timeSlot').notEmpty().withMessage('Time slot is required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
-  body('specialRequirements').optional().trim().isLength({ max: 500 }).withMessage('Special requirements must be less than 500 characters')
+  body('specialRequirements').optional().trim().isLength({ max: 500 }).withMessage('Special requirements must be less than 500 characters'),
+  body('couponCode').optional().trim().isLength({ max: 30 }).withMessage('Coupon code cannot exceed 30 characters')
 ];
 
 const rescheduleValidation = [
@@ -38,13 +44,25 @@ router.get('/', auth, async (req, res) => {
       sortOrder = 'asc'
     } = req.query;
 
-    // Build filter based on user role
+    // Admins see every consultation, consultants the sessions they run and
+    // everyone else their bookings
     let filter = {};
     
-    if (req.user.role === 'consultant') {
-      filter.consultant = req.user.userId;
-    } else {
-      filter.user = req.user.userId;
+    if (!can(req, 'consultation:view:any')) {
+      // Partner keys have no bookings of their own, and user keys need a
+      // consultation:view scope to list the owner's
+      if (!req.user || !can(req, 'consultation:view')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to list consultations'
+        });
+      }
+
+      if (can(req, 'consultation:manage:own')) {
+        filter.consultant = req.user._id;
+      } else {
+        filter.user = req.user._id;
+      }
     }
     
     if (status) {
@@ -125,9 +143,7 @@ router.get('/:id', [
     }
 
     // Check if user has access to this consultation
-    if (consultation.user._id.toString() !== req.user.userId && 
-        consultation.consultant._id.toString() !== req.user.userId &&
-        req.user.role !== 'admin') {
+    if (!can(req, 'consultation:view', consultation)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this consultation'
@@ -152,7 +168,7 @@ router.get('/:id', [
 // @route   POST /api/consultations
 // @desc    Create a new consultation booking
 // @access  Private
-router.post('/', [auth, ...consultationValidation], async (req, res) => {
+router.post('/', [auth, blockWhileImpersonating, requirePermission('consultation:book'), requireVerifiedEmail, ...consultationValidation], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -171,7 +187,8 @@ router.post('/', [auth, ...consultationValidation], async (req, res) => {
       duration,
       timeSlot,
       notes,
-      specialRequirements
+      specialRequirements,
+      couponCode
     } = req.body;
 
     // Verify service exists and is active
@@ -235,12 +252,22 @@ router.post('/', [auth, ...consultationValidation], async (req, res) => {
       });
     }
 
+    const quote = couponCode
+      ? await quoteCoupon(couponCode, { service: serviceDoc, consultant: consultantDoc }, serviceDoc.price, req.user._id)
+      : null;
+    if (quote && quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
     // Calculate end time
     const endTime = new Date(scheduledDateTime.getTime() + duration * 60000);
 
     // Create consultation
     const consultation = new Consultation({
-      user: req.user.userId,
+      user: req.user._id,
       service,
       consultant,
       scheduledDate: scheduledDateTime,
@@ -249,11 +276,23 @@ router.post('/', [auth, ...consultationValidation], async (req, res) => {
       timeSlot,
       notes,
       specialRequirements,
-      amount: serviceDoc.price,
+      price: quote ? quote.finalPrice : serviceDoc.price,
+      coupon: quote ? quote.coupon._id : undefined,
+      discount: quote ? quote.discount : undefined,
       status: 'scheduled'
     });
 
-    await consultation.save();
+    if (quote) {
+      const redemption = await redeemCoupon(quote, req.user._id, () => consultation.save());
+      if (redemption.error) {
+        return res.status(409).json({
+          success: false,
+          message: redemption.error
+        });
+      }
+    } else {
+      await consultation.save();
+    }
     await consultation.populate('service', 'title description');
     await consultation.populate('consultant', 'name email specialization');
 
@@ -281,7 +320,11 @@ router.post('/', [auth, ...consultationValidation], async (req, res) => {
 // @route   PUT /api/consultations/:id/reschedule
 // @desc    Reschedule a consultation
 // @access  Private
-router.put('/:id/reschedule', [auth, ...rescheduleValidation], async (req, res) => {
+router.put('/:id/reschedule', [
+  auth,
+  requirePermission('consultation:reschedule', { resource: Consultation }),
+  ...rescheduleValidation
+], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -293,21 +336,7 @@ router.put('/:id/reschedule', [auth, ...rescheduleValidation], async (req, res)
       });
     }
 
-    const consultation = await Consultation.findById(req.params.id);
-    if (!consultation) {
-      return res.status(404).json({
-        success: false,
-        message: 'Consultation not found'
-      });
-    }
-
-    // Check if user can reschedule this consultation
-    if (consultation.user.toString() !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to reschedule this consultation'
-      });
-    }
+    const consultation = req.resource;
 
     // Check if consultation can be rescheduled
     if (!['scheduled', 'confirmed'].includes(consultation.status)) {
@@ -354,7 +383,7 @@ router.put('/:id/reschedule', [auth, ...rescheduleValidation], async (req, res)
       previousDate: consultation.scheduledDate,
       newDate: newScheduledDate,
       reason: reason || 'No reason provided',
-      rescheduledBy: req.user.userId,
+      rescheduledBy: req.user._id,
       rescheduledAt: new Date()
     });
     consultation.updatedAt = new Date();
@@ -406,25 +435,10 @@ router.put('/:id/status', [
 
     const { status, cancellationReason } = req.body;
 
-    // Check authorization based on status change
-    let isAuthorized = false;
-    
-    if (status === 'confirmed' && consultation.consultant.toString() === req.user.userId) {
-      isAuthorized = true;
-    } else if (status === 'cancelled') {
-      // Both user and consultant can cancel
-      isAuthorized = consultation.user.toString() === req.user.userId || 
-                    consultation.consultant.toString() === req.user.userId ||
-                    req.user.role === 'admin';
-    } else if (status === 'completed' && consultation.consultant.toString() === req.user.userId) {
-      isAuthorized = true;
-    } else if (status === 'no-show' && consultation.consultant.toString() === req.user.userId) {
-      isAuthorized = true;
-    } else if (req.user.role === 'admin') {
-      isAuthorized = true;
-    }
-
-    if (!isAuthorized) {
+    // Both user and consultant can cancel; only the consultant runs the session
+    const permission = status === 'cancelled' ? 'consultation:cancel' : 'consultation:manage';
+
+    if (!can(req, permission, consultation)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update consultation status'
@@ -454,7 +468,7 @@ router.put('/:id/status', [
 
     if (status === 'cancelled' && cancellationReason) {
       consultation.cancellationReason = cancellationReason;
-      consultation.cancelledBy = req.user.userId;
+      consultation.cancelledBy = req.user._id;
       consultation.cancelledAt = new Date();
     }
 
@@ -508,7 +522,7 @@ router.post('/:id/feedback', [
     }
 
     // Check if user is the one who booked the consultation
-    if (consultation.user.toString() !== req.user.userId) {
+    if (!can(req, 'consultation:feedback', consultation)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to provide feedback for this consultation'
@@ -564,7 +578,7 @@ router.post('/:id/feedback', [
 // @route   GET /api/consultations/consultant/availability
 // @desc    Get consultant availability for a specific date
 // @access  Private
-router.get('/consultant/availability', auth, async (req, res) => {
+router.get('/consultant/availability', auth, rejectApiKeys, async (req, res) => {
   try {
     const { consultantId, date } = req.query;
 
@@ -0,0 +1,478 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { rejectApiKeys, rejectPartnerKeys } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { auditRequest } = require('../utils/auditLog');
+const { normalizeCode, quoteCoupon, describeQuote } = require('../utils/coupons');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Course = require('../models/Course');
+const Service = require('../models/Service');
+
+router.use(rejectPartnerKeys);
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'amount',
+  'appliesTo',
+  'restrictions',
+  'minimumSpend',
+  'startsAt',
+  'expiresAt',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'isActive'
+];
+
+// Input validation schemas; updates may send any subset of the fields
+const couponValidation = (partial = false) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  const nullable = (name) => body(name).optional({ values: 'null' });
+
+  return [
+    field('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+    field('discountType').isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+    field('amount').isFloat({ gt: 0 }).withMessage('Discount amount must be greater than 0'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    body('appliesTo').optional().isIn(['all', 'courses', 'consultations']).withMessage('appliesTo must be all, courses or consultations'),
+    body('restrictions.courses').optional().isArray().withMessage('Courses must be a list'),
+    body('restrictions.courses.*').isMongoId().withMessage('Each course must be a valid ID'),
+    body('restrictions.services').optional().isArray().withMessage('Services must be a list'),
+    body('restrictions.services.*').isMongoId().withMessage('Each service must be a valid ID'),
+    body('restrictions.consultants').optional().isArray().withMessage('Consultants must be a list'),
+    body('restrictions.consultants.*').isMongoId().withMessage('Each consultant must be a valid ID'),
+    body('restrictions.categories').optional().isArray().withMessage('Categories must be a list'),
+    body('restrictions.categories.*').isString().trim().notEmpty().withMessage('Each category must be a name'),
+    body('minimumSpend').optional().isFloat({ min: 0 }).withMessage('Minimum spend cannot be negative'),
+    nullable('startsAt').isISO8601().withMessage('Start date must be a valid date'),
+    nullable('expiresAt').isISO8601().withMessage('Expiry date must be a valid date'),
+    nullable('maxRedemptions').isInt({ min: 1 }).withMessage('Redemption limit must be at least 1'),
+    nullable('maxRedemptionsPerUser').isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return true;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return false;
+};
+
+const pickCouponFields = (source) => Object.fromEntries(
+  COUPON_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Map save errors to 400s; anything else is a server error
+const sendSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+
+  console.error(`${action} coupon error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action === 'Create' ? 'creating' : 'updating'} coupon`,
+    error: error.message
+  });
+};
+
+// Redemption totals per coupon: { [couponId]: { redemptions, discountGiven, revenue } }
+const redemptionTotals = async (couponIds) => {
+  const totals = await CouponRedemption.aggregate([
+    { $match: { coupon: { $in: couponIds } } },
+    {
+      $group: {
+        _id: '$coupon',
+        redemptions: { $sum: 1 },
+        discountGiven: { $sum: '$discount' },
+        revenue: { $sum: '$finalPrice' }
+      }
+    }
+  ]);
+  return Object.fromEntries(totals.map(({ _id, ...total }) => [String(_id), total]));
+};
+
+// @route   POST /api/coupons/validate
+// @desc    Check a coupon code against a course or a consultation service and preview the price
+// @access  Private
+router.post('/validate', [
+  auth,
+  rejectApiKeys,
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('course').optional().isMongoId().withMessage('Valid course ID is required'),
+  body('service').optional().isMongoId().withMessage('Valid service ID is required'),
+  body().custom(value => Boolean(value.course) !== Boolean(value.service))
+    .withMessage('Provide either a course or a service')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    let item;
+    let price;
+
+    if (req.body.course) {
+      const course = await Course.findById(req.body.course);
+      if (!course || course.status !== 'published') {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+      item = { course };
+      price = course.price;
+    } else {
+      const service = await Service.findOne({ _id: req.body.service, isActive: true });
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found or inactive'
+        });
+      }
+      item = { service, consultant: { _id: service.consultant } };
+      price = service.price;
+    }
+
+    const quote = await quoteCoupon(req.body.code, item, price, req.user._id);
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: describeQuote(quote)
+    });
+
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking coupon',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    List coupons with their redemption totals
+// @access  Private (coupon:manage)
+router.get('/', [
+  auth,
+  requirePermission('coupon:manage'),
+  query('status').optional().isIn(['active', 'inactive', 'expired']).withMessage('Status must be active, inactive or expired'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const { status, search, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+
+    // Build filter object
+    const filter = {};
+    if (status === 'active') {
+      filter.isActive = true;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    } else if (status === 'expired') {
+      filter.expiresAt = { $lte: now };
+    }
+    if (search) {
+      filter.code = { $regex: normalizeCode(search).replace(/[^A-Z0-9_-]/g, ''), $options: 'i' };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Coupon.countDocuments(filter)
+    ]);
+
+    const totals = await redemptionTotals(coupons.map(coupon => coupon._id));
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        coupons: coupons.map(coupon => ({
+          ...coupon.toObject(),
+          stats: totals[String(coupon._id)] || { redemptions: 0, discountGiven: 0, revenue: 0 }
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCoupons: total,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private (coupon:manage)
+router.post('/', [auth, requirePermission('coupon:manage'), ...couponValidation()], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+    await coupon.save();
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      action: 'coupon.create',
+      details: { coupon: coupon._id, code: coupon.code }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'Create');
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get a coupon with its restrictions spelled out
+// @access  Private (coupon:manage)
+router.get('/:id', [
+  auth,
+  requirePermission('coupon:manage'),
+  param('id').isMongoId().withMessage('Valid coupon ID is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('restrictions.courses', 'title slug')
+      .populate('restrictions.services', 'title')
+      .populate('restrictions.consultants', 'name')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const totals = await redemptionTotals([coupon._id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...coupon.toObject(),
+        stats: totals[String(coupon._id)] || { redemptions: 0, discountGiven: 0, revenue: 0 }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupon',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon; changes apply to future redemptions only
+// @access  Private (coupon:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('coupon:manage'),
+  param('id').isMongoId().withMessage('Valid coupon ID is required'),
+  ...couponValidation(true)
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      action: 'coupon.update',
+      details: { coupon: coupon._id, code: coupon.code, changes: Object.keys(pickCouponFields(req.body)) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'Update');
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete an unused coupon; used ones are deactivated to keep their history
+// @access  Private (coupon:manage)
+router.delete('/:id', [
+  auth,
+  requirePermission('coupon:manage'),
+  param('id').isMongoId().withMessage('Valid coupon ID is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const redeemed = await CouponRedemption.exists({ coupon: coupon._id });
+    if (redeemed) {
+      coupon.isActive = false;
+      await coupon.save();
+    } else {
+      await coupon.deleteOne();
+    }
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      action: redeemed ? 'coupon.deactivate' : 'coupon.delete',
+      details: { coupon: coupon._id, code: coupon.code }
+    });
+
+    res.json({
+      success: true,
+      message: redeemed
+        ? 'Coupon has been redeemed, so it was deactivated instead of deleted'
+        : 'Coupon deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting coupon',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id/redemptions
+// @desc    List who redeemed a coupon, on what, and the discount given
+// @access  Private (coupon:manage)
+router.get('/:id/redemptions', [
+  auth,
+  requirePermission('coupon:manage'),
+  param('id').isMongoId().withMessage('Valid coupon ID is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [redemptions, total, totals] = await Promise.all([
+      CouponRedemption.find({ coupon: coupon._id })
+        .populate('user', 'firstName lastName email')
+        .populate('course', 'title')
+        .populate('service', 'title')
+        .sort({ redeemedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CouponRedemption.countDocuments({ coupon: coupon._id }),
+      redemptionTotals([coupon._id])
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        coupon: { _id: coupon._id, code: coupon.code },
+        stats: totals[String(coupon._id)] || { redemptions: 0, discountGiven: 0, revenue: 0 },
+        redemptions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRedemptions: total,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching redemptions',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
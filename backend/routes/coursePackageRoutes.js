@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { uploadArchive } = require('../middleware/uploadMiddleware');
+const { exportCoursePackage, importCoursePackage } = require('../utils/coursePackage');
+const { exportScormPackage } = require('../utils/scormPackage');
+const Course = require('../models/Course');
+
+// Mounted under /api/courses. Course bundles (JSON manifest + Markdown
+// lessons) go both ways; SCORM 1.2 packages are export only.
+
+// @route   POST /api/courses/import
+// @desc    Create a draft course from a course bundle ZIP ("package" field)
+// @access  Private (Instructor/Admin)
+router.post('/import', [
+  auth,
+  requirePermission('course:create'),
+  uploadArchive('package'),
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a course package'
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const { course, report, summary } = await importCoursePackage(req.file.buffer, {
+      instructor: req.user._id,
+      title: req.body.title,
+      dryRun
+    });
+
+    if (report.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The course package has errors',
+        errors: report.errors,
+        warnings: report.warnings
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'The course package is valid',
+        data: { summary, warnings: report.warnings }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Course imported as a draft',
+      data: { course, summary, warnings: report.warnings }
+    });
+
+  } catch (error) {
+    console.error('Import course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing course',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/export?format=bundle|scorm
+// @desc    Download the course's live content as a course bundle or SCORM 1.2 package
+// @access  Private (Instructor/Admin)
+router.get('/:id/export', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  query('format').optional().isIn(['bundle', 'scorm']).withMessage('Format must be bundle or scorm')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = req.resource;
+    const scorm = req.query.format === 'scorm';
+    const archive = scorm ? await exportScormPackage(course) : await exportCoursePackage(course);
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${course.slug}-${scorm ? 'scorm12' : 'course'}.zip"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(archive);
+
+  } catch (error) {
+    console.error('Export course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting course',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,47 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, param } = require('express-validator');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
-const instructorAuth = require('../middleware/instructorAuth');
+const { rejectApiKeys } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { requireVerifiedEmail } = require('../middleware/verificationMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { can } = require('../utils/permissions');
+const { presentCourseContent, isLessonUnlocked } = require('../utils/drip');
+const { checkPrerequisites, getMissingPrerequisites } = require('../utils/prerequisites');
+const { auditRequest } = require('../utils/auditLog');
+const { applyCourseEdit } = require('../utils/courseWorkflow');
+const { quoteCoupon, redeemCoupon } = require('../utils/coupons');
 const upload = require('../middleware/upload');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
 const Category = require('../models/Category');
+const Assessment = require('../models/Assessment');
+const questionRoutes = require('./questionRoutes');
+const assessmentRoutes = require('./assessmentRoutes');
+const submissionRoutes = require('./submissionRoutes');
+const gradingRoutes = require('./gradingRoutes');
+const reviewRoutes = require('./reviewRoutes');
+const courseWorkflowRoutes = require('./courseWorkflowRoutes');
+const coursePackageRoutes = require('./coursePackageRoutes');
+const Submission = require('../models/Submission');
+
+// Question banks and quizzes of a course
+router.use('/:id/questions', questionRoutes);
+router.use('/:id/assessments', assessmentRoutes);
+
+// Assignment hand-ins and the instructors' grading queue
+router.use('/:id/lessons/:lessonId/submissions', submissionRoutes);
+router.use('/instructor/submissions', gradingRoutes);
+
+// Student reviews and helpful votes
+router.use('/:id/reviews', reviewRoutes);
+
+// Draft, review and publish steps and the published version history
+router.use('/:id/workflow', courseWorkflowRoutes);
+
+// Course bundle import/export and SCORM export
+router.use('/', coursePackageRoutes);
 
 // Input validation schemas
 const courseValidation = [
@@ -20,9 +55,21 @@ const courseValidation = [
   body('duration').isInt({ min: 1, max: 1000 }).withMessage('Duration must be between 1 and 1000 hours'),
   body('language').isIn(['english', 'spanish', 'french', 'german', 'other']).withMessage('Please select a valid language'),
   body('objectives').isArray({ min: 3, max: 20 }).withMessage('Please provide 3-20 learning objectives'),
-  body('prerequisites').optional().isArray().withMessage('Prerequisites must be an array'),
+  body('prerequisites').optional().isArray().withMessage('Prerequisites must be an array of course IDs'),
+  body('prerequisites.*').isMongoId().withMessage('Each prerequisite must be a valid course ID'),
   body('targetAudience').optional().isArray().withMessage('Target audience must be an array'),
-  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean')
+  body('curriculum').optional().isArray().withMessage('Curriculum must be an array of modules'),
+  // Existing modules and lessons must be sent back with their _id, or learners' progress on them is lost
+  body('curriculum.*._id').optional().isMongoId().withMessage('Module _id must be a valid ID'),
+  body('curriculum.*.unlock.rule').optional().isIn(['immediate', 'after_days', 'on_date', 'after_previous']).withMessage('Unlock rule must be immediate, after_days, on_date or after_previous'),
+  body('curriculum.*.unlock.days').optional({ nullable: true }).isInt({ min: 0, max: 3650 }).withMessage('Unlock days must be a whole number of days'),
+  body('curriculum.*.unlock.date').optional({ nullable: true }).isISO8601().withMessage('Unlock date must be a valid date'),
+  body('curriculum.*.lessons.*._id').optional().isMongoId().withMessage('Lesson _id must be a valid ID'),
+  body('curriculum.*.lessons.*.duration').optional().isInt({ min: 0 }).withMessage('Lesson duration must be a positive number of minutes'),
+  body('curriculum.*.lessons.*.isRequired').optional().isBoolean().withMessage('isRequired must be a boolean'),
+  body('curriculum.*.lessons.*.assignment.dueDate').optional({ nullable: true }).isISO8601().withMessage('Assignment due date must be a valid date'),
+  body('curriculum.*.lessons.*.assignment.rubric.*.criterion').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Rubric criteria must be between 1 and 200 characters'),
+  body('curriculum.*.lessons.*.assignment.rubric.*.maxPoints').optional().isFloat({ min: 0 }).withMessage('Rubric points must be a positive number')
 ];
 
 // @route   GET /api/courses
@@ -85,7 +132,7 @@ router.get('/', async (req, res) => {
     const courses = await Course.find(filter)
       .populate('category', 'name slug')
       .populate('instructor', 'name email bio avatar specialization')
-      .select('-sections.content -sections.videoUrl') // Don't send full content in listing
+      .select('-curriculum.lessons.content') // Don't send full content in listing
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
@@ -180,8 +227,8 @@ router.get('/:id', [
 
     // Get average rating
     const ratingStats = await Enrollment.aggregate([
-      { $match: { course: course._id, rating: { $gt: 0 } } },
-      { $group: { _id: null, avgRating: { $avg: '$rating' }, totalRatings: { $sum: 1 } } }
+      { $match: { course: course._id, 'rating.score': { $gte: 1 } } },
+      { $group: { _id: null, avgRating: { $avg: '$rating.score' }, totalRatings: { $sum: 1 } } }
     ]);
 
     const courseData = course.toObject();
@@ -206,7 +253,7 @@ router.get('/:id', [
 // @route   POST /api/courses
 // @desc    Create a new course (Instructors only)
 // @access  Private (Instructor/Admin)
-router.post('/', [auth, ...courseValidation], async (req, res) => {
+router.post('/', [auth, requirePermission('course:create'), ...courseValidation], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -218,14 +265,6 @@ router.post('/', [auth, ...courseValidation], async (req, res) => {
       });
     }
 
-    // Check if user is instructor or admin
-    if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only instructors and admins can create courses'
-      });
-    }
-
     const {
       title,
       description,
@@ -239,10 +278,17 @@ router.post('/', [auth, ...courseValidation], async (req, res) => {
       prerequisites,
       targetAudience,
       requirements,
-      thumbnail,
-      isPublished = false
+      thumbnail
     } = req.body;
 
+    const prerequisiteError = await checkPrerequisites(null, prerequisites);
+    if (prerequisiteError) {
+      return res.status(400).json({
+        success: false,
+        message: prerequisiteError
+      });
+    }
+
     // Create course
     const course = new Course({
       title,
@@ -258,9 +304,9 @@ router.post('/', [auth, ...courseValidation], async (req, res) => {
       targetAudience: targetAudience || [],
       requirements: requirements || [],
       thumbnail,
-      isPublished,
-      instructor: req.user.userId,
-      status: isPublished ? 'published' : 'draft'
+      instructor: req.user._id,
+      // Courses are published through the review workflow
+      status: 'draft'
     });
 
     await course.save();
@@ -285,7 +331,7 @@ router.post('/', [auth, ...courseValidation], async (req, res) => {
 // @route   PUT /api/courses/:id
 // @desc    Update a course
 // @access  Private (Instructor/Admin)
-router.put('/:id', [auth, ...courseValidation], async (req, res) => {
+router.put('/:id', [auth, requirePermission('course:update', { resource: Course }), ...courseValidation], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -297,49 +343,62 @@ router.put('/:id', [auth, ...courseValidation], async (req, res) => {
       });
     }
 
-    const course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found'
-      });
+    const updateFields = { ...req.body };
+
+    // Only editors of any course may reassign it (instructors can't transfer courses)
+    if (!can(req, 'course:update:any')) {
+      delete updateFields.instructor;
     }
 
-    // Check if user owns the course or is admin
-    if (course.instructor.toString() !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
+    // Overrides are granted one learner at a time through their own endpoint
+    delete updateFields.prerequisiteOverrides;
+
+    if (updateFields.prerequisites !== undefined) {
+      const prerequisiteError = await checkPrerequisites(req.params.id, updateFields.prerequisites);
+      if (prerequisiteError) {
+        return res.status(400).json({
+          success: false,
+          message: prerequisiteError
+        });
+      }
+    }
+
+    const course = await Course.findById(req.params.id).select('+revision');
+    if (course.status === 'archived') {
+      return res.status(409).json({
         success: false,
-        message: 'Not authorized to update this course'
+        message: 'Restore this course before editing it'
       });
     }
 
-    const updateFields = { ...req.body, updatedAt: new Date() };
-    
-    // Update status based on isPublished
-    if (updateFields.isPublished !== undefined) {
-      updateFields.status = updateFields.isPublished ? 'published' : 'draft';
-    }
+    // Published courses collect content edits in a revision that learners
+    // don't see until it is reviewed and published
+    const { live, revised } = await applyCourseEdit(course, updateFields, req.user._id);
 
-    // Remove instructor field if not admin (instructors can't transfer courses)
-    if (req.user.role !== 'admin') {
-      delete updateFields.instructor;
+    if (live && updateFields.curriculum !== undefined) {
+      await Enrollment.recalculateForCourse(course);
     }
 
-    const updatedCourse = await Course.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields },
-      { new: true, runValidators: true }
-    )
-    .populate('category', 'name slug')
-    .populate('instructor', 'name email');
+    await course.populate('category', 'name slug');
+    await course.populate('instructor', 'name email');
 
     res.json({
       success: true,
-      message: 'Course updated successfully',
-      data: updatedCourse
+      message: revised
+        ? 'Changes saved to the draft revision. Submit it for review to publish them.'
+        : 'Course updated successfully',
+      data: course
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+
     console.error('Update course error:', error);
     res.status(500).json({
       success: false,
@@ -352,23 +411,9 @@ router.put('/:id', [auth, ...courseValidation], async (req, res) => {
 // @route   DELETE /api/courses/:id
 // @desc    Delete a course
 // @access  Private (Instructor/Admin)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth, requirePermission('course:delete', { resource: Course })], async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found'
-      });
-    }
-
-    // Check if user owns the course or is admin
-    if (course.instructor.toString() !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this course'
-      });
-    }
+    const course = req.resource;
 
     // Check if there are active enrollments
     const activeEnrollments = await Enrollment.countDocuments({
@@ -403,21 +448,13 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/courses/instructor/my-courses
 // @desc    Get current instructor's courses
 // @access  Private (Instructor/Admin)
-router.get('/instructor/my-courses', auth, async (req, res) => {
+router.get('/instructor/my-courses', [auth, requirePermission('course:list:own')], async (req, res) => {
   try {
-    // Check if user is instructor or admin
-    if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only instructors can access this endpoint'
-      });
-    }
-
     const { page = 1, limit = 10, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build filter
-    const filter = { instructor: req.user.userId };
+    const filter = { instructor: req.user._id };
     if (status) {
       filter.status = status;
     }
@@ -441,11 +478,18 @@ router.get('/instructor/my-courses', auth, async (req, res) => {
         
         const revenue = await Enrollment.aggregate([
           { $match: { course: course._id, status: { $in: ['active', 'completed'] } } },
-          { $group: { _id: null, total: { $sum: '$amountPaid' } } }
+          { $group: { _id: null, total: { $sum: '$payment.amountPaid' } } }
         ]);
 
+        // Assignment submissions waiting in the grading queue
+        const pendingSubmissions = await Submission.countDocuments({
+          course: course._id,
+          status: 'submitted'
+        });
+
         courseObj.enrollmentCount = enrollmentCount;
         courseObj.revenue = revenue[0]?.total || 0;
+        courseObj.pendingSubmissions = pendingSubmissions;
         return courseObj;
       })
     );
@@ -475,8 +519,24 @@ router.get('/instructor/my-courses', auth, async (req, res) => {
 // @route   POST /api/courses/:id/enroll
 // @desc    Enroll in a course
 // @access  Private
-router.post('/:id/enroll', auth, async (req, res) => {
+router.post('/:id/enroll', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  requireVerifiedEmail,
+  body('couponCode').optional().trim().isLength({ max: 30 }).withMessage('Coupon code cannot exceed 30 characters')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const course = await Course.findById(req.params.id);
     if (!course) {
       return res.status(404).json({
@@ -495,7 +555,7 @@ router.post('/:id/enroll', auth, async (req, res) => {
 
     // Check if user is already enrolled
     const existingEnrollment = await Enrollment.findOne({
-      user: req.user.userId,
+      user: req.user._id,
       course: course._id,
       status: { $in: ['active', 'completed'] }
     });
@@ -507,15 +567,46 @@ router.post('/:id/enroll', auth, async (req, res) => {
       });
     }
 
+    const missingPrerequisites = await getMissingPrerequisites(course, req.user._id);
+    if (missingPrerequisites.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Complete the prerequisite courses before enrolling',
+        data: { missingPrerequisites }
+      });
+    }
+
+    const quote = req.body.couponCode
+      ? await quoteCoupon(req.body.couponCode, { course }, course.price, req.user._id)
+      : null;
+    if (quote && quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
     // Create enrollment
     const enrollment = new Enrollment({
-      user: req.user.userId,
+      user: req.user._id,
       course: course._id,
-      amountPaid: course.price,
+      payment: quote
+        ? { amountPaid: quote.finalPrice, coupon: quote.coupon._id, discount: quote.discount }
+        : { amountPaid: course.price },
       status: 'active'
     });
 
-    await enrollment.save();
+    if (quote) {
+      const redemption = await redeemCoupon(quote, req.user._id, () => enrollment.save());
+      if (redemption.error) {
+        return res.status(409).json({
+          success: false,
+          message: redemption.error
+        });
+      }
+    } else {
+      await enrollment.save();
+    }
     await enrollment.populate('course', 'title description instructor');
 
     // Increment enrollment count
@@ -538,28 +629,187 @@ router.post('/:id/enroll', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/courses/:id/content
-// @desc    Get course content for enrolled students
-// @access  Private (Enrolled students)
-router.get('/:id/content', auth, async (req, res) => {
+// @route   GET /api/courses/:id/prerequisite-overrides
+// @desc    List learners allowed to enroll without the prerequisites
+// @access  Private (Admin)
+router.get('/:id/prerequisite-overrides', [
+  auth,
+  requirePermission('course:prerequisite:override'),
+  param('id').isMongoId().withMessage('Valid course ID is required')
+], async (req, res) => {
   try {
-    // Check if user is enrolled in the course
-    const enrollment = await Enrollment.findOne({
-      user: req.user.userId,
-      course: req.params.id,
-      status: 'active'
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id)
+      .select('title prerequisites +prerequisiteOverrides')
+      .populate('prerequisites', 'title slug')
+      .populate('prerequisiteOverrides.user', 'firstName lastName email')
+      .populate('prerequisiteOverrides.grantedBy', 'firstName lastName');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        prerequisites: course.prerequisites,
+        overrides: course.prerequisiteOverrides
+      }
     });
 
-    if (!enrollment && req.user.role !== 'admin') {
-      return res.status(403).json({
+  } catch (error) {
+    console.error('Get prerequisite overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching prerequisite overrides',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/prerequisite-overrides
+// @desc    Let a learner enroll without completing the prerequisites
+// @access  Private (Admin)
+router.post('/:id/prerequisite-overrides', [
+  auth,
+  requirePermission('course:prerequisite:override'),
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'You are not enrolled in this course'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const course = await Course.findById(req.params.id)
-      .populate('sections.lessons', 'title duration type content videoUrl resources')
-      .select('+sections.content +sections.videoUrl');
+    const [course, learner] = await Promise.all([
+      Course.findById(req.params.id).select('title +prerequisiteOverrides'),
+      User.findById(req.body.userId).select('_id')
+    ]);
+
+    if (!course || !learner) {
+      return res.status(404).json({
+        success: false,
+        message: course ? 'User not found' : 'Course not found'
+      });
+    }
+
+    if (course.prerequisiteOverrides.some(override => String(override.user) === String(learner._id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This learner already has an override for this course'
+      });
+    }
+
+    const override = {
+      user: learner._id,
+      grantedBy: req.user._id,
+      grantedAt: new Date(),
+      reason: req.body.reason
+    };
+    await Course.updateOne({ _id: course._id }, { $push: { prerequisiteOverrides: override } });
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: learner._id,
+      action: 'course.prerequisite_override.grant',
+      details: { course: course._id, reason: req.body.reason }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Override granted',
+      data: override
+    });
+
+  } catch (error) {
+    console.error('Grant prerequisite override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while granting override',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/prerequisite-overrides/:userId
+// @desc    Withdraw a prerequisite override
+// @access  Private (Admin)
+router.delete('/:id/prerequisite-overrides/:userId', [
+  auth,
+  requirePermission('course:prerequisite:override'),
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Course.updateOne(
+      { _id: req.params.id, 'prerequisiteOverrides.user': req.params.userId },
+      { $pull: { prerequisiteOverrides: { user: req.params.userId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Override not found'
+      });
+    }
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: req.params.userId,
+      action: 'course.prerequisite_override.revoke',
+      details: { course: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Override withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Revoke prerequisite override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing override',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/content
+// @desc    Get course content for enrolled students
+// @access  Private (Enrolled students)
+router.get('/:id/content', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
 
     if (!course) {
       return res.status(404).json({
@@ -568,9 +818,33 @@ router.get('/:id/content', auth, async (req, res) => {
       });
     }
 
+    // Course staff can read all of the content without enrolling
+    if (can(req, 'course:content', course)) {
+      return res.json({
+        success: true,
+        data: course
+      });
+    }
+
+    // Learners read content through an active or completed enrollment, so it
+    // stays open after they finish; API keys only get it through course:content
+    const enrollment = !req.apiKey && await Enrollment.findOne({
+      user: req.user._id,
+      course: course._id,
+      status: { $in: ['active', 'completed'] }
+    });
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    // Modules still locked by the drip schedule come back without content
     res.json({
       success: true,
-      data: course
+      data: presentCourseContent(course, enrollment)
     });
 
   } catch (error) {
@@ -583,19 +857,29 @@ router.get('/:id/content', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/courses/:id/thumbnail
-// @desc    Upload course thumbnail
-// @access  Private (Instructor/Admin)
-router.post('/:id/thumbnail', [auth, upload.single('thumbnail')], async (req, res) => {
+// @route   POST /api/courses/:id/lessons/:lessonId/complete
+// @desc    Mark a lesson as completed and update course progress
+// @access  Private (Enrolled students)
+router.post('/:id/lessons/:lessonId/complete', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('lessonId').isMongoId().withMessage('Valid lesson ID is required'),
+  body('timeSpent').optional().isInt({ min: 0 }).withMessage('Time spent must be a positive number of minutes')
+], async (req, res) => {
   try {
-    if (!req.file) {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Please upload an image file'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const course = await Course.findById(req.params.id);
+    const course = await Course.findById(req.params.id).select('curriculum');
     if (!course) {
       return res.status(404).json({
         success: false,
@@ -603,14 +887,100 @@ router.post('/:id/thumbnail', [auth, upload.single('thumbnail')], async (req, re
       });
     }
 
-    // Check if user owns the course or is admin
-    if (course.instructor.toString() !== req.user.userId && req.user.role !== 'admin') {
+    const lesson = course.findLesson(req.params.lessonId);
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    // Quiz lessons are completed by passing their assessment
+    if (lesson.lessonType === 'quiz' &&
+        await Assessment.exists({ course: course._id, lesson: lesson._id, isPublished: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pass the quiz to complete this lesson'
+      });
+    }
+
+    // Assignment lessons are completed when the submission is graded
+    if (lesson.lessonType === 'assignment') {
+      return res.status(400).json({
+        success: false,
+        message: 'Hand in this assignment to complete the lesson'
+      });
+    }
+
+    // Completed enrollments can still work through optional lessons
+    const enrollment = await Enrollment.findOne({
+      user: req.user._id,
+      course: course._id,
+      status: { $in: ['active', 'completed'] }
+    });
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    if (!isLessonUnlocked(course, enrollment, lesson._id)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this course'
+        message: 'This lesson has not been unlocked yet'
+      });
+    }
+
+    const wasCompleted = enrollment.status === 'completed';
+
+    // Point the learner at the next lesson in the curriculum
+    const lessons = course.getLessons();
+    const next = lessons[lessons.indexOf(lesson) + 1];
+    enrollment.progress.currentLesson = next ? next._id : lesson._id;
+    enrollment.progress.lastAccessed = new Date();
+
+    await enrollment.markLessonCompleted(lesson._id, null, parseInt(req.body.timeSpent) || 0);
+
+    res.json({
+      success: true,
+      message: !wasCompleted && enrollment.status === 'completed'
+        ? 'Lesson completed. Congratulations, you have completed this course!'
+        : 'Lesson completed',
+      data: {
+        lesson: lesson._id,
+        progress: enrollment.progress.overall,
+        completedLessons: enrollment.progress.completedLessons.length,
+        totalLessons: lessons.length,
+        currentLesson: enrollment.progress.currentLesson,
+        status: enrollment.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Complete lesson error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing lesson',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/thumbnail
+// @desc    Upload course thumbnail
+// @access  Private (Instructor/Admin)
+router.post('/:id/thumbnail', [auth, requirePermission('course:update', { resource: Course }), upload.single('thumbnail')], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image file'
       });
     }
 
+    const course = req.resource;
     course.thumbnail = req.file.path;
     course.updatedAt = new Date();
     await course.save();
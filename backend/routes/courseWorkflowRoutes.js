@@ -0,0 +1,540 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { auditRequest } = require('../utils/auditLog');
+const {
+  snapshotCourse,
+  getWorkflowStatus,
+  hasRevision,
+  transition,
+  publishCourse,
+  diffContent
+} = require('../utils/courseWorkflow');
+const Course = require('../models/Course');
+const CourseVersion = require('../models/CourseVersion');
+
+// Mounted under /api/courses/:id/workflow. Courses move draft -> submitted
+// -> changes_requested/approved -> published -> archived. Once published,
+// edits collect in a revision that goes through the same review steps.
+
+const commentRule = body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters');
+
+// requirePermission loads the course without its revision
+const loadCourse = (req) => Course.findById(req.params.id).select('+revision');
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return true;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return false;
+};
+
+const describeWorkflow = (course) => ({
+  status: course.status,
+  workflowStatus: getWorkflowStatus(course),
+  version: course.version,
+  revision: course.revision ? {
+    status: course.revision.status,
+    basedOnVersion: course.revision.basedOnVersion,
+    updatedBy: course.revision.updatedBy,
+    updatedAt: course.revision.updatedAt
+  } : null,
+  reviewLog: course.reviewLog
+});
+
+// @route   GET /api/courses/:id/workflow
+// @desc    Get the course's review status, revision and review history
+// @access  Private (Instructor/Admin)
+router.get('/', [auth, requirePermission('course:update', { resource: Course })], async (req, res) => {
+  try {
+    const course = await loadCourse(req);
+    await course.populate('reviewLog.actor', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Get course workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching course workflow',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/workflow/submit
+// @desc    Submit the course, or the revision of a published course, for review
+// @access  Private (Instructor/Admin)
+router.post('/submit', [auth, requirePermission('course:update', { resource: Course }), commentRule], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const course = await loadCourse(req);
+    const status = getWorkflowStatus(course);
+
+    if (!['draft', 'changes_requested'].includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: course.status === 'published'
+          ? 'Edit the course to start a revision before submitting it'
+          : `A course that is ${status.replace('_', ' ')} cannot be submitted`
+      });
+    }
+
+    transition(course, 'submitted', 'submitted', req.user._id, req.body.comment);
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Submitted for review',
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Submit course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting course',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/workflow/review
+// @desc    Approve a submission or send it back with requested changes
+// @access  Private (Reviewer)
+router.post('/review', [
+  auth,
+  requirePermission('course:review'),
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  body('decision').isIn(['approve', 'request_changes']).withMessage('Decision must be approve or request_changes'),
+  commentRule,
+  body('comment').if(body('decision').equals('request_changes'))
+    .notEmpty().withMessage('Explain which changes are needed')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const course = await loadCourse(req);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (getWorkflowStatus(course) !== 'submitted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only submitted courses can be reviewed'
+      });
+    }
+
+    const approved = req.body.decision === 'approve';
+    transition(
+      course,
+      approved ? 'approved' : 'changes_requested',
+      approved ? 'approved' : 'changes_requested',
+      req.user._id,
+      req.body.comment
+    );
+    await course.save();
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: course.instructor,
+      action: approved ? 'course.review.approve' : 'course.review.request_changes',
+      details: { course: course._id, revision: hasRevision(course), comment: req.body.comment }
+    });
+
+    res.json({
+      success: true,
+      message: approved ? 'Approved for publication' : 'Changes requested',
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Review course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing course',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/workflow/publish
+// @desc    Publish an approved course or revision as the next version
+// @access  Private (Instructor/Admin)
+router.post('/publish', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  body('note').optional().trim().isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const course = await loadCourse(req);
+    if (getWorkflowStatus(course) !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only approved courses can be published'
+      });
+    }
+
+    await publishCourse(course, req.user._id, { note: req.body.note });
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: course.instructor,
+      action: 'course.publish',
+      details: { course: course._id, version: course.version }
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${course.version} published`,
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Publish course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while publishing course',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/workflow/archive
+// @desc    Take the course out of the catalogue; enrolled learners keep access
+// @access  Private (Instructor/Admin)
+router.post('/archive', [auth, requirePermission('course:update', { resource: Course }), commentRule], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const course = await loadCourse(req);
+    if (course.status === 'archived') {
+      return res.status(409).json({
+        success: false,
+        message: 'Course is already archived'
+      });
+    }
+
+    course.archivedFrom = course.status;
+    course.status = 'archived';
+    course.revision = undefined;
+    course.reviewLog.push({ action: 'archived', actor: req.user._id, comment: req.body.comment, version: course.version });
+    await course.save();
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: course.instructor,
+      action: 'course.archive',
+      details: { course: course._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Course archived',
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Archive course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while archiving course',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/workflow/restore
+// @desc    Bring an archived course back: published if it was live when archived, otherwise draft
+// @access  Private (Instructor/Admin)
+router.post('/restore', [auth, requirePermission('course:update', { resource: Course })], async (req, res) => {
+  try {
+    const course = await loadCourse(req);
+    if (course.status !== 'archived') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only archived courses can be restored'
+      });
+    }
+
+    // Archived courses can't be edited, so a course archived while live still
+    // matches its last published version. Anything else, such as an
+    // unpublished course edited afterwards, has to go through review again.
+    course.status = course.archivedFrom === 'published' ? 'published' : 'draft';
+    course.archivedFrom = undefined;
+    course.reviewLog.push({ action: 'restored', actor: req.user._id, version: course.version });
+    await course.save();
+
+    res.json({
+      success: true,
+      message: `Course restored as ${course.status}`,
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Restore course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring course',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/workflow/revision
+// @desc    Get the draft revision of a published course and how it differs
+// @access  Private (Instructor/Admin)
+router.get('/revision', [auth, requirePermission('course:update', { resource: Course })], async (req, res) => {
+  try {
+    const course = await loadCourse(req);
+    if (!hasRevision(course)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This course has no pending revision'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...describeWorkflow(course).revision,
+        content: course.revision.content,
+        changes: diffContent(snapshotCourse(course), course.revision.content)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/workflow/revision
+// @desc    Throw away the pending revision of a published course
+// @access  Private (Instructor/Admin)
+router.delete('/revision', [auth, requirePermission('course:update', { resource: Course })], async (req, res) => {
+  try {
+    const course = await loadCourse(req);
+    if (!hasRevision(course)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This course has no pending revision'
+      });
+    }
+
+    course.revision = undefined;
+    course.reviewLog.push({ action: 'revision_discarded', actor: req.user._id, revision: true, version: course.version });
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Revision discarded',
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Discard course revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while discarding revision',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/workflow/versions
+// @desc    List the published versions of a course
+// @access  Private (Instructor/Admin)
+router.get('/versions', [auth, requirePermission('course:update', { resource: Course })], async (req, res) => {
+  try {
+    const versions = await CourseVersion.find({ course: req.resource._id })
+      .select('-content')
+      .populate('publishedBy', 'firstName lastName')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: versions
+    });
+
+  } catch (error) {
+    console.error('Get course versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching versions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/workflow/versions/diff?from=1&to=2
+// @desc    Compare two versions; `to` may be "current" or "revision"
+// @access  Private (Instructor/Admin)
+router.get('/versions/diff', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  query('from').isInt({ min: 1 }).withMessage('from must be a version number'),
+  query('to').optional().custom(value => value === 'current' || value === 'revision' || /^[1-9]\d*$/.test(value))
+    .withMessage('to must be a version number, "current" or "revision"')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const course = await loadCourse(req);
+    const to = req.query.to || 'current';
+
+    const from = await CourseVersion.findOne({ course: course._id, version: parseInt(req.query.from) });
+    let target = null;
+    if (to === 'current') {
+      target = snapshotCourse(course);
+    } else if (to === 'revision') {
+      target = hasRevision(course) ? course.revision.content : null;
+    } else {
+      const version = await CourseVersion.findOne({ course: course._id, version: parseInt(to) });
+      target = version ? version.content : null;
+    }
+
+    if (!from || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: from.version,
+        to,
+        changes: diffContent(from.content, target)
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff course versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing versions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/workflow/versions/:version
+// @desc    Get the content of a published version
+// @access  Private (Instructor/Admin)
+router.get('/versions/:version', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  param('version').isInt({ min: 1 }).withMessage('Valid version number is required')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const version = await CourseVersion.findOne({ course: req.resource._id, version: parseInt(req.params.version) })
+      .populate('publishedBy', 'firstName lastName');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    console.error('Get course version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching version',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/workflow/versions/:version/rollback
+// @desc    Republish an earlier version as the next version
+// @access  Private (course:publish)
+router.post('/versions/:version/rollback', [
+  auth,
+  requirePermission('course:publish'),
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Valid version number is required'),
+  body('note').optional().trim().isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const course = await loadCourse(req);
+    const version = course && await CourseVersion.findOne({ course: course._id, version: parseInt(req.params.version) });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: course ? 'Version not found' : 'Course not found'
+      });
+    }
+
+    if (version.version === course.version && course.status === 'published') {
+      return res.status(409).json({
+        success: false,
+        message: 'This version is already live'
+      });
+    }
+
+    // A pending revision was based on the content being replaced
+    await publishCourse(course, req.user._id, {
+      content: version.content,
+      rolledBackFrom: version.version,
+      note: req.body.note || `Rolled back to version ${version.version}`
+    });
+
+    auditRequest(req, res, {
+      actor: req.user._id,
+      subject: course.instructor,
+      action: 'course.rollback',
+      details: { course: course._id, from: version.version, version: course.version }
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} republished as version ${course.version}`,
+      data: describeWorkflow(course)
+    });
+
+  } catch (error) {
+    console.error('Roll back course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rolling back course',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
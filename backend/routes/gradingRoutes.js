@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { can } = require('../utils/permissions');
+const { scoreSubmission, updateFinalGrade } = require('../utils/grading');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Submission = require('../models/Submission');
+
+// Mounted under /api/courses/instructor/submissions: the grading queue for
+// assignment submissions across the instructor's courses.
+
+// Load the submission named in the URL with its course, checking the grader
+// may grade that course. Sends the error response and returns null otherwise.
+const loadGradable = async (req, res) => {
+  const submission = await Submission.findById(req.params.submissionId);
+  const course = submission && await Course.findById(submission.course).select('title instructor curriculum');
+
+  if (!course || !can(req, 'course:grade', course)) {
+    res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+    return null;
+  }
+
+  const lesson = course.findLesson(submission.lesson);
+  if (!lesson) {
+    res.status(400).json({
+      success: false,
+      message: 'The assignment has been removed from the course'
+    });
+    return null;
+  }
+
+  if (submission.status !== 'submitted') {
+    res.status(409).json({
+      success: false,
+      message: submission.status === 'graded'
+        ? 'This submission has already been graded'
+        : 'A resubmission has already been requested for this submission'
+    });
+    return null;
+  }
+
+  return { submission, course, lesson };
+};
+
+// @route   GET /api/courses/instructor/submissions
+// @desc    List submissions to grade, oldest first, with late ones flagged
+// @access  Private (Instructor/Admin)
+router.get('/', [
+  auth,
+  requirePermission('course:grade'),
+  query('course').optional().isMongoId().withMessage('Valid course ID is required'),
+  query('status').optional().isIn(['submitted', 'graded', 'resubmission_requested', 'all']).withMessage('Please select a valid status')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course, status = 'submitted', late, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Instructors only see their own courses' work
+    const courseFilter = can(req, 'course:grade:any') ? {} : { instructor: req.user._id };
+    if (course) courseFilter._id = course;
+
+    const courses = await Course.find(courseFilter).select('title curriculum');
+    const coursesById = new Map(courses.map(entry => [entry._id.toString(), entry]));
+
+    const filter = { course: { $in: courses.map(entry => entry._id) } };
+    if (status !== 'all') filter.status = status;
+    if (late !== undefined) filter.isLate = late === 'true';
+
+    const [submissions, total] = await Promise.all([
+      Submission.find(filter)
+        .populate('user', 'firstName lastName email avatar')
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Submission.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        submissions: submissions.map(submission => {
+          const courseDoc = coursesById.get(submission.course.toString());
+          const lesson = courseDoc && courseDoc.findLesson(submission.lesson);
+
+          return {
+            ...submission.toObject(),
+            course: { _id: submission.course, title: courseDoc && courseDoc.title },
+            lessonTitle: lesson ? lesson.lessonTitle : undefined,
+            dueDate: lesson && lesson.assignment ? lesson.assignment.dueDate : undefined,
+            rubric: lesson && lesson.assignment ? lesson.assignment.rubric : []
+          };
+        }),
+        pagination: {
+          currentPage: parseInt(page),
+          totalSubmissions: total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching submissions',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/instructor/submissions/:submissionId/grade
+// @desc    Grade a submission against the assignment's rubric (or with a plain score)
+// @access  Private (Instructor/Admin)
+router.post('/:submissionId/grade', [
+  auth,
+  requirePermission('course:grade'),
+  param('submissionId').isMongoId().withMessage('Valid submission ID is required'),
+  body('rubricScores').optional().isArray().withMessage('Rubric scores must be an array of { criterion, points, comment }'),
+  body('rubricScores.*.criterion').isMongoId().withMessage('Each rubric score needs a valid criterion ID'),
+  body('rubricScores.*.points').isFloat({ min: 0 }).toFloat().withMessage('Points must be a positive number'),
+  body('rubricScores.*.comment').optional().trim().isLength({ max: 1000 }).withMessage('Comments cannot exceed 1000 characters'),
+  body('score').optional().isFloat({ min: 0, max: 100 }).toFloat().withMessage('Score must be between 0 and 100'),
+  body('feedback').optional().trim().isLength({ max: 5000 }).withMessage('Feedback cannot exceed 5000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await loadGradable(req, res);
+    if (!found) return;
+    const { submission, lesson } = found;
+
+    const { grade, error } = scoreSubmission(lesson, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    submission.grade = { ...grade, gradedBy: req.user._id, gradedAt: new Date() };
+    submission.feedback = req.body.feedback;
+    submission.status = 'graded';
+    await submission.save();
+
+    // A graded assignment completes its lesson and counts towards the final grade
+    const enrollment = await Enrollment.findById(submission.enrollment);
+    if (enrollment) {
+      await updateFinalGrade(enrollment);
+      await enrollment.markLessonCompleted(lesson._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Submission graded',
+      data: {
+        submission,
+        finalGrade: enrollment ? enrollment.finalGrade : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while grading submission',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/instructor/submissions/:submissionId/request-resubmission
+// @desc    Send a submission back to the student to rework
+// @access  Private (Instructor/Admin)
+router.post('/:submissionId/request-resubmission', [
+  auth,
+  requirePermission('course:grade'),
+  param('submissionId').isMongoId().withMessage('Valid submission ID is required'),
+  body('feedback').trim().isLength({ min: 1, max: 5000 }).withMessage('Tell the student what to change (up to 5000 characters)')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await loadGradable(req, res);
+    if (!found) return;
+    const { submission } = found;
+
+    submission.status = 'resubmission_requested';
+    submission.feedback = req.body.feedback;
+    submission.resubmissionRequestedAt = new Date();
+    await submission.save();
+
+    res.json({
+      success: true,
+      message: 'Resubmission requested',
+      data: submission
+    });
+
+  } catch (error) {
+    console.error('Request resubmission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting resubmission',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,513 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { optionalAuth, rejectApiKeys, rejectPartnerKeys } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { requireVerifiedEmail } = require('../middleware/verificationMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { can } = require('../utils/permissions');
+const { getMissingPrerequisites } = require('../utils/prerequisites');
+const { getPathProgress, syncPathCompletion, describePricing, priceBundle } = require('../utils/learningPaths');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+
+router.use(rejectPartnerKeys);
+
+const COURSE_FIELDS = 'title slug shortDescription thumbnail duration level price discountedPrice ratings isPublished';
+
+// Input validation schemas
+const pathValidation = [
+  body('title').trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+  body('description').trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be between 20 and 2000 characters'),
+  body('shortDescription').optional().trim().isLength({ max: 200 }).withMessage('Short description cannot exceed 200 characters'),
+  body('courses').isArray({ min: 2, max: 20 }).withMessage('A learning path needs 2-20 courses'),
+  body('courses.*').isMongoId().withMessage('Each course must be a valid course ID'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('level').optional().isIn(['beginner', 'intermediate', 'advanced']).withMessage('Please select a valid level'),
+  body('certificateAvailable').optional().isBoolean().withMessage('certificateAvailable must be a boolean'),
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean')
+];
+
+// Drafts are only visible to the people who manage paths
+const findVisiblePath = (req, id) => {
+  const filter = { _id: id };
+  if (!can(req, 'learningpath:manage')) filter.isPublished = true;
+  return LearningPath.findOne(filter).populate('courses', COURSE_FIELDS);
+};
+
+const presentPath = (path) => ({
+  ...path.toObject(),
+  pricing: describePricing(path),
+  totalDuration: path.courses.reduce((sum, course) => sum + (course.duration || 0), 0)
+});
+
+// Every listed course must exist; returns an error message or null
+const checkPathCourses = async (courseIds) => {
+  const ids = courseIds.map(String);
+  if (new Set(ids).size !== ids.length) return 'A course can only appear once in a learning path';
+
+  const found = await Course.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'One or more courses do not exist';
+};
+
+// @route   GET /api/learning-paths
+// @desc    List learning paths with their courses and bundle pricing
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const filter = can(req, 'learningpath:manage') ? {} : { isPublished: true };
+    const paths = await LearningPath.find(filter)
+      .populate('courses', COURSE_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: paths.map(presentPath)
+    });
+
+  } catch (error) {
+    console.error('Get learning paths error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching learning paths',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/my-paths
+// @desc    Get the current user's learning paths with progress
+// @access  Private
+router.get('/my-paths', auth, rejectApiKeys, async (req, res) => {
+  try {
+    const pathEnrollments = await PathEnrollment.find({
+      user: req.user._id,
+      status: { $in: ['active', 'completed'] }
+    })
+      .populate({ path: 'path', populate: { path: 'courses', select: COURSE_FIELDS } })
+      .sort({ enrollmentDate: -1 });
+
+    const data = [];
+    for (const pathEnrollment of pathEnrollments) {
+      if (!pathEnrollment.path) continue;
+
+      const progress = await getPathProgress(pathEnrollment.path, req.user._id);
+      await syncPathCompletion(pathEnrollment, pathEnrollment.path, progress);
+
+      data.push({
+        path: {
+          _id: pathEnrollment.path._id,
+          title: pathEnrollment.path.title,
+          slug: pathEnrollment.path.slug,
+          thumbnail: pathEnrollment.path.thumbnail
+        },
+        status: pathEnrollment.status,
+        enrollmentDate: pathEnrollment.enrollmentDate,
+        completedAt: pathEnrollment.completedAt,
+        percentage: progress.percentage,
+        completedCourses: progress.completedCourses,
+        totalCourses: progress.totalCourses,
+        nextCourse: progress.nextCourse
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get my learning paths error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your learning paths',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/:id
+// @desc    Get a learning path with its courses in order
+// @access  Public
+router.get('/:id', [
+  optionalAuth,
+  param('id').isMongoId().withMessage('Valid learning path ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const path = await findVisiblePath(req, req.params.id);
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning path not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: presentPath(path)
+    });
+
+  } catch (error) {
+    console.error('Get learning path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching learning path',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/learning-paths
+// @desc    Create a learning path
+// @access  Private (Admin)
+router.post('/', [auth, requirePermission('learningpath:manage'), ...pathValidation], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const courseError = await checkPathCourses(req.body.courses);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    const {
+      title,
+      description,
+      shortDescription,
+      courses,
+      price,
+      level,
+      thumbnail,
+      certificateAvailable,
+      isPublished = false
+    } = req.body;
+
+    const path = new LearningPath({
+      title,
+      description,
+      shortDescription,
+      courses,
+      price,
+      level,
+      thumbnail,
+      certificateAvailable,
+      isPublished,
+      createdBy: req.user._id
+    });
+
+    await path.save();
+    await path.populate('courses', COURSE_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Learning path created successfully',
+      data: presentPath(path)
+    });
+
+  } catch (error) {
+    console.error('Create learning path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating learning path',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/learning-paths/:id
+// @desc    Update a learning path
+// @access  Private (Admin)
+router.put('/:id', [
+  auth,
+  requirePermission('learningpath:manage', { resource: LearningPath }),
+  ...pathValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const courseError = await checkPathCourses(req.body.courses);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    const path = req.resource;
+    ['title', 'description', 'shortDescription', 'courses', 'price', 'level', 'thumbnail', 'certificateAvailable', 'isPublished']
+      .forEach(field => {
+        if (req.body[field] !== undefined) path[field] = req.body[field];
+      });
+
+    await path.save();
+    await path.populate('courses', COURSE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Learning path updated successfully',
+      data: presentPath(path)
+    });
+
+  } catch (error) {
+    console.error('Update learning path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating learning path',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/learning-paths/:id
+// @desc    Delete a learning path
+// @access  Private (Admin)
+router.delete('/:id', [auth, requirePermission('learningpath:manage', { resource: LearningPath })], async (req, res) => {
+  try {
+    const enrolled = await PathEnrollment.countDocuments({
+      path: req.resource._id,
+      status: { $in: ['active', 'completed'] }
+    });
+
+    if (enrolled > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a learning path with enrolled learners. Please unpublish it instead.'
+      });
+    }
+
+    await LearningPath.findByIdAndDelete(req.resource._id);
+
+    res.json({
+      success: true,
+      message: 'Learning path deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete learning path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting learning path',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/learning-paths/:id/enroll
+// @desc    Buy the bundle: enroll in the path and every course on it
+// @access  Private
+router.post('/:id/enroll', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  requireVerifiedEmail,
+  param('id').isMongoId().withMessage('Valid learning path ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const path = await LearningPath.findOne({ _id: req.params.id, isPublished: true })
+      .populate('courses', `${COURSE_FIELDS} prerequisites`);
+
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning path not found'
+      });
+    }
+
+    if (path.courses.length !== path.populated('courses').length ||
+        path.courses.some(course => !course.isPublished)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This learning path is not available for enrollment'
+      });
+    }
+
+    const existing = await PathEnrollment.findOne({ user: req.user._id, path: path._id });
+    if (existing && existing.status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already enrolled in this learning path'
+      });
+    }
+
+    const enrolled = await Enrollment.find({
+      user: req.user._id,
+      course: { $in: path.courses.map(course => course._id) },
+      status: { $in: ['active', 'completed'] }
+    }).select('course');
+    const enrolledIds = new Set(enrolled.map(enrollment => String(enrollment.course)));
+    const toEnroll = path.courses.filter(course => !enrolledIds.has(String(course._id)));
+
+    // The whole bundle is enrolled at once, so courses on the path count as
+    // done for each other's prerequisites; prerequisites outside it still apply
+    const missingPrerequisites = [];
+    for (const course of toEnroll) {
+      const missing = await getMissingPrerequisites(course, req.user._id, { satisfied: path.courses.map(c => c._id) });
+      missingPrerequisites.push(...missing);
+    }
+
+    if (missingPrerequisites.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Complete the prerequisite courses before enrolling',
+        data: { missingPrerequisites }
+      });
+    }
+
+    // Courses the learner already owns come off the bundle price
+    const { amountPaid, shares } = priceBundle(path, toEnroll);
+
+    const pathEnrollment = existing || new PathEnrollment({ user: req.user._id, path: path._id });
+    pathEnrollment.status = 'active';
+    pathEnrollment.enrollmentDate = new Date();
+    pathEnrollment.amountPaid = amountPaid;
+    await pathEnrollment.save();
+
+    // Each new course records its share of what was paid. Cancelled or
+    // expired enrollments in a course are reactivated, as there can only be
+    // one enrollment per user and course.
+    for (const [index, course] of toEnroll.entries()) {
+      await Enrollment.findOneAndUpdate(
+        { user: req.user._id, course: course._id },
+        {
+          $set: {
+            learningPath: path._id,
+            enrollmentType: shares[index] > 0 ? 'paid' : 'free',
+            enrollmentDate: new Date(),
+            'payment.amountPaid': shares[index],
+            status: 'active'
+          },
+          $unset: { 'payment.coupon': 1, 'payment.discount': 1 }
+        },
+        { upsert: true, setDefaultsOnInsert: true, runValidators: true }
+      );
+      await Course.updateOne({ _id: course._id }, { $inc: { studentsEnrolled: 1 } });
+    }
+
+    const progress = await getPathProgress(path, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Successfully enrolled in learning path',
+      data: {
+        enrollment: pathEnrollment,
+        enrolledCourses: toEnroll.map(course => course._id),
+        progress
+      }
+    });
+
+  } catch (error) {
+    console.error('Enroll in learning path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enrolling in learning path',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/:id/progress
+// @desc    Get the current user's progress through a learning path
+// @access  Private (Enrolled learners)
+router.get('/:id/progress', [
+  auth,
+  rejectApiKeys,
+  param('id').isMongoId().withMessage('Valid learning path ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pathEnrollment = await PathEnrollment.findOne({
+      user: req.user._id,
+      path: req.params.id,
+      status: { $in: ['active', 'completed'] }
+    }).populate({ path: 'path', populate: { path: 'courses', select: COURSE_FIELDS } });
+
+    if (!pathEnrollment || !pathEnrollment.path) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this learning path'
+      });
+    }
+
+    const { path } = pathEnrollment;
+    const progress = await getPathProgress(path, req.user._id);
+    await syncPathCompletion(pathEnrollment, path, progress);
+
+    res.json({
+      success: true,
+      data: {
+        path: { _id: path._id, title: path.title, slug: path.slug },
+        status: pathEnrollment.status,
+        enrollmentDate: pathEnrollment.enrollmentDate,
+        completedAt: pathEnrollment.completedAt,
+        certificate: pathEnrollment.certificate.issued ? {
+          certificateId: pathEnrollment.certificate.certificateId,
+          issuedAt: pathEnrollment.certificate.issuedAt,
+          revoked: pathEnrollment.certificate.revoked,
+          downloadUrl: pathEnrollment.certificate.downloadUrl,
+          verificationUrl: pathEnrollment.certificate.verificationUrl
+        } : null,
+        ...progress
+      }
+    });
+
+  } catch (error) {
+    console.error('Get learning path progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching learning path progress',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
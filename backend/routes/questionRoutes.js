@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const Course = require('../models/Course');
+const Question = require('../models/Question');
+const Assessment = require('../models/Assessment');
+
+const { QUESTION_TYPES } = Question;
+
+// Mounted under /api/courses/:id/questions. The question bank holds the
+// answers, so only course staff can read it.
+
+const questionValidation = [
+  body('type').isIn(QUESTION_TYPES).withMessage('Please select a valid question type'),
+  body('text').trim().isLength({ min: 1, max: 2000 }).withMessage('Question text must be between 1 and 2000 characters'),
+  body('options').optional().isArray({ max: 10 }).withMessage('Options must be an array of at most 10 choices'),
+  body('options.*.text').trim().isLength({ min: 1, max: 500 }).withMessage('Option text must be between 1 and 500 characters'),
+  body('options.*.isCorrect').optional().isBoolean().withMessage('isCorrect must be a boolean'),
+  body('acceptedAnswers').optional().isArray({ max: 20 }).withMessage('Accepted answers must be an array'),
+  body('acceptedAnswers.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Accepted answers must be between 1 and 200 characters'),
+  body('caseSensitive').optional().isBoolean().withMessage('caseSensitive must be a boolean'),
+  body('points').optional().isFloat({ min: 0, max: 100 }).withMessage('Points must be between 0 and 100'),
+  body('explanation').optional().trim().isLength({ max: 2000 }).withMessage('Explanation cannot exceed 2000 characters'),
+  body('tags').optional().isArray().withMessage('Tags must be an array')
+];
+
+const pickQuestionFields = ({ type, text, options, acceptedAnswers, caseSensitive, points, explanation, tags }) => ({
+  type,
+  text,
+  options: options || [],
+  acceptedAnswers: acceptedAnswers || [],
+  caseSensitive,
+  points,
+  explanation,
+  tags: tags || []
+});
+
+// @route   GET /api/courses/:id/questions
+// @desc    List the course's question bank
+// @access  Private (Course staff)
+router.get('/', [auth, requirePermission('course:content', { resource: Course })], async (req, res) => {
+  try {
+    const { type, tag } = req.query;
+
+    const filter = { course: req.resource._id };
+    if (type) filter.type = type;
+    if (tag) filter.tags = String(tag).toLowerCase();
+
+    const questions = await Question.find(filter).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: questions
+    });
+
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching questions',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/questions
+// @desc    Add a question to the course's question bank
+// @access  Private (Instructor/Admin)
+router.post('/', [auth, requirePermission('course:update', { resource: Course }), ...questionValidation], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = new Question({
+      ...pickQuestionFields(req.body),
+      course: req.resource._id,
+      createdBy: req.user._id
+    });
+
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created successfully',
+      data: question
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+
+    console.error('Create question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating question',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id/questions/:questionId
+// @desc    Update a question. Attempts already graded keep their scores.
+// @access  Private (Instructor/Admin)
+router.put('/:questionId', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  param('questionId').isMongoId().withMessage('Valid question ID is required'),
+  ...questionValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findOne({ _id: req.params.questionId, course: req.resource._id });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    question.set(pickQuestionFields(req.body));
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      data: question
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+
+    console.error('Update question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating question',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/questions/:questionId
+// @desc    Delete a question and remove it from the course's assessments
+// @access  Private (Instructor/Admin)
+router.delete('/:questionId', [
+  auth,
+  requirePermission('course:update', { resource: Course }),
+  param('questionId').isMongoId().withMessage('Valid question ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findOneAndDelete({ _id: req.params.questionId, course: req.resource._id });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    await Assessment.updateMany(
+      { course: req.resource._id },
+      { $pull: { questions: question._id } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Question deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting question',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
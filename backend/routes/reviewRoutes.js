@@ -0,0 +1,343 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, validationResult, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { optionalAuth, rejectApiKeys, rejectPartnerKeys } = require('../middleware/authMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+
+router.use(rejectPartnerKeys);
+
+// Mounted under /api/courses/:id/reviews. A review is the `rating` of a
+// student's enrollment, so its id is the enrollment id.
+
+const SORTS = {
+  recent: { 'rating.submittedAt': -1 },
+  helpful: { 'rating.helpful.count': -1, 'rating.submittedAt': -1 },
+  highest: { 'rating.score': -1, 'rating.submittedAt': -1 },
+  lowest: { 'rating.score': 1, 'rating.submittedAt': -1 }
+};
+
+// Public shape of a review; voter ids stay private
+const presentReview = (enrollment, viewer) => ({
+  _id: enrollment._id,
+  score: enrollment.rating.score,
+  review: enrollment.rating.review,
+  submittedAt: enrollment.rating.submittedAt,
+  editedAt: enrollment.rating.editedAt,
+  helpfulCount: enrollment.rating.helpful.count,
+  votedHelpful: viewer
+    ? enrollment.rating.helpful.users.some(id => String(id) === String(viewer._id))
+    : undefined,
+  user: enrollment.user ? {
+    _id: enrollment.user._id,
+    firstName: enrollment.user.firstName,
+    lastName: enrollment.user.lastName,
+    avatar: enrollment.user.avatar
+  } : undefined,
+  // Badge for reviewers who finished the course
+  completedCourse: enrollment.status === 'completed'
+});
+
+// @route   GET /api/courses/:id/reviews
+// @desc    List a course's public reviews with a rating breakdown
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  query('sort').optional().isIn(Object.keys(SORTS)).withMessage(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`),
+  query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating filter must be between 1 and 5'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sort = 'recent', rating, page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const course = await Course.findById(req.params.id).select('ratings');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const filter = {
+      course: course._id,
+      'rating.score': rating ? parseInt(rating) : { $gte: 1 },
+      'rating.isPublic': true
+    };
+
+    const [reviews, total, distribution] = await Promise.all([
+      Enrollment.find(filter)
+        .select('user status rating')
+        .populate('user', 'firstName lastName avatar')
+        .sort(SORTS[sort])
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Enrollment.countDocuments(filter),
+      Enrollment.aggregate([
+        { $match: { course: new mongoose.Types.ObjectId(course._id), 'rating.score': { $gte: 1 } } },
+        { $group: { _id: '$rating.score', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(entry => {
+      breakdown[entry._id] = entry.count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          average: course.ratings.average,
+          count: course.ratings.count,
+          breakdown
+        },
+        reviews: reviews.map(enrollment => presentReview(enrollment, req.user)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalReviews: total,
+          hasNext: skip + reviews.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id/reviews
+// @desc    Create or edit the current user's review of a course. Edits only
+//          change the fields sent; a new review needs a score.
+// @access  Private (Enrolled students)
+router.put('/', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  body('score').optional().isInt({ min: 1, max: 5 }).toInt().withMessage('Rating must be a whole number from 1 to 5'),
+  body('review').optional().trim().isLength({ max: 1000 }).withMessage('Review cannot exceed 1000 characters'),
+  body('isPublic').optional().isBoolean().toBoolean().withMessage('isPublic must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const enrollment = await Enrollment.findOne({
+      user: req.user._id,
+      course: course._id,
+      status: { $in: ['active', 'completed'] }
+    });
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students enrolled in this course can review it'
+      });
+    }
+
+    const isNew = !enrollment.rating.score;
+    const { score, review, isPublic } = req.body;
+
+    if (isNew && score === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating is required'
+      });
+    }
+
+    if (score !== undefined) enrollment.rating.score = score;
+    if (review !== undefined) enrollment.rating.review = review;
+    if (isPublic !== undefined) enrollment.rating.isPublic = isPublic;
+
+    if (isNew) {
+      enrollment.rating.submittedAt = new Date();
+    } else {
+      enrollment.rating.editedAt = new Date();
+    }
+
+    await enrollment.save();
+    await course.updateRatings();
+    await enrollment.populate('user', 'firstName lastName avatar');
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Thanks for reviewing this course' : 'Review updated',
+      data: {
+        review: presentReview(enrollment, req.user),
+        ratings: course.ratings
+      }
+    });
+
+  } catch (error) {
+    console.error('Save review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving review',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/reviews/:reviewId/helpful
+// @desc    Mark a review as helpful
+// @access  Private
+router.post('/:reviewId/helpful', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('reviewId').isMongoId().withMessage('Valid review ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Enrollment.findOne({
+      _id: req.params.reviewId,
+      course: req.params.id,
+      'rating.score': { $gte: 1 },
+      'rating.isPublic': true
+    }).select('user rating.helpful.count');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (String(review.user) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote for your own review'
+      });
+    }
+
+    // The $ne guard makes repeated votes a no-op
+    await Enrollment.updateOne(
+      { _id: review._id, 'rating.helpful.users': { $ne: req.user._id } },
+      {
+        $addToSet: { 'rating.helpful.users': req.user._id },
+        $inc: { 'rating.helpful.count': 1 }
+      }
+    );
+
+    const updated = await Enrollment.findById(review._id).select('rating.helpful.count');
+
+    res.json({
+      success: true,
+      message: 'Thanks for your feedback',
+      data: { helpfulCount: updated.rating.helpful.count, votedHelpful: true }
+    });
+
+  } catch (error) {
+    console.error('Vote review helpful error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voting',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/reviews/:reviewId/helpful
+// @desc    Withdraw a helpful vote
+// @access  Private
+router.delete('/:reviewId/helpful', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('reviewId').isMongoId().withMessage('Valid review ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Enrollment.updateOne(
+      { _id: req.params.reviewId, course: req.params.id, 'rating.helpful.users': req.user._id },
+      {
+        $pull: { 'rating.helpful.users': req.user._id },
+        $inc: { 'rating.helpful.count': -1 }
+      }
+    );
+
+    const review = await Enrollment.findOne({ _id: req.params.reviewId, course: req.params.id })
+      .select('rating.helpful.count');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote removed',
+      data: { helpfulCount: review.rating.helpful.count, votedHelpful: false }
+    });
+
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing vote',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, param } = require('express-validator');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { can } = require('../utils/permissions');
 const Service = require('../models/Service');
 const Category = require('../models/Category');
 
@@ -169,7 +170,7 @@ router.get('/:id', [
 // @route   POST /api/services
 // @desc    Create a new service (Consultants only)
 // @access  Private (Consultant)
-router.post('/', [auth, ...serviceValidation], async (req, res) => {
+router.post('/', [auth, requirePermission('service:create'), ...serviceValidation], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -181,14 +182,6 @@ router.post('/', [auth, ...serviceValidation], async (req, res) => {
       });
     }
 
-    // Check if user is a consultant
-    if (req.user.role !== 'consultant') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only consultants can create services'
-      });
-    }
-
     const {
       title,
       description,
@@ -203,7 +196,7 @@ router.post('/', [auth, ...serviceValidation], async (req, res) => {
     // Check if consultant already has a service with same title
     const existingService = await Service.findOne({
       title,
-      consultant: req.user.userId
+      consultant: req.user._id
     });
 
     if (existingService) {
@@ -223,7 +216,7 @@ router.post('/', [auth, ...serviceValidation], async (req, res) => {
       features: features || [],
       requirements: requirements || [],
       isActive,
-      consultant: req.user.userId
+      consultant: req.user._id
     });
 
     await service.save();
@@ -248,7 +241,7 @@ router.post('/', [auth, ...serviceValidation], async (req, res) => {
 // @route   PUT /api/services/:id
 // @desc    Update a service
 // @access  Private (Consultant/Admin)
-router.put('/:id', [auth, ...serviceValidation], async (req, res) => {
+router.put('/:id', [auth, requirePermission('service:update', { resource: Service }), ...serviceValidation], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -260,26 +253,10 @@ router.put('/:id', [auth, ...serviceValidation], async (req, res) => {
       });
     }
 
-    const service = await Service.findById(req.params.id);
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Service not found'
-      });
-    }
-
-    // Check if user owns the service or is admin
-    if (service.consultant.toString() !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this service'
-      });
-    }
-
     const updateFields = { ...req.body, updatedAt: new Date() };
     
-    // Remove consultant field if not admin (consultants can't transfer services)
-    if (req.user.role !== 'admin') {
+    // Only editors of any service may reassign it (consultants can't transfer services)
+    if (!can(req, 'service:update:any')) {
       delete updateFields.consultant;
     }
 
@@ -309,23 +286,9 @@ router.put('/:id', [auth, ...serviceValidation], async (req, res) => {
 // @route   DELETE /api/services/:id
 // @desc    Delete a service
 // @access  Private (Consultant/Admin)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth, requirePermission('service:update', { resource: Service })], async (req, res) => {
   try {
-    const service = await Service.findById(req.params.id);
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Service not found'
-      });
-    }
-
-    // Check if user owns the service or is admin
-    if (service.consultant.toString() !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this service'
-      });
-    }
+    const service = req.resource;
 
     // Soft delete by setting isActive to false
     service.isActive = false;
@@ -350,21 +313,13 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/services/consultant/my-services
 // @desc    Get current consultant's services
 // @access  Private (Consultant)
-router.get('/consultant/my-services', auth, async (req, res) => {
+router.get('/consultant/my-services', [auth, requirePermission('service:list:own')], async (req, res) => {
   try {
-    // Check if user is a consultant
-    if (req.user.role !== 'consultant') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only consultants can access this endpoint'
-      });
-    }
-
     const { page = 1, limit = 10, status = 'all' } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build filter
-    const filter = { consultant: req.user.userId };
+    const filter = { consultant: req.user._id };
     if (status === 'active') {
       filter.isActive = true;
     } else if (status === 'inactive') {
@@ -443,23 +398,9 @@ router.get('/consultant/:consultantId', [
 // @route   POST /api/services/:id/toggle-active
 // @desc    Toggle service active status
 // @access  Private (Consultant/Admin)
-router.post('/:id/toggle-active', auth, async (req, res) => {
+router.post('/:id/toggle-active', [auth, requirePermission('service:update', { resource: Service })], async (req, res) => {
   try {
-    const service = await Service.findById(req.params.id);
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Service not found'
-      });
-    }
-
-    // Check if user owns the service or is admin
-    if (service.consultant.toString() !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to modify this service'
-      });
-    }
+    const service = req.resource;
 
     service.isActive = !service.isActive;
     service.updatedAt = new Date();
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const fs = require('fs');
+const path = require('path');
+const { body, validationResult, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { rejectApiKeys, rejectPartnerKeys } = require('../middleware/authMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { uploadMultiple } = require('../middleware/uploadMiddleware');
+const { can } = require('../utils/permissions');
+const { isLessonUnlocked } = require('../utils/drip');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Submission = require('../models/Submission');
+
+router.use(rejectPartnerKeys);
+
+// Mounted under /api/courses/:id/lessons/:lessonId/submissions. Students hand
+// in assignment work here; grading happens in the instructor queue.
+
+const removeFiles = (files = []) => files.forEach(file => {
+  fs.unlink(file.path, (err) => {
+    if (err) console.error('Error deleting file:', err);
+  });
+});
+
+// The course and assignment lesson named in the URL, or an error response
+const loadAssignment = async (req, res) => {
+  const course = await Course.findById(req.params.id).select('instructor curriculum');
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+    return null;
+  }
+
+  const lesson = course.findLesson(req.params.lessonId);
+  if (!lesson || lesson.lessonType !== 'assignment') {
+    res.status(404).json({
+      success: false,
+      message: 'Assignment not found'
+    });
+    return null;
+  }
+
+  return { course, lesson };
+};
+
+// @route   POST /api/courses/:id/lessons/:lessonId/submissions
+// @desc    Hand in an assignment as text and/or files (field "files", up to 5)
+// @access  Private (Enrolled students)
+router.post('/', [
+  auth,
+  rejectApiKeys,
+  blockWhileImpersonating,
+  uploadMultiple('files', 5),
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('lessonId').isMongoId().withMessage('Valid lesson ID is required'),
+  body('text').optional().trim().isLength({ max: 20000 }).withMessage('Submission text cannot exceed 20000 characters')
+], async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeFiles(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.body.text && files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add some text or at least one file to your submission'
+      });
+    }
+
+    const found = await loadAssignment(req, res);
+    if (!found) {
+      removeFiles(files);
+      return;
+    }
+    const { course, lesson } = found;
+
+    const enrollment = await Enrollment.findOne({
+      user: req.user._id,
+      course: course._id,
+      status: { $in: ['active', 'completed'] }
+    });
+
+    if (!enrollment) {
+      removeFiles(files);
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this course'
+      });
+    }
+
+    if (!isLessonUnlocked(course, enrollment, lesson._id)) {
+      removeFiles(files);
+      return res.status(403).json({
+        success: false,
+        message: 'This lesson has not been unlocked yet'
+      });
+    }
+
+    const latest = await Submission.findOne({ user: req.user._id, lesson: lesson._id })
+      .sort({ attemptNumber: -1 });
+
+    if (latest && latest.status !== 'resubmission_requested') {
+      removeFiles(files);
+      return res.status(409).json({
+        success: false,
+        message: latest.status === 'graded'
+          ? 'This assignment has already been graded'
+          : 'You have already handed in this assignment. It is waiting to be graded.'
+      });
+    }
+
+    // Requested resubmissions are accepted whatever the due date
+    const settings = lesson.assignment || {};
+    const pastDue = Boolean(settings.dueDate) && new Date() > settings.dueDate && !latest;
+
+    if (pastDue && settings.allowLateSubmissions === false) {
+      removeFiles(files);
+      return res.status(400).json({
+        success: false,
+        message: 'The due date for this assignment has passed'
+      });
+    }
+
+    const submission = await Submission.create({
+      course: course._id,
+      lesson: lesson._id,
+      enrollment: enrollment._id,
+      user: req.user._id,
+      attemptNumber: latest ? latest.attemptNumber + 1 : 1,
+      text: req.body.text,
+      files: files.map(file => ({
+        originalName: file.originalname,
+        filename: file.filename,
+        path: file.path,
+        mimeType: file.mimetype,
+        size: file.size
+      })),
+      isLate: pastDue
+    });
+
+    res.status(201).json({
+      success: true,
+      message: pastDue ? 'Assignment submitted after the due date' : 'Assignment submitted',
+      data: submission
+    });
+
+  } catch (error) {
+    removeFiles(files);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already handed in this assignment. It is waiting to be graded.'
+      });
+    }
+
+    console.error('Submit assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting assignment',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/lessons/:lessonId/submissions
+// @desc    Get the student's submissions and grades for an assignment (staff see everyone's)
+// @access  Private (Enrolled students/Course staff)
+router.get('/', [
+  auth,
+  rejectApiKeys,
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  param('lessonId').isMongoId().withMessage('Valid lesson ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await loadAssignment(req, res);
+    if (!found) return;
+    const { course, lesson } = found;
+
+    const filter = { lesson: lesson._id, course: course._id };
+    if (!can(req, 'course:grade', course)) {
+      filter.user = req.user._id;
+    }
+
+    const submissions = await Submission.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('grade.gradedBy', 'firstName lastName')
+      .sort({ submittedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        assignment: {
+          lessonTitle: lesson.lessonTitle,
+          instructions: lesson.assignment && lesson.assignment.instructions,
+          dueDate: lesson.assignment && lesson.assignment.dueDate,
+          rubric: lesson.assignment ? lesson.assignment.rubric : []
+        },
+        submissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching submissions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/lessons/:lessonId/submissions/:submissionId/files/:fileId
+// @desc    Download a file attached to a submission
+// @access  Private (Submitting student/Course staff)
+router.get('/:submissionId/files/:fileId', [
+  auth,
+  rejectApiKeys,
+  param('submissionId').isMongoId().withMessage('Valid submission ID is required'),
+  param('fileId').isMongoId().withMessage('Valid file ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findOne({
+      _id: req.params.submissionId,
+      course: req.params.id,
+      lesson: req.params.lessonId
+    }).select('+files.path').populate('course', 'instructor');
+
+    const isOwner = submission && String(submission.user) === String(req.user._id);
+    if (!submission || (!isOwner && !can(req, 'course:grade', submission.course))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const file = submission.files.id(req.params.fileId);
+    if (!file || !fs.existsSync(file.path)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.download(path.resolve(file.path), file.originalName);
+
+  } catch (error) {
+    console.error('Download submission file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading file',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,313 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const { rejectApiKeys } = require('../middleware/authMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { deprecatedAlias } = require('../middleware/deprecationMiddleware');
+const { authValidation, userValidation } = require('../middleware/validationMiddleware');
 const upload = require('../middleware/upload');
 const User = require('../models/User');
-const Consultant = require('../models/Consultant');
-
-// Input validation schemas
-const registerValidation = [
-  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
-  body('role').isIn(['student', 'consultant', 'business']).withMessage('Please select a valid role')
-];
-
-const loginValidation = [
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
-];
-
-const profileValidation = [
-  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
-  body('bio').optional().trim().isLength({ max: 500 }).withMessage('Bio must be less than 500 characters'),
-  body('location').optional().trim().isLength({ max: 100 }).withMessage('Location must be less than 100 characters'),
-  body('website').optional().isURL().withMessage('Please provide a valid URL'),
-  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name must be less than 100 characters'),
-  body('jobTitle').optional().trim().isLength({ max: 100 }).withMessage('Job title must be less than 100 characters')
-];
+const DataExport = require('../models/DataExport');
+const {
+  registerUser,
+  loginUser,
+  getMe,
+  updateProfile,
+  changePassword,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+const { identifyDevice, clearRefreshCookie } = require('../utils/sessionService');
+const { scheduleAccountDeletion, cancelAccountDeletion } = require('../utils/accountDeletion');
+const { requestDataExport, findDownload } = require('../utils/dataExport');
+const { loginGuard, forgotPasswordGuard } = require('../middleware/bruteForceMiddleware');
+
+router.use(rejectApiKeys);
+router.use(identifyDevice);
+
+// Deprecated aliases. Registration, login, profile and password endpoints
+// live under /api/auth; these keep old clients working by forwarding to the
+// same handlers (same validation, same responses), adapting old request
+// shapes where they differ.
 
 // @route   POST /api/users/register
-// @desc    Register a new user
+// @desc    Deprecated alias of POST /api/auth/register
 // @access  Public
-router.post('/register', registerValidation, async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { name, email, password, role } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User already exists with this email'
-      });
-    }
-
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create user
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role
-    });
-
-    await user.save();
-
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // If user is consultant, create consultant profile
-    if (role === 'consultant') {
-      const consultant = new Consultant({
-        user: user._id,
-        name: user.name,
-        email: user.email,
-        isActive: false // Requires admin approval
-      });
-      await consultant.save();
-    }
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          avatar: user.avatar
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration',
-      error: error.message
-    });
-  }
-});
+router.post('/register', deprecatedAlias('/api/auth/register'), authValidation.register, registerUser);
 
 // @route   POST /api/users/login
-// @desc    Authenticate user and get token
+// @desc    Deprecated alias of POST /api/auth/login
 // @access  Public
-router.post('/login', loginValidation, async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { email, password, rememberMe } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated. Please contact support.'
-      });
-    }
-
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Create JWT token
-    const tokenExpiry = rememberMe ? '30d' : '7d';
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: tokenExpiry }
-    );
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          avatar: user.avatar,
-          isActive: user.isActive
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during login',
-      error: error.message
-    });
-  }
-});
+router.post('/login', deprecatedAlias('/api/auth/login'), authValidation.login, loginGuard, loginUser);
 
 // @route   GET /api/users/profile
-// @desc    Get current user profile
+// @desc    Deprecated alias of GET /api/auth/me
 // @access  Private
-router.get('/profile', auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId)
-      .select('-password -resetPasswordToken -resetPasswordExpire');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    let profileData = { ...user.toObject() };
-
-    // If user is consultant, include consultant profile
-    if (user.role === 'consultant') {
-      const consultantProfile = await Consultant.findOne({ user: user._id });
-      profileData.consultantProfile = consultantProfile;
-    }
-
-    res.json({
-      success: true,
-      data: profileData
-    });
-
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching profile',
-      error: error.message
-    });
-  }
-});
+router.get('/profile', deprecatedAlias('/api/auth/me'), auth, getMe);
 
 // @route   PUT /api/users/profile
-// @desc    Update user profile
+// @desc    Deprecated alias of PUT /api/auth/profile
 // @access  Private
-router.put('/profile', [auth, ...profileValidation], async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const {
-      name, email, phone, bio, location, website, company, jobTitle,
-      notificationSettings, communicationPreferences
-    } = req.body;
-
-    // Check if email is already taken by another user
-    if (email) {
-      const existingUser = await User.findOne({ 
-        email, 
-        _id: { $ne: req.user.userId } 
-      });
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email is already taken by another user'
-        });
-      }
-    }
-
-    const updateFields = {
-      name, email, phone, bio, location, website, company, jobTitle,
-      notificationSettings, communicationPreferences,
-      updatedAt: new Date()
-    };
-
-    // Remove undefined fields
-    Object.keys(updateFields).forEach(key => 
-      updateFields[key] === undefined && delete updateFields[key]
-    );
-
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { $set: updateFields },
-      { new: true, runValidators: true }
-    ).select('-password -resetPasswordToken -resetPasswordExpire');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      data: user
-    });
-
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating profile',
-      error: error.message
-    });
-  }
-});
+router.put('/profile', deprecatedAlias('/api/auth/profile'), auth, userValidation.updateProfile, updateProfile);
 
 // @route   POST /api/users/avatar
 // @desc    Upload user avatar
@@ -322,9 +64,9 @@ router.post('/avatar', auth, upload.single('avatar'), async (req, res) => {
     }
 
     const user = await User.findByIdAndUpdate(
-      req.user.userId,
+      req.user._id,
       { 
-        avatar: req.file.path,
+        avatar: { url: req.file.path },
         updatedAt: new Date()
       },
       { new: true }
@@ -349,12 +91,63 @@ router.post('/avatar', auth, upload.single('avatar'), async (req, res) => {
 });
 
 // @route   POST /api/users/change-password
-// @desc    Change user password
+// @desc    Deprecated alias of PUT /api/auth/change-password
+// @access  Private
+router.post('/change-password', deprecatedAlias('/api/auth/change-password'), auth, blockWhileImpersonating, userValidation.changePassword, changePassword);
+
+// @route   POST /api/users/forgot-password
+// @desc    Deprecated alias of POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', deprecatedAlias('/api/auth/forgot-password'), forgotPasswordGuard, forgotPassword);
+
+// The old contract sent the token and `newPassword` in the body
+const resetPasswordFromBody = (req, res, next) => {
+  req.params.token = String(req.body.token || '');
+  if (req.body.password === undefined) req.body.password = req.body.newPassword;
+  next();
+};
+
+// @route   POST /api/users/reset-password
+// @desc    Deprecated alias of PUT /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password', deprecatedAlias('/api/auth/reset-password/:token'), resetPasswordFromBody, authValidation.resetPassword, resetPassword);
+
+// @route   GET /api/users/stats
+// @desc    Get user statistics
+// @access  Private
+router.get('/stats', auth, async (req, res) => {
+  try {
+    // In a real application, you would aggregate data from various collections
+    // For now, returning placeholder stats
+    const stats = {
+      coursesEnrolled: 0,
+      consultationsBooked: 0,
+      hoursLearned: 0,
+      achievements: 0,
+      lastActive: new Date()
+    };
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user statistics',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/account
+// @desc    Schedule account deletion after a grace period
 // @access  Private
-router.post('/change-password', auth, [
-  body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+router.delete('/account', auth, blockWhileImpersonating, [
+  body('password').notEmpty().withMessage('Please confirm your password'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -367,9 +160,7 @@ router.post('/change-password', auth, [
       });
     }
 
-    const { currentPassword, newPassword } = req.body;
-
-    const user = await User.findById(req.user.userId).select('+password');
+    const user = await User.findById(req.user._id).select('+password');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -377,194 +168,168 @@ router.post('/change-password', auth, [
       });
     }
 
-    // Verify current password
-    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
-    if (!isCurrentPasswordValid) {
+    if (!(await user.comparePassword(req.body.password))) {
       return res.status(401).json({
         success: false,
-        message: 'Current password is incorrect'
+        message: 'Password is incorrect'
       });
     }
 
-    // Hash new password
-    const saltRounds = 12;
-    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: { scheduledFor: user.deletion.scheduledFor }
+      });
+    }
 
-    // Update password
-    user.password = hashedNewPassword;
-    user.updatedAt = new Date();
-    await user.save();
+    const scheduledFor = await scheduleAccountDeletion(user, req.body.reason);
+    clearRefreshCookie(res);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Sign in before then to cancel.`,
+      data: { scheduledFor }
     });
 
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Delete account error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while changing password',
+      message: 'Server error while deleting account',
       error: error.message
     });
   }
 });
 
-// @route   POST /api/users/forgot-password
-// @desc    Request password reset
-// @access  Public
-router.post('/forgot-password', [
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
-], async (req, res) => {
+// @route   POST /api/users/account/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/account/cancel-deletion', auth, async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const user = await User.findById(req.user._id);
+    if (!user || !user.deletion || !user.deletion.scheduledFor) {
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'No account deletion is scheduled'
       });
     }
 
-    const { email } = req.body;
-
-    const user = await User.findOne({ email });
-    if (!user) {
-      // Don't reveal whether email exists
-      return res.json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent'
-      });
-    }
+    await cancelAccountDeletion(user);
 
-    // Generate reset token (in a real app, you'd send an email)
-    const resetToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET + user.password,
-      { expiresIn: '1h' }
-    );
-
-    // In production, you would:
-    // 1. Save reset token to user document
-    // 2. Send email with reset link
-    // 3. Handle token expiration
-
-    // For now, we'll just return success
     res.json({
       success: true,
-      message: 'If an account with that email exists, a password reset link has been sent'
+      message: 'Account deletion cancelled'
     });
 
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Cancel account deletion error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while processing password reset',
+      message: 'Server error while cancelling account deletion',
       error: error.message
     });
   }
 });
 
-// @route   POST /api/users/reset-password
-// @desc    Reset password with token
-// @access  Public
-router.post('/reset-password', [
-  body('token').notEmpty().withMessage('Reset token is required'),
-  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
-], async (req, res) => {
+// @route   POST /api/users/export
+// @desc    Request a ZIP of all personal data; the link is emailed when ready
+// @access  Private
+router.post('/export', auth, blockWhileImpersonating, async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const dataExport = await requestDataExport(req.user._id);
+    if (!dataExport) {
+      return res.status(409).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'An export is already being prepared. We will email you when it is ready.'
       });
     }
 
-    const { token, newPassword } = req.body;
-
-    // In production, you would:
-    // 1. Verify the reset token
-    // 2. Find user by reset token
-    // 3. Check if token is expired
-    // 4. Update password and clear reset token
-
-    // For now, we'll return a placeholder response
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Password reset functionality will be implemented with email service'
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: {
+        export: {
+          id: dataExport._id,
+          status: dataExport.status,
+          createdAt: dataExport.createdAt
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('Request data export error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while resetting password',
+      message: 'Server error while requesting data export',
       error: error.message
     });
   }
 });
 
-// @route   GET /api/users/stats
-// @desc    Get user statistics
+// @route   GET /api/users/export
+// @desc    List the user's recent data exports
 // @access  Private
-router.get('/stats', auth, async (req, res) => {
+router.get('/export', auth, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    
-    // In a real application, you would aggregate data from various collections
-    // For now, returning placeholder stats
-    const stats = {
-      coursesEnrolled: 0,
-      consultationsBooked: 0,
-      hoursLearned: 0,
-      achievements: 0,
-      lastActive: new Date()
-    };
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('status size createdAt completedAt expiresAt downloadedAt');
 
     res.json({
       success: true,
-      data: stats
+      data: { exports }
     });
 
   } catch (error) {
-    console.error('Get user stats error:', error);
+    console.error('Get data exports error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching user statistics',
+      message: 'Server error while fetching data exports',
       error: error.message
     });
   }
 });
 
-// @route   DELETE /api/users/account
-// @desc    Delete user account
-// @access  Private
-router.delete('/account', auth, async (req, res) => {
+// @route   GET /api/users/export/download/:token
+// @desc    Download a data export with the emailed token
+// @access  Public (download token)
+router.get('/export/download/:token', async (req, res) => {
   try {
-    const userId = req.user.userId;
-
-    // In production, you might want to soft delete or anonymize data
-    // For now, we'll just return a success message
-    // await User.findByIdAndDelete(userId);
+    const dataExport = await findDownload(req.params.token);
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'This download link is invalid or has expired'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Account deletion functionality will be implemented with proper data handling'
+    const filename = `starmediatech-data-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`;
+    res.set('Cache-Control', 'no-store');
+    res.download(dataExport.filePath, filename, (error) => {
+      if (error) {
+        console.error('Data export download error:', error);
+        if (!res.headersSent) {
+          res.status(404).json({
+            success: false,
+            message: 'This download link is invalid or has expired'
+          });
+        }
+        return;
+      }
+      DataExport.updateOne({ _id: dataExport._id }, { $set: { downloadedAt: new Date() } })
+        .catch(updateError => console.error('Data export download update error:', updateError));
     });
 
   } catch (error) {
-    console.error('Delete account error:', error);
+    console.error('Download data export error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting account',
+      message: 'Server error while downloading data export',
       error: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
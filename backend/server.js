@@ -4,6 +4,7 @@ const express = require('express');
 const path = require('path');
 const dotenv = require('dotenv');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -13,6 +14,10 @@ const http = require('http');
 const socketIo = require('socket.io');
 const sanitizeHtml = require('sanitize-html');
 const os = require('os');
+const { identifyApiKey } = require('./middleware/authMiddleware');
+const { startAccountDeletionJob } = require('./utils/accountDeletion');
+const { startDataExportJob } = require('./utils/dataExport');
+const { startDripNotificationJob } = require('./utils/drip');
 
 dotenv.config();
 const app = express();
@@ -24,6 +29,7 @@ app.disable('x-powered-by');
 app.use(helmet({ crossOriginEmbedderPolicy: false }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 app.use(compression());
 const clientOrigins = (process.env.CLIENT_URL || '').split(',').map(s => s.trim()).filter(Boolean);
 app.use(cors({
@@ -57,9 +63,11 @@ const limiter = rateLimit({
   max: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   message: { error: 'Too many requests' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Verified API keys are limited per key instead
+  skip: (req) => Boolean(req.apiKey)
 });
-app.use('/api', limiter);
+app.use('/api', identifyApiKey, limiter);
 
 // ===============================
 // 🌐 DATABASE
@@ -116,7 +124,6 @@ app.get(['/index.html', '/pages/*', '/css/*', '/js/*', '/images/*'], (req, res,
 // 🌌 DASHBOARD
 // ===============================
 app.get('/', (req, res) => {
-  const env = process.env.NODE_ENV || 'development';
   res.send(`
   <html>
   <head>
@@ -283,4 +290,9 @@ io.on('connection',socket=>{
 // ===============================
 // 🌐 START SERVER
 // ===============================
-connectDB().then(()=>server.listen(PORT,()=>console.log(`🚀 Server running at http://localhost:${PORT}`)));
+connectDB().then(()=>{
+  startAccountDeletionJob();
+  startDataExportJob();
+  startDripNotificationJob();
+  server.listen(PORT,()=>console.log(`🚀 Server running at http://localhost:${PORT}`));
+});
@@ -0,0 +1,158 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Consultant = require('../models/Consultant');
+const Consultation = require('../models/Consultation');
+const DataExport = require('../models/DataExport');
+const Enrollment = require('../models/Enrollment');
+const Submission = require('../models/Submission');
+const userRoutes = require('../routes/userRoutes');
+const { sendEmail } = require('../utils/emailService');
+const { anonymizeUser, purgeDueAccounts } = require('../utils/accountDeletion');
+const { signInAs } = require('./helpers/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newUser = (fields = {}) => new User({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  password: 'Sup3r-secret',
+  isVerified: true,
+  ...fields
+});
+
+describe('deleting your account', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+
+  let user;
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+    user = newUser();
+    signInAs(user);
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user);
+      query.select = async () => user;
+      return query;
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const deleteAccount = (password = 'right') => request(app).delete('/api/users/account').send({ password, reason: 'Moving on' });
+
+  it('needs the password', async () => {
+    jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(false);
+
+    expect((await deleteAccount('wrong')).status).toBe(401);
+    expect(user.deletion.scheduledFor).toBeUndefined();
+  });
+
+  it('schedules deletion after the grace period and signs out everywhere', async () => {
+    jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(true);
+
+    const res = await deleteAccount();
+
+    expect(res.status).toBe(200);
+    expect(user.deletion.scheduledFor.getTime()).toBeGreaterThan(Date.now() + 13 * DAY_MS);
+    expect(user.deletion.reason).toBe('Moving on');
+    expect(Session.updateMany).toHaveBeenCalledWith(expect.objectContaining({ user: user._id }), expect.anything());
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'accountDeletionScheduled' }));
+
+    expect((await deleteAccount()).status).toBe(400);
+  });
+
+  it('can be cancelled during the grace period', async () => {
+    user.deletion = { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 14 * DAY_MS) };
+
+    const res = await request(app).post('/api/users/account/cancel-deletion');
+
+    expect(res.status).toBe(200);
+    expect(user.deletion.scheduledFor).toBeUndefined();
+    expect((await request(app).post('/api/users/account/cancel-deletion')).status).toBe(400);
+  });
+});
+
+describe('anonymizing a deleted account', () => {
+  let user;
+  let update;
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+    user = newUser({ avatar: { url: '/somewhere/else/avatar.png' }, phone: '555-0100' });
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'deleteOne');
+    jest.spyOn(Enrollment, 'deleteMany');
+    for (const Model of [Session, ApiKey, Consultant, Consultation, Enrollment, Submission]) {
+      jest.spyOn(Model, 'updateMany').mockResolvedValue({});
+    }
+    jest.spyOn(Submission, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(DataExport, 'find').mockReturnValue({ select: async () => [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('strips personal data but keeps the records that point at the account', async () => {
+    await anonymizeUser(user._id);
+
+    const [filter, { $set, $unset }] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: user._id });
+    expect($set).toMatchObject({
+      firstName: 'Deleted',
+      lastName: 'User',
+      email: `deleted-${user._id}@deleted.invalid`,
+      isActive: false,
+      deletedAt: expect.any(Date)
+    });
+    expect($set.password).not.toBe(user.password);
+    expect($unset).toMatchObject({ phone: 1, avatar: 1, passwordHistory: 1 });
+
+    expect(User.deleteOne).not.toHaveBeenCalled();
+    expect(Enrollment.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('revokes access and removes what the user wrote', async () => {
+    await anonymizeUser(user._id);
+
+    expect(Session.updateMany).toHaveBeenCalledWith(expect.objectContaining({ user: user._id }), expect.anything());
+    expect(ApiKey.updateMany).toHaveBeenCalledWith(expect.objectContaining({ user: user._id }), { $set: { revokedAt: expect.any(Date) } });
+    expect(Consultation.updateMany).toHaveBeenCalledWith({ user: user._id }, { $unset: { userNotes: 1 } });
+    expect(Submission.updateMany).toHaveBeenCalledWith({ user: user._id }, { $set: { files: [] }, $unset: { text: 1 } });
+    expect(Enrollment.updateMany).toHaveBeenCalledWith(
+      { 'rating.helpful.users': user._id },
+      { $pull: { 'rating.helpful.users': user._id } }
+    );
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'jane@example.com', template: 'accountDeleted' }));
+  });
+
+  it('leaves accounts that were already anonymized alone', async () => {
+    user.deletedAt = new Date();
+
+    expect(await anonymizeUser(user._id)).toBeNull();
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('only purges accounts whose grace period is over', async () => {
+    const find = jest.spyOn(User, 'find').mockReturnValue({ select: async () => [{ _id: user._id }] });
+
+    expect(await purgeDueAccounts()).toBe(1);
+    expect(find).toHaveBeenCalledWith({
+      'deletion.scheduledFor': { $lte: expect.any(Date) },
+      deletedAt: { $exists: false }
+    });
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+});
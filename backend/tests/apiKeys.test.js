@@ -0,0 +1,222 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Partner = require('../models/Partner');
+const Role = require('../models/Role');
+const { generateApiKey, extractApiKey, isValidIpRule, validateScopes, resolveApiKey } = require('../utils/apiKeyService');
+const { identifyApiKey, protect, rejectPartnerKeys, rejectApiKeys } = require('../middleware/authMiddleware');
+const { clearPermissionCache } = require('../utils/permissions');
+
+const headers = (values) => ({ get: (name) => values[name.toLowerCase()] });
+
+const userId = new mongoose.Types.ObjectId();
+const partnerId = new mongoose.Types.ObjectId();
+
+// Issue a key and make ApiKey.findOne return it for its prefix
+const issueKey = (keys, fields) => {
+  const { key, prefix, keyHash } = generateApiKey();
+  keys.set(prefix, { _id: new mongoose.Types.ObjectId(), prefix, keyHash, allowedIps: [], scopes: [], ...fields });
+  return key;
+};
+
+describe('API keys', () => {
+  let keys;
+
+  beforeEach(() => {
+    keys = new Map();
+    jest.spyOn(ApiKey, 'findOne').mockImplementation(({ prefix }) => ({ select: async () => keys.get(prefix) || null }));
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: async () => (String(id) === String(userId) ? { _id: userId, role: 'instructor', isActive: true } : null)
+    }));
+    jest.spyOn(Partner, 'findById').mockImplementation(async (id) => (
+      String(id) === String(partnerId) ? { _id: partnerId, status: 'active' } : null
+    ));
+    jest.spyOn(Role, 'findOne').mockReturnValue({ lean: async () => null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearPermissionCache();
+  });
+
+  describe('extractApiKey', () => {
+    it('reads X-API-Key and Bearer smk_ headers only', () => {
+      expect(extractApiKey(headers({ 'x-api-key': ' smk_abc ' }))).toBe('smk_abc');
+      expect(extractApiKey(headers({ authorization: 'Bearer smk_abc' }))).toBe('smk_abc');
+      expect(extractApiKey(headers({ authorization: 'Bearer eyJhbGciOi' }))).toBeNull();
+      expect(extractApiKey(headers({}))).toBeNull();
+    });
+  });
+
+  describe('key settings', () => {
+    it('validates IP allowlist rules', () => {
+      expect(isValidIpRule('203.0.113.7')).toBe(true);
+      expect(isValidIpRule('203.0.113.0/24')).toBe(true);
+      expect(isValidIpRule('2001:db8::1')).toBe(true);
+      expect(isValidIpRule('203.0.113.0/33')).toBe(false);
+      expect(isValidIpRule('not-an-ip')).toBe(false);
+    });
+
+    it('keeps partner keys to the read-only partner scopes', () => {
+      expect(validateScopes(['course:view:any'], { partner: true })).toBeNull();
+      expect(validateScopes(['course:delete:any'], { partner: true })).toMatch(/^Partner keys cannot use/);
+      expect(validateScopes(['made:up'], { partner: false })).toBe('Unknown scopes: made:up');
+    });
+  });
+
+  describe('resolveApiKey', () => {
+    const req = { ip: '::ffff:203.0.113.7' };
+
+    it('limits user keys to scopes the owner still holds', async () => {
+      const key = issueKey(keys, { user: userId, scopes: ['course:create', 'user:view:any'] });
+      const { user, permissions, error } = await resolveApiKey(key, req);
+
+      expect(error).toBeUndefined();
+      expect(user._id).toBe(userId);
+      expect([...permissions]).toEqual(['course:create']);
+    });
+
+    it('rejects malformed, unknown and tampered keys', async () => {
+      const key = issueKey(keys, { user: userId });
+
+      expect(await resolveApiKey('smk_nope', req)).toEqual({ error: 'Invalid API key' });
+      expect(await resolveApiKey(generateApiKey().key, req)).toEqual({ error: 'Invalid API key' });
+      expect(await resolveApiKey(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`, req)).toEqual({ error: 'Invalid API key' });
+    });
+
+    it('rejects revoked and expired keys and keys used from other addresses', async () => {
+      const revoked = issueKey(keys, { user: userId, revokedAt: new Date() });
+      const expired = issueKey(keys, { user: userId, expiresAt: new Date(Date.now() - 1000) });
+      const elsewhere = issueKey(keys, { user: userId, allowedIps: ['198.51.100.0/24'] });
+      const allowed = issueKey(keys, { user: userId, allowedIps: ['203.0.113.0/24'] });
+
+      expect(await resolveApiKey(revoked, req)).toEqual({ error: 'API key has been revoked' });
+      expect(await resolveApiKey(expired, req)).toEqual({ error: 'API key has expired' });
+      expect(await resolveApiKey(elsewhere, req)).toEqual({ error: 'API key is not allowed from this address' });
+      expect((await resolveApiKey(allowed, req)).error).toBeUndefined();
+    });
+
+    it('rejects keys whose owner is inactive', async () => {
+      const key = issueKey(keys, { partner: new mongoose.Types.ObjectId() });
+      expect(await resolveApiKey(key, req)).toEqual({ error: 'API key owner is inactive' });
+    });
+  });
+
+  describe('middleware', () => {
+    const app = express();
+    const globalLimiter = rateLimit({
+      windowMs: 60 * 1000,
+      limit: 3,
+      standardHeaders: true,
+      legacyHeaders: false,
+      skip: (req) => Boolean(req.apiKey)
+    });
+    app.use('/api', identifyApiKey, globalLimiter);
+    app.get('/api/public', (req, res) => res.json({ success: true }));
+    app.get('/api/me', protect, (req, res) => res.json({ user: req.user && String(req.user._id), partner: Boolean(req.partner) }));
+    app.get('/api/mine', rejectPartnerKeys, protect, (req, res) => res.json({ success: true }));
+    app.get('/api/account', rejectApiKeys, (req, res) => res.json({ success: true }));
+
+    it('turns away made-up keys instead of skipping the global limiter', async () => {
+      const res = await request(app).get('/api/public').set('X-API-Key', 'smk_fake');
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid API key');
+    });
+
+    it('authenticates verified keys and exempts them from the global limiter', async () => {
+      const key = issueKey(keys, { user: userId, scopes: ['course:create'] });
+
+      for (let i = 0; i < 5; i++) {
+        const res = await request(app).get('/api/me').set('Authorization', `Bearer ${key}`);
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ user: String(userId), partner: false });
+      }
+    });
+
+    it('keeps partner keys off user-scoped routes', async () => {
+      const key = issueKey(keys, { partner: partnerId, scopes: ['course:view:any'] });
+
+      expect((await request(app).get('/api/me').set('X-API-Key', key)).body).toEqual({ partner: true });
+
+      const res = await request(app).get('/api/mine').set('X-API-Key', key);
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Partner API keys cannot be used for this endpoint');
+    });
+
+    it('refuses API keys for account management', async () => {
+      const key = issueKey(keys, { user: userId });
+      expect((await request(app).get('/api/account').set('X-API-Key', key)).status).toBe(403);
+    });
+
+    it('applies the global limiter to requests without a key', async () => {
+      const statuses = [];
+      for (let i = 0; i < 4; i++) statuses.push((await request(app).get('/api/public')).status);
+      expect(statuses).toEqual([200, 200, 200, 429]);
+    });
+  });
+
+  describe('routes that act as the key owner', () => {
+    const courseRoutes = require('../routes/courseRoutes');
+    const learningPathRoutes = require('../routes/learningPathRoutes');
+    const couponRoutes = require('../routes/couponRoutes');
+    const certificateRoutes = require('../routes/certificateRoutes');
+    const consultationRoutes = require('../routes/consultationRoutes');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', identifyApiKey);
+    app.use('/api/courses', courseRoutes);
+    app.use('/api/learning-paths', learningPathRoutes);
+    app.use('/api/coupons', couponRoutes);
+    app.use('/api/certificates', certificateRoutes);
+    app.use('/api/consultations', consultationRoutes);
+
+    const id = () => String(new mongoose.Types.ObjectId());
+    const learnerRoutes = [
+      ['post', `/api/courses/${id()}/enroll`],
+      ['post', `/api/courses/${id()}/lessons/${id()}/complete`],
+      ['put', `/api/courses/${id()}/reviews`],
+      ['post', `/api/courses/${id()}/reviews/${id()}/helpful`],
+      ['get', `/api/courses/${id()}/assessments`],
+      ['post', `/api/courses/${id()}/assessments/${id()}/attempts`],
+      ['post', `/api/courses/${id()}/lessons/${id()}/submissions`],
+      ['get', `/api/courses/${id()}/lessons/${id()}/submissions`],
+      ['post', `/api/learning-paths/${id()}/enroll`],
+      ['get', '/api/learning-paths/my-paths'],
+      ['post', '/api/coupons/validate'],
+      ['get', '/api/certificates'],
+      ['get', `/api/consultations/consultant/availability?consultantId=${id()}&date=2026-01-01`]
+    ];
+
+    it.each(learnerRoutes)('refuses a narrowly scoped key on %s %s', async (method, path) => {
+      const key = issueKey(keys, { user: userId, scopes: ['course:create'] });
+
+      const res = await request(app)[method](path).set('X-API-Key', key).send({});
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('API keys cannot be used for this endpoint');
+    });
+
+    it('checks scopes on routes that declare a permission', async () => {
+      const key = issueKey(keys, { user: userId, scopes: ['course:create'] });
+
+      const res = await request(app).post('/api/coupons').set('X-API-Key', key).send({});
+
+      expect(res.status).toBe(403);
+      expect(res.body.permission).toBe('coupon:manage');
+    });
+
+    it('does not list the owner\'s consultations without a consultation:view scope', async () => {
+      const key = issueKey(keys, { user: userId, scopes: ['course:create'] });
+
+      const res = await request(app).get('/api/consultations').set('X-API-Key', key);
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Not authorized to list consultations');
+    });
+  });
+});
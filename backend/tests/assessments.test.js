@@ -0,0 +1,144 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const Question = require('../models/Question');
+const Assessment = require('../models/Assessment');
+const Submission = require('../models/Submission');
+const courseRoutes = require('../routes/courseRoutes');
+const { signInAs } = require('./helpers/auth');
+
+const courseId = new mongoose.Types.ObjectId();
+
+const choice = (type, correct, fields = {}) => new Question({
+  course: courseId,
+  type,
+  text: `${type} question`,
+  options: ['A', 'B', 'C'].map((text, index) => ({ text, isCorrect: correct.includes(index) })),
+  ...fields
+});
+
+const optionIds = (question, ...indexes) => indexes.map(index => String(question.options[index]._id));
+
+describe('checking answers', () => {
+  it('needs the one correct option for multiple choice', () => {
+    const question = choice('multiple_choice', [1]);
+
+    expect(question.isCorrectAnswer(optionIds(question, 1)[0])).toBe(true);
+    expect(question.isCorrectAnswer(optionIds(question, 0)[0])).toBe(false);
+    expect(question.isCorrectAnswer(optionIds(question, 0, 1))).toBe(false);
+    expect(question.isCorrectAnswer(undefined)).toBe(false);
+  });
+
+  it('needs every correct option and nothing else for multi-select', () => {
+    const question = choice('multi_select', [0, 2]);
+
+    expect(question.isCorrectAnswer(optionIds(question, 2, 0))).toBe(true);
+    expect(question.isCorrectAnswer(optionIds(question, 0))).toBe(false);
+    expect(question.isCorrectAnswer(optionIds(question, 0, 1, 2))).toBe(false);
+  });
+
+  it('compares short answers after trimming and collapsing whitespace', () => {
+    const question = new Question({ course: courseId, type: 'short_answer', text: 'Codec?', acceptedAnswers: ['Apple ProRes'] });
+
+    expect(question.isCorrectAnswer('  apple   prores ')).toBe(true);
+    expect(question.isCorrectAnswer('')).toBe(false);
+
+    question.caseSensitive = true;
+    expect(question.isCorrectAnswer('apple prores')).toBe(false);
+  });
+});
+
+describe('submitting an attempt', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const learner = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'x', role: 'user' });
+  const easy = choice('multiple_choice', [0]);
+  const hard = choice('multiple_choice', [1], { points: 3 });
+  const lessonId = new mongoose.Types.ObjectId();
+  let assessment;
+  let enrollment;
+
+  beforeEach(() => {
+    signInAs(learner);
+    assessment = new Assessment({ course: courseId, lesson: lessonId, title: 'Editing quiz', questions: [easy._id, hard._id], passMark: 70 });
+    enrollment = new Enrollment({ user: learner._id, course: courseId });
+    enrollment.assessments.push({
+      assessment: assessment._id,
+      attempts: [{ attemptNumber: 1, startedAt: new Date(), answers: [{ question: easy._id }, { question: hard._id }] }]
+    });
+
+    jest.spyOn(Assessment, 'findOne').mockImplementation(async () => assessment);
+    jest.spyOn(Enrollment, 'findOne').mockImplementation(async () => enrollment);
+    jest.spyOn(Question, 'find').mockResolvedValue([easy, hard]);
+    jest.spyOn(Submission, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Enrollment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const submit = (answers) => request(app)
+    .post(`/api/courses/${courseId}/assessments/${assessment._id}/attempts/1/submit`)
+    .send({ answers });
+
+  const answer = (question, index) => ({ question: String(question._id), answer: optionIds(question, index)[0] });
+
+  it('scores by points and completes the quiz lesson on a pass', async () => {
+    const res = await submit([answer(easy, 1), answer(hard, 1)]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ score: 75, passed: true, correctAnswers: 1, totalQuestions: 2, bestScore: 75 });
+    expect(enrollment.assessments[0].passed).toBe(true);
+    expect(enrollment.finalGrade.score).toBe(75);
+    expect(enrollment.progress.completedLessons.map(completion => String(completion.lesson))).toEqual([String(lessonId)]);
+  });
+
+  it('does not complete the lesson below the pass mark', async () => {
+    const res = await submit([answer(easy, 0), answer(hard, 0)]);
+
+    expect(res.body.data).toMatchObject({ score: 25, passed: false });
+    expect(enrollment.progress.completedLessons).toHaveLength(0);
+  });
+
+  it('ignores answers to questions that were not drawn for the attempt', async () => {
+    const other = choice('multiple_choice', [0]);
+
+    const res = await submit([answer(other, 0), answer(easy, 0)]);
+
+    expect(res.body.data.correctAnswers).toBe(1);
+    expect(res.body.data.answers.map(entry => entry.question)).toEqual([String(easy._id), String(hard._id)]);
+  });
+
+  it('only shows the correct answers when the assessment allows it', async () => {
+    assessment.showAnswers = false;
+
+    const res = await submit([answer(easy, 1)]);
+
+    expect(res.body.data.answers[0].correctOptions).toBeUndefined();
+    expect(res.body.data.answers[0].isCorrect).toBe(false);
+  });
+
+  it('grades each attempt once', async () => {
+    await submit([answer(easy, 0)]);
+    const again = await submit([answer(easy, 0), answer(hard, 1)]);
+
+    expect(again.status).toBe(409);
+    expect(enrollment.assessments[0].attempts[0].score).toBe(25);
+  });
+
+  it('does not count answers that arrive after the time limit', async () => {
+    assessment.timeLimit = 10;
+    enrollment.assessments[0].attempts[0].startedAt = new Date(Date.now() - 11 * 60 * 1000);
+
+    const res = await submit([answer(easy, 0), answer(hard, 1)]);
+
+    expect(res.body.data).toMatchObject({ late: true, score: 0 });
+  });
+});
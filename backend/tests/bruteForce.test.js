@@ -0,0 +1,139 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+
+const AuthThrottle = require('../models/AuthThrottle');
+const { sendEmail } = require('../utils/emailService');
+const {
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  recordMagicLinkRequest
+} = require('../utils/bruteForce');
+
+const MINUTE = 60 * 1000;
+const req = { ip: '203.0.113.7' };
+const user = { email: 'jane@example.com', firstName: 'Jane' };
+
+// Just enough of the AuthThrottle collection for the queries bruteForce makes
+const mockThrottleStore = () => {
+  const docs = new Map();
+  const lapsed = (doc, query) => {
+    const [windowLapsed, lockLapsed] = query.$or;
+    const now = lockLapsed.lockedUntil.$lte;
+    const locked = doc.lockedUntil && doc.lockedUntil > now;
+    return (doc.windowStart < windowLapsed.windowStart.$lt && !locked) || (doc.lockedUntil && doc.lockedUntil <= now);
+  };
+
+  jest.spyOn(AuthThrottle, 'updateOne').mockImplementation(async (query, update) => {
+    const doc = docs.get(query.key);
+    if (doc && lapsed(doc, query)) {
+      doc.set(update.$set);
+      Object.keys(update.$unset).forEach(field => { doc[field] = undefined; });
+    }
+  });
+  jest.spyOn(AuthThrottle, 'findOneAndUpdate').mockImplementation(async ({ key }, update) => {
+    if (!docs.has(key)) docs.set(key, new AuthThrottle({ key, ...update.$setOnInsert, ...update.$set }));
+    const doc = docs.get(key);
+    doc.failures += update.$inc.failures;
+    doc.expiresAt = update.$set.expiresAt;
+    return doc;
+  });
+  jest.spyOn(AuthThrottle, 'find').mockImplementation(async ({ key }) => key.$in.map(k => docs.get(k)).filter(Boolean));
+  jest.spyOn(AuthThrottle, 'deleteOne').mockImplementation(async ({ key }) => docs.delete(key));
+  jest.spyOn(AuthThrottle, 'findOneAndDelete').mockImplementation(async ({ unlockTokenHash }) => {
+    const entry = [...docs].find(([, doc]) => doc.unlockTokenHash === unlockTokenHash);
+    if (!entry) return null;
+    docs.delete(entry[0]);
+    return entry[1];
+  });
+  jest.spyOn(AuthThrottle.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+
+  return docs;
+};
+
+const fail = async (times) => {
+  for (let i = 0; i < times; i++) await recordLoginFailure(req, user.email, user);
+};
+
+describe('brute force protection', () => {
+  let docs;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    docs = mockThrottleStore();
+    sendEmail.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('lets the first failures through without delay', async () => {
+    await fail(2);
+    expect(await getLoginBlock(req, user.email)).toBeNull();
+  });
+
+  it('spaces out attempts progressively after repeated failures', async () => {
+    await fail(3);
+    expect(await getLoginBlock(req, user.email)).toMatchObject({ retryAfter: 1, locked: false });
+
+    await fail(1);
+    expect(await getLoginBlock(req, user.email)).toMatchObject({ retryAfter: 2 });
+  });
+
+  it('locks the account after too many failures and emails an unlock link', async () => {
+    await fail(5);
+
+    const block = await getLoginBlock(req, user.email);
+    expect(block).toMatchObject({ locked: true, retryAfter: 15 * 60 });
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const { unlockUrl } = sendEmail.mock.calls[0][0].data;
+    expect(unlockUrl).toMatch(/^http:\/\/localhost:3000\/pages\/login\.html\?unlockToken=[a-f0-9]{64}$/);
+
+    // Normalised addresses share the lock
+    expect(await getLoginBlock({ ip: '198.51.100.1' }, ' Jane@Example.com ')).toMatchObject({ locked: true });
+  });
+
+  it('unlocks the account with the emailed token, once', async () => {
+    await fail(5);
+    const token = new URL(sendEmail.mock.calls[0][0].data.unlockUrl).searchParams.get('unlockToken');
+
+    expect(await unlockAccount(token)).toBe(true);
+    expect(await unlockAccount(token)).toBe(false);
+    expect(await getLoginBlock({ ip: '198.51.100.1' }, user.email)).toBeNull();
+  });
+
+  it('lifts the lock once it expires and starts counting again', async () => {
+    await fail(5);
+    jest.setSystemTime(Date.now() + 16 * MINUTE);
+
+    expect(await getLoginBlock(req, user.email)).toBeNull();
+
+    await fail(1);
+    expect(docs.get('login:account:jane@example.com').failures).toBe(1);
+  });
+
+  it('locks the IP across accounts', async () => {
+    for (let i = 0; i < 20; i++) await recordLoginFailure(req, `user${i}@example.com`);
+
+    expect(await getLoginBlock(req, 'someone@example.com')).toMatchObject({ locked: true });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('clears only the account counter on a successful sign-in', async () => {
+    await fail(3);
+    await clearLoginFailures(user.email);
+
+    expect(docs.has('login:account:jane@example.com')).toBe(false);
+    expect(docs.has('login:ip:203.0.113.7')).toBe(true);
+  });
+
+  it('limits sign-in link emails per account', async () => {
+    for (let i = 0; i < 5; i++) expect(await recordMagicLinkRequest(req, user.email)).toBeNull();
+    expect(await recordMagicLinkRequest(req, user.email)).toBe('account');
+  });
+});
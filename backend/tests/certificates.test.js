@@ -0,0 +1,140 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const PathEnrollment = require('../models/PathEnrollment');
+const AuditLog = require('../models/AuditLog');
+const certificateRoutes = require('../routes/certificateRoutes');
+const { signInAs } = require('./helpers/auth');
+
+// A query that can be chained like Mongoose's and resolves to `result`
+const query = (result) => {
+  const chain = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['populate', 'select', 'sort', 'lean'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+const newUser = (role) => new User({ firstName: 'Jane', lastName: 'Doe', email: `${role}@example.com`, password: 'x', role });
+
+describe('course certificates', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/certificates', certificateRoutes);
+
+  const learner = newUser('user');
+  const admin = newUser('admin');
+  const instructor = new User({ firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com', password: 'x', role: 'instructor' });
+  let enrollment;
+
+  beforeEach(() => {
+    signInAs(learner);
+    enrollment = new Enrollment({
+      user: learner,
+      course: new Course({ title: 'Video Editing', instructor }),
+      status: 'completed',
+      completion: { completedAt: new Date('2026-03-01') },
+      finalGrade: { score: 91, grade: 'A-' }
+    });
+    enrollment.assignCertificate();
+
+    jest.spyOn(Enrollment, 'findOne').mockImplementation((filter) => query(
+      filter['certificate.certificateId'] === enrollment.certificate.certificateId ? enrollment : null
+    ));
+    jest.spyOn(PathEnrollment, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Enrollment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const verify = (certificateId = enrollment.certificate.certificateId) => request(app).get(`/api/certificates/${certificateId}/verify`);
+
+  it('issues certificates owed for courses completed earlier', async () => {
+    const owed = new Enrollment({
+      user: learner._id,
+      course: new Course({ title: 'Colour Grading', instructor, certificateAvailable: true }),
+      status: 'completed'
+    });
+    const withoutCertificate = new Enrollment({
+      user: learner._id,
+      course: new Course({ title: 'Sound', instructor, certificateAvailable: false }),
+      status: 'completed'
+    });
+    jest.spyOn(Enrollment, 'find').mockReturnValue(query([owed, withoutCertificate]));
+    jest.spyOn(PathEnrollment, 'find').mockReturnValue(query([]));
+
+    const res = await request(app).get('/api/certificates');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ course: { title: 'Colour Grading' }, instructorName: 'Sam Lee', revoked: false });
+    expect(res.body.data[0].certificateId).toMatch(/^CERT-/);
+    expect(withoutCertificate.certificate.issued).toBe(false);
+  });
+
+  it('lets anyone verify a certificate, showing only what is printed on it', async () => {
+    signInAs(null);
+
+    const res = await verify();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      certificateId: enrollment.certificate.certificateId,
+      type: 'course',
+      status: 'valid',
+      valid: true,
+      studentName: 'Jane Doe',
+      courseTitle: 'Video Editing',
+      instructorName: 'Sam Lee',
+      completedAt: '2026-03-01T00:00:00.000Z',
+      issuedAt: enrollment.certificate.issuedAt.toISOString(),
+      verificationUrl: enrollment.certificate.verificationUrl
+    });
+    expect((await verify('CERT-UNKNOWN')).status).toBe(404);
+    expect((await verify('not-a-certificate')).status).toBe(400);
+  });
+
+  it('lets the holder download the certificate as a PDF', async () => {
+    const res = await request(app)
+      .get(`/api/certificates/${enrollment.certificate.certificateId}/download`)
+      .responseType('blob');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+    signInAs(newUser('user'));
+    const other = await request(app).get(`/api/certificates/${enrollment.certificate.certificateId}/download`);
+    expect(other.status).toBe(404);
+  });
+
+  it('lets admins revoke and reinstate a certificate, with a reason', async () => {
+    const { certificateId } = enrollment.certificate;
+
+    expect((await request(app).post(`/api/certificates/${certificateId}/revoke`).send({ reason: 'Plagiarism' })).status).toBe(403);
+
+    signInAs(admin);
+    expect((await request(app).post(`/api/certificates/${certificateId}/revoke`).send({})).status).toBe(400);
+
+    const revoked = await request(app).post(`/api/certificates/${certificateId}/revoke`).send({ reason: 'Plagiarism' });
+    expect(revoked.status).toBe(200);
+    expect(enrollment.certificate).toMatchObject({ revoked: true, revokedBy: admin._id, revocationReason: 'Plagiarism' });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'certificate.revoke', subject: learner._id }));
+
+    expect((await verify()).body.data).toMatchObject({ status: 'revoked', valid: false, revocationReason: 'Plagiarism' });
+
+    signInAs(learner);
+    expect((await request(app).get(`/api/certificates/${certificateId}/download`)).status).toBe(410);
+
+    signInAs(admin);
+    expect((await request(app).post(`/api/certificates/${certificateId}/reinstate`)).status).toBe(200);
+    expect((await verify()).body.data.valid).toBe(true);
+  });
+});
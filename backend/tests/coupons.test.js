@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { quoteCoupon, redeemCoupon, normalizeCode } = require('../utils/coupons');
+
+const course = { _id: new mongoose.Types.ObjectId(), category: 'design' };
+const userId = new mongoose.Types.ObjectId();
+
+const newCoupon = (fields = {}) => new Coupon({
+  code: 'SPRING25',
+  discountType: 'percentage',
+  amount: 25,
+  ...fields
+});
+
+// In-memory coupons and redemptions with the same guarantees as the database:
+// atomic counter updates and the unique per-user slot index
+const mockCouponStore = (coupon) => {
+  const redemptions = [];
+
+  jest.spyOn(Coupon, 'findOne').mockImplementation(async ({ code }) => (code === coupon.code ? coupon : null));
+  jest.spyOn(Coupon, 'findOneAndUpdate').mockImplementation(async () => {
+    if (!coupon.isActive) return null;
+    if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) return null;
+    coupon.redemptionCount += 1;
+    return coupon;
+  });
+  jest.spyOn(Coupon, 'updateOne').mockImplementation(async (query, update) => {
+    coupon.redemptionCount += update.$inc.redemptionCount;
+  });
+
+  jest.spyOn(CouponRedemption, 'countDocuments').mockImplementation(async ({ user }) => (
+    redemptions.filter(redemption => String(redemption.user) === String(user)).length
+  ));
+  jest.spyOn(CouponRedemption, 'create').mockImplementation(async (fields) => {
+    const taken = fields.slot != null && redemptions.some(redemption => (
+      String(redemption.user) === String(fields.user) && redemption.slot === fields.slot
+    ));
+    if (taken) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+    const redemption = new CouponRedemption(fields);
+    redemptions.push(redemption);
+    return redemption;
+  });
+  jest.spyOn(CouponRedemption, 'deleteOne').mockImplementation(async ({ _id }) => {
+    const index = redemptions.findIndex(redemption => String(redemption._id) === String(_id));
+    if (index >= 0) redemptions.splice(index, 1);
+  });
+  jest.spyOn(CouponRedemption.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+
+  return redemptions;
+};
+
+const purchase = () => Promise.resolve({ _id: new mongoose.Types.ObjectId() });
+
+describe('coupons', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('normalizes codes', () => {
+    expect(normalizeCode('  spring25 ')).toBe('SPRING25');
+  });
+
+  it('calculates percentage and fixed discounts without going below zero', () => {
+    expect(newCoupon().calculateDiscount(99.99)).toBe(25);
+    expect(newCoupon({ discountType: 'fixed', amount: 30 }).calculateDiscount(20)).toBe(20);
+  });
+
+  describe('quoteCoupon', () => {
+    it('quotes the discounted price', async () => {
+      mockCouponStore(newCoupon());
+
+      const quote = await quoteCoupon('spring25', { course }, 80, userId);
+
+      expect(quote).toMatchObject({ originalPrice: 80, discount: 20, finalPrice: 60 });
+    });
+
+    it('refuses coupons that cannot be used', async () => {
+      const coupon = newCoupon({ minimumSpend: 50, restrictions: { categories: ['design'] } });
+      mockCouponStore(coupon);
+
+      expect(await quoteCoupon('nope', { course }, 80, userId)).toEqual({ error: 'This coupon code is not valid' });
+      expect(await quoteCoupon('SPRING25', { course }, 0, userId)).toEqual({ error: 'There is nothing to discount on a free item' });
+      expect(await quoteCoupon('SPRING25', { course }, 40, userId)).toEqual({ error: 'This coupon needs a minimum spend of $50' });
+      expect(await quoteCoupon('SPRING25', { course: { ...course, category: 'music' } }, 80, userId))
+        .toEqual({ error: 'This coupon can\'t be used for this course' });
+
+      coupon.expiresAt = new Date(Date.now() - 1000);
+      expect(await quoteCoupon('SPRING25', { course }, 80, userId)).toEqual({ error: 'This coupon has expired' });
+    });
+
+    it('refuses a coupon the user has used up', async () => {
+      const redemptions = mockCouponStore(newCoupon());
+      redemptions.push(new CouponRedemption({ user: userId }));
+
+      expect(await quoteCoupon('SPRING25', { course }, 80, userId)).toEqual({ error: 'You have already used this coupon' });
+    });
+  });
+
+  describe('redeemCoupon', () => {
+    it('records the redemption against the purchase', async () => {
+      const coupon = newCoupon();
+      const redemptions = mockCouponStore(coupon);
+      const quote = await quoteCoupon('SPRING25', { course }, 80, userId);
+
+      const { record } = await redeemCoupon(quote, userId, purchase);
+
+      expect(coupon.redemptionCount).toBe(1);
+      expect(redemptions).toHaveLength(1);
+      expect(redemptions[0]).toMatchObject({ kind: 'course', slot: 1, finalPrice: 60 });
+      expect(String(redemptions[0].enrollment)).toBe(String(record._id));
+    });
+
+    it('lets only one of two parallel checkouts use a single-use coupon', async () => {
+      const coupon = newCoupon({ maxRedemptionsPerUser: 1 });
+      const redemptions = mockCouponStore(coupon);
+      const quotes = await Promise.all([1, 2].map(() => quoteCoupon('SPRING25', { course }, 80, userId)));
+      const buy = jest.fn(purchase);
+
+      const results = await Promise.all(quotes.map(quote => redeemCoupon(quote, userId, buy)));
+
+      expect(results.filter(result => result.record)).toHaveLength(1);
+      expect(results.filter(result => result.error)).toEqual([{ error: 'You have already used this coupon' }]);
+      expect(buy).toHaveBeenCalledTimes(1);
+      expect(redemptions).toHaveLength(1);
+      expect(coupon.redemptionCount).toBe(1);
+    });
+
+    it('gives each use of a multi-use coupon its own slot', async () => {
+      const redemptions = mockCouponStore(newCoupon({ maxRedemptionsPerUser: 2 }));
+      const quote = await quoteCoupon('SPRING25', { course }, 80, userId);
+
+      await redeemCoupon(quote, userId, purchase);
+      await redeemCoupon(quote, userId, purchase);
+
+      expect(redemptions.map(redemption => redemption.slot)).toEqual([1, 2]);
+      expect(await redeemCoupon(quote, userId, purchase)).toEqual({ error: 'You have already used this coupon' });
+    });
+
+    it('stops at the total redemption limit', async () => {
+      const coupon = newCoupon({ maxRedemptions: 1, redemptionCount: 1, maxRedemptionsPerUser: null });
+      mockCouponStore(coupon);
+      const quote = { coupon, item: { course }, originalPrice: 80, discount: 20, finalPrice: 60 };
+
+      expect(await redeemCoupon(quote, userId, purchase)).toEqual({ error: 'This coupon has been fully redeemed' });
+      expect(coupon.redemptionCount).toBe(1);
+    });
+
+    it('hands the use back when the purchase fails', async () => {
+      const coupon = newCoupon();
+      const redemptions = mockCouponStore(coupon);
+      const quote = await quoteCoupon('SPRING25', { course }, 80, userId);
+
+      await expect(redeemCoupon(quote, userId, () => Promise.reject(new Error('Payment failed')))).rejects.toThrow('Payment failed');
+
+      expect(redemptions).toHaveLength(0);
+      expect(coupon.redemptionCount).toBe(0);
+      expect((await redeemCoupon(quote, userId, purchase)).record).toBeDefined();
+    });
+  });
+});
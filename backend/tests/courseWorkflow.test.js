@@ -0,0 +1,161 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const CourseVersion = require('../models/CourseVersion');
+const Enrollment = require('../models/Enrollment');
+const AuditLog = require('../models/AuditLog');
+const courseRoutes = require('../routes/courseRoutes');
+const { applyCourseEdit, snapshotCourse } = require('../utils/courseWorkflow');
+const { signInAs } = require('./helpers/auth');
+
+const newUser = (role) => new User({ firstName: 'Jane', lastName: 'Doe', email: `${role}@example.com`, password: 'x', role });
+
+describe('course review workflow', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const instructor = newUser('instructor');
+  const admin = newUser('admin');
+  let course;
+  let versions;
+
+  beforeEach(() => {
+    signInAs(instructor);
+    versions = [];
+    course = new Course({
+      title: 'Video Editing',
+      description: 'Cut, grade and mix your own films',
+      shortDescription: 'Editing from scratch',
+      instructor: instructor._id,
+      category: 'graphic-design',
+      level: 'beginner',
+      price: 50,
+      duration: 10,
+      curriculum: [{ moduleTitle: 'Basics', lessons: [{ lessonTitle: 'Cutting' }] }]
+    });
+
+    jest.spyOn(Course, 'findById').mockImplementation(() => {
+      const found = Promise.resolve(course);
+      found.select = async () => course;
+      return found;
+    });
+    jest.spyOn(Course.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(CourseVersion, 'create').mockImplementation(async (fields) => {
+      versions.push(fields);
+      return fields;
+    });
+    jest.spyOn(CourseVersion, 'findOne').mockImplementation(async ({ version }) => versions.find(entry => entry.version === version) || null);
+    jest.spyOn(Enrollment, 'recalculateForCourse').mockResolvedValue();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const step = (action, body = {}) => request(app).post(`/api/courses/${course._id}/workflow/${action}`).send(body);
+
+  const asAdmin = async (action, body) => {
+    signInAs(admin);
+    try {
+      return await step(action, body);
+    } finally {
+      signInAs(instructor);
+    }
+  };
+
+  const publishFirstVersion = async () => {
+    await step('submit');
+    await asAdmin('review', { decision: 'approve' });
+    return step('publish', { note: 'First release' });
+  };
+
+  it('goes from draft through review to the first published version', async () => {
+    const submitted = await step('submit', { comment: 'Ready for a look' });
+    expect(submitted.body.data.workflowStatus).toBe('submitted');
+
+    expect((await step('review', { decision: 'approve' })).status).toBe(403);
+    expect((await asAdmin('review', { decision: 'request_changes' })).status).toBe(400);
+
+    const sentBack = await asAdmin('review', { decision: 'request_changes', comment: 'Add a lesson on audio' });
+    expect(sentBack.body.data.workflowStatus).toBe('changes_requested');
+    expect((await step('publish')).status).toBe(409);
+
+    await step('submit');
+    await asAdmin('review', { decision: 'approve' });
+    const published = await step('publish', { note: 'First release' });
+
+    expect(published.status).toBe(200);
+    expect(course).toMatchObject({ status: 'published', version: 1 });
+    expect(course.reviewLog.map(entry => entry.action)).toEqual(['submitted', 'changes_requested', 'submitted', 'approved', 'published']);
+    expect(versions).toEqual([expect.objectContaining({ version: 1, content: snapshotCourse(course), publishedBy: instructor._id })]);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'course.publish', subject: instructor._id }));
+  });
+
+  it('sends a course waiting on review back to draft when its content is edited', async () => {
+    await step('submit');
+
+    const { live } = await applyCourseEdit(course, { title: 'Video Editing 101' }, instructor._id);
+
+    expect(live).toBe(true);
+    expect(course.status).toBe('draft');
+  });
+
+  it('keeps edits to a published course in a revision until it is published', async () => {
+    await publishFirstVersion();
+
+    const { revised } = await applyCourseEdit(course, {
+      title: 'Video Editing 101',
+      curriculum: [{ moduleTitle: 'Basics', lessons: [{ lessonTitle: 'Cutting' }, { lessonTitle: 'Audio' }] }]
+    }, instructor._id);
+
+    expect(revised).toBe(true);
+    expect(course.title).toBe('Video Editing');
+    expect(course.revision).toMatchObject({ status: 'draft', basedOnVersion: 1 });
+
+    await step('submit');
+    expect(course.status).toBe('published');
+    await asAdmin('review', { decision: 'approve' });
+    const res = await step('publish');
+
+    expect(res.body.message).toBe('Version 2 published');
+    expect(course.title).toBe('Video Editing 101');
+    expect(course.revision).toBeUndefined();
+    expect(course.reviewLog.at(-1)).toMatchObject({ action: 'published', revision: true, version: 2 });
+    expect(Enrollment.recalculateForCourse).toHaveBeenCalledWith(course);
+  });
+
+  it('rejects revision edits that would not be valid live', async () => {
+    await publishFirstVersion();
+
+    await expect(applyCourseEdit(course, { price: -5 }, instructor._id)).rejects.toThrow('Price cannot be negative');
+    expect(course.revision).toBeUndefined();
+  });
+
+  it('lets admins roll back to an earlier version as a new one', async () => {
+    await publishFirstVersion();
+    await applyCourseEdit(course, { title: 'Video Editing 101' }, instructor._id);
+    await step('submit');
+    await asAdmin('review', { decision: 'approve' });
+    await step('publish');
+
+    const rollback = (version) => request(app).post(`/api/courses/${course._id}/workflow/versions/${version}/rollback`).send({});
+
+    expect((await rollback(1)).status).toBe(403);
+
+    signInAs(admin);
+    expect((await rollback(2)).status).toBe(409);
+    expect((await rollback(7)).status).toBe(404);
+
+    const res = await rollback(1);
+
+    expect(res.body.message).toBe('Version 1 republished as version 3');
+    expect(course).toMatchObject({ title: 'Video Editing', version: 3, status: 'published' });
+    expect(course.reviewLog.at(-1)).toMatchObject({ action: 'rolled_back', comment: 'Rolled back to version 1' });
+    expect(versions.at(-1)).toMatchObject({ version: 3, rolledBackFrom: 1 });
+  });
+});
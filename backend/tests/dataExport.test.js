@@ -0,0 +1,151 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const Consultation = require('../models/Consultation');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const DataExport = require('../models/DataExport');
+const Submission = require('../models/Submission');
+const PathEnrollment = require('../models/PathEnrollment');
+const CouponRedemption = require('../models/CouponRedemption');
+const { sendEmail } = require('../utils/emailService');
+const { readZip } = require('../utils/zip');
+const { requestDataExport, buildDataExport, findDownload } = require('../utils/dataExport');
+
+// A query that can be chained like Mongoose's and resolves to `result`
+const query = (result) => {
+  const chain = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['populate', 'select', 'sort', 'lean'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('personal data export', () => {
+  const user = new User({
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email: 'jane@example.com',
+    password: 'Sup3r-secret',
+    knownDevices: [{ deviceId: 'a'.repeat(32), label: 'Chrome 124 on Windows 10/11', firstSeenAt: new Date(), lastSeenAt: new Date() }]
+  });
+  const course = { _id: new mongoose.Types.ObjectId(), title: 'Video Editing' };
+  const enrollment = {
+    _id: new mongoose.Types.ObjectId(),
+    course,
+    status: 'active',
+    progress: { overall: 40 },
+    personalNotes: [{ content: 'Remember the J-cut' }],
+    bookmarks: [{ title: 'Colour grading' }],
+    rating: { score: 5, review: 'Great course', helpful: { count: 2 } },
+    payment: { amountPaid: 49, paymentDate: new Date('2026-01-02') }
+  };
+  const consultation = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Portfolio review',
+    consultant: { name: 'Sam' },
+    price: 80,
+    paymentStatus: 'paid',
+    consultantNotes: 'Private to the consultant',
+    paymentIntentId: 'pi_123'
+  };
+  const session = { userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0.0.0 Safari/537.36', createdByIp: '203.0.113.7', createdAt: new Date() };
+
+  let job;
+  let written;
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+    written = null;
+    job = new DataExport({ user: user._id, status: 'processing' });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(Enrollment, 'find').mockImplementation((filter) => query(filter.user ? [enrollment] : []));
+    jest.spyOn(Consultation, 'find').mockReturnValue(query([consultation]));
+    jest.spyOn(Session, 'find').mockReturnValue(query([session]));
+    jest.spyOn(AuditLog, 'find').mockReturnValue(query([]));
+    jest.spyOn(ApiKey, 'find').mockReturnValue(query([]));
+    jest.spyOn(Submission, 'find').mockReturnValue(query([]));
+    jest.spyOn(PathEnrollment, 'find').mockReturnValue(query([]));
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue(query([]));
+
+    jest.spyOn(DataExport, 'findOneAndUpdate').mockResolvedValue(job);
+    jest.spyOn(DataExport.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs.promises, 'writeFile').mockImplementation(async (filePath, data) => {
+      written = data;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const archive = async () => {
+    await buildDataExport(job._id);
+    const entries = readZip(written);
+    return (name) => JSON.parse(entries.find(entry => entry.name === name).data.toString());
+  };
+
+  it('bundles the user\'s data into JSON files', async () => {
+    const file = await archive();
+
+    expect(file('profile.json')).toMatchObject({ email: 'jane@example.com', firstName: 'Jane' });
+    expect(file('profile.json').password).toBeUndefined();
+    expect(file('enrollments.json')[0]).toMatchObject({ course: { title: 'Video Editing' }, progress: { overall: 40 } });
+    expect(file('notes.json')).toEqual([expect.objectContaining({ content: 'Remember the J-cut' })]);
+    expect(file('bookmarks.json')).toEqual([expect.objectContaining({ title: 'Colour grading' })]);
+    expect(file('reviews.json')).toEqual([expect.objectContaining({ type: 'course', score: 5, review: 'Great course' })]);
+    expect(file('payments.json').map(payment => payment.type)).toEqual(['course', 'consultation']);
+    expect(file('login-history.json')).toMatchObject({
+      sessions: [{ device: 'Chrome 124 on Windows 10/11', createdByIp: '203.0.113.7' }],
+      knownDevices: [{ label: 'Chrome 124 on Windows 10/11' }]
+    });
+  });
+
+  it('leaves out other people\'s notes and payment internals', async () => {
+    const file = await archive();
+
+    const [exported] = file('consultations.json');
+    expect(exported.title).toBe('Portfolio review');
+    expect(exported.consultantNotes).toBeUndefined();
+    expect(exported.paymentIntentId).toBeUndefined();
+  });
+
+  it('emails a time-limited link whose token is stored only as a hash', async () => {
+    await buildDataExport(job._id);
+
+    const link = new URL(sendEmail.mock.calls[0][0].data.downloadUrl);
+    const token = link.searchParams.get('exportToken');
+
+    expect(job.status).toBe('ready');
+    expect(job.tokenHash).toBe(sha256(token));
+    expect(job.expiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+
+    const findOne = jest.spyOn(DataExport, 'findOne').mockReturnValue({ select: async () => job });
+    await findDownload(token);
+    expect(findOne).toHaveBeenCalledWith({ tokenHash: sha256(token), status: 'ready', expiresAt: { $gt: expect.any(Date) } });
+  });
+
+  it('builds each export once', async () => {
+    DataExport.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await buildDataExport(job._id)).toBeNull();
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('allows one export in progress at a time', async () => {
+    jest.spyOn(DataExport, 'exists').mockResolvedValue({ _id: job._id });
+    const create = jest.spyOn(DataExport, 'create');
+
+    expect(await requestDataExport(user._id)).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const courseRoutes = require('../routes/courseRoutes');
+const { sendEmail } = require('../utils/emailService');
+const { getModuleSchedule, presentCourseContent, notifyUnlockedModules } = require('../utils/drip');
+const { signInAs } = require('./helpers/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const newCourse = () => new Course({
+  title: 'Video Editing',
+  curriculum: [
+    {
+      moduleTitle: 'Basics',
+      lessons: [
+        { lessonTitle: 'Cutting', content: 'https://example.com/cutting.mp4' },
+        { lessonTitle: 'Extras', isRequired: false }
+      ]
+    },
+    {
+      moduleTitle: 'Colour',
+      unlock: { rule: 'after_days', days: 7 },
+      lessons: [{ lessonTitle: 'Grading', content: 'https://example.com/grading.mp4' }]
+    },
+    {
+      moduleTitle: 'Projects',
+      unlock: { rule: 'after_previous' },
+      lessons: [{ lessonTitle: 'Final cut' }]
+    },
+    {
+      moduleTitle: 'Masterclass',
+      unlock: { rule: 'on_date', date: new Date('2026-01-10') },
+      lessons: [{ lessonTitle: 'Interview' }]
+    }
+  ]
+});
+
+const newEnrollment = (course, startedDaysAgo, completed = []) => new Enrollment({
+  user: new mongoose.Types.ObjectId(),
+  course: course._id,
+  accessSettings: { startDate: daysAgo(startedDaysAgo) },
+  progress: { completedLessons: completed.map(([lesson, completedAt]) => ({ lesson: lesson._id, completedAt })) }
+});
+
+describe('module schedule', () => {
+  const course = newCourse();
+  const [basics, colour, projects] = course.curriculum;
+
+  it('opens modules a number of days after the learner starts', () => {
+    const enrollment = newEnrollment(course, 3);
+    const schedule = getModuleSchedule(course, enrollment);
+
+    expect(schedule.map(entry => entry.unlocked)).toEqual([true, false, false, true]);
+    expect(schedule[1].unlocksAt.getTime()).toBe(enrollment.accessSettings.startDate.getTime() + 7 * DAY_MS);
+  });
+
+  it('never opens a dated module before the learner starts', () => {
+    const enrollment = newEnrollment(course, -1);
+
+    const [, , , masterclass] = getModuleSchedule(course, enrollment);
+
+    expect(masterclass.unlocked).toBe(false);
+    expect(masterclass.unlocksAt).toEqual(enrollment.accessSettings.startDate);
+  });
+
+  it('waits for the required lessons of the previous module', () => {
+    const [cutting] = basics.lessons;
+    const [grading] = colour.lessons;
+
+    const waiting = getModuleSchedule(course, newEnrollment(course, 10, [[cutting, daysAgo(9)]]));
+    expect(waiting[2]).toMatchObject({ unlocked: false, unlocksAt: null });
+
+    const finished = daysAgo(1);
+    const open = getModuleSchedule(course, newEnrollment(course, 10, [[cutting, daysAgo(9)], [grading, finished]]));
+    expect(open[2]).toMatchObject({ module: projects._id, unlocked: true, unlocksAt: finished });
+  });
+
+  it('shows the outline of locked modules but not their lessons', () => {
+    const data = presentCourseContent(course, newEnrollment(course, 0));
+
+    expect(data.curriculum[0]).toMatchObject({ locked: false });
+    expect(data.curriculum[0].lessons[0].content).toBe('https://example.com/cutting.mp4');
+    expect(data.curriculum[1]).toMatchObject({ moduleTitle: 'Colour', locked: true, unlocksAt: expect.any(Date) });
+    expect(data.curriculum[1].lessons[0]).toEqual(expect.objectContaining({ lessonTitle: 'Grading' }));
+    expect(data.curriculum[1].lessons[0].content).toBeUndefined();
+  });
+});
+
+describe('locked lessons', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const learner = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'x', role: 'user' });
+  const course = newCourse();
+  const [grading] = course.curriculum[1].lessons;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('cannot be completed before their module opens', async () => {
+    signInAs(learner);
+    const enrollment = newEnrollment(course, 2);
+    jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(enrollment);
+    const save = jest.spyOn(Enrollment.prototype, 'save');
+
+    const res = await request(app).post(`/api/courses/${course._id}/lessons/${grading._id}/complete`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This lesson has not been unlocked yet');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('unlock notifications', () => {
+  const course = newCourse();
+  const [, colour] = course.curriculum;
+  let enrollments;
+
+  beforeEach(() => {
+    sendEmail.mockReset().mockResolvedValue();
+    jest.spyOn(Course, 'find').mockReturnValue({ select: async () => [course] });
+    jest.spyOn(Enrollment, 'find').mockImplementation(() => ({ select: () => ({ populate: async () => enrollments }) }));
+    jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const enrolled = (startedDaysAgo, emailNotifications = true) => {
+    const enrollment = newEnrollment(course, startedDaysAgo);
+    enrollment.user = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'x', preferences: { emailNotifications } });
+    return enrollment;
+  };
+
+  it('emails learners once about modules that opened on schedule', async () => {
+    enrollments = [enrolled(8)];
+
+    await notifyUnlockedModules();
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({ email: 'jane@example.com', template: 'moduleUnlocked', data: { modules: 'Colour' } });
+    expect(Enrollment.updateOne).toHaveBeenCalledWith(
+      { _id: enrollments[0]._id },
+      { $addToSet: { notifiedModules: { $each: [colour._id] } } }
+    );
+
+    enrollments[0].notifiedModules.push(colour._id);
+    await notifyUnlockedModules();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips modules that opened long ago or were open from the start', async () => {
+    enrollments = [enrolled(20)];
+
+    await notifyUnlockedModules();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(Enrollment.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('records the module without emailing learners who opted out', async () => {
+    enrollments = [enrolled(8, false)];
+
+    await notifyUnlockedModules();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(Enrollment.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('tries again next run when the email fails', async () => {
+    enrollments = [enrolled(8)];
+    sendEmail.mockRejectedValue(new Error('SMTP down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await notifyUnlockedModules();
+
+    expect(Enrollment.updateOne).not.toHaveBeenCalled();
+  });
+});
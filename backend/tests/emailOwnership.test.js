@@ -0,0 +1,107 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const { claimEmailAddress } = require('../utils/emailVerification');
+const { acceptInvitation } = require('../utils/invitations');
+
+const newUser = (fields = {}) => new User({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  password: 'set-by-whoever-registered',
+  twoFactor: { enabled: true, secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' },
+  resetPasswordToken: 'reset-hash',
+  magicLinkToken: 'magic-hash',
+  ...fields
+});
+
+describe('claiming an email address proven elsewhere', () => {
+  let revokeAll;
+
+  beforeEach(() => {
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    revokeAll = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('resets an unverified account someone else may have registered', async () => {
+    const user = newUser({ isVerified: false, verificationToken: 'verify-hash' });
+
+    await claimEmailAddress(user);
+
+    expect(user.isVerified).toBe(true);
+    expect(user.verificationToken).toBeUndefined();
+    expect(user.password).not.toBe('set-by-whoever-registered');
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(user.twoFactor.secret).toBeUndefined();
+    expect(user.resetPasswordToken).toBeUndefined();
+    expect(user.magicLinkToken).toBeUndefined();
+    expect(revokeAll).toHaveBeenCalledWith(user._id, 'password-reset');
+  });
+
+  it('sets the password chosen by whoever proved the address', async () => {
+    const user = newUser({ isVerified: false });
+
+    await claimEmailAddress(user, 'Chosen-Passw0rd!');
+
+    expect(user.password).toBe('Chosen-Passw0rd!');
+  });
+
+  it('leaves a verified account as it is', async () => {
+    const user = newUser({ isVerified: true });
+
+    await claimEmailAddress(user, 'Chosen-Passw0rd!');
+
+    expect(user.password).toBe('set-by-whoever-registered');
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.magicLinkToken).toBe('magic-hash');
+    expect(revokeAll).not.toHaveBeenCalled();
+  });
+
+  describe('accepting an invitation', () => {
+    const invitation = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', role: 'instructor', nonce: 'abc' };
+
+    beforeEach(() => {
+      jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue({ save: jest.fn().mockResolvedValue() });
+      jest.spyOn(Invitation, 'updateOne').mockResolvedValue({});
+    });
+
+    it('claims an existing unverified account with the new password', async () => {
+      const user = newUser({ isVerified: false });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const result = await acceptInvitation(invitation, { password: 'Chosen-Passw0rd!' });
+
+      expect(result).toEqual({ user, created: false });
+      expect(user.role).toBe('instructor');
+      expect(user.password).toBe('Chosen-Passw0rd!');
+      expect(user.twoFactor.enabled).toBe(false);
+      expect(revokeAll).toHaveBeenCalledWith(user._id, 'password-reset');
+    });
+
+    it('upgrades a verified account without touching its password', async () => {
+      const user = newUser({ isVerified: true });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      await acceptInvitation(invitation, { password: 'Chosen-Passw0rd!' });
+
+      expect(user.role).toBe('instructor');
+      expect(user.password).toBe('set-by-whoever-registered');
+      expect(revokeAll).not.toHaveBeenCalled();
+    });
+
+    it('does nothing when the invitation was already used', async () => {
+      Invitation.findOneAndUpdate.mockResolvedValue(null);
+      const findUser = jest.spyOn(User, 'findOne');
+
+      expect(await acceptInvitation(invitation, {})).toBeNull();
+      expect(findUser).not.toHaveBeenCalled();
+    });
+  });
+});
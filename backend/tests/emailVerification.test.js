@@ -0,0 +1,139 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Setting = require('../models/Setting');
+const courseRoutes = require('../routes/courseRoutes');
+const { sendEmail } = require('../utils/emailService');
+const { sendVerificationEmail, hashVerificationToken } = require('../utils/emailVerification');
+const { verifyEmail, resendVerification } = require('../controllers/authController');
+const { signInAs } = require('./helpers/auth');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const newUser = (fields = {}) => new User({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  password: 'Sup3r-secret',
+  ...fields
+});
+
+describe('email verification', () => {
+  beforeEach(() => {
+    sendEmail.mockClear();
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores only the hash of an expiring token and emails the link', async () => {
+    const user = newUser();
+    await sendVerificationEmail(user);
+
+    const link = new URL(sendEmail.mock.calls[0][0].data.verificationUrl);
+    const token = link.searchParams.get('verifyToken');
+
+    expect(user.verificationToken).toBe(hashVerificationToken(token));
+    expect(user.verificationToken).not.toBe(token);
+    expect(user.verificationTokenExpire.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+  });
+
+  it('verifies the account with an unexpired link and clears the token', async () => {
+    const user = newUser({ verificationToken: hashVerificationToken('abc'), verificationTokenExpire: Date.now() + 1000 });
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const res = mockResponse();
+    await verifyEmail({ params: { token: 'abc' } }, res);
+
+    expect(findOne).toHaveBeenCalledWith({
+      verificationToken: hashVerificationToken('abc'),
+      verificationTokenExpire: { $gt: expect.any(Number) }
+    });
+    expect(res.status).not.toHaveBeenCalled();
+    expect(user.isVerified).toBe(true);
+    expect(user.verificationToken).toBeUndefined();
+  });
+
+  it('rejects unknown and expired links', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = mockResponse();
+    await verifyEmail({ params: { token: 'abc' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('answers anonymous resends the same way whatever the account state', async () => {
+    const findOne = jest.spyOn(User, 'findOne');
+    const answers = [];
+
+    for (const account of [null, newUser({ isVerified: true }), newUser()]) {
+      findOne.mockResolvedValue(account);
+      const res = mockResponse();
+      await resendVerification({ body: { email: 'jane@example.com' } }, res);
+      answers.push(res.json.mock.calls[0][0]);
+    }
+
+    expect(answers[1]).toEqual(answers[0]);
+    expect(answers[2]).toEqual(answers[0]);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('tells signed-in users when they are already verified', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(newUser({ isVerified: true }));
+
+    const res = mockResponse();
+    await resendVerification({ user: { _id: new mongoose.Types.ObjectId() }, body: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('the verified email gate on enrollment', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const courseId = new mongoose.Types.ObjectId();
+  const enroll = () => request(app).post(`/api/courses/${courseId}/enroll`);
+
+  beforeEach(() => {
+    jest.spyOn(Course, 'findById').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('blocks unverified accounts while the gate is on', async () => {
+    jest.spyOn(Setting, 'getValue').mockResolvedValue(true);
+    signInAs({ _id: new mongoose.Types.ObjectId(), role: 'user', isVerified: false });
+
+    const res = await enroll();
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(Course.findById).not.toHaveBeenCalled();
+  });
+
+  it('lets verified accounts through, and everyone while the gate is off', async () => {
+    jest.spyOn(Setting, 'getValue').mockResolvedValue(true);
+    signInAs({ _id: new mongoose.Types.ObjectId(), role: 'user', isVerified: true });
+    expect((await enroll()).status).toBe(404);
+
+    Setting.getValue.mockResolvedValue(false);
+    signInAs({ _id: new mongoose.Types.ObjectId(), role: 'user', isVerified: false });
+    expect((await enroll()).status).toBe(404);
+  });
+});
@@ -0,0 +1,32 @@
+const { DEFAULT_ROLE_PERMISSIONS } = require('../../config/permissions');
+
+// Stand-in for middleware/auth in route tests:
+//   jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+// Requests are signed in as the user passed to signInAs, with their role's
+// default permissions unless others are given.
+let current = null;
+
+const signInAs = (user, permissions) => {
+  current = user && {
+    user,
+    permissions: new Set(permissions || DEFAULT_ROLE_PERMISSIONS[user.role || 'user'])
+  };
+};
+
+const auth = (req, res, next) => {
+  if (!current) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
+  }
+
+  req.user = current.user;
+  req.permissions = current.permissions;
+  next();
+};
+
+module.exports = {
+  auth,
+  signInAs
+};
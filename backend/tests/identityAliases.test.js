@@ -0,0 +1,67 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const crypto = require('crypto');
+const User = require('../models/User');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const { signInAs } = require('./helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+const TOKEN = 'b'.repeat(40);
+
+describe('deprecated /api/users identity endpoints', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('forward the old reset-password contract to /api/auth', async () => {
+    const current = await request(app).put(`/api/auth/reset-password/${TOKEN}`).send({ password: 'Vx7#qLm2p' });
+    const alias = await request(app).post('/api/users/reset-password').send({ token: TOKEN, newPassword: 'Vx7#qLm2p' });
+
+    expect(alias.status).toBe(current.status);
+    expect(alias.body).toEqual(current.body);
+    expect(User.findOne).toHaveBeenCalledTimes(2);
+    const hashed = crypto.createHash('sha256').update(TOKEN).digest('hex');
+    expect(User.findOne.mock.calls.map(([filter]) => filter.resetPasswordToken)).toEqual([hashed, hashed]);
+  });
+
+  it('apply the same password policy', async () => {
+    const current = await request(app).put(`/api/auth/reset-password/${TOKEN}`).send({ password: 'abc' });
+    const alias = await request(app).post('/api/users/reset-password').send({ token: TOKEN, newPassword: 'abc' });
+
+    expect(alias.status).toBe(400);
+    expect(alias.body).toEqual(current.body);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('mark themselves deprecated and point at their successor', async () => {
+    const alias = await request(app).post('/api/users/reset-password').send({ token: TOKEN, newPassword: 'Vx7#qLm2p' });
+    const current = await request(app).put(`/api/auth/reset-password/${TOKEN}`).send({ password: 'Vx7#qLm2p' });
+
+    expect(alias.headers.deprecation).toBe('true');
+    expect(alias.headers.link).toBe('</api/auth/reset-password/:token>; rel="successor-version"');
+    expect(current.headers.deprecation).toBeUndefined();
+  });
+
+  it('read the signed-in user from req.user like /api/auth does', async () => {
+    const user = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'x', role: 'user' });
+    signInAs(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const res = await request(app).get('/api/users/profile');
+
+    expect(res.status).toBe(200);
+    expect(User.findById).toHaveBeenCalledWith(user._id);
+    expect(res.body.data.user).toMatchObject({ email: 'jane@example.com' });
+    expect(res.body.data.user.password).toBeUndefined();
+    expect(res.headers.link).toBe('</api/auth/me>; rel="successor-version"');
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const adminRoutes = require('../routes/adminRoutes');
+const { protect } = require('../middleware/authMiddleware');
+const { blockWhileImpersonating } = require('../middleware/impersonationMiddleware');
+const { signInAs } = require('./helpers/auth');
+
+const newUser = (fields) => new User({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: `${fields.role}@example.com`,
+  password: 'Sup3r-secret',
+  ...fields
+});
+
+describe('impersonating a user', () => {
+  const admin = newUser({ role: 'admin' });
+  const learner = newUser({ role: 'user' });
+  const users = new Map([admin, learner].map(user => [String(user._id), user]));
+  let sessions;
+
+  const adminApp = express();
+  adminApp.use(express.json());
+  adminApp.use('/api/admin', adminRoutes);
+
+  // What the impersonation token can reach: an ordinary and a blocked action
+  const userApp = express();
+  userApp.use(express.json());
+  userApp.get('/me', protect, (req, res) => res.json({ user: String(req.user._id) }));
+  userApp.put('/change-password', protect, blockWhileImpersonating, (req, res) => res.json({ success: true }));
+
+  beforeEach(() => {
+    sessions = [];
+    signInAs(admin);
+    jest.spyOn(Role, 'findOne').mockReturnValue({ lean: async () => null });
+    jest.spyOn(User, 'findById').mockImplementation((id) => {
+      const user = users.get(String(id)) || null;
+      const query = Promise.resolve(user);
+      query.select = async () => user;
+      return query;
+    });
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+      const session = new Session(fields);
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(async (id) => sessions.find(session => String(session._id) === String(id)) || null);
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const impersonate = (user, body = { reason: 'Dashboard shows no courses' }) => request(adminApp)
+    .post(`/api/admin/users/${user._id}/impersonate`)
+    .send(body);
+
+  it('needs a reason and refuses to impersonate admins', async () => {
+    expect((await impersonate(learner, {})).status).toBe(400);
+
+    const other = newUser({ role: 'admin', email: 'other@example.com' });
+    users.set(String(other._id), other);
+    expect((await impersonate(other)).status).toBe(403);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it('issues a marked, short-lived token and records who started it', async () => {
+    const res = await impersonate(learner);
+
+    expect(res.status).toBe(201);
+    expect(sessions[0]).toMatchObject({ user: learner._id, impersonatedBy: admin._id, impersonationReason: 'Dashboard shows no courses' });
+    expect(sessions[0].expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 30 * 60 * 1000);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: admin._id,
+      subject: learner._id,
+      action: 'impersonation.start'
+    }));
+  });
+
+  it('acts as the user, audits each request under the admin and blocks destructive actions', async () => {
+    const { token } = (await impersonate(learner)).body.data;
+    AuditLog.create.mockClear();
+
+    const me = await request(userApp).get('/me').set('Authorization', `Bearer ${token}`);
+    expect(me.body.user).toBe(String(learner._id));
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: admin._id,
+      subject: learner._id,
+      action: 'impersonation.request',
+      statusCode: 200
+    }));
+
+    const blocked = await request(userApp).put('/change-password').set('Authorization', `Bearer ${token}`);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('IMPERSONATION_BLOCKED');
+  });
+
+  it('stops working once the admin loses the permission', async () => {
+    const { token } = (await impersonate(learner)).body.data;
+    admin.role = 'instructor';
+
+    try {
+      const res = await request(userApp).get('/me').set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(401);
+    } finally {
+      admin.role = 'admin';
+    }
+  });
+});
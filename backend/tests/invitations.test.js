@@ -0,0 +1,82 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { sendEmail } = require('../utils/emailService');
+const { roleConflict, sendInvitation } = require('../utils/invitations');
+const { getInvitation, acceptInvitation } = require('../controllers/invitationController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  return res;
+};
+
+describe('invitation role changes', () => {
+  it('only upgrades learner accounts', () => {
+    expect(roleConflict(null, 'instructor')).toBeNull();
+    expect(roleConflict({ role: 'user' }, 'instructor')).toBeNull();
+    expect(roleConflict({ role: 'instructor' }, 'instructor')).toBeNull();
+    expect(roleConflict({ role: 'consultant' }, 'instructor')).toMatch('already a consultant');
+    expect(roleConflict({ role: 'instructor' }, 'consultant')).toMatch('already an instructor');
+    expect(roleConflict({ role: 'admin' }, 'consultant')).toMatch('already an administrator');
+  });
+});
+
+describe('accepting an invitation', () => {
+  const consultant = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'sam@example.com',
+    role: 'consultant',
+    isActive: true,
+    isVerified: true
+  };
+  let invitation;
+  let token;
+  let claim;
+
+  beforeEach(async () => {
+    invitation = new Invitation({
+      email: consultant.email,
+      role: 'instructor',
+      invitedBy: new mongoose.Types.ObjectId(),
+      expiresAt: new Date()
+    });
+    jest.spyOn(Invitation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    await sendInvitation(invitation, { firstName: 'Ada', lastName: 'Admin' });
+    token = new URL(sendEmail.mock.calls.at(-1)[0].data.inviteUrl).searchParams.get('invite');
+
+    jest.spyOn(Invitation, 'findOne').mockReturnValue({
+      select: () => ({ populate: async () => invitation })
+    });
+    claim = jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockImplementation(() => {
+      const query = Promise.resolve(consultant);
+      query.select = async () => consultant;
+      return query;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses to turn a consultant into an instructor', async () => {
+    const res = mockResponse();
+    await acceptInvitation({ body: { token }, ip: '203.0.113.7', get: () => undefined }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].message).toMatch('already a consultant');
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('says so before the form is filled in', async () => {
+    const res = mockResponse();
+    await getInvitation({ params: { token } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const learningPathRoutes = require('../routes/learningPathRoutes');
+const { describePricing, priceBundle } = require('../utils/learningPaths');
+const { signInAs } = require('./helpers/auth');
+
+const course = (price, fields = {}) => ({ _id: new mongoose.Types.ObjectId(), title: `Course ${price}`, price, isPublished: true, prerequisites: [], ...fields });
+
+describe('learning path pricing', () => {
+  const courses = [course(100), course(50), course(50)];
+  const path = { price: 120, courses };
+
+  it('compares the bundle with buying the courses separately', () => {
+    expect(describePricing(path)).toEqual({ price: 120, separately: 200, savings: 80 });
+    expect(describePricing({ price: 10, courses: [course(0, { discountedPrice: 5 })] }).separately).toBe(5);
+  });
+
+  it('charges the bundle price for the whole path', () => {
+    expect(priceBundle(path, courses)).toEqual({ amountPaid: 120, shares: [60, 30, 30] });
+  });
+
+  it('takes courses the learner owns off the price', () => {
+    const { amountPaid, shares } = priceBundle(path, courses.slice(1));
+
+    expect(amountPaid).toBe(60);
+    expect(shares).toEqual([30, 30]);
+  });
+
+  it('makes the shares add up despite rounding', () => {
+    const thirds = { price: 100, courses: [course(10), course(10), course(10)] };
+
+    expect(priceBundle(thirds, thirds.courses)).toEqual({ amountPaid: 100, shares: [33.33, 33.33, 33.34] });
+    expect(priceBundle(thirds, thirds.courses.slice(1))).toEqual({ amountPaid: 66.67, shares: [33.33, 33.34] });
+  });
+
+  it('splits evenly when every course is free on its own', () => {
+    const free = { price: 30, courses: [course(0), course(0), course(0)] };
+    expect(priceBundle(free, free.courses.slice(2))).toEqual({ amountPaid: 10, shares: [10] });
+  });
+
+  it('costs nothing when the learner owns every course', () => {
+    expect(priceBundle(path, [])).toEqual({ amountPaid: 0, shares: [] });
+  });
+});
+
+describe('POST /api/learning-paths/:id/enroll', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/learning-paths', learningPathRoutes);
+
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'user', isVerified: true };
+  const courses = [course(100), course(50), course(50)];
+  const path = {
+    _id: new mongoose.Types.ObjectId(),
+    price: 120,
+    isPublished: true,
+    courses,
+    populated: () => courses.map(c => c._id)
+  };
+
+  let savedPathEnrollment;
+  let coursePayments;
+
+  beforeEach(() => {
+    signInAs(user);
+    savedPathEnrollment = null;
+    coursePayments = new Map();
+
+    jest.spyOn(LearningPath, 'findOne').mockReturnValue({ populate: async () => path });
+    jest.spyOn(PathEnrollment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PathEnrollment.prototype, 'save').mockImplementation(function() {
+      savedPathEnrollment = this;
+      return Promise.resolve(this);
+    });
+    // The learner already owns the first course
+    jest.spyOn(Enrollment, 'find').mockReturnValue({
+      select: async () => [{ course: courses[0]._id, status: 'active', progress: { overall: 40 } }]
+    });
+    jest.spyOn(Enrollment, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+      coursePayments.set(String(query.course), update.$set['payment.amountPaid']);
+    });
+    jest.spyOn(Course, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('charges a partly enrolled learner only for the courses they get, and records matching shares', async () => {
+    const res = await request(app).post(`/api/learning-paths/${path._id}/enroll`);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.enrolledCourses).toEqual([String(courses[1]._id), String(courses[2]._id)]);
+    expect(savedPathEnrollment.amountPaid).toBe(60);
+
+    expect(coursePayments.has(String(courses[0]._id))).toBe(false);
+    const shares = [...coursePayments.values()];
+    expect(shares).toEqual([30, 30]);
+    expect(shares.reduce((sum, share) => sum + share, 0)).toBe(savedPathEnrollment.amountPaid);
+  });
+});
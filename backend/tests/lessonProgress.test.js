@@ -0,0 +1,138 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Assessment = require('../models/Assessment');
+const courseRoutes = require('../routes/courseRoutes');
+const { signInAs } = require('./helpers/auth');
+
+const newCourse = () => new Course({
+  title: 'Video Editing',
+  curriculum: [
+    {
+      moduleTitle: 'Basics',
+      lessons: [
+        { lessonTitle: 'Cutting', duration: 30 },
+        { lessonTitle: 'Colour', duration: 60 },
+        { lessonTitle: 'Extras', duration: 10, isRequired: false }
+      ]
+    },
+    {
+      moduleTitle: 'Projects',
+      unlock: { rule: 'after_days', days: 7 },
+      lessons: [
+        { lessonTitle: 'Quiz', lessonType: 'quiz' },
+        { lessonTitle: 'Final cut', lessonType: 'assignment' }
+      ]
+    }
+  ]
+});
+
+describe('lesson progress', () => {
+  const course = newCourse();
+  const [cutting, colour, extras] = course.curriculum[0].lessons;
+  const newEnrollment = (completed = []) => new Enrollment({
+    user: new mongoose.Types.ObjectId(),
+    course: course._id,
+    progress: { completedLessons: completed.map(lesson => ({ lesson: lesson._id })) }
+  });
+
+  it('weights each lesson by its duration', () => {
+    const basics = { getLessons: () => course.curriculum[0].lessons };
+
+    expect(newEnrollment([cutting]).calculateProgress(basics)).toBe(30);
+    expect(newEnrollment([colour]).calculateProgress(basics)).toBe(60);
+    expect(newEnrollment([extras]).calculateProgress(basics)).toBe(10);
+  });
+
+  it('counts lessons without a duration', () => {
+    const [quiz, assignment] = course.curriculum[1].lessons;
+    const projects = { getLessons: () => [quiz, assignment] };
+
+    expect(newEnrollment([quiz]).calculateProgress(projects)).toBe(50);
+  });
+
+  it('completes the enrollment once every required lesson is done', () => {
+    const basics = { getLessons: () => course.curriculum[0].lessons };
+
+    const partway = newEnrollment([cutting]);
+    partway.calculateProgress(basics);
+    expect(partway.status).toBe('active');
+
+    const done = newEnrollment([cutting, colour]);
+    expect(done.calculateProgress(basics)).toBe(90);
+    expect(done.status).toBe('completed');
+    expect(done.completion.completedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('completing a lesson', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const learner = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'x', role: 'user' });
+  const course = newCourse();
+  const [cutting, colour] = course.curriculum[0].lessons;
+  const [quiz, assignment] = course.curriculum[1].lessons;
+  let enrollment;
+
+  beforeEach(() => {
+    signInAs(learner);
+    enrollment = new Enrollment({ user: learner._id, course: course._id, enrollmentDate: new Date() });
+    jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+    jest.spyOn(Enrollment, 'findOne').mockImplementation(async () => enrollment);
+    jest.spyOn(Enrollment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Assessment, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const complete = (lesson, body = {}) => request(app)
+    .post(`/api/courses/${course._id}/lessons/${lesson._id}/complete`)
+    .send(body);
+
+  it('records the lesson once and moves on to the next one', async () => {
+    const res = await complete(cutting, { timeSpent: 25 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ completedLessons: 1, totalLessons: 5, currentLesson: String(colour._id) });
+    expect(enrollment.progress.totalTimeSpent).toBe(25);
+
+    await complete(cutting, { timeSpent: 25 });
+    expect(enrollment.progress.completedLessons).toHaveLength(1);
+    expect(enrollment.progress.totalTimeSpent).toBe(25);
+  });
+
+  it('only looks at the learner\'s own active or completed enrollment', async () => {
+    enrollment = null;
+
+    expect((await complete(cutting)).status).toBe(403);
+    expect(Enrollment.findOne).toHaveBeenCalledWith({
+      user: learner._id,
+      course: course._id,
+      status: { $in: ['active', 'completed'] }
+    });
+  });
+
+  it('refuses lessons that are not in the course', async () => {
+    const res = await complete({ _id: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Lesson not found');
+  });
+
+  it('leaves quizzes and assignments to their own flows', async () => {
+    Assessment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    expect((await complete(quiz)).body.message).toBe('Pass the quiz to complete this lesson');
+    expect((await complete(assignment)).body.message).toBe('Hand in this assignment to complete the lesson');
+    expect(enrollment.progress.completedLessons).toHaveLength(0);
+  });
+});
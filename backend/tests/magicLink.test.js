@@ -0,0 +1,94 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthThrottle = require('../models/AuthThrottle');
+const { consumeMagicLink } = require('../controllers/authController');
+
+const TOKEN = 'a'.repeat(64);
+const TOKEN_HASH = crypto.createHash('sha256').update(TOKEN).digest('hex');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  return res;
+};
+
+describe('signing in with a magic link', () => {
+  const owner = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', isActive: true };
+  let consume;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockReturnValue({
+      select: async () => owner
+    });
+    jest.spyOn(AuthThrottle, 'find').mockResolvedValue([]);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    consume = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({
+      _id: owner._id,
+      email: owner.email,
+      twoFactor: { enabled: true }
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const signIn = async () => {
+    const res = mockResponse();
+    await consumeMagicLink({ body: { token: TOKEN }, ip: '203.0.113.7' }, res);
+    return res;
+  };
+
+  it('keeps the link usable while the account is locked', async () => {
+    AuthThrottle.find.mockResolvedValue([new AuthThrottle({
+      key: 'login:account:jane@example.com',
+      lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    })]);
+
+    const res = await signIn();
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(consume).not.toHaveBeenCalled();
+  });
+
+  it('keeps the link usable for a deactivated account', async () => {
+    owner.isActive = false;
+    try {
+      const res = await signIn();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(consume).not.toHaveBeenCalled();
+    } finally {
+      owner.isActive = true;
+    }
+  });
+
+  it('uses up the link and asks for the second factor', async () => {
+    const res = await signIn();
+
+    expect(consume).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: owner._id, magicLinkToken: TOKEN_HASH }),
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.twoFactorRequired).toBe(true);
+    expect(jwt.verify(data.tempToken, process.env.JWT_SECRET)).toMatchObject({ id: String(owner._id) });
+  });
+
+  it('rejects unknown links and links used in the meantime', async () => {
+    User.findOne.mockReturnValue({ select: async () => null });
+    expect((await signIn()).status).toHaveBeenCalledWith(400);
+
+    User.findOne.mockReturnValue({ select: async () => owner });
+    consume.mockResolvedValue(null);
+    expect((await signIn()).status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../config/oauthProviders', () => ({
+  getProvider: (id) => (id === 'corp' ? { id: 'corp', name: 'Company SSO' } : null),
+  listPublicProviders: () => []
+}));
+jest.mock('../utils/oidcClient', () => ({
+  exchangeCode: jest.fn().mockResolvedValue({ access_token: 'provider-token' }),
+  getIdentity: jest.fn().mockResolvedValue({ subject: 'corp-123', email: 'staff@example.com', emailVerified: true })
+}));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { oauthCallback } = require('../controllers/oauthController');
+const { protectOrPartial } = require('../middleware/authMiddleware');
+const { PURPOSE_SETUP, PURPOSE_VERIFY } = require('../utils/twoFactor');
+const { verifyPartialToken } = require('../utils/generateToken');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  res.clearCookie = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+};
+
+describe('signing in through an identity provider', () => {
+  const staff = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'staff@example.com',
+    role: 'instructor',
+    isActive: true,
+    twoFactor: { enabled: false }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(staff);
+    jest.spyOn(Setting, 'getValue').mockResolvedValue(true);
+    // Where the partial token's nonce is kept
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      staff.twoFactor.loginNonce = update.$set['twoFactor.loginNonce'];
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    staff.twoFactor = { enabled: false };
+    jest.restoreAllMocks();
+  });
+
+  // Follow the provider's redirect back and read the outcome from the fragment
+  const callback = async () => {
+    const res = mockResponse();
+    const state = jwt.sign({ provider: 'corp', state: 'state-1', nonce: 'nonce-1', codeVerifier: 'verifier-1' }, process.env.JWT_SECRET);
+    await oauthCallback({
+      params: { provider: 'corp' },
+      query: { code: 'code-1', state: 'state-1' },
+      cookies: { oauth_state: state },
+      protocol: 'http',
+      get: () => 'localhost:5000'
+    }, res);
+    return new URLSearchParams(new URL(res.redirect.mock.calls[0][0]).hash.slice(1));
+  };
+
+  it('lets staff who must use 2FA enroll without a password', async () => {
+    const outcome = await callback();
+
+    expect(outcome.get('oauth')).toBe('2fa-setup');
+    expect(verifyPartialToken(outcome.get('tempToken'), PURPOSE_SETUP)).toMatchObject({ id: String(staff._id) });
+
+    // The token opens the setup endpoints
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => staff });
+    const req = { body: { tempToken: outcome.get('tempToken') } };
+    const next = jest.fn();
+    await protectOrPartial(PURPOSE_SETUP)(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.partialAuth).toBe(true);
+    expect(req.user).toBe(staff);
+  });
+
+  it('still asks for the second factor once it is set up', async () => {
+    staff.twoFactor = { enabled: true };
+
+    const outcome = await callback();
+
+    expect(outcome.get('oauth')).toBe('2fa');
+    expect(verifyPartialToken(outcome.get('tempToken'), PURPOSE_VERIFY)).toMatchObject({ id: String(staff._id) });
+  });
+});
@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { checkPassword, isCommonPassword, isReusedPassword } = require('../utils/passwordPolicy');
+const { userValidation } = require('../middleware/validationMiddleware');
+
+const POLICY_SETTINGS = ['PASSWORD_MIN_LENGTH', 'PASSWORD_REQUIRE_SYMBOL', 'PASSWORD_HISTORY_SIZE', 'PASSWORD_BLOCK_COMMON'];
+
+const rulesBroken = (password) => checkPassword(password).map(violation => violation.rule);
+
+describe('password policy', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    POLICY_SETTINGS.forEach(name => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    POLICY_SETTINGS.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    jest.restoreAllMocks();
+  });
+
+  it('reports every rule a password breaks, with its own message', () => {
+    expect(rulesBroken('Vx7#qLm2p')).toEqual([]);
+    expect(rulesBroken('abc')).toEqual(['minLength', 'uppercase', 'number']);
+
+    const [violation] = checkPassword('Vx7qLm2');
+    expect(violation).toEqual({ rule: 'minLength', message: 'Password must be at least 8 characters long' });
+  });
+
+  it('follows the configured rules', () => {
+    process.env.PASSWORD_MIN_LENGTH = '12';
+    process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+
+    expect(rulesBroken('Vx7qLm2pZr4w')).toEqual(['symbol']);
+    expect(rulesBroken('Vx7#qLm2p')).toEqual(['minLength']);
+  });
+
+  it('rejects common passwords, including with digits and symbols tacked on', () => {
+    expect(isCommonPassword('password')).toBe(true);
+    expect(isCommonPassword('Summer2024!')).toBe(true);
+    expect(isCommonPassword('Vx7#qLm2p')).toBe(false);
+    expect(rulesBroken('Dragon123')).toEqual(['common']);
+
+    process.env.PASSWORD_BLOCK_COMMON = 'false';
+    expect(rulesBroken('Dragon123')).toEqual([]);
+  });
+
+  it('returns a validation error per broken rule without echoing the password', async () => {
+    const app = express();
+    app.use(express.json());
+    app.put('/change-password', userValidation.changePassword, (req, res) => res.json({ success: true }));
+
+    const res = await request(app).put('/change-password').send({ currentPassword: 'Old-pass1', newPassword: 'abc' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.message)).toEqual([
+      'Password must be at least 8 characters long',
+      'Password must contain at least one uppercase letter',
+      'Password must contain at least one number'
+    ]);
+    expect(res.body.errors.every(error => error.value === undefined)).toBe(true);
+  });
+
+  describe('password history', () => {
+    const user = new User({ _id: new mongoose.Types.ObjectId(), firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'x' });
+
+    beforeEach(async () => {
+      const [current, previous, older] = await Promise.all(['Current-pass1', 'Previous-pass1', 'Older-pass1'].map(password => bcrypt.hash(password, 4)));
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: async () => ({ password: current, passwordHistory: [current, previous, older] })
+      });
+    });
+
+    it('blocks the current and recent passwords', async () => {
+      expect(await isReusedPassword(user, 'Current-pass1')).toBe(true);
+      expect(await isReusedPassword(user, 'Older-pass1')).toBe(true);
+      expect(await isReusedPassword(user, 'Brand-new-pass1')).toBe(false);
+    });
+
+    it('only looks back as far as configured', async () => {
+      process.env.PASSWORD_HISTORY_SIZE = '1';
+      expect(await isReusedPassword(user, 'Current-pass1')).toBe(true);
+      expect(await isReusedPassword(user, 'Older-pass1')).toBe(false);
+
+      process.env.PASSWORD_HISTORY_SIZE = '0';
+      expect(await isReusedPassword(user, 'Current-pass1')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { resolveRolePermissions, getRolePermissions, clearPermissionCache, can } = require('../utils/permissions');
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+
+describe('RBAC', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearPermissionCache();
+  });
+
+  describe('resolveRolePermissions', () => {
+    it('uses the defaults when the role was never edited', () => {
+      expect([...resolveRolePermissions('instructor', null)]).toEqual(DEFAULT_ROLE_PERMISSIONS.instructor);
+    });
+
+    it('keeps permissions an admin took away', () => {
+      const stored = {
+        permissions: ['course:create'],
+        knownPermissions: Object.keys(PERMISSIONS)
+      };
+      const permissions = resolveRolePermissions('instructor', stored);
+
+      expect(permissions.has('course:create')).toBe(true);
+      expect(permissions.has('course:update:own')).toBe(false);
+    });
+
+    it('grants defaults registered after the role was saved', () => {
+      const stored = {
+        permissions: ['course:create'],
+        knownPermissions: Object.keys(PERMISSIONS).filter(permission => permission !== 'course:grade:own')
+      };
+      const permissions = resolveRolePermissions('instructor', stored);
+
+      expect(permissions.has('course:grade:own')).toBe(true);
+      expect(permissions.has('course:update:own')).toBe(false);
+    });
+
+    it('grants every default to roles saved before knownPermissions existed', () => {
+      const permissions = resolveRolePermissions('user', { permissions: ['course:create'] });
+
+      expect(permissions.has('course:create')).toBe(true);
+      DEFAULT_ROLE_PERMISSIONS.user.forEach(permission => expect(permissions.has(permission)).toBe(true));
+    });
+  });
+
+  describe('getRolePermissions', () => {
+    it('caches the stored role', async () => {
+      const findOne = jest.spyOn(Role, 'findOne').mockReturnValue(lean(null));
+
+      await getRolePermissions('consultant');
+      const permissions = await getRolePermissions('consultant');
+
+      expect(findOne).toHaveBeenCalledTimes(1);
+      expect(permissions.has('consultation:manage:own')).toBe(true);
+    });
+  });
+
+  describe('can', () => {
+    const user = { _id: 'user-1' };
+    const request = (permissions, requester = user) => ({ user: requester, permissions: new Set(permissions) });
+
+    it('accepts exact and :any grants', () => {
+      expect(can(request(['course:create']), 'course:create')).toBe(true);
+      expect(can(request(['course:update:any']), 'course:update', { instructor: 'someone-else' })).toBe(true);
+    });
+
+    it('applies ownership rules to :own grants', () => {
+      const req = request(['course:update:own']);
+
+      expect(can(req, 'course:update', { instructor: 'user-1' })).toBe(true);
+      expect(can(req, 'course:update', { instructor: { _id: 'user-1' } })).toBe(true);
+      expect(can(req, 'course:update', { instructor: 'someone-else' })).toBe(false);
+      expect(can(req, 'course:update')).toBe(true);
+    });
+
+    it('matches any of the owner fields', () => {
+      const req = request(['consultation:view:own']);
+
+      expect(can(req, 'consultation:view', { user: 'someone-else', consultant: 'user-1' })).toBe(true);
+      expect(can(req, 'consultation:view', { user: 'someone-else', consultant: 'another' })).toBe(false);
+    });
+
+    it('denies requests without the permission or a user', () => {
+      expect(can(request(['course:create']), 'course:delete')).toBe(false);
+      expect(can({ user }, 'course:create')).toBe(false);
+      expect(can(request(['course:update:own'], null), 'course:update')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const AuditLog = require('../models/AuditLog');
+const courseRoutes = require('../routes/courseRoutes');
+const { checkPrerequisites, getMissingPrerequisites } = require('../utils/prerequisites');
+const { signInAs } = require('./helpers/auth');
+
+const newUser = (role) => new User({ firstName: 'Jane', lastName: 'Doe', email: `${role}@example.com`, password: 'x', role, isVerified: true });
+
+const newCourse = (title, prerequisites = []) => new Course({
+  title,
+  isPublished: true,
+  status: 'published',
+  price: 50,
+  prerequisites: prerequisites.map(course => course._id)
+});
+
+describe('checking a prerequisite list', () => {
+  const basics = newCourse('Basics');
+  const colour = newCourse('Colour', [basics]);
+  const masterclass = newCourse('Masterclass', [colour]);
+  const courses = new Map([basics, colour, masterclass].map(course => [String(course._id), course]));
+
+  beforeEach(() => {
+    jest.spyOn(Course, 'countDocuments').mockImplementation(async ({ _id }) => _id.$in.filter(id => courses.has(id)).length);
+    jest.spyOn(Course, 'find').mockImplementation(({ _id }) => ({
+      select: async () => _id.$in.map(id => courses.get(id)).filter(Boolean)
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts courses that exist and do not lead back', async () => {
+    expect(await checkPrerequisites(masterclass._id, [colour._id, basics._id])).toBeNull();
+    expect(await checkPrerequisites(null, [masterclass._id])).toBeNull();
+  });
+
+  it('rejects the course itself and courses that do not exist', async () => {
+    expect(await checkPrerequisites(basics._id, [basics._id])).toBe('A course cannot be its own prerequisite');
+    expect(await checkPrerequisites(basics._id, [new mongoose.Types.ObjectId()])).toBe('One or more prerequisite courses do not exist');
+  });
+
+  it('rejects a chain that would make the course depend on itself', async () => {
+    expect(await checkPrerequisites(basics._id, [masterclass._id]))
+      .toBe('These prerequisites would make the course depend on itself');
+  });
+});
+
+describe('enrolling in a course with prerequisites', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const learner = newUser('user');
+  const basics = newCourse('Basics');
+  const colour = newCourse('Colour');
+  const masterclass = newCourse('Masterclass', [basics, colour]);
+  let completed;
+  let overridden;
+
+  beforeEach(() => {
+    signInAs(learner);
+    completed = [];
+    overridden = null;
+    jest.spyOn(Course, 'findById').mockResolvedValue(masterclass);
+    jest.spyOn(Course, 'exists').mockImplementation(async () => overridden);
+    jest.spyOn(Course, 'find').mockImplementation(({ _id }) => ({
+      select: async () => [basics, colour].filter(course => _id.$in.includes(String(course._id)))
+    }));
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Enrollment, 'find').mockImplementation(() => ({
+      select: async () => completed.map(course => ({ course: course._id }))
+    }));
+    jest.spyOn(Enrollment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Enrollment.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Course.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const enroll = () => request(app).post(`/api/courses/${masterclass._id}/enroll`);
+
+  it('lists the prerequisites still to complete', async () => {
+    completed = [basics];
+
+    const res = await enroll();
+
+    expect(res.status).toBe(403);
+    expect(res.body.data.missingPrerequisites.map(course => course.title)).toEqual(['Colour']);
+    expect(Enrollment.find).toHaveBeenCalledWith({
+      user: learner._id,
+      course: { $in: [String(basics._id), String(colour._id)] },
+      status: 'completed'
+    });
+    expect(Enrollment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('enrolls learners who completed them all', async () => {
+    completed = [basics, colour];
+
+    expect((await enroll()).status).toBe(201);
+  });
+
+  it('enrolls learners an admin let skip them', async () => {
+    overridden = { _id: masterclass._id };
+
+    expect((await enroll()).status).toBe(201);
+    expect(Course.exists).toHaveBeenCalledWith({ _id: masterclass._id, 'prerequisiteOverrides.user': learner._id });
+  });
+
+  it('can leave out courses the caller takes care of', async () => {
+    expect(await getMissingPrerequisites(masterclass, learner._id, { satisfied: [basics._id, colour._id] })).toEqual([]);
+    expect(Course.exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('prerequisite overrides', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const admin = newUser('admin');
+  const learner = newUser('user');
+  let course;
+
+  beforeEach(() => {
+    signInAs(admin);
+    course = newCourse('Masterclass');
+    jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => learner });
+    jest.spyOn(Course, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const grant = () => request(app)
+    .post(`/api/courses/${course._id}/prerequisite-overrides`)
+    .send({ userId: String(learner._id), reason: 'Industry experience' });
+
+  it('are granted by admins and audited', async () => {
+    const res = await grant();
+
+    expect(res.status).toBe(201);
+    expect(Course.updateOne).toHaveBeenCalledWith({ _id: course._id }, {
+      $push: { prerequisiteOverrides: expect.objectContaining({ user: learner._id, grantedBy: admin._id, reason: 'Industry experience' }) }
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'course.prerequisite_override.grant', subject: learner._id }));
+  });
+
+  it('are granted once per learner', async () => {
+    course.prerequisiteOverrides.push({ user: learner._id, grantedBy: admin._id });
+
+    expect((await grant()).status).toBe(409);
+    expect(Course.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('are out of reach for instructors', async () => {
+    signInAs(newUser('instructor'));
+
+    expect((await grant()).status).toBe(403);
+  });
+
+  it('can be withdrawn', async () => {
+    const withdraw = () => request(app).delete(`/api/courses/${course._id}/prerequisite-overrides/${learner._id}`);
+
+    expect((await withdraw()).status).toBe(200);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'course.prerequisite_override.revoke' }));
+
+    Course.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    expect((await withdraw()).status).toBe(404);
+  });
+});
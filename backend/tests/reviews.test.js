@@ -0,0 +1,184 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const reviewRoutes = require('../routes/reviewRoutes');
+const { signInAs } = require('./helpers/auth');
+
+// A query that can be chained like Mongoose's and resolves to `result`
+const query = (result) => {
+  const chain = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['populate', 'select', 'sort', 'skip', 'limit'].forEach(method => {
+    chain[method] = jest.fn(() => chain);
+  });
+  return chain;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses/:id/reviews', reviewRoutes);
+
+describe('PUT /api/courses/:id/reviews', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'user', firstName: 'Ada', lastName: 'Lovelace' };
+  const course = { _id: new mongoose.Types.ObjectId(), ratings: { average: 4, count: 1 } };
+
+  let enrollment;
+
+  beforeEach(() => {
+    signInAs(user);
+    enrollment = new Enrollment({ user: user._id, course: course._id, status: 'active' });
+    course.updateRatings = jest.fn();
+
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(Enrollment, 'findOne').mockImplementation(async () => enrollment);
+    jest.spyOn(Enrollment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Enrollment.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const review = body => request(app).put(`/api/courses/${course._id}/reviews`).send(body);
+
+  it('needs a score for a new review', async () => {
+    const res = await review({ review: 'Great course' });
+
+    expect(res.status).toBe(400);
+    expect(enrollment.rating.review).toBeUndefined();
+  });
+
+  it('creates a review and refreshes the course rating', async () => {
+    const res = await review({ score: 5, review: 'Great course' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.review).toMatchObject({ score: 5, review: 'Great course' });
+    expect(enrollment.rating.submittedAt).toBeInstanceOf(Date);
+    expect(course.updateRatings).toHaveBeenCalled();
+  });
+
+  it('only changes the fields sent when editing', async () => {
+    enrollment.rating.score = 5;
+    enrollment.rating.review = 'Great course';
+    enrollment.rating.submittedAt = new Date();
+
+    const res = await review({ score: 4 });
+
+    expect(res.status).toBe(200);
+    expect(enrollment.rating.score).toBe(4);
+    expect(enrollment.rating.review).toBe('Great course');
+    expect(enrollment.rating.isPublic).toBe(true);
+    expect(enrollment.rating.editedAt).toBeInstanceOf(Date);
+
+    await review({ review: 'Good, but long' });
+
+    expect(enrollment.rating.score).toBe(4);
+    expect(enrollment.rating.review).toBe('Good, but long');
+  });
+
+  it('only lets enrolled students review', async () => {
+    enrollment = null;
+
+    const res = await review({ score: 5 });
+
+    expect(res.status).toBe(403);
+    expect(course.updateRatings).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/courses/:id/reviews', () => {
+  const course = { _id: new mongoose.Types.ObjectId(), ratings: { average: 4.5, count: 2 } };
+  const voter = new mongoose.Types.ObjectId();
+  const reviews = [
+    new Enrollment({
+      user: new mongoose.Types.ObjectId(),
+      course: course._id,
+      status: 'completed',
+      rating: { score: 5, review: 'Great course', submittedAt: new Date(), helpful: { count: 1, users: [voter] } }
+    })
+  ];
+  let found;
+
+  beforeEach(() => {
+    found = query(reviews);
+    jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+    jest.spyOn(Enrollment, 'find').mockReturnValue(found);
+    jest.spyOn(Enrollment, 'countDocuments').mockResolvedValue(11);
+    jest.spyOn(Enrollment, 'aggregate').mockResolvedValue([{ _id: 5, count: 7 }, { _id: 4, count: 4 }]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists public reviews with a rating breakdown, keeping voters private', async () => {
+    const res = await request(app).get(`/api/courses/${course._id}/reviews`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ average: 4.5, count: 2, breakdown: { 1: 0, 2: 0, 3: 0, 4: 4, 5: 7 } });
+    expect(res.body.data.reviews[0]).toMatchObject({ score: 5, helpfulCount: 1, completedCourse: true });
+    expect(JSON.stringify(res.body.data.reviews[0])).not.toContain(String(voter));
+    expect(res.body.data.pagination).toMatchObject({ totalPages: 2, totalReviews: 11, hasNext: true });
+    expect(Enrollment.find).toHaveBeenCalledWith({ course: course._id, 'rating.score': { $gte: 1 }, 'rating.isPublic': true });
+  });
+
+  it('filters by rating and sorts by helpfulness', async () => {
+    await request(app).get(`/api/courses/${course._id}/reviews?rating=5&sort=helpful`);
+
+    expect(Enrollment.find.mock.calls[0][0]['rating.score']).toBe(5);
+    expect(found.sort).toHaveBeenCalledWith({ 'rating.helpful.count': -1, 'rating.submittedAt': -1 });
+
+    expect((await request(app).get(`/api/courses/${course._id}/reviews?sort=random`)).status).toBe(400);
+  });
+});
+
+describe('helpful votes', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'user', firstName: 'Ada', lastName: 'Lovelace' };
+  const courseId = new mongoose.Types.ObjectId();
+  let review;
+
+  beforeEach(() => {
+    signInAs(user);
+    review = new Enrollment({ user: new mongoose.Types.ObjectId(), course: courseId, rating: { score: 5, helpful: { count: 2 } } });
+    jest.spyOn(Enrollment, 'findOne').mockReturnValue({ select: async () => review });
+    jest.spyOn(Enrollment, 'findById').mockReturnValue({ select: async () => review });
+    jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const vote = () => request(app).post(`/api/courses/${courseId}/reviews/${review._id}/helpful`);
+
+  it('counts each user\'s vote once', async () => {
+    const res = await vote();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ helpfulCount: 2, votedHelpful: true });
+    expect(Enrollment.updateOne).toHaveBeenCalledWith(
+      { _id: review._id, 'rating.helpful.users': { $ne: user._id } },
+      { $addToSet: { 'rating.helpful.users': user._id }, $inc: { 'rating.helpful.count': 1 } }
+    );
+  });
+
+  it('does not let reviewers vote for their own review', async () => {
+    review.user = user._id;
+
+    const res = await vote();
+
+    expect(res.status).toBe(400);
+    expect(Enrollment.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('only withdraws a vote that was cast', async () => {
+    const res = await request(app).delete(`/api/courses/${courseId}/reviews/${review._id}/helpful`);
+
+    expect(res.body.data).toEqual({ helpfulCount: 2, votedHelpful: false });
+    expect(Enrollment.updateOne).toHaveBeenCalledWith(
+      { _id: String(review._id), course: String(courseId), 'rating.helpful.users': user._id },
+      { $pull: { 'rating.helpful.users': user._id }, $inc: { 'rating.helpful.count': -1 } }
+    );
+  });
+});
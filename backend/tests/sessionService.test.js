@@ -0,0 +1,110 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { rotateSession, hashToken } = require('../utils/sessionService');
+
+const newSession = (fields = {}) => new Session({
+  user: new mongoose.Types.ObjectId(),
+  refreshTokenHash: hashToken('current-token'),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+// Session.findOneAndUpdate swaps tokens atomically, as MongoDB does;
+// Session.findOne looks sessions up by their retired token
+const mockSessions = (sessions) => {
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const session = sessions.find(candidate => (
+      candidate.refreshTokenHash === query.refreshTokenHash &&
+      !candidate.revokedAt &&
+      candidate.expiresAt > query.expiresAt.$gt &&
+      !candidate.impersonatedBy
+    ));
+    if (!session) return null;
+    session.set(update.$set);
+    return session;
+  });
+  jest.spyOn(Session, 'findOne').mockImplementation(async (query) => sessions.find(session => (
+    session.previousTokenHash === query.previousTokenHash && !session.revokedAt
+  )) || null);
+};
+
+describe('refresh token rotation', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const activeUser = (session) => jest.spyOn(User, 'findById').mockResolvedValue({ _id: session.user, isActive: true });
+
+  it('swaps the refresh token and issues an access token for the session', async () => {
+    const session = newSession();
+    mockSessions([session]);
+    activeUser(session);
+
+    const result = await rotateSession('current-token');
+
+    expect(result.refreshToken).not.toBe('current-token');
+    expect(session.refreshTokenHash).toBe(hashToken(result.refreshToken));
+    expect(session.previousTokenHash).toBe(hashToken('current-token'));
+
+    const decoded = jwt.verify(result.accessToken, process.env.JWT_SECRET);
+    expect(decoded).toMatchObject({ id: String(session.user), sid: String(session._id) });
+  });
+
+  it('keeps the session when two tabs refresh at the same moment', async () => {
+    const session = newSession();
+    mockSessions([session]);
+    activeUser(session);
+
+    const [first, second] = await Promise.all([rotateSession('current-token'), rotateSession('current-token')]);
+
+    expect(first.refreshToken).toEqual(expect.any(String));
+    expect(second.refreshToken).toBeNull();
+    expect(second.accessToken).toEqual(expect.any(String));
+    expect(session.revokedAt).toBeUndefined();
+    expect(session.refreshTokenHash).toBe(hashToken(first.refreshToken));
+  });
+
+  it('revokes the session when a retired token is presented after the grace period', async () => {
+    const session = newSession();
+    mockSessions([session]);
+    activeUser(session);
+
+    const { refreshToken } = await rotateSession('current-token');
+    jest.setSystemTime(Date.now() + 31 * 1000);
+
+    expect(await rotateSession('current-token')).toBeNull();
+    expect(session.revokedReason).toBe('reuse-detected');
+    expect(await rotateSession(refreshToken)).toBeNull();
+  });
+
+  it('rejects unknown, expired and impersonation sessions', async () => {
+    mockSessions([
+      newSession({ refreshTokenHash: hashToken('expired'), expiresAt: new Date(Date.now() - 1000) }),
+      newSession({ refreshTokenHash: hashToken('impersonation'), impersonatedBy: new mongoose.Types.ObjectId() })
+    ]);
+
+    expect(await rotateSession(undefined)).toBeNull();
+    expect(await rotateSession('unknown')).toBeNull();
+    expect(await rotateSession('expired')).toBeNull();
+    expect(await rotateSession('impersonation')).toBeNull();
+  });
+
+  it('revokes the session of a deactivated user', async () => {
+    const session = newSession();
+    mockSessions([session]);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: session.user, isActive: false });
+
+    expect(await rotateSession('current-token')).toBeNull();
+    expect(session.revokedReason).toBe('suspended');
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue() }));
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const adminRoutes = require('../routes/adminRoutes');
+const { sendEmail } = require('../utils/emailService');
+const { describeDevice } = require('../utils/deviceInfo');
+const { createSession } = require('../utils/sessionService');
+const { getMySessions, revokeMySession } = require('../controllers/sessionController');
+const { signInAs } = require('./helpers/auth');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.clearCookie = jest.fn(() => res);
+  return res;
+};
+
+describe('describeDevice', () => {
+  it('names the browser, system and kind of device', () => {
+    expect(describeDevice(CHROME_WINDOWS)).toEqual({ browser: 'Chrome 124', os: 'Windows 10/11', type: 'desktop', label: 'Chrome 124 on Windows 10/11' });
+    expect(describeDevice(SAFARI_IPHONE)).toMatchObject({ browser: 'Safari 17', os: 'iOS 17', type: 'mobile' });
+    expect(describeDevice(undefined)).toMatchObject({ label: 'Unknown browser on Unknown OS', type: 'other' });
+  });
+});
+
+describe('sign-ins from new devices', () => {
+  const account = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'jane@example.com',
+    firstName: 'Jane',
+    knownDevices: []
+  };
+  const req = (deviceId) => ({ deviceId, ip: '203.0.113.7', get: () => CHROME_WINDOWS });
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+    account.knownDevices = [];
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => new Session(fields));
+    // Each lookup loads a copy, like a fresh query
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ ...account, knownDevices: [...account.knownDevices] }) });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$push) account.knownDevices.push(...update.$push.knownDevices.$each);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('records the first device quietly', async () => {
+    const { session } = await createSession(account, req('a'.repeat(32)));
+
+    expect(session.deviceId).toBe('a'.repeat(32));
+    expect(account.knownDevices).toHaveLength(1);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('emails an alert for a device it has not seen', async () => {
+    await createSession(account, req('a'.repeat(32)));
+    await createSession(account, req('b'.repeat(32)));
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({
+      email: 'jane@example.com',
+      template: 'newDeviceLogin',
+      data: { device: 'Chrome 124 on Windows 10/11', ipAddress: '203.0.113.7' }
+    });
+  });
+
+  it('does not alert again for a known device', async () => {
+    await createSession(account, req('a'.repeat(32)));
+    await createSession(account, req('b'.repeat(32)));
+    await createSession(account, req('b'.repeat(32)));
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(account.knownDevices).toHaveLength(2);
+  });
+});
+
+describe('managing your own sessions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const current = new Session({ user: userId, refreshTokenHash: 'a', expiresAt: new Date(Date.now() + 60000), userAgent: CHROME_WINDOWS });
+  const other = new Session({ user: userId, refreshTokenHash: 'b', expiresAt: new Date(Date.now() + 60000), userAgent: SAFARI_IPHONE });
+  const req = (params = {}) => ({ user: { _id: userId }, authSession: current, params });
+
+  beforeEach(() => {
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists active sessions and marks the current one', async () => {
+    jest.spyOn(Session, 'find').mockReturnValue({ sort: async () => [current, other] });
+
+    const res = mockResponse();
+    await getMySessions(req(), res);
+
+    const { sessions } = res.json.mock.calls[0][0].data;
+    expect(sessions.map(session => session.current)).toEqual([true, false]);
+    expect(sessions[1].device.label).toBe('Safari 17 on iOS 17');
+  });
+
+  it('only revokes the user\'s own sessions', async () => {
+    const findOne = jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+    const res = mockResponse();
+    await revokeMySession(req({ id: String(new mongoose.Types.ObjectId()) }), res);
+
+    expect(findOne.mock.calls[0][0]).toMatchObject({ user: userId });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('signs out another device, or this one', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValueOnce(other).mockResolvedValueOnce(current);
+
+    const first = mockResponse();
+    await revokeMySession(req({ id: String(other._id) }), first);
+    expect(other.revokedReason).toBe('revoked');
+    expect(first.clearCookie).not.toHaveBeenCalled();
+
+    const second = mockResponse();
+    await revokeMySession(req({ id: String(current._id) }), second);
+    expect(second.json.mock.calls[0][0].data.current).toBe(true);
+    expect(second.clearCookie).toHaveBeenCalled();
+  });
+});
+
+describe('admin session management', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+
+  const target = new mongoose.Types.ObjectId();
+  const session = new Session({ user: target, refreshTokenHash: 'a', expiresAt: new Date(Date.now() + 60000) });
+
+  beforeEach(() => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const revoke = () => request(app).delete(`/api/admin/users/${target}/sessions/${session._id}`);
+
+  it('needs user:session:manage', async () => {
+    signInAs({ _id: new mongoose.Types.ObjectId(), role: 'instructor' });
+
+    expect((await revoke()).status).toBe(403);
+    expect(Session.findOne).not.toHaveBeenCalled();
+  });
+
+  it('revokes a session of the given user', async () => {
+    signInAs({ _id: new mongoose.Types.ObjectId(), role: 'admin' });
+
+    const res = await revoke();
+
+    expect(res.status).toBe(200);
+    expect(Session.findOne.mock.calls[0][0]).toMatchObject({ _id: String(session._id), user: String(target) });
+    expect(session.revokedReason).toBe('admin');
+  });
+});
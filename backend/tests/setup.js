@@ -0,0 +1,4 @@
+// Environment the backend expects, for tests that never start the server
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
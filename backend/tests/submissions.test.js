@@ -0,0 +1,189 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').auth);
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Submission = require('../models/Submission');
+const courseRoutes = require('../routes/courseRoutes');
+const { letterGrade, scoreSubmission } = require('../utils/grading');
+const { signInAs } = require('./helpers/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newUser = (role) => new User({ firstName: 'Jane', lastName: 'Doe', email: `${role}@example.com`, password: 'x', role });
+
+const newCourse = (instructor) => new Course({
+  title: 'Video Editing',
+  instructor: instructor._id,
+  curriculum: [{
+    moduleTitle: 'Projects',
+    lessons: [{
+      lessonTitle: 'Final cut',
+      lessonType: 'assignment',
+      assignment: {
+        instructions: 'Cut a one-minute trailer',
+        rubric: [
+          { criterion: 'Pacing', maxPoints: 6 },
+          { criterion: 'Sound', maxPoints: 4 }
+        ]
+      }
+    }]
+  }]
+});
+
+describe('scoring a submission', () => {
+  const course = newCourse(newUser('instructor'));
+  const [lesson] = course.curriculum[0].lessons;
+  const [pacing, sound] = lesson.assignment.rubric;
+
+  it('adds up the rubric and converts it to a percentage', () => {
+    const { grade } = scoreSubmission(lesson, {
+      rubricScores: [{ criterion: String(pacing._id), points: 5, comment: 'Tight' }, { criterion: String(sound._id), points: 2 }]
+    });
+
+    expect(grade).toMatchObject({ points: 7, maxPoints: 10, score: 70 });
+    expect(grade.rubricScores[0]).toMatchObject({ points: 5, comment: 'Tight' });
+    expect(letterGrade(grade.score)).toBe('C-');
+  });
+
+  it('needs points for every criterion, within its maximum', () => {
+    expect(scoreSubmission(lesson, { rubricScores: [{ criterion: String(pacing._id), points: 5 }] }))
+      .toEqual({ error: 'Points are required for "Sound"' });
+    expect(scoreSubmission(lesson, { rubricScores: [{ criterion: String(pacing._id), points: 7 }, { criterion: String(sound._id), points: 2 }] }))
+      .toEqual({ error: 'Points for "Pacing" must be between 0 and 6' });
+  });
+
+  it('takes a plain score for assignments without a rubric', () => {
+    const plain = { assignment: { rubric: [] } };
+
+    expect(scoreSubmission(plain, { score: 88 }).grade).toMatchObject({ points: 88, maxPoints: 100, score: 88 });
+    expect(scoreSubmission(plain, {}).error).toBe('A score between 0 and 100 is required');
+  });
+});
+
+describe('handing in an assignment', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const learner = newUser('user');
+  const course = newCourse(newUser('instructor'));
+  const [lesson] = course.curriculum[0].lessons;
+  let latest;
+
+  beforeEach(() => {
+    signInAs(learner);
+    latest = null;
+    lesson.assignment.dueDate = undefined;
+    lesson.assignment.allowLateSubmissions = true;
+    jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(new Enrollment({ user: learner._id, course: course._id }));
+    jest.spyOn(Submission, 'findOne').mockReturnValue({ sort: async () => latest });
+    jest.spyOn(Submission, 'create').mockImplementation(async (fields) => new Submission(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const handIn = (text = 'https://example.com/trailer') => request(app)
+    .post(`/api/courses/${course._id}/lessons/${lesson._id}/submissions`)
+    .send({ text });
+
+  it('records the first attempt', async () => {
+    const res = await handIn();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ attemptNumber: 1, status: 'submitted', isLate: false });
+  });
+
+  it('accepts one submission at a time until a resubmission is requested', async () => {
+    latest = new Submission({ attemptNumber: 1, status: 'submitted' });
+    expect((await handIn()).status).toBe(409);
+
+    latest.status = 'graded';
+    expect((await handIn()).body.message).toBe('This assignment has already been graded');
+
+    latest.status = 'resubmission_requested';
+    const res = await handIn();
+    expect(res.status).toBe(201);
+    expect(res.body.data.attemptNumber).toBe(2);
+  });
+
+  it('flags late work, or refuses it when the assignment does not allow it', async () => {
+    lesson.assignment.dueDate = new Date(Date.now() - DAY_MS);
+
+    const late = await handIn();
+    expect(late.body.data.isLate).toBe(true);
+
+    lesson.assignment.allowLateSubmissions = false;
+    expect((await handIn()).status).toBe(400);
+
+    latest = new Submission({ attemptNumber: 1, status: 'resubmission_requested' });
+    const resubmitted = await handIn();
+    expect(resubmitted.status).toBe(201);
+    expect(resubmitted.body.data.isLate).toBe(false);
+  });
+});
+
+describe('grading a submission', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', courseRoutes);
+
+  const instructor = newUser('instructor');
+  const course = newCourse(instructor);
+  const [lesson] = course.curriculum[0].lessons;
+  const [pacing, sound] = lesson.assignment.rubric;
+  let submission;
+  let enrollment;
+
+  beforeEach(() => {
+    signInAs(instructor);
+    enrollment = new Enrollment({ user: new mongoose.Types.ObjectId(), course: course._id });
+    submission = new Submission({ course: course._id, lesson: lesson._id, enrollment: enrollment._id, user: enrollment.user, attemptNumber: 1 });
+    jest.spyOn(Submission, 'findById').mockImplementation(async () => submission);
+    jest.spyOn(Course, 'findById').mockReturnValue({ select: async () => course });
+    jest.spyOn(Enrollment, 'findById').mockImplementation(async () => enrollment);
+    jest.spyOn(Submission, 'aggregate').mockImplementation(async () => [{ _id: lesson._id, score: submission.grade.score }]);
+    for (const Model of [Submission, Enrollment]) {
+      jest.spyOn(Model.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    }
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const grade = (body) => request(app)
+    .post(`/api/courses/instructor/submissions/${submission._id}/grade`)
+    .send(body);
+
+  const rubricScores = [{ criterion: String(pacing._id), points: 6 }, { criterion: String(sound._id), points: 3 }];
+
+  it('grades against the rubric, completes the lesson and updates the final grade', async () => {
+    const res = await grade({ rubricScores, feedback: 'Good rhythm' });
+
+    expect(res.status).toBe(200);
+    expect(submission).toMatchObject({ status: 'graded', feedback: 'Good rhythm' });
+    expect(submission.grade).toMatchObject({ score: 90, gradedBy: instructor._id });
+    expect(enrollment.finalGrade).toMatchObject({ score: 90, grade: 'A-' });
+    expect(enrollment.progress.completedLessons.map(completion => String(completion.lesson))).toEqual([String(lesson._id)]);
+  });
+
+  it('grades each submission once', async () => {
+    submission.status = 'graded';
+
+    expect((await grade({ rubricScores })).status).toBe(409);
+  });
+
+  it('hides submissions from other instructors\' courses', async () => {
+    signInAs(newUser('instructor'));
+
+    const res = await grade({ rubricScores });
+
+    expect(res.status).toBe(404);
+    expect(submission.status).toBe('submitted');
+  });
+});
@@ -0,0 +1,50 @@
+const { generateCode, verifyCode, base32Encode, base32Decode, buildOtpauthUrl, generateSecret } = require('../utils/totp');
+
+// RFC 6238 appendix B seed, base32-encoded
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(generateCode(SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  it('round-trips base32 secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  it('accepts codes within the drift window and returns their step', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(time / 30000);
+
+    expect(verifyCode(SECRET, '081804', { time })).toBe(step);
+    expect(verifyCode(SECRET, generateCode(SECRET, time - 30000), { time })).toBe(step - 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, time + 30000), { time })).toBe(step + 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, time - 60000), { time })).toBeNull();
+  });
+
+  it('rejects replayed and malformed codes', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(time / 30000);
+
+    expect(verifyCode(SECRET, '081804', { time, afterStep: step })).toBeNull();
+    expect(verifyCode(SECRET, '81804', { time })).toBeNull();
+    expect(verifyCode(SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyCode(null, '081804', { time })).toBeNull();
+  });
+
+  it('builds an otpauth URL for authenticator apps', () => {
+    const url = new URL(buildOtpauthUrl({ secret: SECRET, account: 'jane@example.com', issuer: 'Star Media Tech' }));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Star Media Tech:jane@example.com');
+    expect(url.searchParams.get('secret')).toBe(SECRET);
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});
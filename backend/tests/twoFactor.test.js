@@ -0,0 +1,92 @@
+jest.mock('../utils/bruteForce', () => ({
+  getLoginBlock: jest.fn().mockResolvedValue(null),
+  recordLoginFailure: jest.fn().mockResolvedValue(),
+  clearLoginFailures: jest.fn().mockResolvedValue()
+}));
+jest.mock('../utils/sessionService', () => ({
+  createSession: jest.fn().mockResolvedValue({ accessToken: 'access-token', refreshToken: 'refresh-token' }),
+  setRefreshCookie: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyTwoFactorLogin } = require('../controllers/twoFactorController');
+const { getLoginChallenge, generateBackupCodes } = require('../utils/twoFactor');
+const { recordLoginFailure } = require('../utils/bruteForce');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  return res;
+};
+
+describe('the second login step', () => {
+  const { codes, hashes } = generateBackupCodes();
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'jane@example.com',
+      isActive: true,
+      twoFactor: { enabled: true, backupCodes: [...hashes] },
+      updateLastLogin: jest.fn().mockResolvedValue(),
+      getPublicProfile: () => ({ email: 'jane@example.com' })
+    };
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    // Stand-in for the conditional updates on the stored nonce
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$set) {
+        user.twoFactor.loginNonce = update.$set['twoFactor.loginNonce'];
+        return { modifiedCount: 1 };
+      }
+      if (user.twoFactor.loginNonce !== filter['twoFactor.loginNonce']) return { modifiedCount: 0 };
+      delete user.twoFactor.loginNonce;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const verify = async (body) => {
+    const res = mockResponse();
+    await verifyTwoFactorLogin({ body, ip: '203.0.113.7' }, res);
+    return res;
+  };
+
+  it('signs in once per login', async () => {
+    const { tempToken } = await getLoginChallenge(user);
+
+    const first = await verify({ tempToken, backupCode: codes[0] });
+    expect(first.status).not.toHaveBeenCalled();
+    expect(first.json.mock.calls[0][0].data.token).toBe('access-token');
+
+    const replay = await verify({ tempToken, backupCode: codes[1] });
+    expect(replay.status).toHaveBeenCalledWith(401);
+    expect(replay.json.mock.calls[0][0].message).toMatch('Login step expired');
+    expect(user.twoFactor.backupCodes).toHaveLength(codes.length - 1);
+  });
+
+  it('lets a wrong code be retried, counting the failure', async () => {
+    const { tempToken } = await getLoginChallenge(user);
+
+    expect((await verify({ tempToken, code: '000000' })).status).toHaveBeenCalledWith(401);
+    expect(recordLoginFailure).toHaveBeenCalled();
+
+    const retry = await verify({ tempToken, backupCode: codes[0] });
+    expect(retry.status).not.toHaveBeenCalled();
+  });
+
+  it('stops accepting a token once a newer login starts', async () => {
+    const { tempToken: older } = await getLoginChallenge(user);
+    await getLoginChallenge(user);
+
+    const res = await verify({ tempToken: older, backupCode: codes[0] });
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(user.twoFactor.backupCodes).toHaveLength(codes.length);
+  });
+});
@@ -0,0 +1,80 @@
+const zlib = require('zlib');
+const { createZip, readZip, crc32 } = require('../utils/zip');
+const { importCoursePackage } = require('../utils/coursePackage');
+
+// An entry that claims to be 10 bytes but inflates to 1 MB
+const zipBomb = () => {
+  const name = 'bomb.txt';
+  const zip = createZip([{ name, data: Buffer.alloc(10, 'a') }]);
+  const bomb = zlib.deflateRawSync(Buffer.alloc(1024 * 1024, 'a'));
+  const patched = Buffer.concat([zip.subarray(0, 30 + name.length), bomb, zip.subarray(zip.length - 22 - 46 - name.length)]);
+  const central = patched.length - 22 - 46 - name.length;
+  patched.writeUInt32LE(bomb.length, 18);
+  patched.writeUInt32LE(bomb.length, central + 20);
+  patched.writeUInt32LE(central, patched.length - 22 + 16);
+  return patched;
+};
+
+describe('ZIP reader', () => {
+  it('reads back what createZip wrote', () => {
+    const zip = createZip([
+      { name: 'README.txt', data: 'hello' },
+      { name: 'data/profile.json', data: Buffer.from(JSON.stringify({ name: 'Jane' })) },
+      { name: 'empty.txt', data: '' }
+    ]);
+
+    const entries = readZip(zip);
+    expect(entries.map(entry => entry.name)).toEqual(['README.txt', 'data/profile.json', 'empty.txt']);
+    expect(entries[0].data.toString()).toBe('hello');
+    expect(JSON.parse(entries[1].data)).toEqual({ name: 'Jane' });
+    expect(entries[2].data.length).toBe(0);
+  });
+
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('rejects files that are not ZIP archives', () => {
+    expect(() => readZip(Buffer.from('definitely not a zip archive'))).toThrow('The file is not a ZIP archive');
+  });
+
+  it('caps the unpacked size', () => {
+    const zip = createZip([{ name: 'big.txt', data: Buffer.alloc(2048, 'a') }]);
+    expect(() => readZip(zip, { maxSize: 1024 })).toThrow('The archive is too large once unpacked');
+  });
+
+  it('caps the number of entries', () => {
+    const zip = createZip([1, 2, 3].map(n => ({ name: `${n}.txt`, data: String(n) })));
+    expect(() => readZip(zip, { maxEntries: 2 })).toThrow('The archive has more than 2 entries');
+  });
+
+  it('does not inflate past the declared size', () => {
+    expect(() => readZip(zipBomb())).toThrow('bomb.txt is larger than the archive says');
+  });
+
+  it('reports an oversized entry in a course package as an import error', async () => {
+    const { report } = await importCoursePackage(zipBomb(), { instructor: 'instructor-id', dryRun: true });
+
+    expect(report.errors).toEqual([{ path: 'archive', message: 'bomb.txt is larger than the archive says' }]);
+  });
+
+  it('reports entries whose compressed data is corrupt', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'hello hello hello' }]);
+    zip.fill(0xff, 30 + 'a.txt'.length, 30 + 'a.txt'.length + 4);
+    expect(() => readZip(zip)).toThrow('a.txt is damaged');
+  });
+
+  it('detects damaged entries', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'hello' }]);
+    const central = zip.length - 22 - 46 - 'a.txt'.length;
+    zip.writeUInt32LE(0, central + 16);
+    expect(() => readZip(zip)).toThrow('a.txt is damaged');
+  });
+
+  it('refuses encrypted entries', () => {
+    const zip = createZip([{ name: 'secret.txt', data: 'hello' }]);
+    const central = zip.length - 22 - 46 - 'secret.txt'.length;
+    zip.writeUInt16LE(zip.readUInt16LE(central + 8) | 0x1, central + 8);
+    expect(() => readZip(zip)).toThrow('secret.txt is encrypted');
+  });
+});
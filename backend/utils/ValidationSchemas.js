@@ -49,7 +49,7 @@ class ValidationSchemas {
             phone: yup
                 .string()
                 .matches(
-                    /^\+?[\d\s\-\(\)]{10,}$/,
+                    /^\+?[\d\s\-()]{10,}$/,
                     'Please enter a valid phone number'
                 )
                 .transform((value) => value.replace(/[^\d+]/g, '')), // Remove formatting for storage
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Consultant = require('../models/Consultant');
+const Consultation = require('../models/Consultation');
+const Enrollment = require('../models/Enrollment');
+const ApiKey = require('../models/ApiKey');
+const Submission = require('../models/Submission');
+const { sendEmail } = require('./emailService');
+const { revokeAllSessions } = require('./sessionService');
+const { deleteUserExports } = require('./dataExport');
+
+const UPLOAD_DIR = path.resolve('uploads');
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const graceDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Put the account on the deletion schedule and sign it out everywhere. The
+// user can sign back in during the grace period to cancel.
+const scheduleAccountDeletion = async (user, reason) => {
+  const scheduledFor = new Date(Date.now() + graceDays() * 24 * 60 * 60 * 1000);
+
+  user.deletion = { requestedAt: new Date(), scheduledFor, reason };
+  await user.save();
+  await revokeAllSessions(user._id, 'account-deletion');
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Your Account Is Scheduled for Deletion - Star Media Tech',
+    template: 'accountDeletionScheduled',
+    data: {
+      name: user.firstName,
+      scheduledFor: scheduledFor.toDateString(),
+      cancelUrl: `${process.env.CLIENT_URL}/pages/profile.html#settings`
+    }
+  });
+
+  return scheduledFor;
+};
+
+const cancelAccountDeletion = async (user) => {
+  user.deletion = undefined;
+  await user.save();
+};
+
+// Delete a locally stored upload. Paths outside the upload dir are left alone.
+const removeUploadedFile = async (filePath) => {
+  const resolved = path.resolve(filePath);
+  if (!resolved.startsWith(UPLOAD_DIR + path.sep)) return;
+  await fs.promises.unlink(resolved).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+};
+
+// Avatars are either Cloudinary uploads ({ public_id, url }) or files saved
+// by the local upload middleware
+const removeAvatar = async (avatar) => {
+  if (!avatar) return;
+
+  if (avatar.public_id) {
+    // Loaded on demand: the Cloudinary config connects as soon as it's required
+    const { deleteFromCloudinary } = require('../config/cloudinary');
+    await deleteFromCloudinary(avatar.public_id);
+    return;
+  }
+
+  const filePath = typeof avatar === 'string' ? avatar : avatar.url;
+  if (!filePath || /^https?:\/\//.test(filePath)) return;
+  await removeUploadedFile(filePath);
+};
+
+// Delete the files handed in with the user's submissions and clear their
+// answers. Grades stay so course statistics still add up.
+const removeSubmissionContent = async (userId) => {
+  const submissions = await Submission.find({ user: userId, 'files.0': { $exists: true } }).select('+files.path');
+
+  for (const submission of submissions) {
+    for (const file of submission.files) {
+      if (!file.path) continue;
+      try {
+        await removeUploadedFile(file.path);
+      } catch (error) {
+        console.error('Submission file removal error:', error);
+      }
+    }
+  }
+
+  await Submission.updateMany({ user: userId }, { $set: { files: [] }, $unset: { text: 1 } });
+};
+
+// Strip personal data from the account while keeping the document, so
+// enrollments, consultations and reviews still point at a (now anonymous)
+// user and revenue and rating figures stay intact.
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return null;
+
+  const { email, firstName, avatar } = user;
+
+  try {
+    await removeAvatar(avatar && avatar.toObject ? avatar.toObject() : avatar);
+  } catch (error) {
+    // The rest of the deletion must still go ahead
+    console.error('Avatar removal error:', error);
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        isActive: false,
+        isVerified: false,
+        identities: [],
+        knownDevices: [],
+        twoFactor: { enabled: false },
+        deletedAt: new Date()
+      },
+      $unset: {
+        phone: 1,
+        avatar: 1,
+        passwordHistory: 1,
+        bio: 1,
+        skills: 1,
+        socialLinks: 1,
+        lastLogin: 1,
+        verificationToken: 1,
+        verificationTokenExpire: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        magicLinkToken: 1,
+        magicLinkExpire: 1,
+        'deletion.reason': 1
+      }
+    }
+  );
+
+  await revokeAllSessions(user._id, 'account-deletion');
+  await ApiKey.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  // Free-text the user wrote about themselves goes; scores and amounts stay
+  await Consultation.updateMany({ user: user._id }, { $unset: { userNotes: 1 } });
+  await removeSubmissionContent(user._id);
+  await Enrollment.updateMany({ 'rating.helpful.users': user._id }, { $pull: { 'rating.helpful.users': user._id } });
+  await deleteUserExports(user._id);
+  await Consultant.updateMany(
+    { user: user._id },
+    { $set: { name: 'Deleted User', isActive: false }, $unset: { email: 1, bio: 1 } }
+  );
+
+  try {
+    await sendEmail({
+      email,
+      subject: 'Your Account Has Been Deleted - Star Media Tech',
+      template: 'accountDeleted',
+      data: { name: firstName }
+    });
+  } catch (error) {
+    console.error('Account deleted email error:', error);
+  }
+
+  return user._id;
+};
+
+// Anonymize every account whose grace period has run out
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    deletedAt: { $exists: false }
+  }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await anonymizeUser(_id);
+    } catch (error) {
+      console.error(`Account deletion failed for ${_id}:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+const startAccountDeletionJob = () => {
+  const run = () => purgeDueAccounts().catch(error => console.error('Account deletion job error:', error));
+  run();
+  return setInterval(run, JOB_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  anonymizeUser,
+  removeAvatar,
+  purgeDueAccounts,
+  startAccountDeletionJob
+};
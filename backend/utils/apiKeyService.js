@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const net = require('net');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Partner = require('../models/Partner');
+const { PERMISSIONS, PARTNER_SCOPES } = require('../config/permissions');
+const { getRolePermissions } = require('./permissions');
+
+// Keys look like smk_<prefix>_<secret>. The prefix is stored in clear to find
+// the key; the secret is only ever stored as a SHA-256 hash.
+const KEY_TAG = 'smk';
+const KEY_PATTERN = /^smk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    key: `${KEY_TAG}_${prefix}_${secret}`,
+    prefix,
+    keyHash: hashSecret(secret)
+  };
+};
+
+// Keys are sent as `X-API-Key: smk_...` or `Authorization: Bearer smk_...`
+const extractApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith(`Bearer ${KEY_TAG}_`)) return authorization.slice(7).trim();
+
+  return null;
+};
+
+const normaliseIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+
+const ipMatches = (ip, rule) => {
+  if (!rule.includes('/')) return normaliseIp(rule) === ip;
+
+  const [range, bits] = rule.split('/');
+  if (!net.isIPv4(ip) || !net.isIPv4(range)) return false;
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(range) & mask);
+};
+
+const isIpAllowed = (ip, allowedIps = []) => {
+  if (!allowedIps.length) return true;
+  const client = normaliseIp(ip);
+  return allowedIps.some(rule => ipMatches(client, rule));
+};
+
+const isValidIpRule = (rule) => {
+  const [range, bits, extra] = String(rule).split('/');
+  if (extra !== undefined) return false;
+  if (bits === undefined) return net.isIP(range) !== 0;
+  return net.isIPv4(range) && /^\d+$/.test(bits) && Number(bits) <= 32;
+};
+
+// Returns an error message, or null when the scopes are acceptable
+const validateScopes = (scopes, { partner }) => {
+  const unknown = scopes.filter(scope => !Object.prototype.hasOwnProperty.call(PERMISSIONS, scope));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}`;
+
+  if (partner) {
+    const disallowed = scopes.filter(scope => !PARTNER_SCOPES.includes(scope));
+    if (disallowed.length) return `Partner keys cannot use these scopes: ${disallowed.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Resolve a raw key to the identity it acts for. Returns { error } when the
+// key can't be used, otherwise { apiKey, user, partner, permissions }.
+const resolveApiKey = async (rawKey, req) => {
+  const match = KEY_PATTERN.exec(rawKey || '');
+  if (!match) return { error: 'Invalid API key' };
+
+  const [, prefix, secret] = match;
+  const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+
+  const expected = Buffer.from(apiKey ? apiKey.keyHash : hashSecret(''), 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (!apiKey || !crypto.timingSafeEqual(expected, actual)) return { error: 'Invalid API key' };
+
+  if (apiKey.revokedAt) return { error: 'API key has been revoked' };
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return { error: 'API key has expired' };
+  if (!isIpAllowed(req.ip, apiKey.allowedIps)) return { error: 'API key is not allowed from this address' };
+
+  let user = null;
+  let partner = null;
+  let permissions;
+
+  if (apiKey.user) {
+    user = await User.findById(apiKey.user).select('-password');
+    if (!user || user.isActive === false) return { error: 'API key owner is inactive' };
+
+    // A key never grants more than its owner currently has
+    const rolePermissions = await getRolePermissions(user.role);
+    permissions = new Set(apiKey.scopes.filter(scope => rolePermissions.has(scope)));
+  } else {
+    partner = await Partner.findById(apiKey.partner);
+    if (!partner || partner.status !== 'active') return { error: 'API key owner is inactive' };
+    permissions = new Set(apiKey.scopes);
+  }
+
+  // Usage tracking shouldn't hold up the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: normaliseIp(req.ip) }, $inc: { usageCount: 1 } }
+  ).catch(error => console.error('API key usage tracking error:', error));
+
+  return { apiKey, user, partner, permissions };
+};
+
+module.exports = {
+  generateApiKey,
+  extractApiKey,
+  isValidIpRule,
+  validateScopes,
+  resolveApiKey
+};
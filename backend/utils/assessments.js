@@ -0,0 +1,194 @@
+const Question = require('../models/Question');
+
+// Allowance for network delay when an attempt is submitted at the deadline
+const LATE_GRACE_MS = 30 * 1000;
+
+// Fisher-Yates shuffle, in place
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// The student's record for an assessment on their enrollment, created on
+// first use
+const getAssessmentRecord = (enrollment, assessmentId) => {
+  let record = enrollment.assessments.find(
+    entry => entry.assessment && entry.assessment.toString() === assessmentId.toString()
+  );
+
+  if (!record) {
+    enrollment.assessments.push({ assessment: assessmentId, attempts: [] });
+    record = enrollment.assessments[enrollment.assessments.length - 1];
+  }
+
+  return record;
+};
+
+// The attempt the student started but hasn't submitted, if any
+const getOpenAttempt = (record) =>
+  record.attempts.find(attempt => !attempt.submittedAt) || null;
+
+const isPastDeadline = (assessment, attempt, now = new Date()) => {
+  const deadline = assessment.getDeadline(attempt.startedAt);
+  return Boolean(deadline) && now.getTime() > deadline.getTime() + LATE_GRACE_MS;
+};
+
+// Questions of the assessment's pool that still exist in the course bank
+const loadPool = (assessment) => Question.find({
+  _id: { $in: assessment.questions },
+  course: assessment.course
+});
+
+// Start a new attempt, drawing its questions from the pool. The chosen
+// questions are recorded on the attempt, so grading only accepts answers to
+// questions the student was actually given.
+const startAttempt = async (record, assessment) => {
+  let questions = await loadPool(assessment);
+
+  if (assessment.questionCount && assessment.questionCount < questions.length) {
+    questions = shuffle(questions).slice(0, assessment.questionCount);
+  } else if (assessment.shuffleQuestions) {
+    questions = shuffle(questions);
+  }
+
+  record.attempts.push({
+    attemptNumber: record.attempts.length + 1,
+    startedAt: new Date(),
+    totalQuestions: questions.length,
+    answers: questions.map(question => ({ question: question._id }))
+  });
+
+  return record.attempts[record.attempts.length - 1];
+};
+
+// The questions of an attempt, in the order they were drawn
+const loadAttemptQuestions = async (attempt) => {
+  const ids = attempt.answers.map(answer => answer.question);
+  const questions = await Question.find({ _id: { $in: ids } });
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// What the student sees while taking an attempt: no correct answers
+const presentAttempt = (assessment, attempt, questions) => ({
+  attemptNumber: attempt.attemptNumber,
+  startedAt: attempt.startedAt,
+  deadline: assessment.getDeadline(attempt.startedAt),
+  questions: questions.map(question => {
+    const view = question.toStudentView();
+    if (view.options && assessment.shuffleOptions && question.type !== 'true_false') {
+      shuffle(view.options);
+    }
+    return view;
+  })
+});
+
+// Grade an attempt against the question bank. `answers` is a list of
+// { question, answer } from the student; answers to questions that weren't
+// drawn for this attempt are ignored. Score is the percentage of points won.
+const gradeAttempt = (attempt, questions, answers = []) => {
+  const given = new Map(
+    answers
+      .filter(entry => entry && entry.question)
+      .map(entry => [String(entry.question), entry.answer])
+  );
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+  let totalPoints = 0;
+  let earnedPoints = 0;
+  let correctAnswers = 0;
+
+  attempt.answers.forEach(entry => {
+    const question = byId.get(entry.question.toString());
+    const answer = given.get(entry.question.toString());
+
+    // A question deleted from the bank since the attempt started is dropped
+    if (!question) {
+      entry.isCorrect = undefined;
+      return;
+    }
+
+    entry.selectedOption = answer;
+    entry.isCorrect = question.isCorrectAnswer(answer);
+
+    totalPoints += question.points;
+    if (entry.isCorrect) {
+      earnedPoints += question.points;
+      correctAnswers += 1;
+    }
+  });
+
+  const submittedAt = new Date();
+  attempt.submittedAt = submittedAt;
+  attempt.correctAnswers = correctAnswers;
+  attempt.totalQuestions = questions.length;
+  attempt.score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
+  attempt.timeSpent = Math.ceil((submittedAt - attempt.startedAt) / (60 * 1000));
+
+  return attempt;
+};
+
+// Update the record's best score and pass state after a graded attempt, and
+// feed passing results into the quiz lesson's progress
+const applyResult = (enrollment, record, assessment, attempt) => {
+  record.bestScore = Math.max(record.bestScore || 0, attempt.score);
+
+  if (attempt.score >= assessment.passMark) {
+    record.passed = true;
+  }
+
+  if (record.passed && assessment.lesson) {
+    enrollment.recordQuizScore(assessment.lesson, record.bestScore, attempt.timeSpent);
+  }
+};
+
+// Review of a graded attempt; correct answers are included only when the
+// assessment allows it
+const presentResult = (assessment, attempt, questions) => {
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+  return {
+    attemptNumber: attempt.attemptNumber,
+    startedAt: attempt.startedAt,
+    submittedAt: attempt.submittedAt,
+    score: attempt.score,
+    passed: attempt.score >= assessment.passMark,
+    passMark: assessment.passMark,
+    correctAnswers: attempt.correctAnswers,
+    totalQuestions: attempt.totalQuestions,
+    answers: attempt.answers.map(entry => {
+      const question = byId.get(entry.question.toString());
+      const review = {
+        question: entry.question,
+        answer: entry.selectedOption,
+        isCorrect: entry.isCorrect
+      };
+
+      if (assessment.showAnswers && question) {
+        review.correctOptions = question.type === 'short_answer'
+          ? undefined
+          : question.options.filter(option => option.isCorrect).map(option => option._id);
+        review.acceptedAnswers = question.type === 'short_answer' ? question.acceptedAnswers : undefined;
+        review.explanation = question.explanation;
+      }
+
+      return review;
+    })
+  };
+};
+
+module.exports = {
+  getAssessmentRecord,
+  getOpenAttempt,
+  isPastDeadline,
+  startAttempt,
+  loadAttemptQuestions,
+  presentAttempt,
+  gradeAttempt,
+  applyResult,
+  presentResult
+};
@@ -0,0 +1,30 @@
+const AuditLog = require('../models/AuditLog');
+
+// Audit writes must never fail or slow down the request being audited
+const recordAudit = (entry) => {
+  AuditLog.create(entry).catch(error => console.error('Audit log error:', error));
+};
+
+const requestInfo = (req) => ({
+  method: req.method,
+  path: req.originalUrl,
+  ip: req.ip,
+  userAgent: (req.get && req.get('user-agent')) || undefined
+});
+
+// Record a request once its response is sent, so the outcome is captured too
+const auditRequest = (req, res, entry) => {
+  res.on('finish', () => {
+    recordAudit({
+      ...requestInfo(req),
+      ...entry,
+      statusCode: res.statusCode
+    });
+  });
+};
+
+module.exports = {
+  recordAudit,
+  auditRequest,
+  requestInfo
+};
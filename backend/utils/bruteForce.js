@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const AuthThrottle = require('../models/AuthThrottle');
+const { sendEmail } = require('./emailService');
+
+const MINUTE = 60 * 1000;
+
+const policy = () => ({
+  login: {
+    maxAccountFailures: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+    maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    windowMs: (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * MINUTE,
+    lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE
+  },
+  forgotPassword: {
+    maxPerAccount: Number(process.env.FORGOT_PASSWORD_MAX_PER_ACCOUNT) || 3,
+    maxPerIp: Number(process.env.FORGOT_PASSWORD_MAX_PER_IP) || 10,
+    windowMs: (Number(process.env.FORGOT_PASSWORD_WINDOW_MINUTES) || 60) * MINUTE
+  },
+  verificationEmail: {
+    maxPerAccount: Number(process.env.VERIFICATION_EMAIL_MAX_PER_ACCOUNT) || 3,
+    maxPerIp: Number(process.env.VERIFICATION_EMAIL_MAX_PER_IP) || 10,
+    windowMs: (Number(process.env.VERIFICATION_EMAIL_WINDOW_MINUTES) || 60) * MINUTE
+  },
+  magicLink: {
+    maxPerAccount: Number(process.env.MAGIC_LINK_MAX_PER_ACCOUNT) || 5,
+    maxPerIp: Number(process.env.MAGIC_LINK_MAX_PER_IP) || 20,
+    windowMs: (Number(process.env.MAGIC_LINK_WINDOW_MINUTES) || 60) * MINUTE
+  }
+});
+
+// Same wording whether or not the account exists, so the endpoint can't be used for enumeration
+const FORGOT_PASSWORD_MESSAGE = 'If an account with that email exists, a password reset link has been sent';
+const VERIFICATION_EMAIL_MESSAGE = 'If an unverified account with that email exists, a verification link has been sent';
+const MAGIC_LINK_MESSAGE = 'If an account with that email exists, a sign-in link has been sent';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const accountKey = (scope, email) => `${scope}:account:${normalizeEmail(email)}`;
+const ipKey = (scope, ip) => `${scope}:ip:${ip}`;
+
+// Delay after the nth failure: none for the first two, then 1s, 2s, 4s ... capped at 30s
+const progressiveDelayMs = (failures) => (failures < 3 ? 0 : Math.min(2 ** (failures - 3), 30) * 1000);
+
+// Returns { retryAfter, locked } for the strictest active block among the keys, or null
+const getBlock = async (keys) => {
+  const now = new Date();
+  const docs = await AuthThrottle.find({ key: { $in: keys } });
+
+  let until = null;
+  let locked = false;
+  docs.forEach(doc => {
+    [doc.lockedUntil, doc.nextAttemptAt].forEach(time => {
+      if (time && time > now && (!until || time > until)) until = time;
+    });
+    if (doc.isLocked) locked = true;
+  });
+
+  return until ? { retryAfter: Math.ceil((until - now) / 1000), locked } : null;
+};
+
+// Count one event against a key. Locks the key once `max` is reached
+// inside the window; with `progressive`, also spaces out the next attempt.
+const bumpCounter = async (key, { max, windowMs, lockMs, progressive = false }) => {
+  const now = new Date();
+
+  // Start a fresh window when the previous window or lock has lapsed
+  await AuthThrottle.updateOne(
+    {
+      key,
+      $or: [
+        { windowStart: { $lt: new Date(now.getTime() - windowMs) }, lockedUntil: { $not: { $gt: now } } },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { failures: 0, windowStart: now },
+      $unset: { lockedUntil: 1, nextAttemptAt: 1, unlockTokenHash: 1 }
+    }
+  );
+
+  const doc = await AuthThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $setOnInsert: { windowStart: now },
+      $set: { expiresAt: new Date(now.getTime() + windowMs + lockMs) }
+    },
+    { new: true, upsert: true }
+  );
+
+  let justLocked = false;
+  if (doc.failures >= max && !doc.isLocked) {
+    doc.lockedUntil = new Date(now.getTime() + lockMs);
+    justLocked = true;
+  } else if (progressive) {
+    const delay = progressiveDelayMs(doc.failures);
+    if (delay) doc.nextAttemptAt = new Date(now.getTime() + delay);
+  }
+  await doc.save();
+
+  return { doc, justLocked };
+};
+
+const sendUnlockEmail = async (doc, user, lockMs) => {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  doc.unlockTokenHash = crypto.createHash('sha256').update(unlockToken).digest('hex');
+  await doc.save();
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'Account Temporarily Locked - Star Media Tech',
+      template: 'accountLocked',
+      data: {
+        name: user.firstName,
+        minutes: Math.round(lockMs / MINUTE),
+        unlockUrl: `${process.env.CLIENT_URL}/pages/login.html?unlockToken=${unlockToken}`
+      }
+    });
+  } catch (error) {
+    // The lock still expires on its own; don't fail the login response over email
+    console.error('Unlock email error:', error);
+  }
+};
+
+const getLoginBlock = (req, email) => getBlock([accountKey('login', email), ipKey('login', req.ip)]);
+
+// Record a failed password / second-factor check for an account and the client IP.
+// `user` is optional; the account key is tracked even for unknown emails.
+const recordLoginFailure = async (req, email, user = null) => {
+  const { login } = policy();
+
+  await bumpCounter(ipKey('login', req.ip), {
+    max: login.maxIpFailures,
+    windowMs: login.windowMs,
+    lockMs: login.lockMs,
+    progressive: true
+  });
+
+  const { doc, justLocked } = await bumpCounter(accountKey('login', email), {
+    max: login.maxAccountFailures,
+    windowMs: login.windowMs,
+    lockMs: login.lockMs,
+    progressive: true
+  });
+
+  if (justLocked && user) {
+    await sendUnlockEmail(doc, user, login.lockMs);
+  }
+};
+
+// A successful sign-in clears the account counter. The IP counter is left
+// alone so one valid account can't be used to reset a spraying attacker.
+const clearLoginFailures = (email) => AuthThrottle.deleteOne({ key: accountKey('login', email) });
+
+// Consume an unlock token from the lockout email
+const unlockAccount = async (token) => {
+  const unlockTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const doc = await AuthThrottle.findOneAndDelete({ unlockTokenHash });
+  return Boolean(doc);
+};
+
+// Emails sent on request are rate limited per request rather than per failure.
+// Returns 'ip' or 'account' when the respective limit is exhausted, else null.
+const recordEmailRequest = async (scope, limits, req, email) => {
+  if (await getBlock([ipKey(scope, req.ip)])) return 'ip';
+  await bumpCounter(ipKey(scope, req.ip), {
+    max: limits.maxPerIp,
+    windowMs: limits.windowMs,
+    lockMs: limits.windowMs
+  });
+
+  if (await getBlock([accountKey(scope, email)])) return 'account';
+  await bumpCounter(accountKey(scope, email), {
+    max: limits.maxPerAccount,
+    windowMs: limits.windowMs,
+    lockMs: limits.windowMs
+  });
+
+  return null;
+};
+
+const recordForgotPasswordRequest = (req, email) =>
+  recordEmailRequest('forgot-password', policy().forgotPassword, req, email);
+
+const recordVerificationEmailRequest = (req, email) =>
+  recordEmailRequest('verification-email', policy().verificationEmail, req, email);
+
+const recordMagicLinkRequest = (req, email) =>
+  recordEmailRequest('magic-link', policy().magicLink, req, email);
+
+module.exports = {
+  FORGOT_PASSWORD_MESSAGE,
+  VERIFICATION_EMAIL_MESSAGE,
+  MAGIC_LINK_MESSAGE,
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  recordForgotPasswordRequest,
+  recordVerificationEmailRequest,
+  recordMagicLinkRequest
+};
@@ -0,0 +1,161 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Enrollment = require('../models/Enrollment');
+const PathEnrollment = require('../models/PathEnrollment');
+
+// Brand colours, matching frontend/css/style.css
+const COLORS = {
+  primary: '#2c3e50',
+  secondary: '#3498db',
+  accent: '#764ba2',
+  gray: '#6c757d'
+};
+
+const fullName = (person) =>
+  (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '') || 'Unknown';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'long', day: 'numeric'
+});
+
+// The course or learning path enrollment holding a certificate, with what
+// the certificate shows
+const findCertificate = async (certificateId) => {
+  const filter = {
+    'certificate.issued': true,
+    'certificate.certificateId': String(certificateId)
+  };
+
+  const enrollment = await Enrollment.findOne(filter)
+    .populate('user', 'firstName lastName')
+    .populate({
+      path: 'course',
+      select: 'title instructor',
+      populate: { path: 'instructor', select: 'firstName lastName' }
+    });
+  if (enrollment) return enrollment;
+
+  return PathEnrollment.findOne(filter)
+    .populate('user', 'firstName lastName')
+    .populate('path', 'title');
+};
+
+const isPathCertificate = (enrollment) => enrollment instanceof PathEnrollment;
+
+// What employers see when they check a certificate. Only details printed on
+// the certificate itself are disclosed.
+const describeCertificate = (enrollment) => {
+  const { certificate } = enrollment;
+
+  if (isPathCertificate(enrollment)) {
+    return {
+      certificateId: certificate.certificateId,
+      type: 'learning_path',
+      status: certificate.revoked ? 'revoked' : 'valid',
+      valid: !certificate.revoked,
+      studentName: fullName(enrollment.user),
+      courseTitle: enrollment.path ? enrollment.path.title : undefined,
+      completedAt: enrollment.completedAt || certificate.issuedAt,
+      issuedAt: certificate.issuedAt,
+      revokedAt: certificate.revoked ? certificate.revokedAt : undefined,
+      revocationReason: certificate.revoked ? certificate.revocationReason : undefined,
+      verificationUrl: certificate.verificationUrl
+    };
+  }
+
+  return {
+    certificateId: certificate.certificateId,
+    type: 'course',
+    status: certificate.revoked ? 'revoked' : 'valid',
+    valid: !certificate.revoked,
+    studentName: fullName(enrollment.user),
+    courseTitle: enrollment.course ? enrollment.course.title : undefined,
+    instructorName: enrollment.course ? fullName(enrollment.course.instructor) : undefined,
+    completedAt: enrollment.completion.completedAt || certificate.issuedAt,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revoked ? certificate.revokedAt : undefined,
+    revocationReason: certificate.revoked ? certificate.revocationReason : undefined,
+    verificationUrl: certificate.verificationUrl
+  };
+};
+
+// Draw the certificate as an A4 landscape PDF and pipe it into `output`
+// (usually the response). Takes an enrollment loaded by findCertificate.
+const renderCertificate = async (enrollment, output) => {
+  const details = describeCertificate(enrollment);
+  const qrCode = await QRCode.toBuffer(details.verificationUrl, {
+    margin: 1,
+    width: 240,
+    color: { dark: COLORS.primary }
+  });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 0,
+    info: {
+      Title: `Certificate of Completion - ${details.courseTitle}`,
+      Author: 'Star Media Tech',
+      Subject: details.certificateId
+    }
+  });
+  doc.pipe(output);
+
+  const { width, height } = doc.page;
+  const centered = { width: width - 160, align: 'center' };
+
+  // Border and header band
+  doc.rect(0, 0, width, height).fill('#ffffff');
+  doc.rect(0, 0, width, 14).fill(COLORS.secondary);
+  doc.rect(0, height - 14, width, 14).fill(COLORS.accent);
+  doc.lineWidth(2).rect(30, 34, width - 60, height - 68).stroke(COLORS.primary);
+  doc.lineWidth(0.5).rect(38, 42, width - 76, height - 84).stroke(COLORS.secondary);
+
+  doc.fillColor(COLORS.secondary).font('Helvetica-Bold').fontSize(16)
+    .text('STAR MEDIA TECH', 80, 80, { ...centered, characterSpacing: 4 });
+
+  doc.fillColor(COLORS.primary).font('Times-Bold').fontSize(40)
+    .text('Certificate of Completion', 80, 115, centered);
+
+  doc.fillColor(COLORS.gray).font('Helvetica').fontSize(14)
+    .text('This is to certify that', 80, 185, centered);
+
+  doc.fillColor(COLORS.primary).font('Times-BoldItalic').fontSize(34)
+    .text(details.studentName, 80, 210, centered);
+
+  doc.fillColor(COLORS.gray).font('Helvetica').fontSize(14)
+    .text(`has successfully completed the ${details.type === 'learning_path' ? 'learning path' : 'course'}`, 80, 265, centered);
+
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(22)
+    .text(details.courseTitle, 80, 290, centered);
+
+  doc.fillColor(COLORS.gray).font('Helvetica').fontSize(12)
+    .text(`Completed on ${formatDate(details.completedAt)}`, 80, 335, centered);
+
+  // Instructor signature; learning paths span several instructors, so the
+  // academy signs those
+  const signatureX = 110;
+  const signatureY = height - 150;
+  doc.fillColor(COLORS.primary).font('Times-Italic').fontSize(24)
+    .text(details.instructorName || 'Star Media Tech', signatureX, signatureY, { width: 220, align: 'center' });
+  doc.lineWidth(1).moveTo(signatureX, signatureY + 32).lineTo(signatureX + 220, signatureY + 32).stroke(COLORS.primary);
+  doc.fillColor(COLORS.gray).font('Helvetica').fontSize(11)
+    .text(details.instructorName ? 'Instructor' : 'Issuing academy', signatureX, signatureY + 38, { width: 220, align: 'center' });
+
+  // Verification QR code
+  const qrSize = 96;
+  const qrX = width - 110 - qrSize;
+  const qrY = height - 180;
+  doc.image(qrCode, qrX, qrY, { width: qrSize });
+  doc.fillColor(COLORS.gray).font('Helvetica').fontSize(8)
+    .text('Scan to verify', qrX - 20, qrY + qrSize + 4, { width: qrSize + 40, align: 'center' })
+    .text(details.certificateId, qrX - 40, qrY + qrSize + 15, { width: qrSize + 80, align: 'center' });
+
+  doc.end();
+};
+
+module.exports = {
+  findCertificate,
+  describeCertificate,
+  renderCertificate
+};
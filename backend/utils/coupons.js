@@ -0,0 +1,159 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Category = require('../models/Category');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const includesId = (list, id) => list.some(item => String(item) === String(id));
+
+// Whether the coupon covers the item: `{ course }` for an enrollment or
+// `{ service, consultant }` for a booking. Restricted coupons only cover
+// items matching at least one of their restrictions.
+const appliesToItem = async (coupon, item) => {
+  const kind = item.course ? 'courses' : 'consultations';
+  if (coupon.appliesTo !== 'all' && coupon.appliesTo !== kind) return false;
+
+  const { courses, categories, services, consultants } = coupon.restrictions;
+  if (courses.length + categories.length + services.length + consultants.length === 0) return true;
+
+  if (item.course) {
+    return includesId(courses, item.course._id) || categories.includes(item.course.category);
+  }
+
+  if (includesId(services, item.service._id) || includesId(consultants, item.consultant._id)) return true;
+  if (categories.length === 0) return false;
+
+  const category = await Category.findById(item.service.category).select('slug');
+  return Boolean(category && categories.includes(category.slug));
+};
+
+// Check a code against an item at `price` for the user. Returns
+// { error } when it can't be used, otherwise the coupon with the discounted
+// price, ready for redeemCoupon.
+const quoteCoupon = async (code, item, price, userId) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) return { error: 'This coupon code is not valid' };
+  if (coupon.startsAt && coupon.startsAt > now) return { error: 'This coupon is not active yet' };
+  if (coupon.expiresAt && coupon.expiresAt <= now) return { error: 'This coupon has expired' };
+
+  if (!(await appliesToItem(coupon, item))) {
+    return { error: `This coupon can't be used for this ${item.course ? 'course' : 'consultation'}` };
+  }
+  if (price <= 0) return { error: 'There is nothing to discount on a free item' };
+  if (price < coupon.minimumSpend) {
+    return { error: `This coupon needs a minimum spend of $${coupon.minimumSpend}` };
+  }
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return { error: 'This coupon has been fully redeemed' };
+  }
+
+  if (coupon.maxRedemptionsPerUser) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+    if (used >= coupon.maxRedemptionsPerUser) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  const discount = coupon.calculateDiscount(price);
+  return {
+    coupon,
+    item,
+    originalPrice: price,
+    discount,
+    finalPrice: Math.round((price - discount) * 100) / 100
+  };
+};
+
+// Record the redemption in the first free per-user slot, or return null when
+// the user has none left. Slots are unique, so of two parallel checkouts
+// only one gets each slot.
+const reserveUserSlot = async (coupon, fields) => {
+  if (!coupon.maxRedemptionsPerUser) return CouponRedemption.create(fields);
+
+  for (let slot = 1; slot <= coupon.maxRedemptionsPerUser; slot++) {
+    try {
+      return await CouponRedemption.create({ ...fields, slot });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return null;
+};
+
+// Redeem a quoted coupon around `purchase`, which saves the discounted
+// enrollment or booking and returns it. A use is reserved first, in total and
+// for the user, so parallel checkouts can't go past the coupon's limits; a
+// failed purchase hands both back.
+const redeemCoupon = async (quote, userId, purchase) => {
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: quote.coupon._id,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (!reserved) return { error: 'This coupon has been fully redeemed' };
+
+  const release = () => Coupon.updateOne({ _id: quote.coupon._id }, { $inc: { redemptionCount: -1 } });
+
+  const { item } = quote;
+  let redemption;
+  try {
+    redemption = await reserveUserSlot(reserved, {
+      coupon: quote.coupon._id,
+      code: quote.coupon.code,
+      user: userId,
+      kind: item.course ? 'course' : 'consultation',
+      course: item.course && item.course._id,
+      service: item.service && item.service._id,
+      originalPrice: quote.originalPrice,
+      discount: quote.discount,
+      finalPrice: quote.finalPrice
+    });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  if (!redemption) {
+    await release();
+    return { error: 'You have already used this coupon' };
+  }
+
+  let record;
+  try {
+    record = await purchase();
+  } catch (error) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    await release();
+    throw error;
+  }
+
+  redemption.set(item.course ? 'enrollment' : 'consultation', record._id);
+  await redemption.save();
+
+  return { record };
+};
+
+// What a quote tells the buyer
+const describeQuote = (quote) => ({
+  code: quote.coupon.code,
+  description: quote.coupon.description,
+  discountType: quote.coupon.discountType,
+  amount: quote.coupon.amount,
+  originalPrice: quote.originalPrice,
+  discount: quote.discount,
+  finalPrice: quote.finalPrice
+});
+
+module.exports = {
+  normalizeCode,
+  quoteCoupon,
+  redeemCoupon,
+  describeQuote
+};
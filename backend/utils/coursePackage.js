@@ -0,0 +1,406 @@
+const Course = require('../models/Course');
+const Question = require('../models/Question');
+const Assessment = require('../models/Assessment');
+const { createZip, readZip } = require('./zip');
+
+// Portable course bundles: a ZIP holding a JSON manifest, Markdown lesson
+// bodies and the course's quizzes. Instructors export a course, edit it
+// elsewhere (or write one from scratch) and import it back as a new draft.
+
+const PACKAGE_FORMAT = 'starmediatech-course';
+const FORMAT_VERSION = 1;
+const MANIFEST = 'course.json';
+const QUIZZES = 'quizzes.json';
+
+const COURSE_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'category',
+  'level',
+  'language',
+  'price',
+  'discountedPrice',
+  'duration',
+  'certificateAvailable',
+  'requirements',
+  'learningOutcomes',
+  'tags'
+];
+
+const QUESTION_FIELDS = ['type', 'text', 'options', 'acceptedAnswers', 'caseSensitive', 'points', 'explanation', 'tags'];
+
+const ASSESSMENT_FIELDS = [
+  'title',
+  'description',
+  'questionCount',
+  'shuffleQuestions',
+  'shuffleOptions',
+  'timeLimit',
+  'maxAttempts',
+  'passMark',
+  'showAnswers',
+  'isPublished'
+];
+
+const README = `Star Media Tech - course package
+
+course.json      Course details, modules and lessons
+lessons/*.md     Lesson bodies and assignment instructions in Markdown
+quizzes.json     The question bank and the quizzes drawn from it
+
+Thumbnails, videos and resources are referenced by URL, not included.
+Import the ZIP to create a new draft course from it.
+`;
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined && source[field] !== null).map(field => [field, source[field]])
+);
+
+// Lessons are keyed by position, e.g. m02-l03 for the third lesson of the
+// second module. Files and quizzes refer to lessons by key.
+const lessonKey = (moduleIndex, lessonIndex) =>
+  `m${String(moduleIndex + 1).padStart(2, '0')}-l${String(lessonIndex + 1).padStart(2, '0')}`;
+
+// The course's question bank and quizzes, in the order they were written
+const loadQuizzes = async (course) => {
+  const [questions, assessments] = await Promise.all([
+    Question.find({ course: course._id }).sort({ createdAt: 1 }).lean(),
+    Assessment.find({ course: course._id }).sort({ createdAt: 1 }).lean()
+  ]);
+  return { questions, assessments };
+};
+
+// Build the ZIP bundle of a course's live content
+const exportCoursePackage = async (course) => {
+  await course.populate('prerequisites', 'title slug');
+  const { questions, assessments } = await loadQuizzes(course);
+
+  const files = [];
+  const lessonKeys = new Map();
+
+  const modules = course.curriculum.map((module, moduleIndex) => ({
+    title: module.moduleTitle,
+    description: module.moduleDescription,
+    unlock: module.unlock && module.unlock.rule !== 'immediate'
+      ? pick(module.unlock, ['rule', 'days', 'date'])
+      : undefined,
+    lessons: module.lessons.map((lesson, lessonIndex) => {
+      const key = lessonKey(moduleIndex, lessonIndex);
+      lessonKeys.set(String(lesson._id), key);
+
+      const entry = {
+        key,
+        title: lesson.lessonTitle,
+        type: lesson.lessonType,
+        duration: lesson.duration,
+        isFree: lesson.isFree,
+        isRequired: lesson.isRequired
+      };
+
+      // Video lessons hold the video URL, every other type a Markdown body
+      if (lesson.lessonType === 'video') {
+        entry.video = lesson.content;
+      } else if (lesson.content) {
+        entry.body = `lessons/${key}.md`;
+        files.push({ name: entry.body, data: lesson.content });
+      }
+
+      if (lesson.resources.length > 0) {
+        entry.resources = lesson.resources.map(resource => pick(resource, ['title', 'url', 'type']));
+      }
+
+      if (lesson.lessonType === 'assignment' && lesson.assignment) {
+        entry.assignment = {
+          dueDate: lesson.assignment.dueDate,
+          allowLateSubmissions: lesson.assignment.allowLateSubmissions,
+          rubric: lesson.assignment.rubric.map(item => pick(item, ['criterion', 'description', 'maxPoints']))
+        };
+        if (lesson.assignment.instructions) {
+          entry.assignment.instructions = `lessons/${key}-instructions.md`;
+          files.push({ name: entry.assignment.instructions, data: lesson.assignment.instructions });
+        }
+      }
+
+      return entry;
+    })
+  }));
+
+  const questionKeys = new Map(questions.map((question, index) => [String(question._id), `q${index + 1}`]));
+
+  const quizzes = {
+    questions: questions.map(question => ({
+      id: questionKeys.get(String(question._id)),
+      ...pick(question, QUESTION_FIELDS),
+      options: question.options.map(option => pick(option, ['text', 'isCorrect']))
+    })),
+    assessments: assessments.map(assessment => ({
+      ...pick(assessment, ASSESSMENT_FIELDS),
+      lesson: assessment.lesson ? lessonKeys.get(String(assessment.lesson)) : undefined,
+      // Questions since deleted from the bank are left out
+      questions: assessment.questions.map(id => questionKeys.get(String(id))).filter(Boolean)
+    }))
+  };
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    formatVersion: FORMAT_VERSION,
+    exportedAt: new Date(),
+    source: { id: course._id, slug: course.slug, version: course.version },
+    course: {
+      ...pick(course, COURSE_FIELDS),
+      thumbnail: course.thumbnail && course.thumbnail.url,
+      previewVideo: course.previewVideo && course.previewVideo.url,
+      // Matched by slug on import
+      prerequisites: course.prerequisites.map(prerequisite => pick(prerequisite, ['slug', 'title']))
+    },
+    modules,
+    quizzes: QUIZZES
+  };
+
+  return createZip([
+    { name: 'README.txt', data: README },
+    { name: MANIFEST, data: json(manifest) },
+    { name: QUIZZES, data: json(quizzes) },
+    ...files
+  ]);
+};
+
+// Schema paths as they are named in the manifest, e.g.
+// curriculum.0.lessons.2.lessonTitle -> modules[0].lessons[2].title
+const MANIFEST_NAMES = {
+  curriculum: 'modules',
+  moduleTitle: 'title',
+  moduleDescription: 'description',
+  lessonTitle: 'title',
+  lessonType: 'type',
+  content: 'body'
+};
+
+const describePath = (path, prefix) => path.split('.').reduce((described, part) => (
+  /^\d+$/.test(part)
+    ? `${described}[${part}]`
+    : `${described}.${MANIFEST_NAMES[part] || part}`
+), prefix);
+
+const validationErrors = async (doc, prefix) => {
+  try {
+    await doc.validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    // Keyed by full path; err.path is relative to the subdocument
+    return Object.entries(error.errors).map(([path, err]) => ({
+      path: path.startsWith('curriculum') ? describePath(path, '').slice(1) : describePath(path, prefix),
+      message: err.message
+    }));
+  }
+};
+
+// Create a draft course, with its question bank and quizzes, from a bundle.
+// Nothing is saved unless the whole bundle is valid; the report lists every
+// problem by file and field so the bundle can be fixed and imported again.
+// `title` overrides the manifest's, e.g. to import a copy of an existing
+// course. With `dryRun` the bundle is only checked.
+const importCoursePackage = async (buffer, { instructor, title, dryRun = false }) => {
+  const errors = [];
+  const warnings = [];
+  const result = (extra = {}) => ({ report: { errors, warnings }, ...extra });
+  const fail = (path, message) => errors.push({ path, message });
+
+  let files;
+  try {
+    files = readZip(buffer);
+  } catch (error) {
+    fail('archive', error.message);
+    return result();
+  }
+
+  // Bundles re-zipped from an unpacked folder have everything one level down
+  const manifestFile = files
+    .filter(file => file.name.split('/').pop() === MANIFEST)
+    .sort((a, b) => a.name.length - b.name.length)[0];
+  if (!manifestFile) {
+    fail('archive', `The archive has no ${MANIFEST}`);
+    return result();
+  }
+  const root = manifestFile.name.slice(0, -MANIFEST.length);
+  const contents = new Map(files
+    .filter(file => file.name.startsWith(root))
+    .map(file => [file.name.slice(root.length), file.data]));
+
+  const readText = (name, path) => {
+    if (typeof name !== 'string' || !contents.has(name)) {
+      fail(path, `${name} is missing from the archive`);
+      return undefined;
+    }
+    return contents.get(name).toString('utf8');
+  };
+
+  const readJson = (name, path) => {
+    const text = readText(name, path);
+    if (text === undefined) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      fail(name, `Invalid JSON: ${error.message}`);
+      return null;
+    }
+  };
+
+  const manifest = readJson(MANIFEST, 'archive');
+  if (!manifest) return result();
+
+  if (manifest.format !== PACKAGE_FORMAT) {
+    fail('format', `Expected a "${PACKAGE_FORMAT}" package`);
+  } else if (!(manifest.formatVersion <= FORMAT_VERSION)) {
+    fail('formatVersion', `Format version ${manifest.formatVersion} is newer than this server supports (${FORMAT_VERSION})`);
+  }
+  if (!manifest.course || typeof manifest.course !== 'object') fail('course', 'Course details are missing');
+  if (!Array.isArray(manifest.modules)) fail('modules', 'Modules must be a list');
+  if (errors.length > 0) return result();
+
+  // Lesson keys -> [module index, lesson index]
+  const positions = new Map();
+
+  const curriculum = manifest.modules.map((module, moduleIndex) => ({
+    moduleTitle: module.title,
+    moduleDescription: module.description,
+    unlock: module.unlock,
+    lessons: (Array.isArray(module.lessons) ? module.lessons : []).map((lesson, lessonIndex) => {
+      const at = `modules[${moduleIndex}].lessons[${lessonIndex}]`;
+      const key = lesson.key || lessonKey(moduleIndex, lessonIndex);
+
+      if (positions.has(key)) fail(`${at}.key`, `Lesson key ${key} is used more than once`);
+      positions.set(key, [moduleIndex, lessonIndex]);
+
+      return {
+        lessonTitle: lesson.title,
+        lessonType: lesson.type,
+        duration: lesson.duration,
+        content: lesson.type === 'video'
+          ? lesson.video
+          : (lesson.body ? readText(lesson.body, `${at}.body`) : undefined),
+        isFree: lesson.isFree,
+        isRequired: lesson.isRequired,
+        resources: lesson.resources,
+        assignment: lesson.assignment && {
+          ...lesson.assignment,
+          instructions: lesson.assignment.instructions
+            ? readText(lesson.assignment.instructions, `${at}.assignment.instructions`)
+            : undefined
+        }
+      };
+    })
+  }));
+
+  // Prerequisites are matched by slug; ones this platform doesn't have are dropped
+  const prerequisites = Array.isArray(manifest.course.prerequisites) ? manifest.course.prerequisites : [];
+  const found = await Course.find({ slug: { $in: prerequisites.map(ref => ref && ref.slug).filter(Boolean) } }).select('slug');
+  prerequisites.forEach((ref, index) => {
+    if (!found.some(course => ref && course.slug === ref.slug)) {
+      warnings.push({
+        path: `course.prerequisites[${index}]`,
+        message: `No course "${(ref && (ref.title || ref.slug)) || ref}" exists here, so it was left out of the prerequisites`
+      });
+    }
+  });
+
+  const course = new Course({
+    ...pick(manifest.course, COURSE_FIELDS),
+    title: title || manifest.course.title,
+    thumbnail: manifest.course.thumbnail ? { url: manifest.course.thumbnail } : undefined,
+    previewVideo: manifest.course.previewVideo ? { url: manifest.course.previewVideo } : undefined,
+    prerequisites: found.map(prerequisite => prerequisite._id),
+    curriculum,
+    instructor,
+    status: 'draft'
+  });
+
+  errors.push(...await validationErrors(course, 'course'));
+  if (course.slug && await Course.exists({ slug: course.slug })) {
+    fail('course.title', 'A course with this title already exists; import the package under another title');
+  }
+
+  const quizzes = manifest.quizzes ? readJson(manifest.quizzes, 'quizzes') : null;
+  const questionIds = new Map();
+
+  const questions = (quizzes && Array.isArray(quizzes.questions) ? quizzes.questions : []).map((data, index) => {
+    const question = new Question({ ...pick(data, QUESTION_FIELDS), course: course._id, createdBy: instructor });
+    if (data.id !== undefined) {
+      if (questionIds.has(String(data.id))) fail(`${QUIZZES} questions[${index}].id`, `Question id ${data.id} is used more than once`);
+      questionIds.set(String(data.id), question._id);
+    }
+    return question;
+  });
+
+  const assessments = (quizzes && Array.isArray(quizzes.assessments) ? quizzes.assessments : []).map((data, index) => {
+    const at = `${QUIZZES} assessments[${index}]`;
+    let lesson;
+
+    if (data.lesson) {
+      const position = positions.get(data.lesson);
+      if (position) {
+        lesson = course.curriculum[position[0]].lessons[position[1]]._id;
+      } else {
+        fail(`${at}.lesson`, `There is no lesson ${data.lesson}`);
+      }
+    }
+
+    const questionRefs = Array.isArray(data.questions) ? data.questions : [];
+    questionRefs.filter(ref => !questionIds.has(String(ref))).forEach(ref => {
+      fail(`${at}.questions`, `There is no question ${ref}`);
+    });
+
+    return new Assessment({
+      ...pick(data, ASSESSMENT_FIELDS),
+      course: course._id,
+      lesson,
+      questions: questionRefs.map(ref => questionIds.get(String(ref))).filter(Boolean),
+      createdBy: instructor
+    });
+  });
+
+  for (const [index, question] of questions.entries()) {
+    errors.push(...await validationErrors(question, `${QUIZZES} questions[${index}]`));
+  }
+  for (const [index, assessment] of assessments.entries()) {
+    errors.push(...await validationErrors(assessment, `${QUIZZES} assessments[${index}]`));
+  }
+
+  const summary = {
+    title: course.title,
+    modules: course.curriculum.length,
+    lessons: course.getLessons().length,
+    questions: questions.length,
+    assessments: assessments.length
+  };
+
+  if (errors.length > 0 || dryRun) return result({ summary });
+
+  await course.save();
+  try {
+    await Question.insertMany(questions);
+    await Assessment.insertMany(assessments);
+  } catch (error) {
+    await Promise.all([
+      Course.deleteOne({ _id: course._id }),
+      Question.deleteMany({ course: course._id }),
+      Assessment.deleteMany({ course: course._id })
+    ]);
+    throw error;
+  }
+
+  return result({ course, summary });
+};
+
+module.exports = {
+  PACKAGE_FORMAT,
+  FORMAT_VERSION,
+  lessonKey,
+  loadQuizzes,
+  exportCoursePackage,
+  importCoursePackage
+};
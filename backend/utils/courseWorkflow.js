@@ -0,0 +1,174 @@
+const Course = require('../models/Course');
+const CourseVersion = require('../models/CourseVersion');
+const Enrollment = require('../models/Enrollment');
+
+// What learners see of a course. Edits to these fields on a published course
+// go into its revision; everything else applies straight away.
+const VERSIONED_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'category',
+  'level',
+  'price',
+  'discountedPrice',
+  'thumbnail',
+  'previewVideo',
+  'curriculum',
+  'requirements',
+  'learningOutcomes',
+  'tags',
+  'prerequisites',
+  'duration',
+  'language',
+  'certificateAvailable'
+];
+
+// Fields only the workflow itself may change
+const WORKFLOW_FIELDS = ['status', 'isPublished', 'version', 'archivedFrom', 'revision', 'reviewLog'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// The versioned fields of a course as plain data
+const snapshotCourse = (course) => pick(course.toObject({ virtuals: false, depopulate: true }), VERSIONED_FIELDS);
+
+// The status the next workflow step applies to: the revision's while a
+// published course has one, otherwise the course's own
+const getWorkflowStatus = (course) =>
+  (course.status === 'published' && course.revision ? course.revision.status : course.status);
+
+const hasRevision = (course) => course.status === 'published' && Boolean(course.revision);
+
+// Apply an instructor's edit. On a published course versioned fields go into
+// the revision (validated as if they were live); elsewhere they apply
+// directly, and a course waiting on review goes back to draft. Saves the
+// course and says whether the content edits went live or into the revision.
+const applyCourseEdit = async (course, updates, actorId) => {
+  const versioned = pick(updates, VERSIONED_FIELDS);
+  const immediate = Object.fromEntries(
+    Object.entries(updates).filter(([field]) =>
+      !VERSIONED_FIELDS.includes(field) && !WORKFLOW_FIELDS.includes(field))
+  );
+  const editsContent = Object.keys(versioned).length > 0;
+
+  course.set(immediate);
+
+  if (course.status === 'published' && editsContent) {
+    const base = course.revision ? course.revision.content : snapshotCourse(course);
+    const draft = new Course({ ...course.toObject({ virtuals: false }), ...base, ...versioned });
+    await draft.validate();
+
+    course.revision = {
+      status: 'draft',
+      content: snapshotCourse(draft),
+      basedOnVersion: course.version,
+      updatedBy: actorId,
+      updatedAt: new Date()
+    };
+    await course.save();
+    return { live: false, revised: true };
+  }
+
+  course.set(versioned);
+  if (editsContent && ['submitted', 'approved'].includes(course.status)) {
+    course.status = 'draft';
+  }
+  await course.save();
+  return { live: editsContent, revised: false };
+};
+
+// Move the course (or its revision) to another review status and log it
+const transition = (course, status, action, actorId, comment) => {
+  const revision = hasRevision(course);
+  if (revision) {
+    course.revision.status = status;
+  } else {
+    course.status = status;
+  }
+
+  course.reviewLog.push({ action, actor: actorId, comment, revision, version: course.version });
+};
+
+// Publish the course as its next version: the revision if it has one,
+// `content` when rolling back, otherwise its current fields. Records the
+// version snapshot and updates learners' progress if the curriculum changed.
+const publishCourse = async (course, actorId, { note, content, rolledBackFrom } = {}) => {
+  const incoming = content || (hasRevision(course) ? course.revision.content : null);
+  const wasRevision = !content && hasRevision(course);
+  const curriculumBefore = JSON.stringify(course.curriculum);
+
+  if (incoming) course.set(incoming);
+
+  course.version += 1;
+  course.status = 'published';
+  course.archivedFrom = undefined;
+  course.revision = undefined;
+  course.reviewLog.push({
+    action: rolledBackFrom ? 'rolled_back' : 'published',
+    actor: actorId,
+    comment: note,
+    revision: wasRevision,
+    version: course.version
+  });
+  await course.save();
+
+  await CourseVersion.create({
+    course: course._id,
+    version: course.version,
+    content: snapshotCourse(course),
+    publishedBy: actorId,
+    rolledBackFrom,
+    note
+  });
+
+  if (JSON.stringify(course.curriculum) !== curriculumBefore) {
+    await Enrollment.recalculateForCourse(course);
+  }
+
+  return course;
+};
+
+// Lessons added, removed or changed between two curricula, by lesson _id
+const diffLessons = (before = [], after = []) => {
+  const index = (curriculum) => new Map(curriculum.flatMap(module =>
+    (module.lessons || []).map(lesson => [String(lesson._id), lesson])
+  ));
+  const old = index(before);
+  const current = index(after);
+  const summarize = (lesson) => ({ _id: lesson._id, lessonTitle: lesson.lessonTitle });
+
+  return {
+    modules: {
+      before: before.map(module => module.moduleTitle),
+      after: after.map(module => module.moduleTitle)
+    },
+    added: [...current.keys()].filter(id => !old.has(id)).map(id => summarize(current.get(id))),
+    removed: [...old.keys()].filter(id => !current.has(id)).map(id => summarize(old.get(id))),
+    changed: [...current.keys()]
+      .filter(id => old.has(id) && JSON.stringify(old.get(id)) !== JSON.stringify(current.get(id)))
+      .map(id => summarize(current.get(id)))
+  };
+};
+
+// Field-by-field differences between two course snapshots
+const diffContent = (before, after) => VERSIONED_FIELDS.flatMap(field => {
+  if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return [];
+  if (field === 'curriculum') {
+    return [{ field, lessons: diffLessons(before.curriculum, after.curriculum) }];
+  }
+  return [{ field, before: before[field], after: after[field] }];
+});
+
+module.exports = {
+  VERSIONED_FIELDS,
+  WORKFLOW_FIELDS,
+  snapshotCourse,
+  getWorkflowStatus,
+  hasRevision,
+  applyCourseEdit,
+  transition,
+  publishCourse,
+  diffContent
+};
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const Consultation = require('../models/Consultation');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const DataExport = require('../models/DataExport');
+const Submission = require('../models/Submission');
+const PathEnrollment = require('../models/PathEnrollment');
+const CouponRedemption = require('../models/CouponRedemption');
+const { sendEmail } = require('./emailService');
+const { describeDevice } = require('./deviceInfo');
+const { createZip } = require('./zip');
+
+// Archives hold personal data, so they live outside the static upload dir
+const EXPORT_DIR = path.resolve('exports');
+const JOB_INTERVAL_MS = 15 * 60 * 1000;
+// A build that hasn't finished in this long died with the process
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+const expireHours = () => Number(process.env.DATA_EXPORT_EXPIRE_HOURS) || 48;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+const README = `Star Media Tech - personal data export
+
+profile.json         Your account details and preferences
+enrollments.json     Courses you are enrolled in, with progress and grades
+notes.json           Notes you wrote in your courses
+bookmarks.json       Lessons you bookmarked
+learning-paths.json  Learning paths you are enrolled in
+certificates.json    Course and learning path certificates issued to you
+submissions.json     Assignment work you handed in, with grades and feedback
+submissions/         The files you uploaded with your submissions
+consultations.json   Consultations you booked
+reviews.json         Ratings and reviews you left, and reviews you found helpful
+payments.json        Course and consultation payments
+coupons.json         Coupons you redeemed
+login-history.json   Sign-ins, devices and support access to your account
+`;
+
+const courseLabel = (course) => (course ? { id: course._id, title: course.title } : null);
+
+// Uploaded submission files for the archive, under submissions/<id>/. Files
+// that have gone missing from disk are listed without a copy.
+const collectSubmissionFiles = async (submission) => Promise.all((submission.files || []).map(async (file, index) => {
+  const name = `submissions/${submission._id}/${index + 1}-${path.basename(file.originalName || file.filename || 'file')}`;
+  const data = await fs.promises.readFile(file.path).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  });
+  return { name, data, meta: { originalName: file.originalName, mimeType: file.mimeType, size: file.size, archivePath: data ? name : null } };
+}));
+
+const describeCertificate = (certificate) => ({
+  certificateId: certificate.certificateId,
+  issuedAt: certificate.issuedAt,
+  verificationUrl: certificate.verificationUrl,
+  revoked: certificate.revoked,
+  revokedAt: certificate.revokedAt
+});
+
+// Gather everything held about the user, one JSON file per area
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select('+knownDevices');
+  if (!user) throw new Error('User not found');
+
+  const [
+    enrollments, consultations, sessions, supportAccess, apiKeys,
+    submissions, pathEnrollments, redemptions, helpfulVotes
+  ] = await Promise.all([
+    Enrollment.find({ user: userId }).populate('course', 'title').lean(),
+    Consultation.find({ user: userId }).populate('consultant', 'name').lean(),
+    Session.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    AuditLog.find({ subject: userId, action: /^impersonation\.(start|end)$/ }).sort({ createdAt: -1 }).lean(),
+    ApiKey.find({ user: userId }).lean(),
+    Submission.find({ user: userId }).select('+files.path').populate('course', 'title').sort({ submittedAt: 1 }).lean(),
+    PathEnrollment.find({ user: userId }).populate('path', 'title').lean(),
+    CouponRedemption.find({ user: userId }).populate('course', 'title').populate('service', 'title').sort({ redeemedAt: 1 }).lean(),
+    Enrollment.find({ 'rating.helpful.users': userId }).populate('course', 'title').select('course rating.score rating.submittedAt').lean()
+  ]);
+
+  const { knownDevices, ...profile } = user.getPublicProfile();
+
+  const notes = [];
+  const bookmarks = [];
+  const reviews = [];
+  const payments = [];
+  const certificates = [];
+
+  const enrollmentData = enrollments.map(enrollment => {
+    const course = courseLabel(enrollment.course);
+
+    (enrollment.personalNotes || []).forEach(note => notes.push({ course, ...note }));
+    (enrollment.bookmarks || []).forEach(bookmark => bookmarks.push({ course, ...bookmark }));
+
+    if (enrollment.rating && enrollment.rating.score) {
+      reviews.push({
+        type: 'course',
+        course,
+        score: enrollment.rating.score,
+        review: enrollment.rating.review,
+        isPublic: enrollment.rating.isPublic,
+        helpfulCount: enrollment.rating.helpful ? enrollment.rating.helpful.count : 0,
+        submittedAt: enrollment.rating.submittedAt,
+        editedAt: enrollment.rating.editedAt
+      });
+    }
+
+    if (enrollment.certificate && enrollment.certificate.issued) {
+      certificates.push({ type: 'course', course, ...describeCertificate(enrollment.certificate) });
+    }
+
+    if (enrollment.payment && enrollment.payment.paymentDate) {
+      payments.push({ type: 'course', course, ...enrollment.payment });
+    }
+
+    return {
+      id: enrollment._id,
+      course,
+      status: enrollment.status,
+      enrollmentType: enrollment.enrollmentType,
+      enrollmentDate: enrollment.enrollmentDate,
+      progress: enrollment.progress,
+      assessments: enrollment.assessments,
+      finalGrade: enrollment.finalGrade,
+      certificate: enrollment.certificate,
+      completion: enrollment.completion,
+      preferences: enrollment.preferences,
+      interactions: enrollment.interactions
+    };
+  });
+
+  const consultationData = consultations.map(consultation => {
+    const { consultantNotes, paymentIntentId, reminderSent, followUpSent, __v, ...rest } = consultation;
+    const summary = {
+      id: consultation._id,
+      title: consultation.title,
+      consultant: consultation.consultant ? consultation.consultant.name : null
+    };
+
+    if (consultation.rating) {
+      reviews.push({
+        type: 'consultation',
+        consultation: summary,
+        score: consultation.rating,
+        review: consultation.review,
+        submittedAt: consultation.updatedAt
+      });
+    }
+
+    if (consultation.paymentStatus !== 'pending') {
+      payments.push({
+        type: 'consultation',
+        consultation: summary,
+        amount: consultation.price,
+        status: consultation.paymentStatus,
+        scheduledDate: consultation.scheduledDate
+      });
+    }
+
+    return { ...rest, consultant: summary.consultant };
+  });
+
+  helpfulVotes.forEach(enrollment => reviews.push({
+    type: 'marked-helpful',
+    course: courseLabel(enrollment.course),
+    reviewId: enrollment._id,
+    score: enrollment.rating.score,
+    submittedAt: enrollment.rating.submittedAt
+  }));
+
+  const pathData = pathEnrollments.map(pathEnrollment => {
+    const learningPath = pathEnrollment.path ? { id: pathEnrollment.path._id, title: pathEnrollment.path.title } : null;
+    if (pathEnrollment.certificate && pathEnrollment.certificate.issued) {
+      certificates.push({ type: 'learning-path', learningPath, ...describeCertificate(pathEnrollment.certificate) });
+    }
+    return {
+      id: pathEnrollment._id,
+      learningPath,
+      status: pathEnrollment.status,
+      enrollmentDate: pathEnrollment.enrollmentDate,
+      completedAt: pathEnrollment.completedAt,
+      amountPaid: pathEnrollment.amountPaid
+    };
+  });
+
+  const submissionFiles = [];
+  const submissionData = [];
+  for (const submission of submissions) {
+    const files = await collectSubmissionFiles(submission);
+    files.filter(file => file.data).forEach(({ name, data }) => submissionFiles.push({ name, data }));
+    submissionData.push({
+      id: submission._id,
+      course: courseLabel(submission.course),
+      lesson: submission.lesson,
+      attemptNumber: submission.attemptNumber,
+      text: submission.text,
+      files: files.map(file => file.meta),
+      submittedAt: submission.submittedAt,
+      isLate: submission.isLate,
+      status: submission.status,
+      grade: submission.grade && {
+        points: submission.grade.points,
+        maxPoints: submission.grade.maxPoints,
+        score: submission.grade.score,
+        rubricScores: submission.grade.rubricScores,
+        gradedAt: submission.grade.gradedAt
+      },
+      feedback: submission.feedback
+    });
+  }
+
+  const couponData = redemptions.map(redemption => ({
+    code: redemption.code,
+    for: redemption.kind,
+    course: courseLabel(redemption.course),
+    service: redemption.service ? { id: redemption.service._id, title: redemption.service.title } : null,
+    originalPrice: redemption.originalPrice,
+    discount: redemption.discount,
+    finalPrice: redemption.finalPrice,
+    redeemedAt: redemption.redeemedAt
+  }));
+
+  const loginHistory = {
+    lastLogin: user.lastLogin,
+    sessions: sessions.map(session => ({
+      device: describeDevice(session.userAgent).label,
+      userAgent: session.userAgent,
+      ipAddress: session.lastUsedIp || session.createdByIp,
+      createdByIp: session.createdByIp,
+      signedInAt: session.createdAt,
+      lastSeenAt: session.lastUsedAt,
+      endedAt: session.revokedAt,
+      endedReason: session.revokedReason,
+      supportAccess: Boolean(session.impersonatedBy)
+    })),
+    knownDevices: (knownDevices || []).map(({ label, firstSeenAt, lastSeenAt }) => ({ label, firstSeenAt, lastSeenAt })),
+    supportAccess: supportAccess.map(entry => ({
+      action: entry.action,
+      at: entry.createdAt,
+      reason: entry.details && entry.details.reason
+    })),
+    apiKeys: apiKeys.map(key => ({
+      name: key.name,
+      prefix: key.prefix,
+      scopes: key.scopes,
+      createdAt: key.createdAt,
+      lastUsedAt: key.lastUsedAt,
+      revokedAt: key.revokedAt
+    }))
+  };
+
+  return {
+    user,
+    files: [
+      { name: 'README.txt', data: README },
+      { name: 'profile.json', data: json(profile) },
+      { name: 'enrollments.json', data: json(enrollmentData) },
+      { name: 'notes.json', data: json(notes) },
+      { name: 'bookmarks.json', data: json(bookmarks) },
+      { name: 'learning-paths.json', data: json(pathData) },
+      { name: 'certificates.json', data: json(certificates) },
+      { name: 'submissions.json', data: json(submissionData) },
+      ...submissionFiles,
+      { name: 'consultations.json', data: json(consultationData) },
+      { name: 'reviews.json', data: json(reviews) },
+      { name: 'payments.json', data: json(payments) },
+      { name: 'coupons.json', data: json(couponData) },
+      { name: 'login-history.json', data: json(loginHistory) }
+    ]
+  };
+};
+
+const removeFile = (filePath) => fs.promises.unlink(filePath).catch(error => {
+  if (error.code !== 'ENOENT') throw error;
+});
+
+// Build the archive and email the download link. Claims the export first so
+// the request handler and the background job never build it twice.
+const buildDataExport = async (exportId) => {
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const filePath = path.join(EXPORT_DIR, `${job._id}.zip`);
+
+  try {
+    const { user, files } = await collectUserData(job.user);
+    const archive = createZip(files);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.promises.writeFile(filePath, archive, { mode: 0o600 });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + expireHours() * 60 * 60 * 1000);
+
+    job.set({
+      status: 'ready',
+      filePath,
+      tokenHash: hashToken(token),
+      size: archive.length,
+      completedAt: new Date(),
+      expiresAt
+    });
+    await job.save();
+
+    await sendEmail({
+      email: user.email,
+      subject: 'Your Data Export Is Ready - Star Media Tech',
+      template: 'dataExportReady',
+      data: {
+        name: user.firstName,
+        downloadUrl: `${process.env.CLIENT_URL}/pages/profile.html?exportToken=${token}#settings`,
+        expiresAt: expiresAt.toUTCString()
+      }
+    });
+
+    return job;
+  } catch (error) {
+    console.error(`Data export ${job._id} failed:`, error);
+    await removeFile(filePath).catch(() => {});
+    await DataExport.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: error.message }, $unset: { filePath: 1, tokenHash: 1 } }
+    );
+    return null;
+  }
+};
+
+const scheduleBuild = (exportId) => {
+  setImmediate(() => {
+    buildDataExport(exportId).catch(error => console.error('Data export error:', error));
+  });
+};
+
+// Queue an export for the user. Only one can be in progress at a time;
+// returns null when one already is.
+const requestDataExport = async (userId) => {
+  const inProgress = await DataExport.exists({ user: userId, status: { $in: ['pending', 'processing'] } });
+  if (inProgress) return null;
+
+  const dataExport = await DataExport.create({ user: userId });
+  scheduleBuild(dataExport._id);
+  return dataExport;
+};
+
+// Find the ready, unexpired export a download token belongs to
+const findDownload = (token) => DataExport.findOne({
+  tokenHash: hashToken(String(token)),
+  status: 'ready',
+  expiresAt: { $gt: new Date() }
+}).select('+filePath');
+
+const expireExport = async (dataExport) => {
+  if (dataExport.filePath) await removeFile(dataExport.filePath);
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { $set: { status: 'expired' }, $unset: { filePath: 1, tokenHash: 1 } }
+  );
+};
+
+// Used when an account is deleted: no archive of it may outlive it
+const deleteUserExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId, status: { $ne: 'expired' } }).select('+filePath');
+  for (const dataExport of exports) await expireExport(dataExport);
+};
+
+// Delete archives past their expiry, fail builds that died with the process
+// and pick up requests that never got built
+const processDataExports = async () => {
+  const now = new Date();
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } }).select('+filePath');
+  for (const dataExport of expired) await expireExport(dataExport);
+
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(now - STALE_PROCESSING_MS) } },
+    { $set: { status: 'failed', error: 'Export did not finish' } }
+  );
+
+  const pending = await DataExport.find({ status: 'pending' }).select('_id');
+  for (const { _id } of pending) await buildDataExport(_id);
+};
+
+const startDataExportJob = () => {
+  const run = () => processDataExports().catch(error => console.error('Data export job error:', error));
+  run();
+  return setInterval(run, JOB_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  requestDataExport,
+  buildDataExport,
+  collectUserData,
+  findDownload,
+  deleteUserExports,
+  processDataExports,
+  startDataExportJob
+};
@@ -0,0 +1,56 @@
+// Rough user-agent parsing for the session list and new-device alerts. It only
+// needs to be good enough for a person to recognise their own devices.
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const WINDOWS_VERSIONS = { '10.0': '10/11', '6.3': '8.1', '6.2': '8', '6.1': '7' };
+
+const match = (rules, ua) => {
+  for (const [name, pattern] of rules) {
+    const found = pattern.exec(ua);
+    if (found) return { name, version: found[1] };
+  }
+  return null;
+};
+
+const describeDevice = (userAgent = '') => {
+  const ua = String(userAgent);
+  const browser = match(BROWSERS, ua);
+  const os = match(OPERATING_SYSTEMS, ua);
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) type = 'tablet';
+  else if (/Mobi|iPhone|iPod/.test(ua)) type = 'mobile';
+  else if (!browser) type = 'other';
+
+  const browserName = browser ? `${browser.name} ${browser.version.split('.')[0]}` : 'Unknown browser';
+  let osName = os ? os.name : 'Unknown OS';
+  if (os && os.name === 'Windows' && WINDOWS_VERSIONS[os.version]) osName = `Windows ${WINDOWS_VERSIONS[os.version]}`;
+  else if (os && os.name === 'iOS' && os.version) osName = `iOS ${os.version.split('_')[0]}`;
+
+  return {
+    browser: browserName,
+    os: osName,
+    type,
+    label: `${browserName} on ${osName}`
+  };
+};
+
+module.exports = {
+  describeDevice
+};
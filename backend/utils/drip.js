@@ -0,0 +1,164 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { sendEmail } = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_INTERVAL_MS = DAY_MS;
+// Modules that opened longer ago than this aren't announced, so the first
+// run after a schedule change doesn't email about old content
+const NOTIFY_WINDOW_MS = 2 * DAY_MS;
+
+const accessStart = (enrollment) =>
+  new Date(enrollment.accessSettings.startDate || enrollment.enrollmentDate);
+
+const latest = (dates) => new Date(Math.max(...dates.map(date => new Date(date).getTime())));
+
+// When each module of the course opens for this enrollment, in curriculum
+// order. Nothing opens before the learner's access start date. `unlocksAt`
+// is null while a module waits on the previous one to be completed.
+const getModuleSchedule = (course, enrollment, now = new Date()) => {
+  const start = accessStart(enrollment);
+  const completedAt = new Map(enrollment.progress.completedLessons.map(
+    completed => [completed.lesson.toString(), completed.completedAt]
+  ));
+
+  const schedule = [];
+  (course.curriculum || []).forEach((module, index) => {
+    const unlock = module.unlock || {};
+    const rule = unlock.rule || 'immediate';
+    const previous = schedule[index - 1];
+    let unlocksAt = start;
+
+    if (rule === 'after_days') {
+      unlocksAt = new Date(start.getTime() + (unlock.days || 0) * DAY_MS);
+    } else if (rule === 'on_date' && unlock.date) {
+      unlocksAt = latest([start, unlock.date]);
+    } else if (rule === 'after_previous' && previous) {
+      // Open once every required lesson of the previous module is done
+      const required = course.curriculum[index - 1].lessons.filter(lesson => lesson.isRequired !== false);
+      const finished = required.map(lesson => completedAt.get(lesson._id.toString()));
+
+      unlocksAt = previous.unlocked && finished.every(Boolean)
+        ? latest([previous.unlocksAt, ...finished])
+        : null;
+    }
+
+    schedule.push({
+      module: module._id,
+      rule,
+      unlocksAt,
+      unlocked: Boolean(unlocksAt) && unlocksAt <= now
+    });
+  });
+
+  return schedule;
+};
+
+// Whether the module holding the lesson is open to the learner. Lessons no
+// longer in the curriculum aren't on any schedule.
+const isLessonUnlocked = (course, enrollment, lessonId) => {
+  const index = course.curriculum.findIndex(module =>
+    module.lessons.some(lesson => lesson._id.toString() === String(lessonId))
+  );
+  return index === -1 || getModuleSchedule(course, enrollment)[index].unlocked;
+};
+
+// The course as an enrolled learner sees it: locked modules keep their
+// outline and unlock date, but no lesson content, resources or assignments
+const presentCourseContent = (course, enrollment) => {
+  const schedule = getModuleSchedule(course, enrollment);
+  const data = course.toObject();
+
+  data.curriculum = data.curriculum.map((module, index) => {
+    const { unlocked, unlocksAt } = schedule[index];
+    if (unlocked) return { ...module, locked: false };
+
+    return {
+      _id: module._id,
+      moduleTitle: module.moduleTitle,
+      moduleDescription: module.moduleDescription,
+      unlock: module.unlock,
+      locked: true,
+      unlocksAt,
+      lessons: module.lessons.map(lesson => ({
+        _id: lesson._id,
+        lessonTitle: lesson.lessonTitle,
+        lessonType: lesson.lessonType,
+        duration: lesson.duration,
+        isRequired: lesson.isRequired
+      }))
+    };
+  });
+
+  return data;
+};
+
+// Email learners about modules that opened on a schedule since the last run.
+// Modules behind `after_previous` open as the learner finishes the previous
+// one, so they aren't announced.
+const notifyUnlockedModules = async (now = new Date()) => {
+  const courses = await Course.find({
+    'curriculum.unlock.rule': { $in: ['after_days', 'on_date'] }
+  }).select('title curriculum');
+
+  for (const course of courses) {
+    const enrollments = await Enrollment.find({ course: course._id, status: 'active' })
+      .select('user enrollmentDate accessSettings progress.completedLessons notifiedModules')
+      .populate('user', 'firstName email preferences.emailNotifications');
+
+    for (const enrollment of enrollments) {
+      const start = accessStart(enrollment);
+      const notified = new Set(enrollment.notifiedModules.map(String));
+
+      const opened = getModuleSchedule(course, enrollment, now).filter(entry =>
+        entry.unlocked &&
+        ['after_days', 'on_date'].includes(entry.rule) &&
+        entry.unlocksAt > start &&
+        now - entry.unlocksAt <= NOTIFY_WINDOW_MS &&
+        !notified.has(entry.module.toString())
+      );
+      if (opened.length === 0) continue;
+
+      const { user } = enrollment;
+      if (user && user.email && user.preferences.emailNotifications !== false) {
+        const modules = opened.map(entry => course.curriculum.id(entry.module).moduleTitle);
+        try {
+          await sendEmail({
+            email: user.email,
+            subject: `New Lessons in ${course.title} - Star Media Tech`,
+            template: 'moduleUnlocked',
+            data: {
+              name: user.firstName,
+              courseTitle: course.title,
+              modules: modules.join(', '),
+              courseUrl: `${process.env.CLIENT_URL}/pages/course-details.html?id=${course._id}`
+            }
+          });
+        } catch (error) {
+          // Leave the modules unrecorded so the next run tries again
+          console.error('Module unlock email error:', error);
+          continue;
+        }
+      }
+
+      await Enrollment.updateOne(
+        { _id: enrollment._id },
+        { $addToSet: { notifiedModules: { $each: opened.map(entry => entry.module) } } }
+      );
+    }
+  }
+};
+
+const startDripNotificationJob = () => {
+  const run = () => notifyUnlockedModules().catch(error => console.error('Drip notification job error:', error));
+  run();
+  return setInterval(run, JOB_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getModuleSchedule,
+  isLessonUnlocked,
+  presentCourseContent,
+  notifyUnlockedModules,
+  startDripNotificationJob
+};
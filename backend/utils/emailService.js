@@ -1,6 +1,4 @@
 const nodemailer = require('nodemailer');
-const fs = require('fs');
-const path = require('path');
 
 // Create transporter (use correct nodemailer API)
 const transporter = nodemailer.createTransport({
@@ -25,7 +23,7 @@ const templates = {
       </div>
       <p>If the button doesn't work, copy and paste this link in your browser:</p>
       <p>{{verificationUrl}}</p>
-      <p>This link will expire in 24 hours.</p>
+      <p>This link will expire in {{hours}} hours.</p>
     </div>
   `,
   passwordReset: `
@@ -41,6 +39,135 @@ const templates = {
       <p>If you didn't request this, please ignore this email.</p>
       <p>This link will expire in 30 minutes.</p>
     </div>
+  `,
+  passwordResetSuccess: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Password Reset Successful</h2>
+      <p>Hello {{name}},</p>
+      <p>Your password has been reset and you have been signed out of all devices.</p>
+      <p>If you didn't make this change, please contact support immediately.</p>
+    </div>
+  `,
+  accountLocked: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Account Temporarily Locked</h2>
+      <p>Hello {{name}},</p>
+      <p>We locked your account for {{minutes}} minutes after several failed sign-in attempts.</p>
+      <p>If this was you, you can unlock it right away:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{unlockUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Unlock Account
+        </a>
+      </div>
+      <p>If it wasn't you, we recommend changing your password once you're back in.</p>
+    </div>
+  `,
+  passwordChanged: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Password Changed</h2>
+      <p>Hello {{name}},</p>
+      <p>Your password was changed and all other sessions have been signed out.</p>
+      <p>If you didn't make this change, please reset your password immediately.</p>
+    </div>
+  `,
+  magicLink: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Your Sign-in Link</h2>
+      <p>Hello {{name}},</p>
+      <p>Click the button below to sign in to Star Media Tech. No password needed.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{loginUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Sign In
+        </a>
+      </div>
+      <p>If the button doesn't work, copy and paste this link in your browser:</p>
+      <p>{{loginUrl}}</p>
+      <p>This link can be used once and expires in {{minutes}} minutes. If you didn't ask to sign in, you can ignore this email.</p>
+    </div>
+  `,
+  newDeviceLogin: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">New Sign-in to Your Account</h2>
+      <p>Hello {{name}},</p>
+      <p>Your Star Media Tech account was just signed in to from a device we haven't seen before:</p>
+      <ul>
+        <li><strong>Device:</strong> {{device}}</li>
+        <li><strong>IP address:</strong> {{ipAddress}}</li>
+        <li><strong>Time:</strong> {{time}}</li>
+      </ul>
+      <p>If this was you, there's nothing to do.</p>
+      <p>If you don't recognise this sign-in, sign out that device and change your password right away:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{sessionsUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Review Active Sessions
+        </a>
+      </div>
+    </div>
+  `,
+  accountDeletionScheduled: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Account Deletion Scheduled</h2>
+      <p>Hello {{name}},</p>
+      <p>We received a request to delete your Star Media Tech account. It will be permanently deleted on <strong>{{scheduledFor}}</strong>.</p>
+      <p>Until then you can change your mind: sign in and cancel the deletion from your profile.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{cancelUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Keep My Account
+        </a>
+      </div>
+      <p>If you didn't ask for this, sign in, cancel the deletion and change your password right away.</p>
+    </div>
+  `,
+  accountDeleted: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Your Account Has Been Deleted</h2>
+      <p>Hello {{name}},</p>
+      <p>As requested, your Star Media Tech account has been deleted and your personal information removed.</p>
+      <p>Thank you for learning with us. You're welcome back any time.</p>
+    </div>
+  `,
+  dataExportReady: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">Your Data Export Is Ready</h2>
+      <p>Hello {{name}},</p>
+      <p>The copy of your Star Media Tech data you asked for is ready to download.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{downloadUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Download My Data
+        </a>
+      </div>
+      <p>This link will expire on {{expiresAt}}. Anyone with the link can download the file, so please don't forward this email.</p>
+      <p>If you didn't request an export, sign in and change your password.</p>
+    </div>
+  `,
+  invitation: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">You're Invited to Join Star Media Tech</h2>
+      <p>Hello,</p>
+      <p>{{inviterName}} has invited you to join Star Media Tech as {{roleLabel}}.</p>
+      <p style="font-style: italic;">{{message}}</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{inviteUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Accept Invitation
+        </a>
+      </div>
+      <p>If you already have an account with this email address, accepting adds the new role to it.</p>
+      <p>This invitation expires on {{expiresAt}}. If you weren't expecting it, you can ignore this email.</p>
+    </div>
+  `,
+  moduleUnlocked: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #667eea; text-align: center;">New Lessons Are Ready</h2>
+      <p>Hello {{name}},</p>
+      <p>New content has just opened in <strong>{{courseTitle}}</strong>:</p>
+      <p><strong>{{modules}}</strong></p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{courseUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Continue Learning
+        </a>
+      </div>
+      <p>You can turn off course emails in your profile settings.</p>
+    </div>
   `
 };
 
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const Setting = require('../models/Setting');
+const { sendEmail } = require('./emailService');
+const { revokeAllSessions } = require('./sessionService');
+
+const POLICY_KEY = 'security.requireVerifiedEmail';
+
+const tokenLifetimeHours = () => Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+const hashVerificationToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
+
+// Issue a fresh verification token (replacing any earlier one) and email the link.
+// Only the hash is stored, like password reset tokens.
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = tokenLifetimeHours();
+
+  user.verificationToken = hashVerificationToken(token);
+  user.verificationTokenExpire = Date.now() + hours * 60 * 60 * 1000;
+  await user.save();
+
+  const verificationUrl = `${process.env.CLIENT_URL}/pages/login.html?verifyToken=${token}`;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Verify Your Email - Star Media Tech',
+    template: 'emailVerification',
+    data: {
+      name: user.firstName,
+      verificationUrl,
+      hours
+    }
+  });
+};
+
+// Whether unverified accounts are kept from enrolling and booking.
+// Admins switch this at runtime; REQUIRE_VERIFIED_EMAIL sets the default.
+const isVerificationRequired = async () => Boolean(
+  await Setting.getValue(POLICY_KEY, process.env.REQUIRE_VERIFIED_EMAIL === 'true')
+);
+
+// Verify an account whose address was just proven some other way (by an
+// identity provider or an invitation link). Whoever registered an unverified
+// account may not own the address, so anything they set up goes: the password
+// is replaced with `password` (or an unusable random one), 2FA and pending
+// tokens are cleared and every session is revoked. Saves the user.
+const claimEmailAddress = async (user, password) => {
+  const wasVerified = user.isVerified;
+  user.isVerified = true;
+  user.verificationToken = undefined;
+  user.verificationTokenExpire = undefined;
+
+  if (!wasVerified) {
+    user.password = password || crypto.randomBytes(32).toString('hex');
+    user.twoFactor = { enabled: false };
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+  }
+
+  await user.save();
+  if (!wasVerified) await revokeAllSessions(user._id, 'password-reset');
+  return user;
+};
+
+module.exports = {
+  POLICY_KEY,
+  hashVerificationToken,
+  sendVerificationEmail,
+  claimEmailAddress,
+  isVerificationRequired
+};
@@ -1,8 +1,42 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Short-lived access token; `sid` ties it to a revocable server-side session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Access token for an admin acting as another user. `imp` marks it as an
+// impersonation token; it has no refresh token and can't be extended.
+const generateImpersonationToken = (id, sessionId, impersonatorId, expiresInSeconds) => {
+  return jwt.sign({ id, sid: sessionId, imp: impersonatorId }, process.env.JWT_SECRET, {
+    expiresIn: expiresInSeconds
+  });
+};
+
+// Partial token for a half-finished login (e.g. awaiting a 2FA code).
+// It carries no session, so `protect` never accepts it. The nonce must match
+// the one stored on the user (see utils/twoFactor), making the token single-use.
+const generatePartialToken = (id, purpose, nonce) => {
+  return jwt.sign({ id, purpose, nonce }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_PARTIAL_EXPIRE || '5m'
+  });
+};
+
+const verifyPartialToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid token purpose');
+  }
+  return decoded;
+};
+
+// Signed link for an instructor/consultant invitation. The nonce must match
+// the invitation's current one, so resending or revoking kills older links.
+const generateInvitationToken = (invitationId, nonce, expiresInSeconds) => {
+  return jwt.sign({ inv: invitationId, nonce, purpose: 'invitation' }, process.env.JWT_SECRET, {
+    expiresIn: expiresInSeconds
   });
 };
 
@@ -10,4 +44,9 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
+module.exports.verifyToken = verifyToken;
+module.exports.generateImpersonationToken = generateImpersonationToken;
+module.exports.generatePartialToken = generatePartialToken;
+module.exports.verifyPartialToken = verifyPartialToken;
+module.exports.generateInvitationToken = generateInvitationToken;
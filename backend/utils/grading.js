@@ -0,0 +1,83 @@
+const Submission = require('../models/Submission');
+
+// Lower bound of each letter grade, highest first
+const GRADE_SCALE = [
+  [97, 'A+'], [93, 'A'], [90, 'A-'],
+  [87, 'B+'], [83, 'B'], [80, 'B-'],
+  [77, 'C+'], [73, 'C'], [70, 'C-'],
+  [60, 'D'], [0, 'F']
+];
+
+const letterGrade = (score) => GRADE_SCALE.find(([min]) => score >= min)[1];
+
+// Score a submission for an assignment lesson. With a rubric every criterion
+// needs points (up to its maximum); without one a plain percentage is given.
+// Returns { grade } or { error }.
+const scoreSubmission = (lesson, { rubricScores, score }) => {
+  const rubric = (lesson.assignment && lesson.assignment.rubric) || [];
+
+  if (rubric.length === 0) {
+    if (typeof score !== 'number' || score < 0 || score > 100) {
+      return { error: 'A score between 0 and 100 is required' };
+    }
+    return { grade: { rubricScores: [], points: score, maxPoints: 100, score } };
+  }
+
+  const given = new Map((rubricScores || []).map(entry => [String(entry.criterion), entry]));
+  const scored = [];
+
+  for (const item of rubric) {
+    const entry = given.get(item._id.toString());
+    if (!entry || typeof entry.points !== 'number') {
+      return { error: `Points are required for "${item.criterion}"` };
+    }
+    if (entry.points < 0 || entry.points > item.maxPoints) {
+      return { error: `Points for "${item.criterion}" must be between 0 and ${item.maxPoints}` };
+    }
+    scored.push({ criterion: item._id, points: entry.points, comment: entry.comment });
+  }
+
+  const points = scored.reduce((sum, entry) => sum + entry.points, 0);
+  const maxPoints = rubric.reduce((sum, item) => sum + item.maxPoints, 0);
+
+  return {
+    grade: {
+      rubricScores: scored,
+      points,
+      maxPoints,
+      score: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 100
+    }
+  };
+};
+
+// Recalculate the enrollment's final grade from its graded work: the latest
+// graded submission of each assignment and the best score of each assessment,
+// weighted equally. Doesn't save.
+const updateFinalGrade = async (enrollment) => {
+  const graded = await Submission.aggregate([
+    { $match: { enrollment: enrollment._id, status: 'graded' } },
+    { $sort: { attemptNumber: -1 } },
+    { $group: { _id: '$lesson', score: { $first: '$grade.score' } } }
+  ]);
+
+  const scores = [
+    ...graded.map(entry => entry.score),
+    ...enrollment.assessments
+      .filter(record => typeof record.bestScore === 'number')
+      .map(record => record.bestScore)
+  ];
+
+  if (scores.length === 0) return;
+
+  const score = Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length);
+
+  enrollment.finalGrade.score = score;
+  enrollment.finalGrade.grade = letterGrade(score);
+  enrollment.finalGrade.awardedAt = new Date();
+};
+
+module.exports = {
+  letterGrade,
+  scoreSubmission,
+  updateFinalGrade
+};
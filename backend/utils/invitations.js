@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Consultant = require('../models/Consultant');
+const Invitation = require('../models/Invitation');
+const { sendEmail } = require('./emailService');
+const { claimEmailAddress } = require('./emailVerification');
+const { generateInvitationToken, verifyToken } = require('./generateToken');
+
+const ROLE_LABELS = {
+  instructor: 'an instructor',
+  consultant: 'a consultant'
+};
+
+const expireDays = () => Number(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+// The admin's note ends up in an HTML email
+const escapeHtml = (text) => String(text || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Invitations only upgrade learner accounts. Swapping one staff role for
+// another, or demoting an admin, is an admin role change and never happens
+// just because an old link was accepted. Returns the reason, or null.
+const roleConflict = (user, role) => {
+  if (!user || user.role === 'user' || user.role === role) return null;
+  return user.role === 'admin'
+    ? 'This account is already an administrator, so the invitation can\'t be accepted'
+    : `This account is already ${ROLE_LABELS[user.role]}, so the invitation can't be accepted. An admin can change its role instead.`;
+};
+
+// Email a fresh signed link. A new nonce is issued each time, so links from
+// earlier sends stop working, and the expiry restarts.
+const sendInvitation = async (invitation, inviter) => {
+  const lifetimeSeconds = expireDays() * 24 * 60 * 60;
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  invitation.nonce = nonce;
+  invitation.expiresAt = new Date(Date.now() + lifetimeSeconds * 1000);
+  await invitation.save();
+
+  const token = generateInvitationToken(String(invitation._id), nonce, lifetimeSeconds);
+
+  await sendEmail({
+    email: invitation.email,
+    subject: 'You\'re Invited to Star Media Tech',
+    template: 'invitation',
+    data: {
+      inviterName: escapeHtml(`${inviter.firstName} ${inviter.lastName}`),
+      roleLabel: ROLE_LABELS[invitation.role],
+      message: escapeHtml(invitation.message),
+      inviteUrl: `${process.env.CLIENT_URL}/pages/register.html?invite=${token}`,
+      expiresAt: invitation.expiresAt.toDateString()
+    }
+  });
+
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  return invitation;
+};
+
+// The pending, unexpired invitation a link belongs to, or null
+const findInvitationByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(String(token));
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'invitation' || !mongoose.isValidObjectId(decoded.inv) || typeof decoded.nonce !== 'string') {
+    return null;
+  }
+
+  const invitation = await Invitation.findOne({
+    _id: decoded.inv,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }).select('+nonce').populate('invitedBy', 'firstName lastName');
+
+  const matches = invitation && invitation.nonce && invitation.nonce.length === decoded.nonce.length &&
+    crypto.timingSafeEqual(Buffer.from(invitation.nonce), Buffer.from(decoded.nonce));
+
+  return matches ? invitation : null;
+};
+
+// Consultants need an approved, active profile to offer services
+const ensureConsultantProfile = (user) => Consultant.findOneAndUpdate(
+  { user: user._id },
+  {
+    $set: {
+      name: `${user.firstName} ${user.lastName}`,
+      email: user.email,
+      approvalStatus: 'approved',
+      isActive: true
+    },
+    $setOnInsert: { user: user._id }
+  },
+  { upsert: true, new: true }
+);
+
+// Accept the invitation: upgrade the account registered under the invited
+// address, or create one from `profile` ({ firstName, lastName, password }).
+// An unverified account under the address is claimed with profile.password.
+// Returns { user, created }, or null if the invitation was used meanwhile.
+const acceptInvitation = async (invitation, profile = {}) => {
+  // Claim it first so two simultaneous accepts can't both go through
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending', nonce: invitation.nonce },
+    { $set: { status: 'accepted', acceptedAt: new Date() }, $unset: { nonce: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    let user = await User.findOne({ email: invitation.email });
+    const created = !user;
+
+    if (user) {
+      user.role = invitation.role;
+      // The link reached this address, which proves the user owns it. An
+      // unverified account is reset with the password chosen now.
+      await claimEmailAddress(user, profile.password);
+    } else {
+      user = await User.create({
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        email: invitation.email,
+        password: profile.password,
+        role: invitation.role,
+        isVerified: true
+      });
+    }
+
+    if (invitation.role === 'consultant') {
+      await ensureConsultantProfile(user);
+    }
+
+    claimed.acceptedBy = user._id;
+    await claimed.save();
+
+    return { user, created };
+  } catch (error) {
+    // Put the invitation back so the link can be tried again
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { $set: { status: 'pending', nonce: invitation.nonce }, $unset: { acceptedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+module.exports = {
+  ROLE_LABELS,
+  roleConflict,
+  sendInvitation,
+  findInvitationByToken,
+  acceptInvitation
+};
@@ -0,0 +1,109 @@
+const Enrollment = require('../models/Enrollment');
+
+// Where the user stands on each course of the path, in path order. Takes a
+// path with its courses populated. Progress is weighted by course duration,
+// like lessons within a course.
+const getPathProgress = async (path, userId) => {
+  const enrollments = await Enrollment.find({
+    user: userId,
+    course: { $in: path.courses.map(course => course._id) },
+    status: { $in: ['active', 'completed'] }
+  }).select('course status progress.overall completion.completedAt');
+
+  const byCourse = new Map(enrollments.map(enrollment => [String(enrollment.course), enrollment]));
+
+  const courses = path.courses.map((course, index) => {
+    const enrollment = byCourse.get(String(course._id));
+    const completed = Boolean(enrollment) && enrollment.status === 'completed';
+
+    return {
+      order: index + 1,
+      course: {
+        _id: course._id,
+        title: course.title,
+        slug: course.slug,
+        thumbnail: course.thumbnail,
+        duration: course.duration,
+        level: course.level
+      },
+      status: enrollment ? enrollment.status : 'not_enrolled',
+      progress: completed ? 100 : (enrollment ? enrollment.progress.overall : 0),
+      completedAt: completed ? enrollment.completion.completedAt : undefined
+    };
+  });
+
+  const weight = (entry) => entry.course.duration || 1;
+  const totalWeight = courses.reduce((sum, entry) => sum + weight(entry), 0);
+  const doneWeight = courses.reduce((sum, entry) => sum + weight(entry) * entry.progress / 100, 0);
+  const completedCourses = courses.filter(entry => entry.status === 'completed').length;
+  const next = courses.find(entry => entry.status !== 'completed');
+
+  return {
+    courses,
+    percentage: totalWeight > 0 ? Math.floor(doneWeight / totalWeight * 100) : 0,
+    completedCourses,
+    totalCourses: courses.length,
+    isCompleted: completedCourses === courses.length,
+    nextCourse: next ? next.course : null
+  };
+};
+
+// Mark the path enrollment completed, with its certificate, once every course
+// is done. Saves only when something changed.
+const syncPathCompletion = async (pathEnrollment, path, progress) => {
+  if (!progress.isCompleted || pathEnrollment.status !== 'active') return pathEnrollment;
+
+  const completedDates = progress.courses.map(entry => entry.completedAt).filter(Boolean);
+  pathEnrollment.status = 'completed';
+  pathEnrollment.completedAt = completedDates.length > 0
+    ? new Date(Math.max(...completedDates.map(date => new Date(date).getTime())))
+    : new Date();
+
+  if (path.certificateAvailable && !pathEnrollment.certificate.issued) {
+    pathEnrollment.assignCertificate();
+  }
+
+  return pathEnrollment.save();
+};
+
+const listPrice = (course) => course.discountedPrice || course.price || 0;
+
+// List prices of the path's courses next to the bundle price
+const describePricing = (path) => {
+  const separately = path.courses.reduce((sum, course) => sum + listPrice(course), 0);
+
+  return {
+    price: path.price,
+    separately,
+    savings: Math.max(0, Math.round((separately - path.price) * 100) / 100)
+  };
+};
+
+// What enrolling in the path costs when the learner gets only `courses` of
+// it (they own the rest already): each course's share of the bundle price,
+// by list price, and the total of those shares. Getting every course costs
+// exactly the bundle price.
+const priceBundle = (path, courses) => {
+  const { separately } = describePricing(path);
+  const weight = (course) => (separately > 0 ? listPrice(course) / separately : 1 / path.courses.length);
+  const toCents = (amount) => Math.round(amount * 100);
+
+  const totalCents = toCents(path.price * courses.reduce((sum, course) => sum + weight(course), 0));
+  const shareCents = courses.map(course => toCents(path.price * weight(course)));
+  // Rounding leftovers go on the last course, so the shares add up
+  if (shareCents.length > 0) {
+    shareCents[shareCents.length - 1] += totalCents - shareCents.reduce((sum, cents) => sum + cents, 0);
+  }
+
+  return {
+    amountPaid: totalCents / 100,
+    shares: shareCents.map(cents => cents / 100)
+  };
+};
+
+module.exports = {
+  getPathProgress,
+  syncPathCompletion,
+  describePricing,
+  priceBundle
+};
@@ -0,0 +1,84 @@
+// Small Markdown to HTML renderer for lesson bodies in exported packages.
+// Covers headings, paragraphs, lists, quotes, fenced code, rules, emphasis,
+// inline code, links and images. Raw HTML in the source is escaped.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only web and mail links; anything else (javascript: and the like) is dropped
+const safeUrl = (url) => (/^(https?:\/\/|mailto:|\/|\.{0,2}\/|#)/i.test(url) ? url : '#');
+
+const emphasize = (html) => html
+  .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|\W)__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+  .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+  .replace(/(^|\W)_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+
+const renderInline = (text) => {
+  // Code spans and URLs are set aside so emphasis can't reach into them
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+  const html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => hold(`<img src="${safeUrl(url)}" alt="${alt}">`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => hold(`<a href="${safeUrl(url)}">${emphasize(label)}</a>`));
+
+  // eslint-disable-next-line no-control-regex -- placeholders are NUL-delimited
+  return emphasize(html).replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+};
+
+const renderMarkdown = (markdown = '') => {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const collect = (test) => {
+    const collected = [];
+    while (i < lines.length && test(lines[i])) collected.push(lines[i++]);
+    return collected;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (/^```/.test(line)) {
+      i++;
+      const code = collect(current => !/^```/.test(current));
+      i++; // closing fence
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (/^#{1,6}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      blocks.push(`<h${hashes.length}>${renderInline(text)}</h${hashes.length}>`);
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push('<hr>');
+      i++;
+    } else if (/^>/.test(line)) {
+      const quote = collect(current => /^>/.test(current)).map(current => current.replace(/^>\s?/, ''));
+      blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+    } else if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+      const ordered = /^\s*\d/.test(line);
+      const items = collect(current => /^\s*([-*+]|\d+[.)])\s+/.test(current))
+        .map(current => `<li>${renderInline(current.replace(/^\s*([-*+]|\d+[.)])\s+/, ''))}</li>`);
+      blocks.push(ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+    } else {
+      const paragraph = collect(current => current.trim() && !/^(```|#{1,6}\s|>|\s*([-*+]|\d+[.)])\s+)/.test(current));
+      blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    }
+  }
+
+  return blocks.join('\n');
+};
+
+module.exports = {
+  escapeHtml,
+  safeUrl,
+  renderMarkdown
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Minimal OAuth2 / OpenID Connect relying party: authorization code flow
+// with PKCE, ID token verification against the provider's JWKS, and a
+// userinfo fallback for plain OAuth2 providers such as GitHub.
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const randomString = () => base64url(crypto.randomBytes(32));
+
+const pkceChallenge = (verifier) => base64url(crypto.createHash('sha256').update(verifier).digest());
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  if (!response.ok) {
+    throw new Error(`Identity provider request failed (${response.status}) for ${url}`);
+  }
+  return response.json();
+};
+
+const discover = async (provider) => {
+  if (provider.type !== 'oidc') return {};
+
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_TTL_MS) return cached.config;
+
+  const config = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { config, fetchedAt: Date.now() });
+  return config;
+};
+
+const endpointsFor = async (provider) => {
+  const config = await discover(provider);
+  return {
+    issuer: config.issuer || provider.issuer,
+    authorizationUrl: provider.authorizationUrl || config.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || config.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || config.userinfo_endpoint,
+    jwksUri: config.jwks_uri
+  };
+};
+
+// Everything the callback needs to validate the response
+const createAuthRequest = () => {
+  const codeVerifier = randomString();
+  return {
+    state: randomString(),
+    nonce: randomString(),
+    codeVerifier,
+    codeChallenge: pkceChallenge(codeVerifier)
+  };
+};
+
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, redirectUri }) => {
+  const { authorizationUrl } = await endpointsFor(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes.join(' '),
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (provider.type === 'oidc') params.set('nonce', nonce);
+
+  return `${authorizationUrl}?${params.toString()}`;
+};
+
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+  const { tokenUrl } = await endpointsFor(provider);
+  return fetchJson(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+};
+
+const getSigningKey = async (jwksUri, kid, refresh = false) => {
+  let keys = jwksCache.get(jwksUri);
+  if (!keys || refresh) {
+    keys = (await fetchJson(jwksUri)).keys || [];
+    jwksCache.set(jwksUri, keys);
+  }
+
+  const jwk = keys.find(key => !kid || key.kid === kid);
+  if (!jwk) {
+    // Providers rotate keys; try once more with a fresh key set
+    if (!refresh) return getSigningKey(jwksUri, kid, true);
+    throw new Error('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const { issuer, jwksUri } = await endpointsFor(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error('Malformed ID token');
+
+  const key = await getSigningKey(jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+    issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  return claims;
+};
+
+const splitName = (fullName = '') => {
+  const parts = fullName.trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: parts[0],
+    lastName: parts.slice(1).join(' ') || undefined
+  };
+};
+
+// Normalised identity: { subject, email, emailVerified, firstName, lastName, avatarUrl }
+const getIdentity = async (provider, tokens, nonce) => {
+  if (provider.type === 'oidc') {
+    if (!tokens.id_token) throw new Error('Provider did not return an ID token');
+    const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+    const fallback = splitName(claims.name);
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email && claims.email.toLowerCase(),
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name || fallback.firstName,
+      lastName: claims.family_name || fallback.lastName,
+      avatarUrl: claims.picture
+    };
+  }
+
+  const { userinfoUrl } = await endpointsFor(provider);
+  const authHeaders = { headers: { Authorization: `Bearer ${tokens.access_token}` } };
+  const profile = await fetchJson(userinfoUrl, authHeaders);
+
+  // Only trust an address the provider reports as verified
+  let email = null;
+  if (provider.emailsUrl) {
+    const emails = await fetchJson(provider.emailsUrl, authHeaders);
+    const primary = emails.find(e => e.primary && e.verified) || emails.find(e => e.verified);
+    email = primary ? primary.email : null;
+  }
+
+  const name = splitName(profile.name || profile.login);
+  return {
+    subject: String(profile.id),
+    email: email && email.toLowerCase(),
+    emailVerified: Boolean(email),
+    firstName: name.firstName,
+    lastName: name.lastName,
+    avatarUrl: profile.avatar_url
+  };
+};
+
+module.exports = {
+  createAuthRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  getIdentity
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// The one password policy, used wherever a password is chosen: registration,
+// change-password and reset-password on both the /api/auth and /api/users routers.
+
+const BUNDLED_LIST = path.join(__dirname, '..', 'config', 'commonPasswords.txt');
+
+const intSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const flagSetting = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value === 'true';
+};
+
+const passwordPolicy = () => ({
+  minLength: intSetting('PASSWORD_MIN_LENGTH', 8),
+  maxLength: intSetting('PASSWORD_MAX_LENGTH', 128),
+  requireLowercase: flagSetting('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: flagSetting('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireNumber: flagSetting('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: flagSetting('PASSWORD_REQUIRE_SYMBOL', false),
+  // How many recent passwords (the current one included) can't be reused; 0 turns it off
+  historySize: intSetting('PASSWORD_HISTORY_SIZE', 5),
+  blockCommon: flagSetting('PASSWORD_BLOCK_COMMON', true)
+});
+
+let commonPasswords = null;
+
+// Bundled list of common and breached passwords, optionally replaced by a
+// larger one-per-line file. Loaded once, on first use.
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = process.env.PASSWORD_COMMON_LIST || BUNDLED_LIST;
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+  return commonPasswords;
+};
+
+// "Summer2024!" is as guessable as "summer": also check the word without
+// the digits and symbols people tack onto the end
+const isCommonPassword = (password) => {
+  const list = loadCommonPasswords();
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[^a-z]+$/, '');
+  return list.has(lower) || (stem.length >= 4 && list.has(stem));
+};
+
+// Each rule: whether it applies under the current policy, the check, and
+// the message shown when it fails
+const RULES = [
+  {
+    name: 'minLength',
+    applies: () => true,
+    test: (password, policy) => password.length >= policy.minLength,
+    message: policy => `Password must be at least ${policy.minLength} characters long`
+  },
+  {
+    name: 'maxLength',
+    applies: () => true,
+    test: (password, policy) => password.length <= policy.maxLength,
+    message: policy => `Password cannot be longer than ${policy.maxLength} characters`
+  },
+  {
+    name: 'lowercase',
+    applies: policy => policy.requireLowercase,
+    test: password => /[a-z]/.test(password),
+    message: () => 'Password must contain at least one lowercase letter'
+  },
+  {
+    name: 'uppercase',
+    applies: policy => policy.requireUppercase,
+    test: password => /[A-Z]/.test(password),
+    message: () => 'Password must contain at least one uppercase letter'
+  },
+  {
+    name: 'number',
+    applies: policy => policy.requireNumber,
+    test: password => /\d/.test(password),
+    message: () => 'Password must contain at least one number'
+  },
+  {
+    name: 'symbol',
+    applies: policy => policy.requireSymbol,
+    test: password => /[^a-zA-Z0-9]/.test(password),
+    message: () => 'Password must contain at least one symbol'
+  },
+  {
+    name: 'common',
+    applies: policy => policy.blockCommon,
+    test: password => !isCommonPassword(password),
+    message: () => 'This password is too common or has appeared in a data breach. Please choose another'
+  }
+];
+
+const RULE_NAMES = RULES.map(rule => rule.name);
+
+// Returns the message for a failed rule, or null if the password passes it
+const checkRule = (name, password) => {
+  const policy = passwordPolicy();
+  const rule = RULES.find(candidate => candidate.name === name);
+  if (!rule.applies(policy) || rule.test(String(password), policy)) return null;
+  return rule.message(policy);
+};
+
+// All rule violations for a password as [{ rule, message }]
+const checkPassword = (password) => RULE_NAMES
+  .map(rule => ({ rule, message: checkRule(rule, password) }))
+  .filter(violation => violation.message);
+
+const reuseMessage = () => {
+  const { historySize } = passwordPolicy();
+  return historySize > 1
+    ? `You can't reuse any of your last ${historySize} passwords`
+    : 'Your new password must be different from your current one';
+};
+
+// Has the user had this password recently? Needs a User document.
+const isReusedPassword = async (user, password) => {
+  if (passwordPolicy().historySize <= 0) return false;
+  return user.isPasswordReused(password);
+};
+
+// 400 response body for a reused password, shaped like other validation errors
+const passwordReuseError = (field) => ({
+  success: false,
+  message: reuseMessage(),
+  errors: [{ field, message: reuseMessage() }]
+});
+
+module.exports = {
+  passwordPolicy,
+  RULE_NAMES,
+  checkRule,
+  checkPassword,
+  isCommonPassword,
+  isReusedPassword,
+  reuseMessage,
+  passwordReuseError
+};
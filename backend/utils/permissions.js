@@ -0,0 +1,64 @@
+const Role = require('../models/Role');
+const { OWNERSHIP_RULES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Role permission sets are read on every authenticated request, so keep them
+// in memory briefly. Edits made through this process clear the cache at once;
+// other instances pick them up when their copy expires.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const clearPermissionCache = () => cache.clear();
+
+// A stored role only decides the permissions it was saved with. Anything
+// registered since keeps its default grant, so new features reach customised
+// roles. Roles saved before knownPermissions existed get every default.
+const resolveRolePermissions = (role, stored) => {
+  const defaults = DEFAULT_ROLE_PERMISSIONS[role] || [];
+  if (!stored) return new Set(defaults);
+
+  const known = new Set(stored.knownPermissions || []);
+  return new Set([...stored.permissions, ...defaults.filter(permission => !known.has(permission))]);
+};
+
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.loadedAt > Date.now() - CACHE_TTL_MS) return cached.permissions;
+
+  const stored = await Role.findOne({ name: role }).lean();
+  const permissions = resolveRolePermissions(role, stored);
+  cache.set(role, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Apply the declarative ownership rule for a permission to a loaded document
+const isOwner = (permission, user, resource) => {
+  const fields = OWNERSHIP_RULES[permission] || [];
+  return fields.some(field => {
+    const ownerId = idOf(resource[field]);
+    return ownerId != null && String(ownerId) === String(user._id);
+  });
+};
+
+// Check a permission for the authenticated request. `permission` is either an
+// exact name ('course:create', 'course:update:any') or a base name
+// ('course:update') that is satisfied by `:any`, or by `:own` when the user
+// owns `resource`. Without a resource, `:own` is enough and the caller is
+// expected to restrict the query to the user's own records.
+const can = (req, permission, resource) => {
+  const granted = req.permissions;
+  if (!granted) return false;
+
+  if (granted.has(permission) || granted.has(`${permission}:any`)) return true;
+  if (!req.user || !granted.has(`${permission}:own`)) return false;
+
+  return !resource || isOwner(permission, req.user, resource);
+};
+
+module.exports = {
+  resolveRolePermissions,
+  getRolePermissions,
+  clearPermissionCache,
+  can
+};
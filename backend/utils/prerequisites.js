@@ -0,0 +1,66 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+
+// Check a proposed prerequisite list for a course (null for a new one): every
+// listed course must exist and none may lead back to the course itself.
+// Returns an error message, or null when the list is fine.
+const checkPrerequisites = async (courseId, prerequisiteIds = []) => {
+  const ids = [...new Set(prerequisiteIds.map(String))];
+  if (ids.length === 0) return null;
+
+  if (courseId && ids.includes(String(courseId))) {
+    return 'A course cannot be its own prerequisite';
+  }
+
+  const found = await Course.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) return 'One or more prerequisite courses do not exist';
+
+  // Nothing can depend on a course that doesn't exist yet
+  if (!courseId) return null;
+
+  // Walk the prerequisite graph upwards looking for the course
+  const seen = new Set();
+  let frontier = ids;
+  while (frontier.length > 0) {
+    if (frontier.includes(String(courseId))) {
+      return 'These prerequisites would make the course depend on itself';
+    }
+    frontier.forEach(id => seen.add(id));
+
+    const courses = await Course.find({ _id: { $in: frontier } }).select('prerequisites');
+    frontier = [...new Set(courses.flatMap(course => course.prerequisites.map(String)))]
+      .filter(id => !seen.has(id));
+  }
+
+  return null;
+};
+
+// The prerequisite courses the user still has to complete before enrolling,
+// as { _id, title, slug }. Empty when all are done or an admin granted an
+// override. Courses listed in `satisfied` are not checked (a learning path
+// takes its own courses in order).
+const getMissingPrerequisites = async (course, userId, { satisfied = [] } = {}) => {
+  const skip = new Set(satisfied.map(String));
+  const required = (course.prerequisites || []).map(String).filter(id => !skip.has(id));
+  if (required.length === 0) return [];
+
+  const overridden = await Course.exists({ _id: course._id, 'prerequisiteOverrides.user': userId });
+  if (overridden) return [];
+
+  const completed = await Enrollment.find({
+    user: userId,
+    course: { $in: required },
+    status: 'completed'
+  }).select('course');
+  const done = new Set(completed.map(enrollment => String(enrollment.course)));
+
+  const missing = required.filter(id => !done.has(id));
+  if (missing.length === 0) return [];
+
+  return Course.find({ _id: { $in: missing } }).select('title slug');
+};
+
+module.exports = {
+  checkPrerequisites,
+  getMissingPrerequisites
+};
@@ -0,0 +1,354 @@
+const { createZip } = require('./zip');
+const { escapeHtml, safeUrl, renderMarkdown } = require('./markdown');
+const { lessonKey, loadQuizzes } = require('./coursePackage');
+
+// SCORM 1.2 export, so clients can run a course in their own LMS. Every
+// lesson becomes a SCO: a page that reports to the LMS through its API.
+// Pages count as completed once opened; quiz lessons are scored in the
+// browser and pass at the quiz's pass mark. The answers travel with the
+// package, as they do in any self-contained SCORM quiz, and attempt limits
+// and time limits are left to the LMS.
+
+// Finds the LMS's SCORM 1.2 API in a parent frame or the opening window
+const SCORM_JS = `(function () {
+  function findApi(win) {
+    for (var depth = 0; win && depth < 10; depth++) {
+      if (win.API) return win.API;
+      if (win.parent === win) break;
+      win = win.parent;
+    }
+    return null;
+  }
+
+  var api = findApi(window) || (window.opener ? findApi(window.opener) : null);
+  var startedAt = new Date();
+  var finished = false;
+
+  function pad(number) {
+    return (number < 10 ? '0' : '') + number;
+  }
+
+  var scorm = window.scorm = {
+    get: function (name) {
+      return api ? api.LMSGetValue(name) : '';
+    },
+    set: function (name, value) {
+      if (api) api.LMSSetValue(name, String(value));
+    },
+    commit: function () {
+      if (api) api.LMSCommit('');
+    },
+    finish: function () {
+      if (!api || finished) return;
+      finished = true;
+      var seconds = Math.round((new Date() - startedAt) / 1000);
+      scorm.set('cmi.core.session_time', pad(Math.floor(seconds / 3600)) + ':' + pad(Math.floor(seconds / 60) % 60) + ':' + pad(seconds % 60));
+      api.LMSFinish('');
+    }
+  };
+
+  if (api) api.LMSInitialize('');
+
+  if (document.body.getAttribute('data-completion') === 'view') {
+    var status = scorm.get('cmi.core.lesson_status');
+    if (status !== 'completed' && status !== 'passed') {
+      scorm.set('cmi.core.lesson_status', 'completed');
+      scorm.commit();
+    }
+  }
+
+  window.addEventListener('beforeunload', scorm.finish);
+  window.addEventListener('unload', scorm.finish);
+})();
+`;
+
+// Renders the quiz embedded in the page and reports the score
+const QUIZ_JS = `(function () {
+  var quiz = JSON.parse(document.getElementById('quiz-data').textContent);
+  var form = document.getElementById('quiz');
+  var result = document.getElementById('quiz-result');
+
+  function shuffle(items) {
+    for (var i = items.length - 1; i > 0; i--) {
+      var j = Math.floor(Math.random() * (i + 1));
+      var item = items[i]; items[i] = items[j]; items[j] = item;
+    }
+    return items;
+  }
+
+  function normalize(text, caseSensitive) {
+    var collapsed = String(text).trim().replace(/\\s+/g, ' ');
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+  }
+
+  function el(tag, text) {
+    var node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  var questions = quiz.shuffleQuestions ? shuffle(quiz.questions.slice()) : quiz.questions.slice();
+  if (quiz.questionCount) questions = questions.slice(0, quiz.questionCount);
+
+  questions.forEach(function (question, index) {
+    var block = el('fieldset');
+    block.className = 'question';
+    block.appendChild(el('legend', (index + 1) + '. ' + question.text));
+    var name = 'q' + index;
+
+    if (question.type === 'short_answer') {
+      var input = el('input');
+      input.type = 'text';
+      input.name = name;
+      block.appendChild(input);
+    } else {
+      var options = question.options.map(function (option, optionIndex) {
+        return { option: option, index: optionIndex };
+      });
+      if (quiz.shuffleOptions && question.type !== 'true_false') shuffle(options);
+      options.forEach(function (entry) {
+        var label = el('label');
+        var choice = el('input');
+        choice.type = question.type === 'multi_select' ? 'checkbox' : 'radio';
+        choice.name = name;
+        choice.value = entry.index;
+        label.appendChild(choice);
+        label.appendChild(document.createTextNode(' ' + entry.option.text));
+        block.appendChild(label);
+      });
+    }
+
+    question.block = block;
+    question.name = name;
+    form.insertBefore(block, form.lastElementChild);
+  });
+
+  function isCorrect(question) {
+    if (question.type === 'short_answer') {
+      var given = normalize(form.elements[question.name].value, question.caseSensitive);
+      return given !== '' && question.acceptedAnswers.some(function (answer) {
+        return normalize(answer, question.caseSensitive) === given;
+      });
+    }
+    var selected = Array.prototype.filter.call(form.querySelectorAll('input[name="' + question.name + '"]'), function (input) {
+      return input.checked;
+    }).map(function (input) {
+      return Number(input.value);
+    });
+    var correct = question.options.map(function (option, index) {
+      return option.isCorrect ? index : -1;
+    }).filter(function (index) {
+      return index >= 0;
+    });
+    return selected.length === correct.length && selected.every(function (index) {
+      return correct.indexOf(index) >= 0;
+    });
+  }
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var earned = 0;
+    var total = 0;
+
+    questions.forEach(function (question) {
+      var correct = isCorrect(question);
+      total += question.points;
+      if (correct) earned += question.points;
+      if (quiz.showAnswers) {
+        question.block.className = 'question ' + (correct ? 'correct' : 'incorrect');
+        if (question.explanation) question.block.appendChild(el('p', question.explanation));
+      }
+    });
+
+    var score = total > 0 ? Math.round(earned / total * 100) : 100;
+    var passed = score >= quiz.passMark;
+
+    scorm.set('cmi.core.score.min', 0);
+    scorm.set('cmi.core.score.max', 100);
+    scorm.set('cmi.core.score.raw', score);
+    scorm.set('cmi.core.lesson_status', passed ? 'passed' : 'failed');
+    scorm.commit();
+
+    result.textContent = 'You scored ' + score + '% (' + (passed ? 'passed' : 'the pass mark is ' + quiz.passMark + '%') + ').';
+    form.querySelector('button').disabled = true;
+  });
+})();
+`;
+
+const STYLE_CSS = `body { font-family: system-ui, sans-serif; line-height: 1.6; color: #222; margin: 0; }
+main { max-width: 760px; margin: 0 auto; padding: 2rem 1.25rem; }
+.module { color: #666; font-size: 0.9rem; text-transform: uppercase; letter-spacing: 0.05em; margin: 0; }
+img, video { max-width: 100%; }
+pre { background: #f4f4f4; padding: 1rem; overflow-x: auto; }
+blockquote { border-left: 4px solid #ddd; margin: 0; padding-left: 1rem; color: #555; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 0.5rem; text-align: left; }
+.question { border: 1px solid #ddd; border-radius: 6px; margin: 1rem 0; padding: 1rem; }
+.question label { display: block; }
+.question.correct { border-color: #2e7d32; }
+.question.incorrect { border-color: #c62828; }
+button { padding: 0.6rem 1.2rem; font-size: 1rem; }
+`;
+
+const xml = escapeHtml;
+
+// JSON inside a script tag can't be allowed to close it
+const embedJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const renderVideo = (url) => {
+  if (!url) return '';
+  const src = escapeHtml(safeUrl(url));
+  return /\.(mp4|webm|ogg)(\?|$)/i.test(url)
+    ? `<video controls src="${src}"></video>`
+    : `<p><a href="${src}" target="_blank" rel="noopener">Watch the video</a></p>`;
+};
+
+const renderResources = (resources) => (resources.length === 0 ? '' : `
+<h2>Resources</h2>
+<ul>${resources.map(resource => `<li><a href="${escapeHtml(safeUrl(resource.url || ''))}" target="_blank" rel="noopener">${escapeHtml(resource.title || resource.url)}</a></li>`).join('')}</ul>`);
+
+const renderAssignment = (assignment) => `
+<h2>Assignment</h2>
+${renderMarkdown(assignment.instructions || '')}
+${assignment.rubric.length === 0 ? '' : `<table>
+<tr><th>Criterion</th><th>Points</th></tr>
+${assignment.rubric.map(item => `<tr><td>${escapeHtml(item.criterion)}${item.description ? `<br><small>${escapeHtml(item.description)}</small>` : ''}</td><td>${item.maxPoints}</td></tr>`).join('\n')}
+</table>`}
+<p><em>Hand your work in the way your organisation asks; this package doesn't collect submissions.</em></p>`;
+
+const renderQuiz = (quiz) => `
+<script type="application/json" id="quiz-data">${embedJson(quiz)}</script>
+<form id="quiz">
+<button type="submit">Submit answers</button>
+</form>
+<p id="quiz-result" role="status"></p>`;
+
+const renderLesson = ({ module, lesson, quiz }) => {
+  const body = lesson.lessonType === 'video'
+    ? renderVideo(lesson.content)
+    : renderMarkdown(lesson.content || '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(lesson.lessonTitle)}</title>
+<link rel="stylesheet" href="../shared/style.css">
+</head>
+<body data-completion="${quiz ? 'quiz' : 'view'}">
+<main>
+<p class="module">${escapeHtml(module.moduleTitle)}</p>
+<h1>${escapeHtml(lesson.lessonTitle)}</h1>
+${body}
+${lesson.lessonType === 'assignment' && lesson.assignment ? renderAssignment(lesson.assignment) : ''}
+${quiz ? renderQuiz(quiz) : ''}
+${renderResources(lesson.resources)}
+</main>
+<script src="../shared/scorm.js"></script>
+${quiz ? '<script src="../shared/quiz.js"></script>' : ''}
+</body>
+</html>
+`;
+};
+
+// The quiz a lesson's page runs: its published assessment, with the questions
+// it draws from
+const quizzesByLesson = ({ questions, assessments }) => {
+  const bank = new Map(questions.map(question => [String(question._id), question]));
+
+  return new Map(assessments
+    .filter(assessment => assessment.lesson && assessment.isPublished)
+    .map(assessment => [String(assessment.lesson), {
+      questionCount: assessment.questionCount,
+      shuffleQuestions: assessment.shuffleQuestions,
+      shuffleOptions: assessment.shuffleOptions,
+      passMark: assessment.passMark,
+      showAnswers: assessment.showAnswers,
+      questions: assessment.questions
+        .map(id => bank.get(String(id)))
+        .filter(Boolean)
+        .map(question => ({
+          type: question.type,
+          text: question.text,
+          options: question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+          acceptedAnswers: question.acceptedAnswers,
+          caseSensitive: question.caseSensitive,
+          points: question.points,
+          explanation: question.explanation
+        }))
+    }])
+    .filter(([, quiz]) => quiz.questions.length > 0));
+};
+
+const renderManifest = (course, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${xml(`course-${course._id}`)}" version="${course.version || 1}"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org">
+    <organization identifier="org">
+      <title>${xml(course.title)}</title>
+${course.curriculum.map((module, moduleIndex) => `      <item identifier="module-${moduleIndex + 1}">
+        <title>${xml(module.moduleTitle)}</title>
+${items.filter(item => item.moduleIndex === moduleIndex).map(item => `        <item identifier="item-${item.key}" identifierref="res-${item.key}">
+          <title>${xml(item.title)}</title>${item.masteryScore !== undefined ? `
+          <adlcp:masteryscore>${item.masteryScore}</adlcp:masteryscore>` : ''}
+        </item>`).join('\n')}
+      </item>`).join('\n')}
+    </organization>
+  </organizations>
+  <resources>
+${items.map(item => `    <resource identifier="res-${item.key}" type="webcontent" adlcp:scormtype="sco" href="${item.href}">
+      <file href="${item.href}"/>
+      <dependency identifierref="shared"/>
+    </resource>`).join('\n')}
+    <resource identifier="shared" type="webcontent" adlcp:scormtype="asset">
+      <file href="shared/scorm.js"/>
+      <file href="shared/quiz.js"/>
+      <file href="shared/style.css"/>
+    </resource>
+  </resources>
+</manifest>
+`;
+
+// Build a SCORM 1.2 package of a course's live content
+const exportScormPackage = async (course) => {
+  const quizzes = quizzesByLesson(await loadQuizzes(course));
+  const items = [];
+  const pages = [];
+
+  course.curriculum.forEach((module, moduleIndex) => {
+    module.lessons.forEach((lesson, lessonIndex) => {
+      const key = lessonKey(moduleIndex, lessonIndex);
+      const quiz = quizzes.get(String(lesson._id));
+      const href = `lessons/${key}.html`;
+
+      items.push({
+        key,
+        moduleIndex,
+        href,
+        title: lesson.lessonTitle,
+        masteryScore: quiz ? quiz.passMark : undefined
+      });
+      pages.push({ name: href, data: renderLesson({ module, lesson, quiz }) });
+    });
+  });
+
+  return createZip([
+    { name: 'imsmanifest.xml', data: renderManifest(course, items) },
+    { name: 'shared/scorm.js', data: SCORM_JS },
+    { name: 'shared/quiz.js', data: QUIZ_JS },
+    { name: 'shared/style.css', data: STYLE_CSS },
+    ...pages
+  ]);
+};
+
+module.exports = {
+  exportScormPackage
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('./generateToken');
+const { generateImpersonationToken } = require('./generateToken');
+const { describeDevice } = require('./deviceInfo');
+const { sendEmail } = require('./emailService');
+
+const REFRESH_COOKIE = 'refreshToken';
+const DEVICE_COOKIE = 'deviceId';
+const DEVICE_COOKIE_MAX_AGE = 2 * 365 * 24 * 60 * 60 * 1000;
+const MAX_KNOWN_DEVICES = 20;
+// Don't write to the session on every request just to track "last seen"
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const reuseGraceMs = () => (Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30) * 1000;
+
+const refreshTtlMs = () => (Number(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const userAgentOf = (req) => (req.get && req.get('user-agent')) || undefined;
+
+const clientInfo = (req) => ({
+  createdByIp: req.ip,
+  lastUsedIp: req.ip,
+  userAgent: userAgentOf(req)
+});
+
+// Give every browser that reaches the auth endpoints a long-lived random id,
+// so sign-ins can be matched to devices seen before
+const identifyDevice = (req, res, next) => {
+  let deviceId = req.cookies && req.cookies[DEVICE_COOKIE];
+
+  if (!/^[a-f0-9]{32}$/.test(deviceId || '')) {
+    deviceId = crypto.randomBytes(16).toString('hex');
+    res.cookie(DEVICE_COOKIE, deviceId, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api',
+      maxAge: DEVICE_COOKIE_MAX_AGE
+    });
+  }
+
+  req.deviceId = deviceId;
+  next();
+};
+
+// Clients that don't keep cookies fall back to their user agent
+const deviceIdOf = (req) => req.deviceId || hashToken(`ua:${userAgentOf(req) || ''}`);
+
+// Remember the device and alert the user when it's one we haven't seen. The
+// very first device on an account is recorded silently.
+const noteDevice = async (user, deviceId, req) => {
+  const account = await User.findById(user._id).select('+knownDevices');
+  if (!account) return;
+
+  const now = new Date();
+  const known = account.knownDevices.find(device => device.deviceId === deviceId);
+
+  if (known) {
+    await User.updateOne(
+      { _id: account._id, 'knownDevices.deviceId': deviceId },
+      { $set: { 'knownDevices.$.lastSeenAt': now } }
+    );
+    return;
+  }
+
+  const device = describeDevice(userAgentOf(req));
+  await User.updateOne(
+    { _id: account._id },
+    {
+      $push: {
+        knownDevices: {
+          $each: [{ deviceId, label: device.label, firstSeenAt: now, lastSeenAt: now }],
+          $slice: -MAX_KNOWN_DEVICES
+        }
+      }
+    }
+  );
+
+  if (account.knownDevices.length === 0) return;
+
+  await sendEmail({
+    email: account.email,
+    subject: 'New Sign-in to Your Account - Star Media Tech',
+    template: 'newDeviceLogin',
+    data: {
+      name: account.firstName,
+      device: device.label,
+      ipAddress: req.ip || 'Unknown',
+      time: now.toUTCString(),
+      sessionsUrl: `${process.env.CLIENT_URL}/pages/profile.html#sessions`
+    }
+  });
+};
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const deviceId = deviceIdOf(req);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTtlMs()),
+    deviceId,
+    ...clientInfo(req)
+  });
+
+  // A failed alert mustn't block the sign-in itself
+  try {
+    await noteDevice(user, deviceId, req);
+  } catch (error) {
+    console.error('New device check error:', error);
+  }
+
+  return {
+    session,
+    accessToken: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Start a short session in which `admin` acts as `user`. No refresh token is
+// handed out and the target's known devices are left alone.
+const createImpersonationSession = async (user, admin, req, reason) => {
+  const minutes = Number(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(newRefreshToken()),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    impersonatedBy: admin._id,
+    impersonationReason: reason,
+    ...clientInfo(req)
+  });
+
+  return {
+    session,
+    accessToken: generateImpersonationToken(user._id, session._id, admin._id, minutes * 60)
+  };
+};
+
+// Access token for a refreshed session, or null when its user can no longer
+// sign in
+const issueRefreshedTokens = async (session, refreshToken) => {
+  const user = await User.findById(session.user);
+  if (!user || user.isActive === false) {
+    await session.revoke('suspended');
+    return null;
+  }
+
+  return {
+    session,
+    user,
+    accessToken: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair. The presented token is
+// retired on every call. A token retired within the last few seconds comes
+// from a tab that lost a refresh race: it gets an access token but no new
+// refresh token, so the winner's cookie stands. Presenting a retired token
+// any later revokes the session.
+const rotateSession = async (refreshToken) => {
+  if (!refreshToken) return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  // Swap the tokens in one step so only one of two racing refreshes wins
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now },
+      impersonatedBy: { $exists: false }
+    },
+    {
+      $set: {
+        previousTokenHash: tokenHash,
+        refreshTokenHash: hashToken(nextToken),
+        rotatedAt: now,
+        lastUsedAt: now
+      }
+    },
+    { new: true }
+  );
+  if (session) return issueRefreshedTokens(session, nextToken);
+
+  const retired = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: { $exists: false } });
+  if (!retired) return null;
+
+  if (retired.isActive && !retired.impersonatedBy && retired.rotatedAt && now - retired.rotatedAt < reuseGraceMs()) {
+    return issueRefreshedTokens(retired, null);
+  }
+
+  await retired.revoke('reuse-detected');
+  return null;
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const session = await Session.findById(sessionId);
+  if (session && !session.revokedAt) await session.revoke(reason);
+  return session;
+};
+
+const revokeAllSessions = (userId, reason) => Session.revokeAllForUser(userId, reason);
+
+// Keep "last seen" and the latest IP of a session roughly current
+const touchSession = (session, req) => {
+  const stale = !session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS;
+  if (!stale && session.lastUsedIp === req.ip) return;
+
+  Session.updateOne(
+    { _id: session._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+  ).catch(error => console.error('Session activity tracking error:', error));
+};
+
+const listActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+// Shape a session for display; `currentSessionId` marks the caller's own
+const serializeSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: describeDevice(session.userAgent),
+  ipAddress: session.lastUsedIp || session.createdByIp,
+  createdByIp: session.createdByIp,
+  lastSeenAt: session.lastUsedAt,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  impersonation: Boolean(session.impersonatedBy),
+  current: currentSessionId != null && String(session._id) === String(currentSessionId)
+});
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    maxAge: refreshTtlMs()
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+// Browsers send the httpOnly cookie; other clients may post the token instead
+const readRefreshToken = (req) => (req.cookies && req.cookies[REFRESH_COOKIE]) || (req.body && req.body.refreshToken);
+
+module.exports = {
+  identifyDevice,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  touchSession,
+  listActiveSessions,
+  serializeSession,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshToken,
+  hashToken
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { generatePartialToken } = require('./generateToken');
+
+const STAFF_ROLES = ['admin', 'instructor'];
+const POLICY_KEY = 'security.requireTwoFactorForStaff';
+const BACKUP_CODE_COUNT = 10;
+
+// Purposes of the partial tokens handed out during login
+const PURPOSE_VERIFY = '2fa-verify';
+const PURPOSE_SETUP = '2fa-setup';
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Returns plain codes (shown to the user once) and the hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const isTwoFactorMandatory = async (user) => {
+  if (!STAFF_ROLES.includes(user.role)) return false;
+  return Boolean(await Setting.getValue(POLICY_KEY, false));
+};
+
+// Partial login tokens are bound to a nonce stored on the user. Starting a
+// new login replaces it, and finishing one clears it, so each token works for
+// a single sign-in.
+const issueLoginToken = async (user, purpose) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.loginNonce': nonce } });
+  return generatePartialToken(user._id, purpose, nonce);
+};
+
+// Use up a partial token's nonce. False if it was already used or replaced,
+// including by a simultaneous request with the same token.
+const consumeLoginToken = async (userId, nonce) => {
+  if (typeof nonce !== 'string') return false;
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.loginNonce': nonce },
+    { $unset: { 'twoFactor.loginNonce': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Decide whether a password-verified login needs a second step.
+// Returns the payload to send instead of a session, or null to proceed.
+const getLoginChallenge = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return {
+      twoFactorRequired: true,
+      tempToken: await issueLoginToken(user, PURPOSE_VERIFY)
+    };
+  }
+
+  if (await isTwoFactorMandatory(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      tempToken: await issueLoginToken(user, PURPOSE_SETUP)
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  POLICY_KEY,
+  PURPOSE_VERIFY,
+  PURPOSE_SETUP,
+  hashBackupCode,
+  generateBackupCodes,
+  isTwoFactorMandatory,
+  getLoginChallenge,
+  consumeLoginToken
+};
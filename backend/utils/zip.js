@@ -0,0 +1,162 @@
+const zlib = require('zlib');
+
+// Minimal ZIP archive writer and reader (stored or deflate, no encryption or
+// ZIP64), enough for the bundles we hand out and take back without pulling in
+// an archiving dependency.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time as stored in ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// entries: [{ name: 'folder/file.json', data: Buffer | string }]
+const createZip = (entries, modifiedAt = new Date()) => {
+  const { time, date } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+// Read the files of an archive written by createZip or a common ZIP tool,
+// returning [{ name, data: Buffer }] and skipping folder entries. Uploaded
+// archives are untrusted: maxSize caps the unpacked total so a small upload
+// can't inflate into something that exhausts memory.
+const readZip = (buffer, { maxSize = 100 * 1024 * 1024, maxEntries = 5000 } = {}) => {
+  // The end of central directory record sits at the end, before an optional
+  // comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('The file is not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+  if (count > maxEntries) throw new Error(`The archive has more than ${maxEntries} entries`);
+
+  const entries = [];
+  let total = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('The archive is damaged');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`${name} is encrypted`);
+    if (method !== 0 && method !== 8) throw new Error(`${name} uses an unsupported compression method`);
+
+    total += size;
+    if (total > maxSize) throw new Error('The archive is too large once unpacked');
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error('The archive is damaged');
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (start + compressedSize > buffer.length) throw new Error('The archive is damaged');
+
+    const raw = buffer.subarray(start, start + compressedSize);
+    // zlib gives up with ERR_BUFFER_TOO_LARGE as soon as an entry inflates
+    // past its declared size, so a lying header can't exhaust memory
+    let data;
+    try {
+      data = method === 0
+        ? Buffer.from(raw)
+        : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`${name} is larger than the archive says`);
+      throw new Error(`${name} is damaged`);
+    }
+
+    if (data.length !== size || crc32(data) !== crc) throw new Error(`${name} is damaged`);
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+};
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip
+};
@@ -0,0 +1,38 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'coverage/', 'uploads/', 'backend/uploads/', 'backend/exports/']
+  },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      // Express needs the full (err, req, res, next) signature, and catch
+      // blocks often ignore the error on purpose
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }],
+      'preserve-caught-error': 'off'
+    }
+  },
+  {
+    // Browser helpers that live alongside the backend utilities
+    files: ['backend/utils/ValidationSchemas.js', 'backend/utils/cloudinaryUpload.js'],
+    languageOptions: {
+      globals: { ...globals.browser, yup: 'readonly' }
+    },
+    rules: {
+      'no-async-promise-executor': 'off'
+    }
+  },
+  {
+    files: ['**/*.test.js'],
+    languageOptions: {
+      globals: globals.jest
+    }
+  }
+];
@@ -4,6 +4,7 @@ class APIClient {
         // Use relative API base so frontend works regardless of host/port
         this.baseURL = '/api';
         this.token = localStorage.getItem('authToken');
+        this.refreshPromise = null;
     }
 
     // Set authentication token
@@ -18,18 +19,52 @@ class APIClient {
         localStorage.removeItem('authToken');
     }
 
+    // While impersonating, the refresh cookie belongs to the admin, so an
+    // expired impersonation token must never be refreshed into it
+    isImpersonating() {
+        return Boolean(localStorage.getItem('impersonation'));
+    }
+
+    // Exchange the httpOnly refresh cookie for a new access token.
+    // Concurrent 401s share a single refresh call.
+    refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                credentials: 'include'
+            })
+                .then(async (response) => {
+                    const data = await response.json();
+                    if (!response.ok || !data.data || !data.data.token) return false;
+                    this.setToken(data.data.token);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
     // Generic request method
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retry = true) {
         const url = `${this.baseURL}${endpoint}`;
         
         const config = {
+            ...options,
+            credentials: 'include',
             headers: {
                 'Content-Type': 'application/json',
                 ...options.headers
-            },
-            ...options
+            }
         };
 
+        // Let the browser set the multipart boundary for file uploads
+        if (options.body instanceof FormData) {
+            delete config.headers['Content-Type'];
+        }
+
         // Add authorization header if token exists
         if (this.token) {
             config.headers['Authorization'] = `Bearer ${this.token}`;
@@ -37,10 +72,22 @@ class APIClient {
 
         try {
             const response = await fetch(url, config);
+
+            // Access token expired or revoked: refresh once and replay the request
+            if (response.status === 401 && retry && !this.isImpersonating() && !endpoint.startsWith('/auth/refresh') && !endpoint.startsWith('/auth/login')) {
+                if (await this.refreshAccessToken()) {
+                    return this.request(endpoint, options, false);
+                }
+                this.removeToken();
+            }
+
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.message || 'API request failed');
+                const error = new Error(data.message || 'API request failed');
+                // Per-field validation messages, e.g. each failed password rule
+                error.errors = data.errors;
+                throw error;
             }
 
             return data;
@@ -70,6 +117,34 @@ class APIClient {
             return await this.request('/auth/me');
         },
 
+        logout: async () => {
+            return await this.request('/auth/logout', {
+                method: 'POST'
+            }, false);
+        },
+
+        logoutAll: async () => {
+            return await this.request('/auth/logout-all', {
+                method: 'POST'
+            });
+        },
+
+        getSessions: async () => {
+            return await this.request('/auth/sessions');
+        },
+
+        exitImpersonation: async () => {
+            return await this.request('/auth/impersonation/exit', {
+                method: 'POST'
+            }, false);
+        },
+
+        revokeSession: async (sessionId) => {
+            return await this.request(`/auth/sessions/${sessionId}`, {
+                method: 'DELETE'
+            });
+        },
+
         updateProfile: async (profileData) => {
             return await this.request('/auth/profile', {
                 method: 'PUT',
@@ -96,6 +171,74 @@ class APIClient {
                 method: 'PUT',
                 body: JSON.stringify({ password: newPassword })
             });
+        },
+
+        getPasswordPolicy: async () => {
+            return await this.request('/auth/password-policy');
+        },
+
+        verifyEmail: async (token) => {
+            return await this.request(`/auth/verify-email/${token}`);
+        },
+
+        // Signed-in users can omit the email
+        resendVerification: async (email) => {
+            return await this.request('/auth/resend-verification', {
+                method: 'POST',
+                body: JSON.stringify(email ? { email } : {})
+            });
+        },
+
+        // Passwordless sign-in
+        requestMagicLink: async (email) => {
+            return await this.request('/auth/magic-link', {
+                method: 'POST',
+                body: JSON.stringify({ email })
+            });
+        },
+
+        consumeMagicLink: async (token) => {
+            return await this.request('/auth/magic-link/verify', {
+                method: 'POST',
+                body: JSON.stringify({ token })
+            });
+        },
+
+        // Two-factor authentication. `tempToken` is only needed while a
+        // login is waiting for mandatory 2FA enrollment.
+        setupTwoFactor: async (tempToken) => {
+            return await this.request('/auth/2fa/setup', {
+                method: 'POST',
+                body: JSON.stringify({ tempToken })
+            });
+        },
+
+        enableTwoFactor: async (code, tempToken) => {
+            return await this.request('/auth/2fa/enable', {
+                method: 'POST',
+                body: JSON.stringify({ code, tempToken })
+            });
+        },
+
+        verifyTwoFactor: async (tempToken, { code, backupCode }) => {
+            return await this.request('/auth/2fa/verify', {
+                method: 'POST',
+                body: JSON.stringify({ tempToken, code, backupCode })
+            });
+        },
+
+        disableTwoFactor: async (password, code) => {
+            return await this.request('/auth/2fa/disable', {
+                method: 'POST',
+                body: JSON.stringify({ password, code })
+            });
+        },
+
+        regenerateBackupCodes: async (code) => {
+            return await this.request('/auth/2fa/backup-codes', {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
         }
     };
 
@@ -118,12 +261,207 @@ class APIClient {
             return await this.request('/courses/categories');
         },
 
-        enroll: async (courseId) => {
+        enroll: async (courseId, couponCode) => {
             return await this.request(`/courses/${courseId}/enroll`, {
+                method: 'POST',
+                body: JSON.stringify(couponCode ? { couponCode } : {})
+            });
+        },
+
+        getPrerequisiteOverrides: async (courseId) => {
+            return await this.request(`/courses/${courseId}/prerequisite-overrides`);
+        },
+
+        grantPrerequisiteOverride: async (courseId, userId, reason) => {
+            return await this.request(`/courses/${courseId}/prerequisite-overrides`, {
+                method: 'POST',
+                body: JSON.stringify({ userId, reason })
+            });
+        },
+
+        revokePrerequisiteOverride: async (courseId, userId) => {
+            return await this.request(`/courses/${courseId}/prerequisite-overrides/${userId}`, {
+                method: 'DELETE'
+            });
+        },
+
+        getWorkflow: async (courseId) => {
+            return await this.request(`/courses/${courseId}/workflow`);
+        },
+
+        submitForReview: async (courseId, comment) => {
+            return await this.request(`/courses/${courseId}/workflow/submit`, {
+                method: 'POST',
+                body: JSON.stringify({ comment })
+            });
+        },
+
+        // decision: 'approve' or 'request_changes' (which needs a comment)
+        reviewCourse: async (courseId, decision, comment) => {
+            return await this.request(`/courses/${courseId}/workflow/review`, {
+                method: 'POST',
+                body: JSON.stringify({ decision, comment })
+            });
+        },
+
+        publishCourse: async (courseId, note) => {
+            return await this.request(`/courses/${courseId}/workflow/publish`, {
+                method: 'POST',
+                body: JSON.stringify({ note })
+            });
+        },
+
+        archiveCourse: async (courseId, comment) => {
+            return await this.request(`/courses/${courseId}/workflow/archive`, {
+                method: 'POST',
+                body: JSON.stringify({ comment })
+            });
+        },
+
+        restoreCourse: async (courseId) => {
+            return await this.request(`/courses/${courseId}/workflow/restore`, {
                 method: 'POST'
             });
         },
 
+        getRevision: async (courseId) => {
+            return await this.request(`/courses/${courseId}/workflow/revision`);
+        },
+
+        discardRevision: async (courseId) => {
+            return await this.request(`/courses/${courseId}/workflow/revision`, {
+                method: 'DELETE'
+            });
+        },
+
+        getVersions: async (courseId) => {
+            return await this.request(`/courses/${courseId}/workflow/versions`);
+        },
+
+        getVersion: async (courseId, version) => {
+            return await this.request(`/courses/${courseId}/workflow/versions/${version}`);
+        },
+
+        // to: a version number, 'current' or 'revision'
+        diffVersions: async (courseId, from, to = 'current') => {
+            return await this.request(`/courses/${courseId}/workflow/versions/diff?from=${from}&to=${to}`);
+        },
+
+        rollbackCourse: async (courseId, version, note) => {
+            return await this.request(`/courses/${courseId}/workflow/versions/${version}/rollback`, {
+                method: 'POST',
+                body: JSON.stringify({ note })
+            });
+        },
+
+        // format: 'bundle' (re-importable) or 'scorm' (SCORM 1.2); resolves to the ZIP as a Blob
+        exportPackage: async (courseId, format = 'bundle') => {
+            const response = await fetch(`${this.baseURL}/courses/${courseId}/export?format=${format}`, {
+                credentials: 'include',
+                headers: this.token ? { 'Authorization': `Bearer ${this.token}` } : {}
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Course export failed');
+            }
+
+            return await response.blob();
+        },
+
+        // formData holds the ZIP as "package", plus optional "title" and "dryRun"
+        importPackage: async (formData) => {
+            return await this.request('/courses/import', {
+                method: 'POST',
+                body: formData
+            });
+        },
+
+        completeLesson: async (courseId, lessonId, timeSpent = 0) => {
+            return await this.request(`/courses/${courseId}/lessons/${lessonId}/complete`, {
+                method: 'POST',
+                body: JSON.stringify({ timeSpent })
+            });
+        },
+
+        // formData holds "text" and/or up to 5 "files"
+        submitAssignment: async (courseId, lessonId, formData) => {
+            return await this.request(`/courses/${courseId}/lessons/${lessonId}/submissions`, {
+                method: 'POST',
+                body: formData
+            });
+        },
+
+        getSubmissions: async (courseId, lessonId) => {
+            return await this.request(`/courses/${courseId}/lessons/${lessonId}/submissions`);
+        },
+
+        getGradingQueue: async (filters = {}) => {
+            const queryParams = new URLSearchParams(filters).toString();
+            return await this.request(`/courses/instructor/submissions?${queryParams}`);
+        },
+
+        // grade: { rubricScores: [{ criterion, points, comment }], feedback } or { score, feedback }
+        gradeSubmission: async (submissionId, grade) => {
+            return await this.request(`/courses/instructor/submissions/${submissionId}/grade`, {
+                method: 'POST',
+                body: JSON.stringify(grade)
+            });
+        },
+
+        requestResubmission: async (submissionId, feedback) => {
+            return await this.request(`/courses/instructor/submissions/${submissionId}/request-resubmission`, {
+                method: 'POST',
+                body: JSON.stringify({ feedback })
+            });
+        },
+
+        getAssessments: async (courseId) => {
+            return await this.request(`/courses/${courseId}/assessments`);
+        },
+
+        // Starts a new attempt, or resumes the one in progress
+        startAttempt: async (courseId, assessmentId) => {
+            return await this.request(`/courses/${courseId}/assessments/${assessmentId}/attempts`, {
+                method: 'POST'
+            });
+        },
+
+        // answers: [{ question, answer }] where answer is an option id,
+        // an array of option ids (multi-select) or text (short answer)
+        submitAttempt: async (courseId, assessmentId, attemptNumber, answers) => {
+            return await this.request(`/courses/${courseId}/assessments/${assessmentId}/attempts/${attemptNumber}/submit`, {
+                method: 'POST',
+                body: JSON.stringify({ answers })
+            });
+        },
+
+        // params: { sort: recent|helpful|highest|lowest, rating, page, limit }
+        getReviews: async (courseId, params = {}) => {
+            const queryParams = new URLSearchParams(params).toString();
+            return await this.request(`/courses/${courseId}/reviews?${queryParams}`);
+        },
+
+        // Creates the current user's review, or edits it if one exists
+        submitReview: async (courseId, { score, review, isPublic }) => {
+            return await this.request(`/courses/${courseId}/reviews`, {
+                method: 'PUT',
+                body: JSON.stringify({ score, review, isPublic })
+            });
+        },
+
+        markReviewHelpful: async (courseId, reviewId) => {
+            return await this.request(`/courses/${courseId}/reviews/${reviewId}/helpful`, {
+                method: 'POST'
+            });
+        },
+
+        unmarkReviewHelpful: async (courseId, reviewId) => {
+            return await this.request(`/courses/${courseId}/reviews/${reviewId}/helpful`, {
+                method: 'DELETE'
+            });
+        },
+
         create: async (courseData) => {
             return await this.request('/courses', {
                 method: 'POST',
@@ -197,6 +535,31 @@ class APIClient {
             return await this.request('/users/consultations');
         },
 
+        // Schedules deletion; the account can be restored until the grace period ends
+        deleteAccount: async (password, reason) => {
+            return await this.request('/users/account', {
+                method: 'DELETE',
+                body: JSON.stringify({ password, reason })
+            });
+        },
+
+        cancelAccountDeletion: async () => {
+            return await this.request('/users/account/cancel-deletion', {
+                method: 'POST'
+            });
+        },
+
+        // The archive is built in the background and its link emailed
+        requestDataExport: async () => {
+            return await this.request('/users/export', {
+                method: 'POST'
+            });
+        },
+
+        getDataExports: async () => {
+            return await this.request('/users/export');
+        },
+
         updateProgress: async (enrollmentId, progress) => {
             return await this.request(`/users/enrollments/${enrollmentId}/progress`, {
                 method: 'PUT',
@@ -205,6 +568,138 @@ class APIClient {
         }
     };
 
+    // Learning path API calls
+    // Promotion codes for course enrollments and consultation bookings
+    coupons = {
+        // item: { course: courseId } or { service: serviceId }; resolves to the discounted price
+        validate: async (code, item) => {
+            return await this.request('/coupons/validate', {
+                method: 'POST',
+                body: JSON.stringify({ code, ...item })
+            });
+        },
+
+        getAll: async (filters = {}) => {
+            const queryParams = new URLSearchParams(filters).toString();
+            return await this.request(`/coupons?${queryParams}`);
+        },
+
+        getById: async (couponId) => {
+            return await this.request(`/coupons/${couponId}`);
+        },
+
+        create: async (coupon) => {
+            return await this.request('/coupons', {
+                method: 'POST',
+                body: JSON.stringify(coupon)
+            });
+        },
+
+        update: async (couponId, changes) => {
+            return await this.request(`/coupons/${couponId}`, {
+                method: 'PUT',
+                body: JSON.stringify(changes)
+            });
+        },
+
+        // Coupons that were already redeemed are deactivated instead
+        delete: async (couponId) => {
+            return await this.request(`/coupons/${couponId}`, {
+                method: 'DELETE'
+            });
+        },
+
+        getRedemptions: async (couponId, filters = {}) => {
+            const queryParams = new URLSearchParams(filters).toString();
+            return await this.request(`/coupons/${couponId}/redemptions?${queryParams}`);
+        }
+    };
+
+    learningPaths = {
+        getAll: async () => {
+            return await this.request('/learning-paths');
+        },
+
+        getById: async (id) => {
+            return await this.request(`/learning-paths/${id}`);
+        },
+
+        getMine: async () => {
+            return await this.request('/learning-paths/my-paths');
+        },
+
+        // Enrolls in the path and every course on it for the bundle price
+        enroll: async (id) => {
+            return await this.request(`/learning-paths/${id}/enroll`, {
+                method: 'POST'
+            });
+        },
+
+        getProgress: async (id) => {
+            return await this.request(`/learning-paths/${id}/progress`);
+        },
+
+        create: async (pathData) => {
+            return await this.request('/learning-paths', {
+                method: 'POST',
+                body: JSON.stringify(pathData)
+            });
+        },
+
+        update: async (id, pathData) => {
+            return await this.request(`/learning-paths/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(pathData)
+            });
+        },
+
+        delete: async (id) => {
+            return await this.request(`/learning-paths/${id}`, {
+                method: 'DELETE'
+            });
+        }
+    };
+
+    // Certificate API calls
+    certificates = {
+        getMine: async () => {
+            return await this.request('/certificates');
+        },
+
+        // Resolves to the PDF as a Blob
+        download: async (certificateId) => {
+            const response = await fetch(`${this.baseURL}/certificates/${encodeURIComponent(certificateId)}/download`, {
+                credentials: 'include',
+                headers: this.token ? { 'Authorization': `Bearer ${this.token}` } : {}
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Certificate download failed');
+            }
+
+            return await response.blob();
+        },
+
+        // Public: anyone can check a certificate ID
+        verify: async (certificateId) => {
+            return await this.request(`/certificates/${encodeURIComponent(certificateId)}/verify`);
+        },
+
+        revoke: async (certificateId, reason) => {
+            return await this.request(`/certificates/${encodeURIComponent(certificateId)}/revoke`, {
+                method: 'POST',
+                body: JSON.stringify({ reason })
+            });
+        },
+
+        reinstate: async (certificateId) => {
+            return await this.request(`/certificates/${encodeURIComponent(certificateId)}/reinstate`, {
+                method: 'POST'
+            });
+        }
+    };
+
     // Admin API calls
     admin = {
         getDashboard: async () => {
@@ -235,6 +730,104 @@ class APIClient {
 
         getAnalytics: async (period = 'monthly') => {
             return await this.request(`/admin/analytics?period=${period}`);
+        },
+
+        // period: 7d, 30d, 90d or 1y; includes coupon redemption totals
+        getRevenueAnalytics: async (period = '30d') => {
+            return await this.request(`/admin/analytics/revenue?period=${period}`);
+        },
+
+        impersonateUser: async (userId, reason) => {
+            return await this.request(`/admin/users/${userId}/impersonate`, {
+                method: 'POST',
+                body: JSON.stringify({ reason })
+            });
+        },
+
+        getAuditLogs: async (filters = {}) => {
+            const queryParams = new URLSearchParams(filters).toString();
+            return await this.request(`/admin/audit-logs?${queryParams}`);
+        },
+
+        createInvitation: async (invitation) => {
+            return await this.request('/admin/invitations', {
+                method: 'POST',
+                body: JSON.stringify(invitation)
+            });
+        },
+
+        getInvitations: async (filters = {}) => {
+            const queryParams = new URLSearchParams(filters).toString();
+            return await this.request(`/admin/invitations?${queryParams}`);
+        },
+
+        resendInvitation: async (invitationId) => {
+            return await this.request(`/admin/invitations/${invitationId}/resend`, {
+                method: 'POST'
+            });
+        },
+
+        revokeInvitation: async (invitationId) => {
+            return await this.request(`/admin/invitations/${invitationId}`, {
+                method: 'DELETE'
+            });
+        },
+
+        getUserSessions: async (userId) => {
+            return await this.request(`/admin/users/${userId}/sessions`);
+        },
+
+        revokeUserSession: async (userId, sessionId) => {
+            return await this.request(`/admin/users/${userId}/sessions/${sessionId}`, {
+                method: 'DELETE'
+            });
+        },
+
+        revokeAllUserSessions: async (userId) => {
+            return await this.request(`/admin/users/${userId}/sessions`, {
+                method: 'DELETE'
+            });
+        },
+
+        getRoles: async () => {
+            return await this.request('/admin/roles');
+        },
+
+        updateRolePermissions: async (role, permissions) => {
+            return await this.request(`/admin/roles/${role}`, {
+                method: 'PUT',
+                body: JSON.stringify({ permissions })
+            });
+        },
+
+        resetRolePermissions: async (role) => {
+            return await this.request(`/admin/roles/${role}`, {
+                method: 'DELETE'
+            });
+        },
+
+        getApiKeys: async (filters = {}) => {
+            const queryParams = new URLSearchParams(filters).toString();
+            return await this.request(`/admin/api-keys?${queryParams}`);
+        },
+
+        issueApiKey: async (keyData) => {
+            return await this.request('/admin/api-keys', {
+                method: 'POST',
+                body: JSON.stringify(keyData)
+            });
+        },
+
+        rotateApiKey: async (keyId) => {
+            return await this.request(`/admin/api-keys/${keyId}/rotate`, {
+                method: 'POST'
+            });
+        },
+
+        revokeApiKey: async (keyId) => {
+            return await this.request(`/admin/api-keys/${keyId}`, {
+                method: 'DELETE'
+            });
         }
     };
 }
@@ -246,6 +839,7 @@ const apiClient = new APIClient();
 class AuthManager {
     constructor() {
         this.currentUser = null;
+        this.impersonator = null;
         this.isAuthenticated = false;
         this.init();
     }
@@ -262,6 +856,7 @@ class AuthManager {
         try {
             const response = await apiClient.auth.getProfile();
             this.currentUser = response.data.user;
+            this.impersonator = response.data.impersonator || null;
             this.isAuthenticated = true;
             this.updateUI();
         } catch (error) {
@@ -269,19 +864,56 @@ class AuthManager {
         }
     }
 
+    // Act as another user. The admin's own token is set aside and restored
+    // by exitImpersonation().
+    async startImpersonation(userId, reason) {
+        const response = await apiClient.admin.impersonateUser(userId, reason);
+        localStorage.setItem('impersonation', JSON.stringify({
+            adminToken: apiClient.token,
+            expiresAt: response.data.expiresAt
+        }));
+        apiClient.setToken(response.data.token);
+        window.location.href = '/index.html';
+    }
+
+    async exitImpersonation() {
+        const state = JSON.parse(localStorage.getItem('impersonation') || '{}');
+        // The impersonation session may already have expired
+        await apiClient.auth.exitImpersonation().catch(() => {});
+        localStorage.removeItem('impersonation');
+
+        if (state.adminToken) apiClient.setToken(state.adminToken);
+        else apiClient.removeToken();
+        window.location.href = '/pages/admin-dashboard.html';
+    }
+
     async login(credentials) {
         try {
             const response = await apiClient.auth.login(credentials);
-            apiClient.setToken(response.data.token);
-            this.currentUser = response.data.user;
-            this.isAuthenticated = true;
-            this.updateUI();
+            // 2FA pending: the caller prompts for a code with response.data.tempToken
+            if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+                return response;
+            }
+            this.completeLogin(response);
             return response;
         } catch (error) {
             throw error;
         }
     }
 
+    async verifyTwoFactor(tempToken, codes) {
+        const response = await apiClient.auth.verifyTwoFactor(tempToken, codes);
+        this.completeLogin(response);
+        return response;
+    }
+
+    completeLogin(response) {
+        apiClient.setToken(response.data.token);
+        this.currentUser = response.data.user;
+        this.isAuthenticated = true;
+        this.updateUI();
+    }
+
     async register(userData) {
         try {
             const response = await apiClient.auth.register(userData);
@@ -296,6 +928,15 @@ class AuthManager {
     }
 
     logout() {
+        if (apiClient.isImpersonating()) {
+            this.exitImpersonation();
+            return;
+        }
+
+        // Revoke the server-side session; local state is cleared either way
+        if (apiClient.token) {
+            apiClient.auth.logout().catch(() => {});
+        }
         this.currentUser = null;
         this.isAuthenticated = false;
         apiClient.removeToken();
@@ -304,6 +945,9 @@ class AuthManager {
     }
 
     updateUI() {
+        this.updateImpersonationBar();
+        this.updateVerificationBanner();
+
         // Update navigation based on authentication state
         const navAuth = document.querySelector('.nav-auth');
         const userMenu = document.querySelector('.user-menu');
@@ -368,6 +1012,67 @@ class AuthManager {
         }
     }
 
+    // Remind unverified users to confirm their email, with a resend button
+    updateVerificationBanner() {
+        const existing = document.querySelector('.verify-email-banner');
+        const needsBanner = this.isAuthenticated && this.currentUser && !this.currentUser.isVerified;
+
+        if (!needsBanner) {
+            if (existing) existing.remove();
+            return;
+        }
+        if (existing) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'verify-email-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <i class="fas fa-envelope"></i>
+            <span class="verify-email-text">Please verify your email address to enroll in courses and book consultations.</span>
+            <button type="button" class="verify-email-resend">Resend email</button>
+        `;
+        document.body.prepend(banner);
+
+        const resendBtn = banner.querySelector('.verify-email-resend');
+        const text = banner.querySelector('.verify-email-text');
+        resendBtn.addEventListener('click', async () => {
+            resendBtn.disabled = true;
+            try {
+                const response = await apiClient.auth.resendVerification();
+                text.textContent = response.message || 'Verification email sent. Check your inbox.';
+            } catch (error) {
+                text.textContent = error.message;
+                resendBtn.disabled = false;
+            }
+        });
+    }
+
+    // Persistent reminder that every action is being taken as someone else
+    updateImpersonationBar() {
+        const existing = document.querySelector('.impersonation-bar');
+        const impersonating = this.isAuthenticated && this.currentUser && apiClient.isImpersonating();
+
+        if (!impersonating) {
+            if (existing) existing.remove();
+            return;
+        }
+        if (existing) return;
+
+        const bar = document.createElement('div');
+        bar.className = 'impersonation-bar';
+        bar.setAttribute('role', 'alert');
+        bar.innerHTML = `
+            <i class="fas fa-user-secret"></i>
+            <span class="impersonation-text"></span>
+            <button type="button" class="impersonation-exit">Exit</button>
+        `;
+        bar.querySelector('.impersonation-text').textContent =
+            `You are impersonating ${this.currentUser.firstName} ${this.currentUser.lastName} (${this.currentUser.email})`;
+        document.body.prepend(bar);
+
+        bar.querySelector('.impersonation-exit').addEventListener('click', () => this.exitImpersonation());
+    }
+
     requireAuth(redirectTo = 'pages/login.html') {
         if (!this.isAuthenticated) {
             window.location.href = redirectTo;
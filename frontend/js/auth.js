@@ -149,19 +149,15 @@ function initLogin() {
         }
     }
 
-    // Social login handlers
-    const loginSocialBtns = loginForm.querySelectorAll('.social-btn');
-    loginSocialBtns.forEach(btn => {
-        btn.addEventListener('click', function() {
-            const provider = this.classList[1].replace('-btn', '');
-            showLoginMessage(`Redirecting to ${provider} authentication...`, 'info');
-            
-            // Simulate social auth - replace with actual implementation
-            setTimeout(() => {
-                showLoginMessage(`${provider} authentication would redirect to OAuth flow`, 'info');
-            }, 1000);
-        });
-    });
+    // Social login: only providers configured on the server are shown
+    initSocialLogin(loginForm, showLoginMessage);
+    handleOAuthReturn(showLoginMessage, showSuccess);
+    handleEmailVerification(showLoginMessage);
+    handleAccountUnlock(showLoginMessage);
+
+    // Passwordless sign-in by email
+    initMagicLinkRequest(loginForm, loginEmail, validateLoginEmail, showLoginMessage);
+    handleMagicLink(showLoginMessage, showSuccess);
 
     // Add input filled state
     const loginInputs = loginForm.querySelectorAll('.input-field');
@@ -382,6 +378,8 @@ function initRegister() {
     if (registerForm) {
         registerForm.addEventListener('submit', async (e) => {
             e.preventDefault();
+            // Invitation sign-ups are submitted by handleInvitation
+            if (registerForm.dataset.inviteToken) return;
             if (!validateRegisterForm()) return;
 
             // UI loading
@@ -435,16 +433,10 @@ function initRegister() {
         });
     }
 
-    // Social login handlers
-    const registerSocialBtns = registerForm.querySelectorAll('.social-btn');
-    registerSocialBtns.forEach(btn => {
-        btn.addEventListener('click', function() {
-            const providerClass = Array.from(this.classList).find(c => c.endsWith('-btn'));
-            const provider = providerClass ? providerClass.replace('-btn', '') : 'provider';
-            showRegisterMessage(`Redirecting to ${provider} authentication...`, 'info');
-            setTimeout(() => showRegisterMessage(`${provider} authentication not configured yet.`, 'warning'), 1000);
-        });
-    });
+    // Social sign-up uses the same flow as social login
+    initSocialLogin(registerForm, showRegisterMessage);
+
+    if (registerForm) handleInvitation(registerForm, showRegisterMessage, showSuccess);
 
     // Real-time validation / UX
     const registerInputs = registerForm ? registerForm.querySelectorAll('input, select') : [];
@@ -487,4 +479,391 @@ function initRegister() {
             window.location.href = '../pages/dashboard.html';
         }, 2500);
     }
-}
\ No newline at end of file
+}
+// Show the "Continue with..." buttons for the providers the server has
+// configured, adding any it knows about that the page doesn't (e.g. company SSO)
+async function initSocialLogin(form, showMessage) {
+    const container = form.querySelector('.social-login');
+    if (!container) return;
+    const divider = form.querySelector('.auth-divider');
+
+    let providers = [];
+    try {
+        const response = await fetch('/api/auth/oauth/providers');
+        const result = await response.json();
+        providers = (result.data && result.data.providers) || [];
+    } catch (error) {
+        console.error('Could not load login providers:', error);
+    }
+
+    const buttons = Array.from(container.querySelectorAll('.social-btn'));
+    buttons.forEach(btn => {
+        if (!providers.some(p => p.id === btn.dataset.provider)) btn.remove();
+    });
+
+    providers.forEach(provider => {
+        if (container.querySelector(`[data-provider="${provider.id}"]`)) return;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `social-btn ${provider.id}-btn`;
+        btn.dataset.provider = provider.id;
+        btn.setAttribute('aria-label', `Continue with ${provider.name}`);
+        const icon = document.createElement('i');
+        icon.className = provider.icon;
+        btn.append(icon, ` ${provider.name}`);
+        container.appendChild(btn);
+    });
+
+    const hasProviders = providers.length > 0;
+    container.style.display = hasProviders ? '' : 'none';
+    if (divider) divider.style.display = hasProviders ? '' : 'none';
+
+    container.querySelectorAll('.social-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const name = this.textContent.trim();
+            showMessage(`Redirecting to ${name}...`, 'info');
+            window.location.href = `/api/auth/oauth/${encodeURIComponent(this.dataset.provider)}`;
+        });
+    });
+}
+
+// The OAuth callback redirects back here with the outcome in the URL fragment
+async function handleOAuthReturn(showMessage, showSuccess) {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const outcome = params.get('oauth');
+    if (!outcome) return;
+
+    // Don't leave the temporary token in the address bar or history
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    try {
+        let result;
+
+        if (outcome === 'success') {
+            // The refresh cookie was set by the callback; trade it for an access token
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                credentials: 'include'
+            });
+            result = await response.json();
+        } else if (outcome === '2fa' || outcome === '2fa-setup') {
+            result = outcome === '2fa'
+                ? await requestTwoFactorCode(params.get('tempToken'))
+                : await requestTwoFactorSetup(params.get('tempToken'));
+            if (!result) {
+                showMessage('Sign-in cancelled.', 'warning');
+                return;
+            }
+        } else {
+            showMessage(params.get('message') || 'External sign-in failed, please try again.', 'error');
+            return;
+        }
+
+        if (!result.success) {
+            throw new Error(result.message || 'External sign-in failed, please try again.');
+        }
+
+        localStorage.setItem('authToken', result.data.token);
+        showSuccess('Welcome Back!', 'You\'ve successfully signed in. Redirecting to your dashboard...');
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+// Staff who must use two-factor authentication enroll before their first
+// sign-in completes: show the new key, then confirm it like a login code.
+async function requestTwoFactorSetup(tempToken) {
+    const response = await fetch('/api/auth/2fa/setup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tempToken })
+    });
+    const result = await response.json();
+    if (!result.success) return result;
+
+    const enabled = await requestTwoFactorCode(tempToken, {
+        endpoint: '/api/auth/2fa/enable',
+        intro: `Two-factor authentication is required for your account. Add this key to your authenticator app, then enter the code it shows: ${result.data.secret}`
+    });
+    if (enabled) {
+        window.alert(`Two-factor authentication is on. Store these backup codes somewhere safe; each works once:\n\n${enabled.data.backupCodes.join('\n')}`);
+    }
+    return enabled;
+}
+
+// Ask for an authenticator or backup code in the two-factor form, shown in
+// place of the login form, to finish a partial sign-in. Wrong codes can be
+// retried. Resolves to the successful API result, or null when the user goes
+// back to the login form. Setup passes its own endpoint and instructions.
+function requestTwoFactorCode(tempToken, { endpoint = '/api/auth/2fa/verify', intro } = {}) {
+    const loginForm = document.getElementById('loginForm');
+    const form = document.getElementById('twoFactorForm');
+    const codeInput = document.getElementById('twoFactorCode');
+    const message = document.getElementById('twoFactorMessage');
+    const subtitle = form.querySelector('.auth-subtitle');
+    const submitBtn = form.querySelector('.auth-submit');
+    const cancelBtn = form.querySelector('.two-factor-cancel');
+    const defaultIntro = subtitle.textContent;
+
+    const showMessage = (text) => {
+        message.textContent = text;
+        message.className = 'form-message message-error';
+    };
+
+    loginForm.hidden = true;
+    form.hidden = false;
+    if (intro) subtitle.textContent = intro;
+    codeInput.value = '';
+    message.textContent = '';
+    message.className = 'form-message';
+    codeInput.focus();
+
+    return new Promise(resolve => {
+        const close = (result) => {
+            form.removeEventListener('submit', onSubmit);
+            cancelBtn.removeEventListener('click', onCancel);
+            form.hidden = true;
+            loginForm.hidden = false;
+            subtitle.textContent = defaultIntro;
+            resolve(result);
+        };
+        const onCancel = () => close(null);
+
+        async function onSubmit(e) {
+            e.preventDefault();
+            const code = codeInput.value.trim();
+            if (!code) {
+                showMessage('Please enter your verification code');
+                return;
+            }
+
+            submitBtn.disabled = true;
+            try {
+                const isBackupCode = code.includes('-');
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({
+                        tempToken,
+                        [isBackupCode ? 'backupCode' : 'code']: code
+                    })
+                });
+                const result = await response.json();
+                if (!result.success) {
+                    showMessage(result.message || 'Invalid verification code');
+                    codeInput.select();
+                    return;
+                }
+                close(result);
+            } catch (error) {
+                showMessage('Network error. Please try again.');
+            } finally {
+                submitBtn.disabled = false;
+            }
+        }
+
+        form.addEventListener('submit', onSubmit);
+        cancelBtn.addEventListener('click', onCancel);
+    });
+}
+
+// "Email me a sign-in link" sends a passwordless link to the entered address
+function initMagicLinkRequest(form, emailInput, validateEmail, showMessage) {
+    const button = form.querySelector('.magic-link-btn');
+    if (!button) return;
+
+    button.addEventListener('click', async function() {
+        if (!validateEmail()) return;
+
+        button.disabled = true;
+        try {
+            const response = await fetch('/api/auth/magic-link', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: emailInput.value.trim() })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message || 'Could not send a sign-in link, please try again.');
+            }
+            showMessage(`${result.message}. Check your inbox.`, 'success');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+// Sign-in link emails point here with ?magicToken=...
+async function handleMagicLink(showMessage, showSuccess) {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('magicToken');
+    if (!token) return;
+
+    // The token is single-use; keep it out of the address bar and history
+    history.replaceState(null, '', window.location.pathname);
+
+    try {
+        const response = await fetch('/api/auth/magic-link/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ token })
+        });
+        let result = await response.json();
+
+        if (result.success && (result.data.twoFactorRequired || result.data.twoFactorSetupRequired)) {
+            result = result.data.twoFactorRequired
+                ? await requestTwoFactorCode(result.data.tempToken)
+                : await requestTwoFactorSetup(result.data.tempToken);
+            if (!result) {
+                showMessage('Sign-in cancelled.', 'warning');
+                return;
+            }
+        }
+
+        if (!result.success || !result.data.token) {
+            throw new Error(result.message || 'This sign-in link is invalid or has expired.');
+        }
+
+        localStorage.setItem('authToken', result.data.token);
+        showSuccess('Welcome Back!', 'You\'ve successfully signed in. Redirecting to your dashboard...');
+    } catch (error) {
+        showMessage(`${error.message} You can request a new link below.`, 'error');
+    }
+}
+
+// Instructor/consultant invitation emails link to the register page with
+// ?invite=... Accepting creates the account, or adds the role to an existing one.
+async function handleInvitation(form, showMessage, showSuccess) {
+    const token = new URLSearchParams(window.location.search).get('invite');
+    if (!token) return;
+
+    form.dataset.inviteToken = token;
+    const fieldGroup = (id) => document.getElementById(id).closest('.form-group');
+    const submitText = form.querySelector('.btn-text');
+
+    let preview;
+    try {
+        const response = await fetch(`/api/auth/invitations/${encodeURIComponent(token)}`);
+        preview = await response.json();
+        if (!preview.success) throw new Error(preview.message);
+    } catch (error) {
+        showMessage(error.message || 'This invitation could not be loaded.', 'error');
+        return;
+    }
+
+    const { invitation, accountExists, passwordRequired } = preview.data;
+    const roleLabel = invitation.role === 'instructor' ? 'Instructor' : 'Consultant';
+    document.getElementById('register-title').textContent = `Join as ${roleLabel}`;
+
+    const email = document.getElementById('email');
+    email.value = invitation.email;
+    email.readOnly = true;
+    email.classList.add('filled');
+    fieldGroup('role').style.display = 'none';
+
+    if (accountExists) {
+        const hidden = passwordRequired ? ['name', 'avatar'] : ['name', 'password', 'confirmPassword', 'avatar'];
+        hidden.forEach(id => {
+            fieldGroup(id).style.display = 'none';
+        });
+        if (submitText) submitText.textContent = 'Accept Invitation';
+        showMessage(passwordRequired
+            ? `An unverified account already uses this address. Choose a new password to accept the ${invitation.role} role; the old password will stop working.`
+            : `You already have an account. Accepting adds the ${invitation.role} role to it.`, 'info');
+    } else {
+        showMessage(`${invitation.invitedBy || 'Star Media Tech'} invited you to join as ${roleLabel.toLowerCase()}. Create your account below.`, 'info');
+    }
+
+    form.addEventListener('submit', async function() {
+        if (!document.getElementById('terms').checked) {
+            showMessage('Please agree to the terms and conditions.', 'error');
+            return;
+        }
+
+        const body = { token };
+        if (passwordRequired) {
+            const password = document.getElementById('password').value;
+            if (password !== document.getElementById('confirmPassword').value) {
+                showMessage('Passwords do not match.', 'error');
+                return;
+            }
+            body.password = password;
+        }
+        if (!accountExists) {
+            const [firstName, ...rest] = document.getElementById('name').value.trim().split(/\s+/);
+            Object.assign(body, { firstName, lastName: rest.join(' ') || '-' });
+        }
+
+        try {
+            const response = await fetch('/api/auth/invitations/accept', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!result.success) {
+                const messages = (result.errors || []).map(error => error.message);
+                throw new Error(messages.length ? messages.join(' ') : result.message);
+            }
+
+            if (result.data.token) {
+                localStorage.setItem('authToken', result.data.token);
+                showSuccess('Welcome to Star Media Tech!', 'Your account is ready. Redirecting you to your dashboard...');
+                return;
+            }
+
+            // Existing account, or a new one that must set up 2FA first: sign in normally
+            showMessage(result.message, 'success');
+            setTimeout(() => {
+                window.location.href = 'login.html';
+            }, 2500);
+        } catch (error) {
+            showMessage(error.message || 'Could not accept the invitation, please try again.', 'error');
+        }
+    });
+}
+
+// Verification emails link here with ?verifyToken=...
+async function handleEmailVerification(showMessage) {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('verifyToken');
+    if (!token) return;
+
+    history.replaceState(null, '', window.location.pathname);
+
+    try {
+        const response = await fetch(`/api/auth/verify-email/${encodeURIComponent(token)}`);
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message || 'Email verification failed.');
+        }
+        showMessage('Your email is verified. You can sign in now.', 'success');
+    } catch (error) {
+        showMessage(`${error.message} Sign in to request a new link.`, 'error');
+    }
+}
+
+// Account lockout emails point here with ?unlockToken=...
+async function handleAccountUnlock(showMessage) {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('unlockToken');
+    if (!token) return;
+
+    history.replaceState(null, '', window.location.pathname);
+
+    try {
+        const response = await fetch(`/api/auth/unlock-account/${encodeURIComponent(token)}`);
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message || 'Invalid or expired unlock link');
+        }
+        showMessage(result.message, 'success');
+    } catch (error) {
+        showMessage(`${error.message}. The lock expires on its own, or you can reset your password.`, 'error');
+    }
+}
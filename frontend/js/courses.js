@@ -3,6 +3,7 @@ class CourseManager {
     constructor() {
         this.courses = [];
         this.filteredCourses = [];
+        this.learningPaths = [];
         this.currentPage = 1;
         this.itemsPerPage = 9;
         this.filters = {
@@ -15,9 +16,10 @@ class CourseManager {
     }
 
     async init() {
-        await this.loadCourses();
+        await Promise.all([this.loadCourses(), this.loadLearningPaths()]);
         this.initializeFilters();
         this.initializeEventListeners();
+        this.renderLearningPaths();
         this.renderCourses();
         this.renderPagination();
     }
@@ -33,6 +35,15 @@ class CourseManager {
         }
     }
 
+    async loadLearningPaths() {
+        try {
+            const response = await apiClient.learningPaths.getAll();
+            this.learningPaths = response.data;
+        } catch (error) {
+            console.error('Error loading learning paths:', error);
+        }
+    }
+
     initializeFilters() {
         this.renderCategoryFilters();
         this.renderLevelFilters();
@@ -234,6 +245,54 @@ class CourseManager {
         `).join('');
     }
 
+    renderLearningPaths() {
+        const section = document.getElementById('paths-section');
+        const container = document.getElementById('paths-grid');
+        if (!section || !container) return;
+
+        section.hidden = this.learningPaths.length === 0;
+
+        container.innerHTML = this.learningPaths.map(path => `
+            <div class="path-card" data-aos="fade-up">
+                <div class="path-header">
+                    <span class="path-badge"><i class="fas fa-route"></i> ${path.courses.length} courses</span>
+                    <div class="course-level ${path.level}">${path.level}</div>
+                </div>
+                <h3 class="path-title">${path.title}</h3>
+                <p class="path-description">${path.shortDescription || path.description.substring(0, 120)}</p>
+
+                <ol class="path-courses">
+                    ${path.courses.map(course => `
+                        <li><a href="course-detail.html?id=${course._id}">${course.title}</a></li>
+                    `).join('')}
+                </ol>
+
+                <div class="course-footer">
+                    <div class="course-price">
+                        ${path.pricing.savings > 0 ? `<span class="original-price">$${path.pricing.separately}</span>` : ''}
+                        <span class="current-price">$${path.price}</span>
+                        ${path.pricing.savings > 0 ? `<span class="path-savings">Save $${path.pricing.savings}</span>` : ''}
+                    </div>
+                    <button class="btn btn-primary" onclick="courseManager.enrollInPath('${path._id}')">
+                        Enroll in Path
+                    </button>
+                </div>
+                <div class="path-duration"><i class="fas fa-clock"></i> ${path.totalDuration} hours in total</div>
+            </div>
+        `).join('');
+    }
+
+    async enrollInPath(pathId) {
+        if (!authManager.requireAuth('login.html')) return;
+
+        try {
+            const response = await apiClient.learningPaths.enroll(pathId);
+            AppUtils.showNotification(response.message, 'success');
+        } catch (error) {
+            AppUtils.showNotification(error.message || 'Failed to enroll in learning path', 'error');
+        }
+    }
+
     renderPagination() {
         const container = document.getElementById('pagination');
         if (!container) return;
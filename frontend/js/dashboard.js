@@ -120,6 +120,7 @@ async function populateTables(){
             <td>${u.role}</td>
             <td>
                 <button class="btn gradient-btn" onclick="editUser('${u._id}')">Edit</button>
+                <button class="btn gradient-btn" onclick="impersonateUser('${u._id}')">Log in as</button>
                 <button class="btn cancel-btn" onclick="deleteUser('${u._id}')">Delete</button>
             </td>
         </tr>`;
@@ -192,8 +193,106 @@ async function populateTables(){
     });
 }
 
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, ch => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[ch]);
+
+// Invitations go through the authenticated admin API
+async function loadInvitations(){
+    const tbody = document.querySelector('#invitationsTable tbody');
+    try{
+        const { data } = await apiClient.admin.getInvitations();
+        tbody.innerHTML = '';
+        data.invitations.forEach(inv => {
+            const status = inv.isExpired ? 'expired' : inv.status;
+            const pending = inv.status === 'pending';
+            tbody.innerHTML += `
+            <tr>
+                <td>${escapeHtml(inv.email)}</td>
+                <td>${inv.role}</td>
+                <td>${status}</td>
+                <td>${inv.invitedBy ? escapeHtml(`${inv.invitedBy.firstName} ${inv.invitedBy.lastName}`) : ''}</td>
+                <td>${new Date(inv.expiresAt).toLocaleString()}</td>
+                <td>
+                    ${pending ? `<button class="btn gradient-btn" onclick="resendInvitation('${inv._id}')">Resend</button>
+                    <button class="btn cancel-btn" onclick="revokeInvitation('${inv._id}')">Revoke</button>` : ''}
+                </td>
+            </tr>`;
+        });
+    }catch(err){
+        console.error(err);
+    }
+}
+
+const money = (value) => `$${(Math.round((value || 0) * 100) / 100).toFixed(2)}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+// Coupons and their redemption report go through the authenticated API
+async function loadCoupons(){
+    const tbody = document.querySelector('#couponsTable tbody');
+    try{
+        const { data } = await apiClient.coupons.getAll({ limit: 100 });
+        tbody.innerHTML = '';
+        data.coupons.forEach(coupon => {
+            const expired = coupon.expiresAt && new Date(coupon.expiresAt) <= new Date();
+            const status = !coupon.isActive ? 'inactive' : expired ? 'expired' : 'active';
+            const valid = coupon.startsAt || coupon.expiresAt
+                ? `${formatDate(coupon.startsAt) || 'now'} - ${formatDate(coupon.expiresAt) || 'no expiry'}`
+                : 'always';
+            tbody.innerHTML += `
+            <tr>
+                <td>${escapeHtml(coupon.code)}</td>
+                <td>${coupon.discountType === 'percentage' ? `${coupon.amount}%` : money(coupon.amount)}${coupon.minimumSpend ? ` (min ${money(coupon.minimumSpend)})` : ''}</td>
+                <td>${coupon.appliesTo}</td>
+                <td>${valid}</td>
+                <td>${coupon.redemptionCount}${coupon.maxRedemptions ? ` / ${coupon.maxRedemptions}` : ''}</td>
+                <td>${money(coupon.stats.discountGiven)}</td>
+                <td>${status}</td>
+                <td>
+                    <button class="btn gradient-btn" onclick="showCouponRedemptions('${coupon._id}')">Redemptions</button>
+                    <button class="btn gradient-btn" onclick="toggleCoupon('${coupon._id}', ${!coupon.isActive})">${coupon.isActive ? 'Deactivate' : 'Activate'}</button>
+                    <button class="btn cancel-btn" onclick="deleteCoupon('${coupon._id}')">Delete</button>
+                </td>
+            </tr>`;
+        });
+    }catch(err){
+        console.error(err);
+    }
+}
+
+async function loadCouponReport(){
+    const tbody = document.querySelector('#couponReportTable tbody');
+    const tfoot = document.querySelector('#couponReportTable tfoot');
+    const period = document.getElementById('couponReportPeriod').value;
+    try{
+        const { data } = await apiClient.admin.getRevenueAnalytics(period);
+        tbody.innerHTML = data.couponRedemptions.map(row => `
+            <tr>
+                <td>${escapeHtml(row.code)}</td>
+                <td>${row.redemptions}</td>
+                <td>${row.courseRedemptions}</td>
+                <td>${row.consultationRedemptions}</td>
+                <td>${row.uniqueUsers}</td>
+                <td>${money(row.grossRevenue)}</td>
+                <td>${money(row.discountGiven)}</td>
+                <td>${money(row.netRevenue)}</td>
+            </tr>`).join('') || '<tr><td colspan="8">No coupons were redeemed in this period.</td></tr>';
+        tfoot.innerHTML = `
+            <tr>
+                <th>Total</th>
+                <th>${data.couponTotals.redemptions}</th>
+                <th colspan="4"></th>
+                <th>${money(data.couponTotals.discountGiven)}</th>
+                <th>${money(data.couponTotals.netRevenue)}</th>
+            </tr>`;
+    }catch(err){
+        console.error(err);
+    }
+}
+
 // Initial load
 populateTables();
+loadInvitations();
+loadCoupons();
+loadCouponReport();
 
 // ================================
 // 🌐 MODAL FUNCTIONS
@@ -202,17 +301,21 @@ const modalOverlay = document.getElementById('modalOverlay');
 const modalTitle = document.getElementById('modalTitle');
 const modalContent = document.getElementById('modalContent');
 
-function openModal(title, content){
+let modalSubmitHandler = null;
+
+// onSubmit saves the modal's form; it returns false to keep the modal open
+function openModal(title, content, onSubmit = null){
     modalTitle.innerText = title;
     modalContent.innerHTML = content;
+    modalSubmitHandler = onSubmit;
     modalOverlay.classList.remove('hidden');
 }
 function closeModal(){
     modalOverlay.classList.add('hidden');
+    modalSubmitHandler = null;
 }
-function submitModal(){
-    // Custom save function per modal type
-    console.log('Modal submitted');
+async function submitModal(){
+    if(modalSubmitHandler && await modalSubmitHandler() === false) return;
     closeModal();
 }
 
@@ -232,6 +335,148 @@ function toggleDarkMode(){
 // ================================
 function editUser(id){ openModal('Edit User', `<p>Edit user ${id} here</p>`); }
 function deleteUser(id){ console.log('Delete user', id); }
+async function impersonateUser(id){
+    const reason = prompt('Why do you need to sign in as this user? (recorded in the audit log)');
+    if(!reason) return;
+    try{
+        await authManager.startImpersonation(id, reason);
+    }catch(err){
+        alert(err.message);
+    }
+}
+async function inviteUser(){
+    const email = prompt('Email address to invite:');
+    if(!email) return;
+    const role = prompt('Role (instructor or consultant):', 'instructor');
+    if(!role) return;
+    try{
+        const response = await apiClient.admin.createInvitation({ email: email.trim(), role: role.trim().toLowerCase() });
+        alert(response.message);
+        loadInvitations();
+    }catch(err){
+        alert(err.message);
+    }
+}
+async function resendInvitation(id){
+    try{
+        const response = await apiClient.admin.resendInvitation(id);
+        alert(response.message);
+        loadInvitations();
+    }catch(err){
+        alert(err.message);
+    }
+}
+async function revokeInvitation(id){
+    if(!confirm('Revoke this invitation? Its link will stop working.')) return;
+    try{
+        await apiClient.admin.revokeInvitation(id);
+        loadInvitations();
+    }catch(err){
+        alert(err.message);
+    }
+}
+const couponForm = `
+<form id="couponForm" class="modal-form">
+    <label>Code <input name="code" required placeholder="SPRING25"></label>
+    <label>Discount type
+        <select name="discountType">
+            <option value="percentage">Percentage</option>
+            <option value="fixed">Fixed amount</option>
+        </select>
+    </label>
+    <label>Amount <input name="amount" type="number" min="0" step="0.01" required></label>
+    <label>Applies to
+        <select name="appliesTo">
+            <option value="all">Courses and consultations</option>
+            <option value="courses">Courses</option>
+            <option value="consultations">Consultations</option>
+        </select>
+    </label>
+    <label class="wide">Description <input name="description" maxlength="200"></label>
+    <label>Starts <input name="startsAt" type="datetime-local"></label>
+    <label>Expires <input name="expiresAt" type="datetime-local"></label>
+    <label>Total uses (blank for unlimited) <input name="maxRedemptions" type="number" min="1"></label>
+    <label>Uses per customer (blank for unlimited) <input name="maxRedemptionsPerUser" type="number" min="1" value="1"></label>
+    <label>Minimum spend <input name="minimumSpend" type="number" min="0" step="0.01" value="0"></label>
+    <label class="wide">Only for categories (comma separated) <input name="categories" placeholder="web-development, graphic-design"></label>
+    <label class="wide">Only for course IDs <input name="courses"></label>
+    <label class="wide">Only for service IDs <input name="services"></label>
+    <label class="wide">Only for consultant IDs <input name="consultants"></label>
+</form>`;
+
+const listField = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+function newCoupon(){
+    openModal('New Coupon', couponForm, async () => {
+        const form = new FormData(document.getElementById('couponForm'));
+        const optionalNumber = (name) => (form.get(name) ? Number(form.get(name)) : null);
+        const optionalDate = (name) => (form.get(name) ? new Date(form.get(name)).toISOString() : null);
+        try{
+            await apiClient.coupons.create({
+                code: form.get('code').trim(),
+                discountType: form.get('discountType'),
+                amount: Number(form.get('amount')),
+                appliesTo: form.get('appliesTo'),
+                description: form.get('description').trim() || undefined,
+                startsAt: optionalDate('startsAt'),
+                expiresAt: optionalDate('expiresAt'),
+                maxRedemptions: optionalNumber('maxRedemptions'),
+                maxRedemptionsPerUser: optionalNumber('maxRedemptionsPerUser'),
+                minimumSpend: Number(form.get('minimumSpend') || 0),
+                restrictions: {
+                    categories: listField(form.get('categories')),
+                    courses: listField(form.get('courses')),
+                    services: listField(form.get('services')),
+                    consultants: listField(form.get('consultants'))
+                }
+            });
+            loadCoupons();
+        }catch(err){
+            alert(err.errors ? err.errors.map(e => e.msg || e.message).join('\n') : err.message);
+            return false;
+        }
+    });
+}
+async function toggleCoupon(id, isActive){
+    try{
+        await apiClient.coupons.update(id, { isActive });
+        loadCoupons();
+    }catch(err){
+        alert(err.message);
+    }
+}
+async function deleteCoupon(id){
+    if(!confirm('Delete this coupon? Coupons that were already used are deactivated instead.')) return;
+    try{
+        const response = await apiClient.coupons.delete(id);
+        alert(response.message);
+        loadCoupons();
+    }catch(err){
+        alert(err.message);
+    }
+}
+async function showCouponRedemptions(id){
+    try{
+        const { data } = await apiClient.coupons.getRedemptions(id, { limit: 100 });
+        const rows = data.redemptions.map(redemption => `
+            <tr>
+                <td>${formatDate(redemption.redeemedAt)}</td>
+                <td>${redemption.user ? escapeHtml(`${redemption.user.firstName} ${redemption.user.lastName}`) : ''}</td>
+                <td>${escapeHtml((redemption.course || redemption.service || {}).title || redemption.kind)}</td>
+                <td>${money(redemption.originalPrice)}</td>
+                <td>${money(redemption.discount)}</td>
+                <td>${money(redemption.finalPrice)}</td>
+            </tr>`).join('');
+        openModal(`Redemptions of ${data.coupon.code}`, `
+            <p>${data.stats.redemptions} uses, ${money(data.stats.discountGiven)} discount given, ${money(data.stats.revenue)} revenue</p>
+            <table>
+                <thead><tr><th>Date</th><th>Customer</th><th>For</th><th>Price</th><th>Discount</th><th>Paid</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="6">Not redeemed yet.</td></tr>'}</tbody>
+            </table>`);
+    }catch(err){
+        alert(err.message);
+    }
+}
 function editCourse(id){ openModal('Edit Course', `<p>Edit course ${id} here</p>`); }
 function deleteCourse(id){ console.log('Delete course', id); }
 function editService(id){ openModal('Edit Service', `<p>Edit service ${id} here</p>`); }
@@ -895,6 +895,12 @@ class AppUtils {
         }
     }
 
+    static escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
     static showNotification(message, type = 'info') {
         // Remove existing notifications
         const existingNotification = document.querySelector('.app-notification');
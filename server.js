@@ -3,6 +3,7 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -13,6 +14,10 @@ const socketIo = require('socket.io');
 const sanitizeHtml = require('sanitize-html');
 const path = require('path');
 const os = require('os');
+const { identifyApiKey } = require('./backend/middleware/authMiddleware');
+const { startAccountDeletionJob } = require('./backend/utils/accountDeletion');
+const { startDataExportJob } = require('./backend/utils/dataExport');
+const { startDripNotificationJob } = require('./backend/utils/drip');
 
 dotenv.config();
 const app = express();
@@ -24,6 +29,7 @@ app.disable('x-powered-by');
 app.use(helmet({ crossOriginEmbedderPolicy: false }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 app.use(compression());
 const clientOrigins = (process.env.CLIENT_URL || '').split(',').map(s => s.trim()).filter(Boolean);
 app.use(cors({
@@ -52,9 +58,11 @@ const limiter = rateLimit({
   max: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   message: { error: 'Too many requests' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Verified API keys are limited per key instead
+  skip: (req) => Boolean(req.apiKey)
 });
-app.use('/api', limiter);
+app.use('/api', identifyApiKey, limiter);
 
 // ===============================
 // 🌐 DATABASE
@@ -114,6 +122,9 @@ try {
   const consultationRoutes = require('./backend/routes/consultationRoutes');
   const serviceRoutes = require('./backend/routes/serviceRoutes');
   const adminRoutes = require('./backend/routes/adminRoutes');
+  const certificateRoutes = require('./backend/routes/certificateRoutes');
+  const learningPathRoutes = require('./backend/routes/learningPathRoutes');
+  const couponRoutes = require('./backend/routes/couponRoutes');
 
   app.use('/api/auth', authRoutes);
   app.use('/api/users', userRoutes);
@@ -121,11 +132,14 @@ try {
   app.use('/api/consultations', consultationRoutes);
   app.use('/api/services', serviceRoutes);
   app.use('/api/admin', adminRoutes);
+  app.use('/api/certificates', certificateRoutes);
+  app.use('/api/learning-paths', learningPathRoutes);
+  app.use('/api/coupons', couponRoutes);
 } catch (e) {
   console.warn('Warning: could not mount backend routes:', e.message);
 }
 app.get('/api', (req, res) => {
-  res.json({ success: true, message: 'Star Media Tech API', available: ['/api/health', '/api/ready', '/api/auth', '/api/users', '/api/courses', '/api/consultations', '/api/services', '/api/admin'] });
+  res.json({ success: true, message: 'Star Media Tech API', available: ['/api/health', '/api/ready', '/api/auth', '/api/users', '/api/courses', '/api/consultations', '/api/services', '/api/admin', '/api/certificates', '/api/learning-paths', '/api/coupons'] });
 });
 app.get('/api/health', (req, res) => res.json({ status: 'ok', uptime: process.uptime() }));
 app.get('/api/ready', (req, res) => res.json({ ready: true }));
@@ -134,7 +148,6 @@ app.get('/api/ready', (req, res) => res.json({ ready: true }));
 // 🌌 DASHBOARD
 // ===============================
 app.get('/', (req, res) => {
-  const env = process.env.NODE_ENV || 'development';
   res.send(`
   <html>
   <head>
@@ -301,4 +314,9 @@ io.on('connection',socket=>{
 // ===============================
 // 🌐 START SERVER
 // ===============================
-connectDB().then(()=>server.listen(PORT,()=>console.log(`🚀 Server running at http://localhost:${PORT}`)));
+connectDB().then(()=>{
+  startAccountDeletionJob();
+  startDataExportJob();
+  startDripNotificationJob();
+  server.listen(PORT,()=>console.log(`🚀 Server running at http://localhost:${PORT}`));
+});